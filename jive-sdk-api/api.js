@@ -52,12 +52,57 @@ exports.logger = logger;
  * @type {Object}
  * @property {filePersistence} file - File based persistence. @see {@link filePersistence} persistence.
  * @property {memoryPersistence} memory - Memory based persistence @see {@link memoryPersistence} persistence.
+ * @property {sqlitePersistence} sqlite - Embedded SQLite based persistence @see {@link sqlitePersistence} persistence.
  */
 exports.persistence = {
     'file' : require('./lib/persistence/file'),
-    'memory' : require('./lib/persistence/memory')
+    'memory' : require('./lib/persistence/memory'),
+    'sqlite' : require('./lib/persistence/sqlite')
 };
 
+/**
+ * Wraps a persistence strategy so that sensitive fields (eg. access tokens, client secrets) are encrypted at rest.
+ * The service applies it automatically when an encryption key is configured. @see {@link encryptedPersistence}.
+ * <br><br>
+ * Example Usage:<br>
+ * <pre>
+ *     var jive = require('jive-sdk');
+ *     var persistence = jive.encryptedPersistence( new jive.persistence.file(), { 'key' : 'secret' } );
+ * </pre>
+ * @type module:encryptedPersistence
+ */
+exports.encryptedPersistence = require('./lib/persistence/encrypted');
+
+/**
+ * Change feeds for persistence strategies. @see {@link persistenceChanges}.
+ * @type module:persistenceChanges
+ */
+exports.persistenceChanges = require('./lib/persistence/changes');
+
+/**
+ * Batches of persistence writes, applied all-or-nothing by strategies that support it. @see {@link persistenceBatch}.
+ * @type module:persistenceBatch
+ */
+exports.persistenceBatch = require('./lib/persistence/batch');
+
+/**
+ * Aggregation queries (count, distinct and group) on persisted collections. @see {@link persistenceAggregation}.
+ * @type module:persistenceAggregation
+ */
+exports.persistenceAggregation = require('./lib/persistence/aggregation');
+
+/**
+ * Tenant-scoped views of a persistence strategy. @see {@link persistenceTenant}.
+ * @type module:persistenceTenant
+ */
+exports.persistenceTenant = require('./lib/persistence/tenant');
+
+/**
+ * Exports and imports the persisted state of a service. @see {@link persistenceBackup}.
+ * @type module:persistenceBackup
+ */
+exports.persistenceBackup = require('./lib/persistence/backup');
+
 /**
  * An object containing the available default scheduling strategy types.<br>
  * <br><br>
@@ -70,9 +115,12 @@ exports.persistence = {
  *     scheduler.schedule( ... );
  * </pre>
  * @type {memoryScheduler}
+ * @property {memoryScheduler} memory - In-memory scheduler.
+ * @property {persistentScheduler} persistent - Scheduler whose events are kept in persistence, and survive a restart.
  */
 exports.scheduler = {
-    'memory' : require('./lib/scheduler/scheduler')
+    'memory' : require('./lib/scheduler/scheduler'),
+    'persistent' : require('./lib/scheduler/persistent')
 };
 
 /**
@@ -155,12 +203,68 @@ exports.community = require('./lib/community/community');
  */
 exports.webhooks = require('./lib/webhook/webhooks');
 
+/**
+ * API for versioned migrations of persisted collections.
+ * @type module:migrations
+ */
+exports.migrations = require('./lib/persistence/migrations');
+
 /**
  * API for managing tasks.
  * @type module:tasks
  */
 exports.tasks = require('./lib/task/tasks');
 
+/**
+ * Cron expressions, for tasks that recur at set times.
+ * @type module:cron
+ */
+exports.cron = require('./lib/scheduler/cron');
+
+/**
+ * Retry policies for scheduled events, and the dead letters of events that exhaust them.
+ * @type module:retry
+ */
+exports.retry = require('./lib/scheduler/retry');
+
+/**
+ * Leases held in persistence, so that only one node runs each recurring task.
+ * @type module:lease
+ */
+exports.lease = require('./lib/scheduler/lease');
+
+/**
+ * Concurrency limits on the events run by the scheduler.
+ * @type module:throttle
+ */
+exports.throttle = require('./lib/scheduler/throttle');
+
+/**
+ * The run history of recurring tasks.
+ * @type module:taskHistory
+ */
+exports.taskHistory = require('./lib/scheduler/history');
+
+/**
+ * A pool of child processes for isolated event handlers and tasks.
+ * @type module:workerPool
+ */
+exports.workerPool = require('./lib/worker/pool');
+
+/**
+ * The clock by which the scheduler, iterators and file persistence tell the time and set timers.
+ * @type module:clock
+ */
+exports.clock = require('./lib/util/clock');
+
+/**
+ * Aids for testing services.
+ * @property {module:testingClock} clock - A fake clock, advanced by hand.
+ */
+exports.testing = {
+    'clock' : require('./lib/testing/clock')
+};
+
 var createDefaultMethods = function( methods, message ) {
     var object = {};
     methods.forEach( function( method ) {
@@ -181,7 +285,8 @@ var createDefaultMethods = function( methods, message ) {
  */
 exports.context = {
     'persistence' :  createDefaultMethods( [ 'find', 'save', 'remove', 'findByID'], 'Undefined persistence'),
-    'scheduler' : createDefaultMethods( [ 'init', 'schedule', 'unschedule', 'isScheduled', 'getTasks', 'shutdown'],
+    'scheduler' : createDefaultMethods( [ 'init', 'schedule', 'unschedule', 'isScheduled', 'getTasks', 'shutdown',
+        'pause', 'resume', 'runNow'],
         'Undefined scheduler'),
     'config' : {}
 };
@@ -25,6 +25,7 @@
 var jive = require('../../api');
 var q = require('q');
 var jiveClient = require('./../client/jive');
+var persistenceBase = require('../persistence/persistence-base');
 
 var returnOne = function(found ) {
     if ( found == null || found.length < 1 ) {
@@ -109,6 +110,17 @@ exports.findByTenantID = function( tenantID ) {
     }, true );
 };
 
+/**
+ * Returns a view of persistence scoped to the tenant of a community: records saved through it are stamped with
+ * the tenantId, and only the tenant's records are found or removed. @see {@link persistenceTenant}.
+ * @param community The community, or its tenantID.
+ * @returns {Object} persistence strategy
+ */
+exports.getTenantPersistence = function( community ) {
+    var tenantID = community && typeof community === 'object' ? community['tenantId'] : community;
+    return jive.persistenceTenant.forTenant( jive.context.persistence, tenantID );
+};
+
 /**
  * Parses the given jiveUrl for the name of the community.
  * @param jiveUrl
@@ -264,7 +276,14 @@ exports.doRequest = function( community, options ) {
     if (!tokenPersistenceFunction && !options.oauth) {
         tokenPersistenceFunction = function(updatedOAuth) {
             community.oauth = updatedOAuth;
-            return exports.save(community);
+            // only the tokens change; keep anything saved concurrently
+            return persistenceBase.updateWithRetry(jive.context.persistence, 'community', community['jiveUrl'],
+                function(latest) {
+                    latest = latest || community;
+                    latest['oauth'] = updatedOAuth;
+                    return latest;
+                }
+            );
         };
     }
 
@@ -341,20 +360,77 @@ function validateRegistration(registration) {
     return jive.util.buildRequest(jiveSignatureUrl, 'POST', buffer, headers);
 }
 
-exports.remove = function(community) {
+/**
+ * An instance belongs to a community registration if it was registered under the registration's tenant or, for
+ * instances saved without one, if its push url is under the registration's jiveUrl. The jiveCommunity of an instance
+ * is not enough: it is a hostname, shared by every community served from that host.
+ */
+var belongsTo = function(community, instance) {
+    if ( community['tenantId'] && instance['tenantId'] ) {
+        return instance['tenantId'] === community['tenantId'];
+    }
+    var jiveUrl = community['jiveUrl'].replace(/\/+$/, '');
+    return typeof instance['url'] === 'string' && instance['url'].indexOf(jiveUrl + '/') === 0;
+};
+
+var findRelatedInstances = function(community) {
+    var collections = [ jive.tiles.getCollection(), jive.extstreams.getCollection() ];
+    return q.all( collections.map( function(collectionID) {
+        return jive.context.persistence.find(collectionID, { 'jiveCommunity' : community['jiveCommunity'] });
+    })).then( function(found) {
+        var related = [];
+        collections.forEach( function(collectionID, i) {
+            ( found[i] || [] ).forEach( function(instance) {
+                if ( belongsTo(community, instance) ) {
+                    related.push( { 'collection' : collectionID, 'instance' : instance } );
+                }
+            });
+        });
+        return related;
+    });
+};
+
+/**
+ * Removes a community, and optionally the webhooks and tile and external stream instances that belong to it, in a
+ * single batch so that a failure leaves none of them orphaned (if the persistence strategy supports batches).
+ * A destroyedInstance event is emitted for each instance removed.
+ */
+var removeCommunity = function(community, withRelatedData) {
     var deferred = q.defer();
 
     if (community) {
-        jive.context.persistence.remove("community", community['jiveUrl']).then(function(removed) {
-            if (removed) {
+        var findRelated = withRelatedData && community['jiveCommunity'] ? findRelatedInstances(community) : q.resolve([]);
+
+        findRelated.then( function(related) {
+            var operations = [ { 'op' : 'remove', 'collection' : 'community', 'key' : community['jiveUrl'] } ];
+            if ( withRelatedData && community['tenantId'] ) {
+                operations.push( { 'op' : 'remove', 'collection' : 'webhook', 'key' : { 'tenantId' : community['tenantId'] } } );
+            }
+            related.forEach( function(entry) {
+                operations.push( { 'op' : 'remove', 'collection' : entry['collection'], 'key' : entry['instance']['id'] } );
+            });
+
+            return jive.persistenceBatch.run(jive.context.persistence, operations).then( function(results) {
+                if (!results[0]) {
+                    var error = new Error("Could not find jive instance: "+ community);
+                    jive.logger.debug("Unsuccessful unregistration request. Community not found ", community);
+                    jive.events.emit("unregisterJiveInstanceFailed", error );
+                    deferred.reject(error);
+                    return;
+                }
+
+                results.slice(operations.length - related.length).forEach( function(removed) {
+                    if ( removed ) {
+                        jive.events.emit("destroyedInstance", removed);
+                    }
+                });
                 jive.events.emit("unregisterJiveInstanceSuccess", community);
                 deferred.resolve();
-            } else {
-                var error = new Error("Could not find jive instance: "+ community);
-                jive.logger.debug("Unsuccessful unregistration request. Community not found ", community);
-                jive.events.emit("unregisterJiveInstanceFailed", error );
-                deferred.reject(error);
-            }
+            });
+        }).fail( function(error) {
+            jive.logger.debug("Unsuccessful unregistration request. Community could not be removed ", error);
+            jive.events.emit("unregisterJiveInstanceFailed", error );
+            deferred.reject(error);
         });
     } else {
         var error = new Error("No community provided");
@@ -364,7 +440,11 @@ exports.remove = function(community) {
     }
 
     return deferred.promise;
-}
+};
+
+exports.remove = function(community) {
+    return removeCommunity(community, false);
+};
 
 exports.unregister = function(packet) {
     var deferred = q.defer();
@@ -373,12 +453,13 @@ exports.unregister = function(packet) {
 
     validateRegistration(packet).then(function() {
         exports.findByJiveURL(jiveUrl).then(function(community) {
-            exports.remove(community).then(function() {
+            // the add-on is gone from the community, so are its webhooks and instances there
+            return removeCommunity(community, true).then(function() {
                 deferred.resolve();
             }).fail(function(err) {
                 deferred.reject(new Error("Community could not be unregistered: "+ JSON.stringify(err)));
             });
-        });
+        }).fail(deferred.reject);
 
     }).fail(function(err) {
         jive.logger.debug("Unsuccessful unregistration request: " + err? JSON.stringify(err) : '');
@@ -254,6 +254,8 @@ exports.globalEvents = [
  * @property {function} SET_EXTERNAL_PROPS.handler
  * @property {Object} DELETE_EXTERNAL_PROPS  Fired on request for deleting external props on a tile or externalstream instance.
  * @property {function} DELETE_EXTERNAL_PROPS.handler
+ * @property {Object} PURGE_EXPIRED_RECORDS Fired on request to remove expired records from persistence.
+ * @property {function} PURGE_EXPIRED_RECORDS.handler Passed <b>context</b> may name a <i>collectionID</i> to purge.
  */
 exports.systemEvents = [
     {
@@ -420,6 +422,22 @@ exports.systemEvents = [
             return pusher.removeExtendedProperties( context['instance'] );
         },
         'description' : 'Framework handler'
+    },
+    {
+        'event': jive.constants.tileEventNames.PURGE_EXPIRED_RECORDS,
+        'handler':function(context) {
+            var persistence = jive.context.persistence;
+            if ( !persistence || !persistence['purgeExpired'] ) {
+                return;
+            }
+            return persistence.purgeExpired( context ? context['collectionID'] : undefined ).then( function(purged) {
+                if ( purged ) {
+                    jive.logger.debug('Purged ' + purged + ' expired record(s)');
+                }
+                return purged;
+            });
+        },
+        'description' : 'Framework handler'
     }
 ];
 
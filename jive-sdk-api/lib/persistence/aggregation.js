@@ -0,0 +1,179 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Aggregation queries on persisted collections: count, distinct and group. Strategies that can answer them
+ * without returning every matching record implement count(collectionID, filter),
+ * distinct(collectionID, field, filter) and group(collectionID, keyField, reducer, filter); for any other strategy,
+ * the functions of this module compute them from the results of find. Example Usage:
+ * <pre>
+ *     jive.persistenceAggregation.group( jive.context.persistence, 'tileInstance', [ 'name', 'jiveCommunity' ] )
+ *         .then( function(groups) {
+ *             // eg. [ { 'key' : [ 'samplelist', 'jive.example.com' ], 'value' : 3 }, ... ]
+ *         });
+ * </pre>
+ * @module persistenceAggregation
+ */
+
+var persistenceBase = require('./persistence-base');
+
+var identify = function(value) {
+    return typeof value + ':' + JSON.stringify(value);
+};
+
+var resolveGroupKey = function(record, keyField) {
+    if ( typeof keyField === 'function' ) {
+        return keyField(record);
+    }
+    if ( Array.isArray(keyField) ) {
+        return keyField.map( function(field) {
+            return resolveGroupKey(record, field);
+        });
+    }
+
+    var value = persistenceBase.resolveFieldValues(record, keyField)[0];
+    return value === undefined ? null : value;
+};
+
+/**
+ * Counts the records of a group; the default reducer of group.
+ * @param {Array} records
+ * @returns {Number}
+ */
+exports.countReducer = function(records) {
+    return records.length;
+};
+
+/**
+ * Returns the distinct values of a field among records. The elements of array values are taken one by one; records
+ * without the field contribute nothing.
+ * @param {Array} records
+ * @param {String} field Dot notation field, eg. 'config.listId'
+ * @returns {Array} values, in the order first found
+ */
+exports.distinctValues = function(records, field) {
+    if ( !field || typeof field !== 'string' ) {
+        throw new Error('distinct requires a field');
+    }
+
+    var seen = {};
+    var values = [];
+
+    records.forEach( function(record) {
+        persistenceBase.resolveFieldValues(record, field).forEach( function(value) {
+            // array values are followed by their elements
+            if ( value === undefined || Array.isArray(value) ) {
+                return;
+            }
+            var id = identify(value);
+            if ( !seen.hasOwnProperty(id) ) {
+                seen[id] = true;
+                values.push(value);
+            }
+        });
+    });
+
+    return values;
+};
+
+/**
+ * Groups records, and reduces each group to a value.
+ * @param {Array} records
+ * @param {String|Array|function} keyField The dot notation field to group by; an array of fields, to group by
+ * their combined values; or a function returning the group key of a record. Records without the field are grouped
+ * under null.
+ * @param {function} reducer Optional. Called with (records, key) for each group, and returns its value; defaults to
+ * counting the records.
+ * @returns {Array} of { key, value }, in the order each group is first found
+ */
+exports.groupRecords = function(records, keyField, reducer) {
+    if ( !keyField ) {
+        throw new Error('group requires a key field');
+    }
+    reducer = reducer || exports.countReducer;
+
+    var groups = {};
+    var order = [];
+
+    records.forEach( function(record) {
+        var key = resolveGroupKey(record, keyField);
+        var id = identify(key);
+        if ( !groups.hasOwnProperty(id) ) {
+            groups[id] = { 'key' : key, 'records' : [] };
+            order.push(id);
+        }
+        groups[id]['records'].push(record);
+    });
+
+    return order.map( function(id) {
+        var group = groups[id];
+        return { 'key' : group['key'], 'value' : reducer(group['records'], group['key']) };
+    });
+};
+
+/**
+ * Counts the records of a collection that satisfy a query.
+ * @param {Object} persistence
+ * @param {String} collectionID
+ * @param {Object} filter Optional query; see persistenceBase.findMatchingKeys.
+ * @returns {Promise} promise resolving with the number of matching records
+ */
+exports.count = function(persistence, collectionID, filter) {
+    if ( persistence['count'] ) {
+        return persistence.count(collectionID, filter);
+    }
+
+    return persistence.find(collectionID, filter || {}).then( function(found) {
+        return found ? found.length : 0;
+    });
+};
+
+/**
+ * Finds the distinct values of a field among the records of a collection that satisfy a query.
+ * @param {Object} persistence
+ * @param {String} collectionID
+ * @param {String} field
+ * @param {Object} filter Optional query.
+ * @returns {Promise} promise resolving with an array of values
+ */
+exports.distinct = function(persistence, collectionID, field, filter) {
+    if ( persistence['distinct'] ) {
+        return persistence.distinct(collectionID, field, filter);
+    }
+
+    return persistence.find(collectionID, filter || {}).then( function(found) {
+        return exports.distinctValues(found || [], field);
+    });
+};
+
+/**
+ * Groups the records of a collection that satisfy a query; see groupRecords.
+ * @param {Object} persistence
+ * @param {String} collectionID
+ * @param {String|Array|function} keyField
+ * @param {function} reducer Optional; defaults to counting.
+ * @param {Object} filter Optional query.
+ * @returns {Promise} promise resolving with an array of { key, value }
+ */
+exports.group = function(persistence, collectionID, keyField, reducer, filter) {
+    if ( persistence['group'] ) {
+        return persistence.group(collectionID, keyField, reducer, filter);
+    }
+
+    return persistence.find(collectionID, filter || {}).then( function(found) {
+        return exports.groupRecords(found || [], keyField, reducer);
+    });
+};
@@ -0,0 +1,265 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * API for exporting the persisted state of a service to a portable archive, and importing it back, possibly into
+ * another persistence strategy. Used by the <i>jive-sdk backup</i> and <i>jive-sdk restore</i> commands.
+ * <br><br>
+ * An archive is a JSON object of the form:
+ * <pre>
+ *     {
+ *         "format" : "jive-sdk-backup",
+ *         "version" : 1,
+ *         "created" : 1388534400000,
+ *         "redacted" : false,
+ *         "collections" : {
+ *             "community" : [ { "key" : "https://community.example.com", "record" : { ... } } ]
+ *         }
+ *     }
+ * </pre>
+ * Records are read through the persistence they are exported from, so encrypted fields are archived in plaintext
+ * unless redacted.
+ * @module persistenceBackup
+ */
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////
+
+var q = require('q');
+var jive = require('../../api');
+var encrypted = require('./encrypted');
+var migrations = require('./migrations');
+
+var FORMAT = 'jive-sdk-backup';
+var VERSION = 1;
+
+/**
+ * The collections backed up by default, and how to tell the key each of their records is saved under.
+ */
+var defaultCollections = {
+    'community' : 'jiveUrl',
+    'tileInstance' : 'id',
+    'extstreamInstance' : 'id',
+    'webhook' : 'id',
+    'jiveExtension' : 'id'
+};
+defaultCollections[migrations.METADATA_COLLECTION] = function(record) {
+    return ( record['sdk'] ? migrations.sdk : migrations ).getMetadataKey(record['collection']);
+};
+
+var getPersistence = function(persistence) {
+    return persistence || jive.context.persistence;
+};
+
+var getKey = function(collectionID, record) {
+    var keyField = defaultCollections[collectionID] || 'id';
+    return typeof keyField === 'function' ? keyField(record) : record[keyField];
+};
+
+var getSecretFields = function(collectionID) {
+    var collection = encrypted.defaultCollections[collectionID];
+    return collection ? collection['fields'] : [];
+};
+
+var deletePath = function(record, keyParts) {
+    if ( !record || typeof record !== 'object' ) {
+        return;
+    }
+    if ( keyParts.length === 1 ) {
+        delete record[keyParts[0]];
+    } else {
+        deletePath(record[keyParts[0]], keyParts.slice(1));
+    }
+};
+
+var getPath = function(record, keyParts) {
+    for ( var i = 0; i < keyParts.length; i++ ) {
+        if ( !record || typeof record !== 'object' ) {
+            return undefined;
+        }
+        record = record[keyParts[i]];
+    }
+    return record;
+};
+
+var setPath = function(record, keyParts, value) {
+    for ( var i = 0; i < keyParts.length - 1; i++ ) {
+        record[keyParts[i]] = record[keyParts[i]] || {};
+        record = record[keyParts[i]];
+    }
+    record[keyParts[keyParts.length - 1]] = value;
+};
+
+/**
+ * Puts back the secrets of the record already stored, which a redacted archive does not carry.
+ */
+var mergeSecrets = function(collectionID, record, existing) {
+    if ( !existing ) {
+        return record;
+    }
+
+    getSecretFields(collectionID).forEach( function(field) {
+        var keyParts = field.split('.');
+        var value = getPath(existing, keyParts);
+        if ( value !== undefined && getPath(record, keyParts) === undefined ) {
+            setPath(record, keyParts, value);
+        }
+    });
+    return record;
+};
+
+/**
+ * Removes the records of a collection whose keys are not among the given archive entries.
+ */
+var removeOthers = function(persistence, collectionID, entries) {
+    var keys = {};
+    entries.forEach( function(entry) {
+        keys[entry['key']] = true;
+    });
+
+    return persistence.find(collectionID, {}).then( function(records) {
+        return q.all( ( records || [] ).filter( function(record) {
+            var key = getKey(collectionID, record);
+            return key !== undefined && key !== null && !keys.hasOwnProperty(key);
+        }).map( function(record) {
+            return persistence.remove(collectionID, getKey(collectionID, record));
+        }));
+    });
+};
+
+/**
+ * @returns {Array} the collections named in options.collections, or the default ones.
+ */
+var getCollectionIDs = function(options) {
+    var collections = options && options['collections'];
+    if ( typeof collections === 'string' ) {
+        collections = collections.split(',');
+    }
+    return collections && collections.length ? collections : Object.keys(defaultCollections);
+};
+
+/**
+ * The collections backed up when none are named.
+ * @returns {Array} collectionIDs
+ */
+exports.getDefaultCollections = function() {
+    return Object.keys(defaultCollections);
+};
+
+/**
+ * Exports the records of a set of collections to an archive.
+ * @param {Object} options Optional.
+ * @param {Array|String} options.collections The collections to export, as an array or comma separated string;
+ * defaults to communities, tile and external stream instances, webhooks, the extension record and migration
+ * metadata.
+ * @param {Boolean} options.redact If true, access and refresh tokens, client secrets and oauth details are left out.
+ * @param {Object} persistence Optional, defaults to jive.context.persistence.
+ * @returns {Promise} promise resolving with the archive
+ */
+exports.create = function(options, persistence) {
+    persistence = getPersistence(persistence);
+    var redact = !!( options && options['redact'] );
+
+    var archive = {
+        'format' : FORMAT,
+        'version' : VERSION,
+        'created' : new Date().getTime(),
+        'redacted' : redact,
+        'collections' : {}
+    };
+
+    return q.all( getCollectionIDs(options).map( function(collectionID) {
+        return persistence.find(collectionID, {}).then( function(records) {
+            archive['collections'][collectionID] = ( records || [] ).map( function(record) {
+                var key = getKey(collectionID, record);
+                if ( key === undefined || key === null ) {
+                    throw new Error('Cannot back up a record of ' + collectionID + ' without a key');
+                }
+
+                var copy = JSON.parse(JSON.stringify(record));
+                if ( redact ) {
+                    getSecretFields(collectionID).forEach( function(field) {
+                        deletePath(copy, field.split('.'));
+                    });
+                }
+                return { 'key' : key, 'record' : copy };
+            });
+        });
+    })).then( function() {
+        return archive;
+    });
+};
+
+/**
+ * Imports the records of an archive. Records are saved over any stored under the same key. The records of a
+ * redacted archive keep the secrets of the records they replace.
+ * @param {Object} archive As produced by create.
+ * @param {Object} options Optional.
+ * @param {Array|String} options.collections The collections to import; defaults to all those in the archive.
+ * @param {Boolean} options.clear If true, the records of each imported collection that are not in the archive are
+ * removed.
+ * @param {Object} persistence Optional, defaults to jive.context.persistence.
+ * @returns {Promise} promise resolving with a map of collectionID to the number of records restored
+ */
+exports.restore = function(archive, options, persistence) {
+    persistence = getPersistence(persistence);
+
+    return q.fcall( function() {
+        if ( !archive || archive['format'] !== FORMAT || !archive['collections'] ) {
+            throw new Error('Not a jive-sdk backup archive');
+        }
+        if ( archive['version'] > VERSION ) {
+            throw new Error('Unsupported backup archive version ' + archive['version']);
+        }
+
+        var collectionIDs = options && options['collections'] ? getCollectionIDs(options) :
+            Object.keys(archive['collections']);
+        var restored = {};
+
+        var promise = q.resolve();
+        collectionIDs.forEach( function(collectionID) {
+            var entries = archive['collections'][collectionID];
+            if ( !entries ) {
+                jive.logger.warn('Collection ' + collectionID + ' is not in the backup archive, skipping');
+                return;
+            }
+
+            promise = promise.then( function() {
+                // one at a time, to avoid swamping the persistence store
+                var saved = q.resolve();
+                entries.forEach( function(entry) {
+                    saved = saved.then( function() {
+                        var existing = archive['redacted'] ? persistence.findByID(collectionID, entry['key']) :
+                            q.resolve();
+                        return existing.then( function(existing) {
+                            var record = mergeSecrets(collectionID, entry['record'], existing);
+                            return persistence.save(collectionID, entry['key'], record);
+                        });
+                    });
+                });
+                return saved;
+            }).then( function() {
+                return options && options['clear'] ? removeOthers(persistence, collectionID, entries) : q.resolve();
+            }).then( function() {
+                restored[collectionID] = entries.length;
+                jive.logger.info('Restored ' + entries.length + ' record(s) of ' + collectionID);
+            });
+        });
+
+        return promise.then( function() {
+            return restored;
+        });
+    });
+};
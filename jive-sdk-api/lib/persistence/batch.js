@@ -0,0 +1,208 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Batches of persistence writes. A batch is an array of operations of the form
+ * <ul>
+ *     <li>{ 'op' : 'save', 'collection' : collectionID, 'key' : key, 'data' : record, 'options' : saveOptions }</li>
+ *     <li>{ 'op' : 'remove', 'collection' : collectionID, 'key' : key or query }</li>
+ * </ul>
+ * Strategies that apply batches all-or-nothing implement batch(operations), and declare it with
+ * capabilities.batch = true. Example Usage:
+ * <pre>
+ *     jive.persistenceBatch.run( jive.context.persistence, [
+ *         { 'op' : 'save', 'collection' : 'tileInstance', 'key' : instance['id'], 'data' : instance },
+ *         { 'op' : 'remove', 'collection' : 'webhook', 'key' : { 'tenantId' : tenantId } }
+ *     ]);
+ * </pre>
+ * @module persistenceBatch
+ */
+
+var q = require('q');
+var persistenceBase = require('./persistence-base');
+
+/**
+ * Checks that a batch is well formed.
+ * @param {Array} operations
+ * @throws {Error} if any operation is malformed.
+ */
+exports.validate = function(operations) {
+    if ( !operations || !operations['forEach'] ) {
+        throw new Error('A batch must be an array of operations');
+    }
+
+    operations.forEach( function(operation, i) {
+        if ( !operation || !operation['collection'] ) {
+            throw new Error('Batch operation ' + i + ' has no collection');
+        }
+        if ( operation['key'] === undefined || operation['key'] === null ) {
+            throw new Error('Batch operation ' + i + ' has no key');
+        }
+        if ( operation['op'] === 'save' ) {
+            if ( typeof operation['key'] === 'object' ) {
+                throw new Error('Batch operation ' + i + ' must save under a key, not a query');
+            }
+        } else if ( operation['op'] === 'remove' ) {
+            if ( typeof operation['key'] === 'object' ) {
+                persistenceBase.validateQuery(operation['key']);
+            }
+        } else {
+            throw new Error('Unsupported batch operation ' + operation['op']);
+        }
+    });
+};
+
+/**
+ * Applies a batch to key to record maps, for strategies that hold their collections in memory. Either every
+ * operation is applied, or (if one fails, eg. on a revision conflict) none are: the maps are restored and the error
+ * is thrown.
+ * @param {Array} operations
+ * @param {Object} store
+ * @param {function} store.getCollection Returns the key to record map of a collectionID.
+ * @param {function} store.findMatchingKeys Optional. (collectionID, collection, query) to matching keys; defaults to
+ * persistenceBase.findMatchingKeys.
+ * @param {function} store.onChange Optional. Called with (collectionID, key, record) as each record is set or
+ * removed (record undefined), and again as changes are rolled back, eg. to maintain indexes.
+ * @param {Object} store.ttls Optional. Collection TTLs, see persistenceBase.applyExpiry.
+ * @returns {Object} the result of each operation (as save or remove would resolve with) in 'results', the
+ * changes made, as arguments for a change feed's emit, in 'changes', and in 'rollback' a function that undoes them,
+ * eg. if they could not be journaled. Records changed again since are left as they are.
+ */
+exports.apply = function(operations, store) {
+    exports.validate(operations);
+
+    var onChange = store['onChange'] || function() {};
+    var findKeys = store['findMatchingKeys'] || function(collectionID, collection, query) {
+        return persistenceBase.findMatchingKeys(collection, query);
+    };
+
+    var undo = [];
+    var set = function(collectionID, collection, key, record) {
+        undo.push( {
+            'collectionID' : collectionID,
+            'key' : key,
+            'existed' : collection.hasOwnProperty(key),
+            'record' : collection[key],
+            'applied' : record
+        });
+        if ( record === undefined ) {
+            delete collection[key];
+        } else {
+            collection[key] = record;
+        }
+        onChange(collectionID, key, record);
+    };
+
+    var rollback = function() {
+        undo.reverse().forEach( function(entry) {
+            var collection = store.getCollection(entry['collectionID']);
+            var current = collection.hasOwnProperty(entry['key']) ? collection[entry['key']] : undefined;
+            if ( current !== entry['applied'] ) {
+                // changed again since
+                return;
+            }
+            if ( entry['existed'] ) {
+                collection[entry['key']] = entry['record'];
+            } else {
+                delete collection[entry['key']];
+            }
+            onChange(entry['collectionID'], entry['key'], entry['existed'] ? entry['record'] : undefined);
+        });
+        undo = [];
+    };
+
+    var results = [];
+    var changes = [];
+
+    try {
+        operations.forEach( function(operation) {
+            var collectionID = operation['collection'];
+            var collection = store.getCollection(collectionID);
+            var key = operation['key'];
+
+            if ( operation['op'] === 'save' ) {
+                var data = operation['data'];
+                var previous = collection[key];
+                persistenceBase.checkRevision(collectionID, key, previous, data, operation['options']);
+                persistenceBase.applyExpiry(collectionID, data, operation['options'], store['ttls']);
+                var stored = persistenceBase.copyRecord(data);
+                set(collectionID, collection, key, stored);
+                changes.push( [ previous ? 'update' : 'insert', collectionID, key, stored, previous ] );
+                results.push(data);
+                return;
+            }
+
+            var keys = typeof key === 'object' ? findKeys(collectionID, collection, key) : [ key ];
+            var removed = keys.map( function(key) {
+                var record = collection[key];
+                set(collectionID, collection, key, undefined);
+                if ( record ) {
+                    changes.push( [ 'remove', collectionID, key, undefined, record ] );
+                }
+                return record;
+            });
+            results.push( typeof key === 'object' ? removed : removed[0] );
+        });
+    } catch (e) {
+        rollback();
+        throw e;
+    }
+
+    return { 'results' : results, 'changes' : changes, 'rollback' : rollback };
+};
+
+/**
+ * @param {Object} persistence
+ * @returns {Boolean} true if the strategy applies batches all-or-nothing.
+ */
+exports.isSupported = function(persistence) {
+    return !!( persistence && persistence['capabilities'] && persistence['capabilities']['batch'] &&
+        persistence['batch'] );
+};
+
+/**
+ * Applies a batch through the strategy if it supports batches; otherwise falls back to saving and removing one
+ * operation at a time, in order, which stops at the first failure but does not undo the operations before it.
+ * @param {Object} persistence
+ * @param {Array} operations
+ * @returns {Promise} promise resolving with the result of each operation
+ */
+exports.run = function(persistence, operations) {
+    if ( exports.isSupported(persistence) ) {
+        return persistence.batch(operations);
+    }
+
+    return q.fcall( function() {
+        exports.validate(operations);
+
+        var results = [];
+        var promise = q.resolve();
+        operations.forEach( function(operation) {
+            promise = promise.then( function() {
+                var collectionID = operation['collection'];
+                return operation['op'] === 'save' ?
+                    persistence.save(collectionID, operation['key'], operation['data'], operation['options']) :
+                    persistence.remove(collectionID, operation['key']);
+            }).then( function(result) {
+                results.push(result);
+            });
+        });
+
+        return promise.then( function() {
+            return results;
+        });
+    });
+};
@@ -0,0 +1,227 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Change feeds for persistence strategies. A change record is an object with:
+ * <ul>
+ *     <li>type: 'insert', 'update' or 'remove'</li>
+ *     <li>collection: the collectionID</li>
+ *     <li>key: the key of the record</li>
+ *     <li>record: the record as saved (undefined for removes)</li>
+ *     <li>previous: the record before the change, if known (undefined for inserts)</li>
+ *     <li>timestamp: when the change was made, in ms</li>
+ * </ul>
+ * @module persistenceChanges
+ */
+
+var q = require('q');
+var jive = require('../../api');
+var persistenceBase = require('./persistence-base');
+
+/**
+ * Creates a change feed, which strategies use to implement watch.
+ * @returns {{watch: Function, isWatched: Function, emit: Function}}
+ */
+exports.createChangeFeed = function() {
+
+    /**
+     * collectionID -> array of { filter, handler }
+     * @type {{}}
+     */
+    var watchers = {};
+
+    var matches = function(record, filter) {
+        return record !== undefined && record !== null && persistenceBase.matches(record, filter);
+    };
+
+    var notify = function(watcher, change) {
+        process.nextTick( function() {
+            try {
+                watcher['handler'](change);
+            } catch (e) {
+                jive.logger.error('Error handling ' + change['type'] + ' of ' + change['key'] + ' in ' +
+                    change['collection'], e);
+            }
+        });
+    };
+
+    return {
+        /**
+         * Registers a handler for changes to the records of a collection that satisfy a query. An update is
+         * reported if the record satisfies the query before or after the change.
+         * Handlers are invoked asynchronously, after the change has been made.
+         * @param {String} collectionID
+         * @param {Object} filter Optional query; see persistenceBase.findMatchingKeys.
+         * @param {function} handler Invoked with a change record.
+         * @returns {{close: Function}} call close() to stop watching.
+         */
+        watch: function(collectionID, filter, handler) {
+            if ( typeof filter === 'function' ) {
+                handler = filter;
+                filter = null;
+            }
+            if ( typeof handler !== 'function' ) {
+                throw new Error('watch requires a handler function');
+            }
+            persistenceBase.validateQuery(filter);
+
+            var watcher = { 'filter' : filter, 'handler' : handler };
+            var collectionWatchers = watchers[collectionID] = watchers[collectionID] || [];
+            collectionWatchers.push(watcher);
+
+            return {
+                close: function() {
+                    var index = collectionWatchers.indexOf(watcher);
+                    if ( index > -1 ) {
+                        collectionWatchers.splice(index, 1);
+                    }
+                }
+            };
+        },
+
+        /**
+         * @param {String} collectionID
+         * @returns {Boolean} true if any handler watches the collection.
+         */
+        isWatched: function(collectionID) {
+            return !!watchers[collectionID] && watchers[collectionID].length > 0;
+        },
+
+        /**
+         * Reports a change to the handlers whose filter it satisfies.
+         * @param {String} type 'insert', 'update' or 'remove'
+         * @param {String} collectionID
+         * @param {String} key
+         * @param {Object} record The record after the change; undefined for removes.
+         * @param {Object} previous The record before the change; undefined for inserts.
+         */
+        emit: function(type, collectionID, key, record, previous) {
+            var collectionWatchers = watchers[collectionID];
+            if ( !collectionWatchers || collectionWatchers.length < 1 ) {
+                return;
+            }
+
+            var change = {
+                'type' : type,
+                'collection' : collectionID,
+                'key' : key,
+                'record' : record,
+                'previous' : previous,
+                'timestamp' : new Date().getTime()
+            };
+
+            collectionWatchers.slice().forEach( function(watcher) {
+                var filter = watcher['filter'];
+                if ( !filter || matches(record, filter) || matches(previous, filter) ) {
+                    notify(watcher, change);
+                }
+            });
+        }
+    };
+};
+
+/**
+ * Adds watch to a strategy that does not implement it, by reporting the saves and removes made through the
+ * returned strategy. Changes made to the store by other means are not seen. The record before a save is only
+ * looked up while the collection is watched.
+ * @param {Object} strategy
+ * @returns {Object} a persistence strategy
+ */
+exports.observable = function(strategy) {
+    if ( strategy['watch'] ) {
+        return strategy;
+    }
+
+    var feed = exports.createChangeFeed();
+    var observable = {};
+
+    // pass through anything else the strategy offers
+    for ( var property in strategy ) {
+        observable[property] = typeof strategy[property] === 'function' ?
+            strategy[property].bind(strategy) : strategy[property];
+    }
+
+    var emitRemoved = function(collectionID, keyValues, removed) {
+        if ( typeof keyValues == 'object' ) {
+            // keys are not known to the wrapper, so the change record carries only the removed record
+            ( removed || [] ).forEach( function(record) {
+                feed.emit('remove', collectionID, undefined, undefined, record);
+            });
+        } else if ( removed ) {
+            feed.emit('remove', collectionID, keyValues, undefined, removed);
+        }
+    };
+
+    observable.save = function( collectionID, key, data ) {
+        var args = arguments;
+        var watched = feed.isWatched(collectionID);
+        var before = watched ? strategy.findByID(collectionID, key) : q.resolve();
+
+        return before.then( function(previous) {
+            return strategy.save.apply(strategy, args).then( function(saved) {
+                if ( watched ) {
+                    feed.emit(previous ? 'update' : 'insert', collectionID, key, saved, previous || undefined);
+                }
+                return saved;
+            });
+        });
+    };
+
+    observable.remove = function( collectionID, keyValues ) {
+        var args = arguments;
+        if ( !feed.isWatched(collectionID) ) {
+            return strategy.remove.apply(strategy, args);
+        }
+
+        return strategy.remove.apply(strategy, args).then( function(removed) {
+            emitRemoved(collectionID, keyValues, removed);
+            return removed;
+        });
+    };
+
+    if ( strategy['batch'] ) {
+        observable.batch = function( operations ) {
+            var watched = ( operations || [] ).map( function(operation) {
+                return !!operation && feed.isWatched(operation['collection']);
+            });
+            var before = q.all( ( operations || [] ).map( function(operation, i) {
+                return watched[i] && operation['op'] === 'save' ?
+                    strategy.findByID(operation['collection'], operation['key']) : undefined;
+            }));
+
+            return before.then( function(previous) {
+                return strategy.batch(operations).then( function(results) {
+                    operations.forEach( function(operation, i) {
+                        if ( !watched[i] ) {
+                            return;
+                        }
+                        if ( operation['op'] === 'save' ) {
+                            feed.emit(previous[i] ? 'update' : 'insert', operation['collection'], operation['key'],
+                                results[i], previous[i] || undefined);
+                        } else {
+                            emitRemoved(operation['collection'], operation['key'], results[i]);
+                        }
+                    });
+                    return results;
+                });
+            });
+        };
+    }
+
+    observable.watch = feed.watch;
+
+    return observable;
+};
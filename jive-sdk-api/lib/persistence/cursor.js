@@ -0,0 +1,456 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+var q = require('q');
+var util = require('util');
+var Readable = require('stream').Readable;
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Private
+
+var getPath = function(obj, key) {
+    var keyParts = key.split('.');
+    for ( var i = 0; i < keyParts.length; i++ ) {
+        if ( obj === null || typeof obj !== 'object' ) {
+            return undefined;
+        }
+        obj = obj[keyParts[i]];
+    }
+    return obj;
+};
+
+var setPath = function(obj, key, value) {
+    var keyParts = key.split('.');
+    for ( var i = 0; i < keyParts.length - 1; i++ ) {
+        if ( obj[keyParts[i]] === null || typeof obj[keyParts[i]] !== 'object' ) {
+            obj[keyParts[i]] = {};
+        }
+        obj = obj[keyParts[i]];
+    }
+    obj[keyParts[keyParts.length - 1]] = value;
+};
+
+var deletePath = function(obj, key) {
+    var keyParts = key.split('.');
+    for ( var i = 0; i < keyParts.length - 1; i++ ) {
+        obj = obj[keyParts[i]];
+        if ( obj === null || typeof obj !== 'object' ) {
+            return;
+        }
+    }
+    delete obj[keyParts[keyParts.length - 1]];
+};
+
+var clone = function(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Values of different types sort in this order: missing/null, numbers, strings, objects and arrays, booleans.
+ */
+var typeRank = function(value) {
+    if ( value === undefined || value === null ) {
+        return 0;
+    }
+    switch ( typeof value ) {
+        case 'number': return 1;
+        case 'string': return 2;
+        case 'boolean': return 4;
+        default: return 3;
+    }
+};
+
+var compareValues = function(a, b) {
+    var rankA = typeRank(a), rankB = typeRank(b);
+    if ( rankA !== rankB ) {
+        return rankA < rankB ? -1 : 1;
+    }
+    if ( rankA === 0 ) {
+        return 0;
+    }
+    if ( rankA === 3 ) {
+        a = JSON.stringify(a);
+        b = JSON.stringify(b);
+    }
+    return a === b ? 0 : ( a > b ? 1 : -1 );
+};
+
+/**
+ * Accepts { 'a' : 1, 'b' : -1 }, [ ['a', 1], ['b', 'desc'] ] or 'a'.
+ * @returns {Array} of [ key, direction ] pairs
+ */
+var normalizeSort = function(spec) {
+    var pairs = [];
+    if ( typeof spec === 'string' ) {
+        pairs.push( [ spec, 1 ] );
+    } else if ( Array.isArray(spec) ) {
+        spec.forEach( function(pair) {
+            pairs.push( typeof pair === 'string' ? [ pair, 1 ] : [ pair[0], pair[1] ] );
+        });
+    } else if ( spec && typeof spec === 'object' ) {
+        Object.keys(spec).forEach( function(key) {
+            pairs.push( [ key, spec[key] ] );
+        });
+    } else {
+        throw new Error('Invalid sort specification');
+    }
+
+    return pairs.map( function(pair) {
+        var direction = pair[1];
+        if ( direction === 'desc' || direction === 'descending' ) {
+            direction = -1;
+        } else if ( direction === 'asc' || direction === 'ascending' ) {
+            direction = 1;
+        }
+        if ( direction !== 1 && direction !== -1 ) {
+            throw new Error('Invalid sort direction for ' + pair[0] + ', must be 1 or -1');
+        }
+        return [ pair[0], direction ];
+    });
+};
+
+var project = function(item, projection) {
+    if ( !projection ) {
+        return item;
+    }
+
+    var keys = Object.keys(projection);
+    var inclusive = keys.some( function(key) {
+        return !!projection[key];
+    });
+
+    if ( !inclusive ) {
+        var excluded = clone(item);
+        keys.forEach( function(key) {
+            deletePath(excluded, key);
+        });
+        return excluded;
+    }
+
+    var included = {};
+    keys.forEach( function(key) {
+        var value = getPath(item, key);
+        if ( value !== undefined ) {
+            setPath(included, key, clone(value));
+        }
+    });
+    return included;
+};
+
+/**
+ * Callbacks are invoked outside of the promise chain, so that what they throw is thrown rather than swallowed as a
+ * rejection.
+ */
+var invokeCallback = function(promise, callback) {
+    if ( callback ) {
+        promise.then( function(result) {
+            process.nextTick( function() {
+                callback(null, result);
+            });
+        }, function(e) {
+            process.nextTick( function() {
+                callback(e);
+            });
+        });
+    }
+    return promise;
+};
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Public
+
+/**
+ * A cursor over the records of a persistence query, returned by the built-in strategies when find is called with
+ * cursor set to true. Records are read one at a time as the cursor is advanced, so iterating a large collection does
+ * not require building an array of all its records (unless the cursor is sorted).
+ * <br><br>
+ * The cursor is also a readable object stream, emitting 'data' for each record and 'end' when exhausted.
+ * skip, limit, sort and project must be called before iteration starts, and return the cursor so they may be chained:
+ * <pre>
+ *     persistence.find('tileInstance', { 'name' : 'samplelist' }, true).then( function(cursor) {
+ *         return cursor.sort({ 'jiveCommunity' : 1, 'id' : -1 }).skip(20).limit(10).project({ 'config' : 0 }).toArray();
+ *     });
+ * </pre>
+ * @class persistenceCursor
+ * @param {Object} source
+ * @param {Array} source.keys Keys of the candidate records.
+ * @param {function} source.fetch Returns the record for a key, or undefined if it no longer exists.
+ * @param {function} source.filter Optional. Returns true if a record belongs in the results.
+ */
+function Cursor(source) {
+    Readable.call(this, { 'objectMode' : true });
+
+    this.keys = source['keys'];
+    this.fetch = source['fetch'];
+    this.filter = source['filter'];
+
+    this.skipCount = 0;
+    this.limitCount = 0;
+    this.sortPairs = null;
+    this.projection = null;
+    this.transforms = [];
+
+    this.started = false;
+    this.position = 0;
+    this.skipped = 0;
+    this.returned = 0;
+    this.sorted = null;
+}
+
+util.inherits(Cursor, Readable);
+
+module.exports = Cursor;
+
+Cursor.prototype.checkNotStarted = function() {
+    if ( this.started ) {
+        throw new Error('Cursor options cannot be changed once iteration has started');
+    }
+};
+
+/**
+ * Returns the next record from the source satisfying the filter, ignoring skip and limit; or null when exhausted.
+ * @private
+ */
+Cursor.prototype.nextMatch = function() {
+    var self = this;
+
+    if ( this.sortPairs && !this.sorted ) {
+        var all = [];
+        var item;
+        while ( (item = this.nextUnsorted()) !== null ) {
+            all.push(item);
+        }
+
+        this.sorted = all.sort( function(a, b) {
+            for ( var i = 0; i < self.sortPairs.length; i++ ) {
+                var result = compareValues( getPath(a, self.sortPairs[i][0]), getPath(b, self.sortPairs[i][0]) );
+                if ( result !== 0 ) {
+                    return result * self.sortPairs[i][1];
+                }
+            }
+            return 0;
+        });
+        this.sortedPosition = 0;
+    }
+
+    if ( this.sorted ) {
+        return this.sortedPosition < this.sorted.length ? this.sorted[this.sortedPosition++] : null;
+    }
+
+    return this.nextUnsorted();
+};
+
+/**
+ * @private
+ */
+Cursor.prototype.nextUnsorted = function() {
+    while ( this.position < this.keys.length ) {
+        var item = this.fetch( this.keys[this.position++] );
+        if ( item !== undefined && item !== null && ( !this.filter || this.filter(item) ) ) {
+            return item;
+        }
+    }
+    return null;
+};
+
+/**
+ * Synchronously reads the next record, applying skip, limit and projection.
+ * @private
+ * @returns {Object} the next record, or null when the cursor is exhausted.
+ */
+Cursor.prototype.read_ = function() {
+    this.started = true;
+
+    if ( this.limitCount && this.returned >= this.limitCount ) {
+        return null;
+    }
+
+    var item = this.nextMatch();
+    while ( item !== null && this.skipped < this.skipCount ) {
+        this.skipped++;
+        item = this.nextMatch();
+    }
+
+    if ( item === null ) {
+        return null;
+    }
+
+    this.returned++;
+    item = project(item, this.projection);
+    for ( var i = 0; i < this.transforms.length; i++ ) {
+        item = this.transforms[i](item);
+    }
+    return item;
+};
+
+Cursor.prototype._read = function() {
+    var item;
+    try {
+        item = this.read_();
+    } catch ( e ) {
+        this.emit('error', e);
+        return;
+    }
+    this.push(item);
+};
+
+/**
+ * Skips the given number of records.
+ * @memberof persistenceCursor
+ * @param {Number} number
+ * @returns {persistenceCursor} this cursor
+ */
+Cursor.prototype.skip = function(number) {
+    this.checkNotStarted();
+    this.skipCount = Math.max(0, number || 0);
+    return this;
+};
+
+/**
+ * Returns at most the given number of records. 0 means no limit.
+ * @memberof persistenceCursor
+ * @param {Number} number
+ * @param {function} callback Optional. If provided, the remaining records are read and passed as callback(err, items).
+ * @returns {persistenceCursor} this cursor
+ */
+Cursor.prototype.limit = function(number, callback) {
+    this.checkNotStarted();
+    this.limitCount = Math.max(0, number || 0);
+    if ( callback ) {
+        this.toArray(callback);
+    }
+    return this;
+};
+
+/**
+ * Orders the records. Keys may use dot notation; directions are 1 (ascending) or -1 (descending). Earlier keys take
+ * precedence.
+ * @memberof persistenceCursor
+ * @param {Object} spec eg. { 'name' : 1, 'config.order' : -1 }, or an array of [ key, direction ] pairs.
+ * @param {function} callback Optional. If provided, the remaining records are read and passed as callback(err, items).
+ * @returns {persistenceCursor} this cursor
+ */
+Cursor.prototype.sort = function(spec, callback) {
+    this.checkNotStarted();
+    this.sortPairs = normalizeSort(spec);
+    if ( callback ) {
+        this.toArray(callback);
+    }
+    return this;
+};
+
+/**
+ * Restricts the fields of the returned records. Either list the fields to keep ({ 'name' : 1, 'config.title' : 1 })
+ * or the fields to drop ({ 'accessToken' : 0 }). Projected records are copies.
+ * @memberof persistenceCursor
+ * @param {Object} projection
+ * @returns {persistenceCursor} this cursor
+ */
+Cursor.prototype.project = function(projection) {
+    this.checkNotStarted();
+    if ( projection ) {
+        var keys = Object.keys(projection);
+        var inclusive = keys.filter( function(key) { return !!projection[key]; }).length;
+        if ( inclusive && inclusive !== keys.length ) {
+            throw new Error('Projection cannot mix included and excluded fields');
+        }
+    }
+    this.projection = projection && Object.keys(projection).length ? projection : null;
+    return this;
+};
+
+/**
+ * Transforms each record as it is read, after projection. Transforms are applied in the order they were added.
+ * @memberof persistenceCursor
+ * @param {function} transform Receives a record and returns the record to be read in its place.
+ * @returns {persistenceCursor} this cursor
+ */
+Cursor.prototype.map = function(transform) {
+    this.checkNotStarted();
+    this.transforms.push(transform);
+    return this;
+};
+
+/**
+ * Advances the cursor.
+ * @memberof persistenceCursor
+ * @param {function} callback Optional. Invoked as callback(err, item); item is null when the cursor is exhausted.
+ * @returns {Promise} promise resolving with the next item, or null
+ */
+Cursor.prototype.next = function(callback) {
+    var self = this;
+    return invokeCallback( q.fcall( function() {
+        return self.read_();
+    }), callback );
+};
+
+/**
+ * Reads all remaining records.
+ * @memberof persistenceCursor
+ * @param {function} callback Optional. Invoked as callback(err, items).
+ * @returns {Promise} promise resolving with an array of records
+ */
+Cursor.prototype.toArray = function(callback) {
+    var items = [];
+    var error;
+    try {
+        var item;
+        while ( (item = this.read_()) !== null ) {
+            items.push(item);
+        }
+    } catch ( e ) {
+        error = e;
+    }
+
+    // invoked synchronously; legacy callers expect the results by the time sort or limit returns
+    if ( callback ) {
+        callback(error || null, error ? undefined : items);
+    }
+    return error ? q.reject(error) : q.resolve(items);
+};
+
+/**
+ * Counts the records matching the query, regardless of how far the cursor has been read.
+ * @memberof persistenceCursor
+ * @param {Boolean} applySkipLimit Optional. If true, the count takes skip and limit into account.
+ * @param {function} callback Optional. Invoked as callback(err, count).
+ * @returns {Promise} promise resolving with the count
+ */
+Cursor.prototype.count = function(applySkipLimit, callback) {
+    if ( typeof applySkipLimit === 'function' ) {
+        callback = applySkipLimit;
+        applySkipLimit = false;
+    }
+
+    var self = this;
+    return invokeCallback( q.fcall( function() {
+        var count = 0;
+        for ( var i = 0; i < self.keys.length; i++ ) {
+            var item = self.fetch(self.keys[i]);
+            if ( item !== undefined && item !== null && ( !self.filter || self.filter(item) ) ) {
+                count++;
+            }
+        }
+
+        if ( applySkipLimit ) {
+            count = Math.max(0, count - self.skipCount);
+            if ( self.limitCount ) {
+                count = Math.min(count, self.limitCount);
+            }
+        }
+        return count;
+    }), callback );
+};
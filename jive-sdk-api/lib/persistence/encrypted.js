@@ -0,0 +1,511 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+var crypto = require('crypto');
+var q = require('q');
+var jive = require('../../api');
+var aggregation = require('./aggregation');
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Private
+
+var PREFIX = 'jive-sdk-enc:1:';
+var ALGORITHM = 'aes-256-gcm';
+var KEY_LENGTH = 32;
+var SALT_LENGTH = 16;
+
+/**
+ * Where the id of the key the stored records were last brought up to date with is recorded.
+ */
+var STATE_COLLECTION = 'persistenceEncryption';
+var STATE_KEY = 'state';
+
+/**
+ * The fields encrypted by default, and the field each collection's records are keyed by (needed to save
+ * re-encrypted records).
+ */
+var defaultCollections = {
+    'tileInstance' : { 'keyField' : 'id', 'fields' : [ 'accessToken', 'refreshToken' ] },
+    'extstreamInstance' : { 'keyField' : 'id', 'fields' : [ 'accessToken', 'refreshToken' ] },
+    'community' : { 'keyField' : 'jiveUrl', 'fields' : [ 'clientSecret', 'oauth' ] }
+};
+
+/**
+ * Keys are derived from the secret with scrypt, salted with the salt stored alongside each value. The id of a key
+ * is derived the same way, with a fixed salt, so that it gives no quick way of testing guesses at the secret.
+ * Derived keys are cached by salt; a wrapper encrypts everything it writes under one salt, chosen when it is created.
+ */
+var createKey = function(secret) {
+    var derived = {};
+    return {
+        'id' : crypto.scryptSync(secret, 'jive-sdk-key-id', 4).toString('hex'),
+        'material' : function(salt) {
+            var cacheKey = salt.toString('base64');
+            if ( !derived[cacheKey] ) {
+                derived[cacheKey] = crypto.scryptSync(secret, salt, KEY_LENGTH);
+            }
+            return derived[cacheKey];
+        }
+    };
+};
+
+var isEncrypted = function(value) {
+    return typeof value === 'string' && value.indexOf(PREFIX) === 0;
+};
+
+var getPath = function(obj, keyParts) {
+    for ( var i = 0; i < keyParts.length; i++ ) {
+        if ( obj === null || typeof obj !== 'object' ) {
+            return undefined;
+        }
+        obj = obj[keyParts[i]];
+    }
+    return obj;
+};
+
+/**
+ * Returns a copy of the record with the value at the path replaced. Only the objects along the path are copied,
+ * so neither the record passed in, nor the one held by the underlying strategy, are modified.
+ */
+var replacePath = function(record, keyParts, value) {
+    var copy = {};
+    for ( var key in record ) {
+        if ( record.hasOwnProperty(key) ) {
+            copy[key] = record[key];
+        }
+    }
+
+    if ( keyParts.length === 1 ) {
+        copy[keyParts[0]] = value;
+    } else {
+        copy[keyParts[0]] = replacePath(record[keyParts[0]], keyParts.slice(1), value);
+    }
+    return copy;
+};
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Public
+
+/**
+ * Wraps a persistence strategy so that sensitive fields are encrypted (AES-256-GCM) before being handed to it, and
+ * decrypted when read back through find, findByID, or remove. Any strategy can be wrapped. Queries on encrypted
+ * fields will not match, since the strategy only sees ciphertext.
+ * <br><br>
+ * Values are stored as strings of the form jive-sdk-enc:1:&lt;key id&gt;:&lt;salt&gt;:..., so that records written
+ * under an older key can still be decrypted while that key is listed in previousKeys. The key is derived from the
+ * secret and the salt with scrypt. Records are always written with the current key; reencrypt() rewrites every
+ * record that is still plaintext, or uses an older key, and records that it has (in the persistenceEncryption
+ * collection), so that reencryptIfNeeded() only does so once encryption is enabled or the key changes.
+ * <br><br>
+ * Example Usage:
+ * <pre>
+ *     var persistence = jive.encryptedPersistence( new jive.persistence.file(), {
+ *         'key' : process.env['jive_persistence_encryption_key'],
+ *         'previousKeys' : [ 'old-secret' ]
+ *     });
+ * </pre>
+ * @module encryptedPersistence
+ * @param {Object} strategy The persistence strategy to wrap.
+ * @param {Object} options
+ * @param {String} options.key The current encryption secret.
+ * @param {Array} options.previousKeys Optional. Secrets that records may still be encrypted with.
+ * @param {Object} options.collections Optional. Map of collectionID to { keyField: String, fields: [String] }, fields
+ * may use dot notation. Defaults to the access and refresh tokens of tile and external stream instances, and the
+ * client secret and oauth details of communities.
+ * @returns {Object} a persistence strategy
+ */
+module.exports = function(strategy, options) {
+
+    options = options || {};
+
+    if ( !options['key'] ) {
+        throw new Error('Encrypted persistence requires a key');
+    }
+
+    var currentKey = createKey(options['key']);
+    var currentSalt = crypto.randomBytes(SALT_LENGTH);
+    var keys = {};
+    [ options['key'] ].concat( options['previousKeys'] || [] ).forEach( function(secret, i) {
+        var key = i === 0 ? currentKey : createKey(secret);
+        keys[key['id']] = keys[key['id']] || key;
+    });
+
+    var collections = options['collections'] || defaultCollections;
+
+    var getFields = function(collectionID) {
+        var collection = collections[collectionID];
+        return collection ? collection['fields'] || [] : [];
+    };
+
+    var encryptValue = function(value) {
+        var iv = crypto.randomBytes(12);
+        var cipher = crypto.createCipheriv(ALGORITHM, currentKey['material'](currentSalt), iv);
+        var encrypted = Buffer.concat( [ cipher.update(JSON.stringify(value), 'utf8'), cipher.final() ] );
+
+        return PREFIX + [ currentKey['id'], currentSalt.toString('base64'), iv.toString('base64'),
+            cipher.getAuthTag().toString('base64'), encrypted.toString('base64') ].join(':');
+    };
+
+    var decryptValue = function(value) {
+        var parts = value.substring(PREFIX.length).split(':');
+        var key = keys[parts[0]];
+        if ( !key ) {
+            throw new Error('Cannot decrypt value encrypted with unknown key ' + parts[0] +
+                '; is it missing from previousKeys?');
+        }
+
+        var material = key['material']( Buffer.from(parts[1], 'base64') );
+        var decipher = crypto.createDecipheriv(ALGORITHM, material, Buffer.from(parts[2], 'base64'));
+        decipher.setAuthTag(Buffer.from(parts[3], 'base64'));
+        var decrypted = Buffer.concat( [ decipher.update(Buffer.from(parts[4], 'base64')), decipher.final() ] );
+        return JSON.parse(decrypted.toString('utf8'));
+    };
+
+    var transformRecord = function(collectionID, record, transform) {
+        if ( !record || typeof record !== 'object' ) {
+            return record;
+        }
+
+        getFields(collectionID).forEach( function(field) {
+            var keyParts = field.split('.');
+            var value = getPath(record, keyParts);
+            if ( value !== undefined ) {
+                var transformed = transform(value);
+                if ( transformed !== value ) {
+                    record = replacePath(record, keyParts, transformed);
+                }
+            }
+        });
+        return record;
+    };
+
+    var encryptRecord = function(collectionID, record) {
+        return transformRecord(collectionID, record, function(value) {
+            return value === null || isEncrypted(value) ? value : encryptValue(value);
+        });
+    };
+
+    var decryptRecord = function(collectionID, record) {
+        return transformRecord(collectionID, record, function(value) {
+            // plaintext values were written before encryption was enabled
+            return isEncrypted(value) ? decryptValue(value) : value;
+        });
+    };
+
+    var needsReencryption = function(collectionID, record) {
+        return getFields(collectionID).some( function(field) {
+            var value = getPath(record, field.split('.'));
+            if ( value === undefined || value === null ) {
+                return false;
+            }
+            return typeof value !== 'string' || value.indexOf(PREFIX + currentKey['id'] + ':') !== 0;
+        });
+    };
+
+    var decryptResult = function(collectionID, result) {
+        if ( Array.isArray(result) ) {
+            return result.map( function(record) {
+                return decryptRecord(collectionID, record);
+            });
+        }
+        return decryptRecord(collectionID, result);
+    };
+
+    /**
+     * @inner
+     */
+    var encryptedPersistence = {
+
+        /**
+         * Always true; marks a strategy as already wrapped.
+         * @memberof encryptedPersistence
+         */
+        encrypted : true,
+
+        /**
+         * The wrapped strategy.
+         * @memberof encryptedPersistence
+         */
+        strategy : strategy,
+
+        /**
+         * The capabilities of the wrapped strategy.
+         * @memberof encryptedPersistence
+         */
+        capabilities : strategy['capabilities'] || {},
+
+        /**
+         * Encrypts the configured fields of the data, then saves it through the wrapped strategy.
+         * The data passed in is not modified. Further arguments are passed through.
+         * @memberof encryptedPersistence
+         * @param {String} collectionID
+         * @param {String} key
+         * @param {Object} data
+         * @returns {Promise} promise resolving with the saved data, decrypted
+         */
+        save: function( collectionID, key, data ) {
+            var args = Array.prototype.slice.call(arguments);
+            return q.fcall( function() {
+                args[2] = encryptRecord(collectionID, data);
+                return strategy.save.apply(strategy, args);
+            }).then( function(saved) {
+                return decryptResult(collectionID, saved);
+            });
+        },
+
+        /**
+         * @memberof encryptedPersistence
+         * @param {String} collectionID
+         * @param {Object} keyValues
+         * @param {Boolean} cursor If true, the wrapped strategy's cursor must support map.
+         * @returns {Promise} promise resolving with the found records, decrypted
+         */
+        find: function( collectionID, keyValues, cursor ) {
+            return strategy.find.apply(strategy, arguments).then( function(found) {
+                if ( !cursor ) {
+                    return decryptResult(collectionID, found);
+                }
+
+                if ( typeof found['map'] !== 'function' ) {
+                    throw new Error('Cannot decrypt records read through a cursor that does not support map');
+                }
+                return found.map( function(record) {
+                    return decryptRecord(collectionID, record);
+                });
+            });
+        },
+
+        /**
+         * @memberof encryptedPersistence
+         * @param {String} collectionID
+         * @param {String} key
+         * @returns {Promise} promise resolving with the record, decrypted
+         */
+        findByID: function( collectionID, key ) {
+            return strategy.findByID.apply(strategy, arguments).then( function(found) {
+                return decryptResult(collectionID, found);
+            });
+        },
+
+        /**
+         * @memberof encryptedPersistence
+         * @param {String} collectionID
+         * @param {Object} keyValues
+         * @returns {Promise} promise resolving with the removed record(s), decrypted
+         */
+        remove: function( collectionID, keyValues ) {
+            return strategy.remove.apply(strategy, arguments).then( function(removed) {
+                return decryptResult(collectionID, removed);
+            });
+        },
+
+        /**
+         * @memberof encryptedPersistence
+         * @param {String} collectionID
+         * @param {Object} keyValues Optional; cannot usefully refer to encrypted fields.
+         * @returns {Promise} promise resolving with the number of matching records
+         */
+        count: function( collectionID, keyValues ) {
+            return aggregation.count(strategy, collectionID, keyValues);
+        },
+
+        /**
+         * Distinct values of an encrypted field are found among the decrypted records; those of other fields are
+         * left to the wrapped strategy.
+         * @memberof encryptedPersistence
+         * @param {String} collectionID
+         * @param {String} field
+         * @param {Object} keyValues Optional.
+         * @returns {Promise} promise resolving with an array of values
+         */
+        distinct: function( collectionID, field, keyValues ) {
+            var sensitive = getFields(collectionID).some( function(encryptedField) {
+                return typeof field === 'string' && ( field === encryptedField ||
+                    field.indexOf(encryptedField + '.') === 0 || encryptedField.indexOf(field + '.') === 0 );
+            });
+
+            if ( !sensitive ) {
+                return aggregation.distinct(strategy, collectionID, field, keyValues);
+            }
+            return this.find(collectionID, keyValues || {}).then( function(found) {
+                return aggregation.distinctValues(found, field);
+            });
+        },
+
+        /**
+         * Groups the decrypted records, so that the key field and reducer see the fields in plaintext.
+         * @memberof encryptedPersistence
+         * @param {String} collectionID
+         * @param {String|Array|function} keyField
+         * @param {function} reducer Optional; defaults to counting the records of each group.
+         * @param {Object} keyValues Optional.
+         * @returns {Promise} promise resolving with an array of { key, value }
+         */
+        group: function( collectionID, keyField, reducer, keyValues ) {
+            return this.find(collectionID, keyValues || {}).then( function(found) {
+                return aggregation.groupRecords(found, keyField, reducer);
+            });
+        },
+
+        /**
+         * Encrypts the configured fields of the data of each save, then applies the batch through the wrapped
+         * strategy; see {@link persistenceBatch}.
+         * @memberof encryptedPersistence
+         * @param {Array} operations
+         * @returns {Promise} promise resolving with the result of each operation, decrypted
+         */
+        batch: function( operations ) {
+            if ( !strategy['batch'] ) {
+                return q.reject( new Error('The wrapped persistence strategy does not support batch') );
+            }
+
+            return q.fcall( function() {
+                return strategy.batch( operations.map( function(operation) {
+                    if ( !operation || operation['op'] !== 'save' ) {
+                        return operation;
+                    }
+
+                    var copy = {};
+                    for ( var field in operation ) {
+                        if ( operation.hasOwnProperty(field) ) {
+                            copy[field] = operation[field];
+                        }
+                    }
+                    copy['data'] = encryptRecord(operation['collection'], operation['data']);
+                    return copy;
+                }));
+            }).then( function(results) {
+                return results.map( function(result, i) {
+                    return decryptResult(operations[i]['collection'], result);
+                });
+            });
+        },
+
+        /**
+         * Watches the wrapped strategy, decrypting the records of each change record.
+         * @memberof encryptedPersistence
+         * @param {String} collectionID
+         * @param {Object} filter Optional; cannot usefully refer to encrypted fields.
+         * @param {function} handler
+         * @returns {{close: Function}} watcher
+         */
+        watch: function( collectionID, filter, handler ) {
+            if ( typeof filter === 'function' ) {
+                handler = filter;
+                filter = null;
+            }
+            if ( !strategy['watch'] ) {
+                throw new Error('The wrapped persistence strategy does not support watch');
+            }
+
+            return strategy.watch(collectionID, filter, function(change) {
+                var decrypted = {};
+                for ( var field in change ) {
+                    if ( change.hasOwnProperty(field) ) {
+                        decrypted[field] = change[field];
+                    }
+                }
+                decrypted['record'] = decryptRecord(collectionID, change['record']);
+                decrypted['previous'] = decryptRecord(collectionID, change['previous']);
+                handler(decrypted);
+            });
+        },
+
+        /**
+         * @memberof encryptedPersistence
+         * @returns {Promise} promise
+         */
+        close: function() {
+            return strategy['close'] ? strategy.close.apply(strategy, arguments) : q.resolve();
+        },
+
+        /**
+         * @memberof encryptedPersistence
+         * @returns {Promise} promise resolving with the number of expired records removed
+         */
+        purgeExpired: function() {
+            return strategy['purgeExpired'] ? strategy.purgeExpired.apply(strategy, arguments) : q.resolve(0);
+        },
+
+        /**
+         * @memberof encryptedPersistence
+         * @returns {Promise} promise
+         */
+        sync: function() {
+            return strategy['sync'] ? strategy.sync.apply(strategy, arguments) : q.resolve();
+        },
+
+        /**
+         * Rewrites every record of the configured collections that has a sensitive field in plaintext, or encrypted
+         * with one of the previous keys, so that it is encrypted with the current key. Once done, previous keys may
+         * be dropped from the configuration.
+         * @memberof encryptedPersistence
+         * @returns {Promise} promise resolving with the number of records rewritten
+         */
+        reencrypt: function() {
+            var count = 0;
+
+            return q.all( Object.keys(collections).map( function(collectionID) {
+                var keyField = collections[collectionID]['keyField'];
+
+                return strategy.find(collectionID, {}).then( function(records) {
+                    var stale = records.filter( function(record) {
+                        return needsReencryption(collectionID, record);
+                    });
+
+                    return q.all( stale.map( function(record) {
+                        var key = getPath(record, keyField.split('.'));
+                        var reencrypted = encryptRecord(collectionID, decryptRecord(collectionID, record));
+                        return strategy.save(collectionID, key, reencrypted).then( function() {
+                            count++;
+                        });
+                    }));
+                });
+            })).then( function() {
+                if ( count ) {
+                    jive.logger.info('Re-encrypted ' + count + ' persisted record(s)');
+                }
+                return strategy.save(STATE_COLLECTION, STATE_KEY, { 'id' : STATE_KEY, 'keyId' : currentKey['id'] });
+            }).then( function() {
+                return count;
+            });
+        },
+
+        /**
+         * Re-encrypts (see reencrypt) unless the stored records were last brought up to date with the current key;
+         * so the first time encryption is enabled, values stored in plaintext until then are encrypted.
+         * @memberof encryptedPersistence
+         * @returns {Promise} promise resolving with the number of records rewritten
+         */
+        reencryptIfNeeded: function() {
+            return strategy.findByID(STATE_COLLECTION, STATE_KEY).then( function(state) {
+                if ( state && state['keyId'] === currentKey['id'] ) {
+                    return 0;
+                }
+                return encryptedPersistence.reencrypt();
+            });
+        }
+    };
+
+    return encryptedPersistence;
+};
+
+/**
+ * The sensitive fields of the SDK's collections, which are encrypted by default: map of collectionID to
+ * { keyField: String, fields: [String] }.
+ * @type {Object}
+ */
+module.exports.defaultCollections = defaultCollections;
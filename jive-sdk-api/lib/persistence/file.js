@@ -18,9 +18,32 @@ var fs = require('fs');
 var q = require('q');
 var jive = require('../../api');
 var persistenceBase = require('./persistence-base');
+var createIndexes = require('./indexes');
+var changes = require('./changes');
+var batch = require('./batch');
+var aggregation = require('./aggregation');
+var clock = require('../util/clock');
 
 /**
  * An file implementation of persistence.
+ * <br><br>
+ * Each collection is kept in memory and written to &lt;dataDirPath&gt;/&lt;collection&gt;.json every
+ * fileFlushInterval milliseconds (default 15000), through a temporary file that is renamed into place.
+ * Every save and remove is appended to &lt;collection&gt;.journal before its promise resolves, and the journal is
+ * replayed when the collection is next loaded, so that changes made since the last write survive a crash.
+ * A collection file that cannot be parsed is renamed to &lt;collection&gt;.json.corrupt-&lt;timestamp&gt;
+ * rather than overwritten.
+ * <br><br>
+ * Batches are applied all-or-nothing in memory, and the share of a batch in each collection is journaled as a single
+ * entry, so that no collection is left with part of its share; a crash while a batch spanning several collections is
+ * being journaled may however leave it recorded in some of them only. A batch that cannot be journaled is undone.
+ * <br><br>
+ * Fields marked <i>index: true</i> in serviceConfig['schema'] are indexed while a collection is loaded,
+ * see {@link indexes}.
+ * <br><br>
+ * Records expire as described in persistenceBase.applyExpiry, with collection TTLs taken from
+ * serviceConfig['persistenceTTL']. Expired records are not found, and are removed from loaded collections
+ * before they are written.
  * @module filePersistence
  * @constructor
  */
@@ -42,6 +65,10 @@ module.exports = function(serviceConfig) {
     var cacheSize = 0;
     var dirtyCount = 0;
     var dirtyCollectionIDs = {};
+    var ioQueues = {};
+    var indexes = createIndexes( serviceConfig ? serviceConfig['schema'] : null );
+    var changeFeed = changes.createChangeFeed();
+    var ttls = serviceConfig ? serviceConfig['persistenceTTL'] : null;
     var intervalId;
     var path = serviceConfig && serviceConfig['dataDirPath'] ? serviceConfig['dataDirPath'] : "db";
 
@@ -52,10 +79,11 @@ module.exports = function(serviceConfig) {
         if(err){
             fs.mkdir(path, function(err){
                 if(err) throw err;
-                intervalId = setInterval(flushDirty, serviceConfig['fileFlushInterval'] || 15000);
+                intervalId = clock.setInterval(flushDirty, serviceConfig['fileFlushInterval'] || 15000);
             });
         } else if(stat.isDirectory()){
-            intervalId = setInterval(flushDirty, serviceConfig['fileFlushInterval'] || 15000);
+            intervalId = clock.setInterval(flushDirty, serviceConfig['fileFlushInterval'] || 15000);
+            recoverJournals();
         } else {
             throw "Persistence startup failed: " + path + " is not a directory!";
         }
@@ -66,47 +94,247 @@ module.exports = function(serviceConfig) {
         return path + '/' + encodeURIComponent(collectionID) + '.json';
     }
 
-    function writeToFS(entry, callback) {
-        var json = JSON.stringify(entry.collection, null, 2);
+    function getJournalFilename(collectionID) {
+        return path + '/' + encodeURIComponent(collectionID) + '.journal';
+    }
+
+    /**
+     * Runs the job once all previously queued file system work for the collection is done, so that journal appends,
+     * snapshot writes and reads of the same collection never overlap.
+     * @returns {Promise} promise for the result of the job
+     */
+    function enqueue(collectionID, job) {
+        var previous = ioQueues[collectionID] || q.resolve();
+        var result = previous.then(job);
+        var tail = result.then( function() {}, function() {} );
+
+        ioQueues[collectionID] = tail;
+        tail.then( function() {
+            if ( ioQueues[collectionID] === tail ) {
+                delete ioQueues[collectionID];
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Records an operation in the collection's journal. The journal holds every operation since the collection's
+     * file was last written, and is replayed on top of it when the collection is loaded.
+     */
+    function appendToJournal(collectionID, operation) {
+        return enqueue(collectionID, function() {
+            return q.nfcall(fs.appendFile, getJournalFilename(collectionID), JSON.stringify(operation) + '\n', 'UTF-8');
+        }).fail( function(e) {
+            jive.logger.error('Error journaling ' + operation['op'] + ' in collection "' + collectionID + '"', e);
+            throw e;
+        });
+    }
+
+    /**
+     * Puts back the record a save or remove replaced, if that change could not be journaled; a record changed again
+     * since is left as it is.
+     */
+    function restore(collectionID, collection, key, applied, previous) {
+        var current = collection.hasOwnProperty(key) ? collection[key] : undefined;
+        if ( current !== applied ) {
+            return;
+        }
+        if ( previous === undefined ) {
+            delete collection[key];
+            indexes.remove(collectionID, key);
+        } else {
+            collection[key] = previous;
+            indexes.add(collectionID, key, previous);
+        }
+    }
+
+    function ignoreMissing(e) {
+        if ( e && e.code !== 'ENOENT' ) {
+            throw e;
+        }
+    }
+
+    /**
+     * Writes to a temporary file which is synced to disk, then renamed over the target; a crash at any point
+     * leaves either the old or the new contents in place.
+     */
+    function writeFileAtomic(filename, contents) {
+        var tmpFilename = filename + '.tmp';
+        return q.nfcall(fs.writeFile, tmpFilename, contents, 'UTF-8')
+            .then( function() {
+                return q.nfcall(fs.open, tmpFilename, 'r+');
+            })
+            .then( function(fd) {
+                return q.nfcall(fs.fsync, fd).finally( function() {
+                    return q.nfcall(fs.close, fd);
+                });
+            })
+            .then( function() {
+                return q.nfcall(fs.rename, tmpFilename, filename);
+            });
+    }
+
+    function writeToFS(entry) {
+        var collectionID = entry.collectionID;
         entry.setDirty(false);
-        fs.writeFile(getFilename(entry.collectionID), json, 'UTF-8', callback);
+
+        return enqueue(collectionID, function() {
+            // serialized once queued operations are journaled, so the journal can be dropped after the write
+            var json = JSON.stringify(entry.collection, null, 2);
+            return writeFileAtomic(getFilename(collectionID), json).then( function() {
+                return q.nfcall(fs.unlink, getJournalFilename(collectionID)).fail(ignoreMissing);
+            });
+        }).fail( function(e) {
+            jive.logger.error('Error writing collection "' + collectionID + '" to file system', e);
+            entry.setDirty(true);
+        });
     }
 
-    function readFromFS(collectionID, callback) {
-        fs.readFile(getFilename(collectionID), 'UTF-8', function(err, data) {
-            var object;
-            if (err) {
-                object = {};
+    /**
+     * Moves an unreadable collection file aside, so that it can be inspected and recovered by hand.
+     */
+    function quarantine(collectionID, e) {
+        var filename = getFilename(collectionID);
+        var quarantined = filename + '.corrupt-' + new Date().getTime();
+        jive.logger.error('Collection "' + collectionID + '" could not be read from ' + filename + ' (' + e.message +
+            '). The file has been moved to ' + quarantined + ', and the collection will be rebuilt from its journal.');
+        return q.nfcall(fs.rename, filename, quarantined);
+    }
+
+    function readSnapshot(collectionID) {
+        return q.nfcall(fs.readFile, getFilename(collectionID), 'UTF-8').then( function(data) {
+            try {
+                return JSON.parse(data);
+            } catch (e) {
+                return quarantine(collectionID, e).then( function() {
+                    return {};
+                });
             }
-            else {
+        }, function(e) {
+            ignoreMissing(e);
+            return {};
+        });
+    }
+
+    function replayJournal(collectionID, collection) {
+        return q.nfcall(fs.readFile, getJournalFilename(collectionID), 'UTF-8').then( function(data) {
+            var replayed = 0;
+            var lines = data.split('\n');
+            for ( var i = 0; i < lines.length; i++ ) {
+                if ( !lines[i] ) {
+                    continue;
+                }
+
+                var operation;
                 try {
-                    object = JSON.parse(data);
+                    operation = JSON.parse(lines[i]);
                 } catch (e) {
-                    jive.logger.warn('Error reading collection "' + collectionID + '" from file system. Initializing to empty.');
-                    object = {};
+                    // only the last operation can be incomplete, if the process died while appending it
+                    jive.logger.warn('Ignoring incomplete journal entry for collection "' + collectionID + '"');
+                    continue;
                 }
+
+                ( operation['op'] === 'batch' ? operation['ops'] : [ operation ] ).forEach( function(operation) {
+                    if ( operation['op'] === 'save' ) {
+                        collection[operation['key']] = operation['data'];
+                    } else if ( operation['op'] === 'remove' ) {
+                        operation['keys'].forEach( function(key) {
+                            delete collection[key];
+                        });
+                    }
+                });
+                replayed++;
+            }
+
+            if ( replayed ) {
+                jive.logger.info('Replayed ' + replayed + ' journaled operation(s) for collection "' + collectionID + '"');
             }
-            callback(object);
+            return replayed;
+        }, function(e) {
+            ignoreMissing(e);
+            return 0;
+        });
+    }
+
+    function readFromFS(collectionID, callback) {
+        enqueue(collectionID, function() {
+            return readSnapshot(collectionID).then( function(collection) {
+                return replayJournal(collectionID, collection).then( function(replayed) {
+                    return { 'collection' : collection, 'replayed' : replayed };
+                });
+            });
+        }).then( function(result) {
+            callback(result['collection'], result['replayed'] > 0);
+        }, function(e) {
+            jive.logger.error('Error reading collection "' + collectionID + '" from file system', e);
+            callback({}, false);
+        });
+    }
+
+    /**
+     * Loads any collection left with a journal by a previous run (ie. one that did not shut down cleanly), so
+     * that the journal is folded into its file by the next flush.
+     */
+    function recoverJournals() {
+        fs.readdir(path, function(err, files) {
+            if ( err ) {
+                return;
+            }
+            files.forEach( function(file) {
+                var match = file.match(/^(.*)\.journal$/);
+                if ( match ) {
+                    getCacheEntry(decodeURIComponent(match[1]), function() {});
+                }
+            });
+        });
+    }
+
+    /**
+     * Removes the expired records of a loaded collection.
+     * @returns {Promise} promise resolving with the number of records removed, once journaled
+     */
+    function purgeEntry(entry) {
+        var collectionID = entry.collectionID;
+        var collection = entry.collection;
+        var expiredKeys = persistenceBase.findExpiredKeys(collection);
+        if ( expiredKeys.length < 1 ) {
+            return q.resolve(0);
+        }
+
+        var removedRecords = {};
+        expiredKeys.forEach( function(key) {
+            removedRecords[key] = collection[key];
+            delete collection[key];
+            indexes.remove(collectionID, key);
+        });
+        entry.setDirty(true);
+
+        return appendToJournal(collectionID, { 'op' : 'remove', 'keys' : expiredKeys }).then( function() {
+            expiredKeys.forEach( function(key) {
+                changeFeed.emit('remove', collectionID, key, undefined, removedRecords[key]);
+            });
+            return expiredKeys.length;
         });
     }
 
     function flushDirty() {
         var deferreds = [];
+        Object.keys(cache).forEach( function(collectionID) {
+            // journaling failures are logged; the records are purged again on the next flush after a reload
+            purgeEntry(cache[collectionID]).fail( function() {});
+        });
         var dirty = Object.keys(dirtyCollectionIDs);
         for (var i = 0; i < dirty.length; i++) {
             var collectionID = dirty[i];
             var entry = cache[collectionID];
-            var deferred = q.defer();
-            deferreds.push(deferred.promise);
-            writeToFS(entry, function() {
-                deferred.resolve();
-            });
+            deferreds.push(writeToFS(entry));
             delete dirtyCollectionIDs[collectionID];
         }
         var shrink = [];
         while (cacheSize > 50) {
             if (cacheSize > 50) {
                 shrink.push(oldestCacheEntry.collectionID);
+                indexes.drop(oldestCacheEntry.collectionID);
                 oldestCacheEntry.discard();
             }
         }
@@ -128,10 +356,14 @@ module.exports = function(serviceConfig) {
         } else {
             var queue = [ callback ];
             loading[collectionID] = queue;
-            readFromFS(collectionID, function(data) {
+            readFromFS(collectionID, function(data, replayed) {
                 delete loading[collectionID];
                 var entry = new CacheEntry(collectionID, data);
+                indexes.rebuild(collectionID, data);
                 entry.add();
+                if (replayed) {
+                    entry.setDirty(true);
+                }
                 for (var i = 0; i < queue.length; i++) {
                     queue[i](entry.collection, entry);
                 }
@@ -206,6 +438,34 @@ module.exports = function(serviceConfig) {
         }
     };
 
+    /**
+     * Resolves with the result of applying a function to the unexpired records of a named collection that satisfy
+     * the criteria, or rejects with the error it throws (eg. for an unsupported query).
+     * @param collectionID
+     * @param keyValues
+     * @param {function} aggregate
+     * @return {Promise}
+     */
+    var aggregateRecords = function( collectionID, keyValues, aggregate ) {
+        var deferred = q.defer();
+
+        getCacheEntry(collectionID, function(collection) {
+            try {
+                var collectionItems = [];
+                indexes.findMatchingKeys(collectionID, collection, keyValues).forEach(function(key) {
+                    if ( !persistenceBase.isExpired(collection[key]) ) {
+                        collectionItems.push(collection[key]);
+                    }
+                });
+                deferred.resolve( aggregate(collectionItems) );
+            } catch (e) {
+                deferred.reject(e);
+            }
+        });
+
+        return deferred.promise;
+    };
+
     /**
      * @inner
      * @type {{save: Function, remove: Function, findByID: Function, find: Function, close: Function}}
@@ -214,22 +474,53 @@ module.exports = function(serviceConfig) {
         /////////////////////////////////////////////////////////////////////////////////////////////////////////////////
         // Public
 
+        /**
+         * Batches are applied all-or-nothing, and saves honor expectedRevision.
+         * @memberof filePersistence
+         */
+        capabilities : {
+            'batch' : true,
+            'revisions' : true
+        },
+
         /**
          * Save the provided data in a named collection
          * @memberof filePersistence
          * @param {String} collectionID
          * @param {String} key
          * @param {Object} data
+         * @param {Object} options Optional.
+         * @param {Number} options.expectedRevision If set, the save is rejected with a conflict error (code
+         * 'ECONFLICT') unless the stored record is at this revision; see persistenceBase.checkRevision.
+         * @param {Number|Date} options.expiresAt If set, when the record expires.
+         * @param {Number} options.ttl If set, how long after now the record expires, in ms.
          * @returns {Promise} promise
          */
-        save : function( collectionID, key, data) {
+        save : function( collectionID, key, data, options) {
             var deferred = q.defer();
 
             getCacheEntry(collectionID, function(collection, entry) {
-                collection[key] = data;
+                var previous = collection[key];
+                try {
+                    persistenceBase.checkRevision(collectionID, key, previous, data, options);
+                } catch (e) {
+                    deferred.reject(e);
+                    return;
+                }
+                persistenceBase.applyExpiry(collectionID, data, options, ttls);
+                var stored = persistenceBase.copyRecord(data);
+                collection[key] = stored;
+                indexes.add(collectionID, key, stored);
                 entry.setDirty(true);
                 entry.add(); // set as most recently used
-                deferred.resolve( data );
+                appendToJournal(collectionID, { 'op' : 'save', 'key' : key, 'data' : data }).then( function() {
+                    changeFeed.emit(previous ? 'update' : 'insert', collectionID, key, stored, previous);
+                    deferred.resolve( data );
+                }, function(e) {
+                    // not durable, so undone
+                    restore(collectionID, collection, key, stored, previous);
+                    deferred.reject(e);
+                });
             });
 
             return deferred.promise;
@@ -248,24 +539,51 @@ module.exports = function(serviceConfig) {
 
             getCacheEntry(collectionID, function(collection, entry) {
                 var removed = null;
+                var removedKeys;
+                var removedRecords = {};
 
                 if (typeof keyValues == 'object') {
                     removed = [];
 
-                    persistenceBase.findMatchingKeys(collection, keyValues).forEach(function(key) {
+                    try {
+                        removedKeys = indexes.findMatchingKeys(collectionID, collection, keyValues);
+                    } catch (e) {
+                        deferred.reject(e);
+                        return;
+                    }
+
+                    removedKeys.forEach(function(key) {
+                        removedRecords[key] = collection[key];
                         removed.push(collection[key]);
                         delete collection[key];
+                        indexes.remove(collectionID, key);
                     });
                 } else {
                     removed = collection[keyValues];
+                    removedKeys = [ keyValues ];
+                    removedRecords[keyValues] = removed;
                     delete collection[keyValues];
+                    indexes.remove(collectionID, keyValues);
 
                 }
 
                 entry.setDirty(true);
                 entry.add(); // set as most recently used
 
-                deferred.resolve(removed);
+                appendToJournal(collectionID, { 'op' : 'remove', 'keys' : removedKeys }).then( function() {
+                    removedKeys.forEach( function(key) {
+                        if ( removedRecords[key] ) {
+                            changeFeed.emit('remove', collectionID, key, undefined, removedRecords[key]);
+                        }
+                    });
+                    deferred.resolve(removed);
+                }, function(e) {
+                    // not durable, so undone
+                    removedKeys.forEach( function(key) {
+                        restore(collectionID, collection, key, undefined, removedRecords[key]);
+                    });
+                    deferred.reject(e);
+                });
             });
 
             return deferred.promise;
@@ -283,7 +601,7 @@ module.exports = function(serviceConfig) {
 
             getCacheEntry(collectionID, function(collection) {
                 var data = collection[key];
-                deferred.resolve( data );
+                deferred.resolve( persistenceBase.isExpired(data) ? undefined : persistenceBase.copyRecord(data) );
             });
 
             return deferred.promise;
@@ -295,29 +613,192 @@ module.exports = function(serviceConfig) {
          * @memberof filePersistence
          * @param {String} collectionID
          * @param {Object} keyValues
-         * @param {Boolean} cursor If true, returns an iterable cursor.
+         * @param {Boolean} cursor If true, returns a {@link persistenceCursor}.
          * @returns {Promise} promise
          */
         find : function( collectionID, keyValues, cursor ) {
+            if ( !cursor ) {
+                return aggregateRecords(collectionID, keyValues, function(collectionItems) {
+                    return collectionItems.map(persistenceBase.copyRecord);
+                });
+            }
 
             var deferred = q.defer();
 
             getCacheEntry(collectionID, function(collection) {
-                var collectionItems = [];
+                try {
+                    // records are matched as the cursor is read
+                    deferred.resolve(persistenceBase.createCollectionCursor(collection, keyValues,
+                        indexes.candidateKeys(collectionID, keyValues)));
+                } catch (e) {
+                    deferred.reject(e);
+                }
+            });
 
-                persistenceBase.findMatchingKeys(collection, keyValues).forEach(function(key) {
-                    collectionItems.push(collection[key]);
-                });
+            return deferred.promise;
+        },
 
-                if ( cursor ) {
-                    deferred.resolve(persistenceBase.createCursor(collectionItems));
-                } else {
-                    deferred.resolve( collectionItems );
+        /**
+         * Count the records of a named collection that satisfy the criteria.
+         * @memberof filePersistence
+         * @param {String} collectionID
+         * @param {Object} keyValues Optional.
+         * @returns {Promise} promise resolving with the number of matching records
+         */
+        count : function( collectionID, keyValues ) {
+            return aggregateRecords(collectionID, keyValues, function(collectionItems) {
+                return collectionItems.length;
+            });
+        },
+
+        /**
+         * Find the distinct values of a field among the records of a named collection that satisfy the criteria;
+         * see {@link persistenceAggregation}.
+         * @memberof filePersistence
+         * @param {String} collectionID
+         * @param {String} field
+         * @param {Object} keyValues Optional.
+         * @returns {Promise} promise resolving with an array of values
+         */
+        distinct : function( collectionID, field, keyValues ) {
+            return aggregateRecords(collectionID, keyValues, function(collectionItems) {
+                return aggregation.distinctValues(collectionItems, field);
+            });
+        },
+
+        /**
+         * Group the records of a named collection that satisfy the criteria; see {@link persistenceAggregation}.
+         * @memberof filePersistence
+         * @param {String} collectionID
+         * @param {String|Array|function} keyField
+         * @param {function} reducer Optional; defaults to counting the records of each group.
+         * @param {Object} keyValues Optional.
+         * @returns {Promise} promise resolving with an array of { key, value }
+         */
+        group : function( collectionID, keyField, reducer, keyValues ) {
+            return aggregateRecords(collectionID, keyValues, function(collectionItems) {
+                return aggregation.groupRecords(collectionItems, keyField, reducer);
+            });
+        },
+
+        /**
+         * Applies a batch of saves and removes all-or-nothing; see {@link persistenceBatch}. If any operation
+         * fails, eg. on a revision conflict, none are applied.
+         * @memberof filePersistence
+         * @param {Array} operations
+         * @returns {Promise} promise resolving with the result of each operation, once journaled
+         */
+        batch : function( operations ) {
+            try {
+                batch.validate(operations);
+            } catch (e) {
+                return q.reject(e);
+            }
+
+            var entries = {};
+            var collectionIDs = [];
+            operations.forEach( function(operation) {
+                if ( collectionIDs.indexOf(operation['collection']) < 0 ) {
+                    collectionIDs.push(operation['collection']);
+                }
+            });
+
+            return q.all( collectionIDs.map( function(collectionID) {
+                var deferred = q.defer();
+                getCacheEntry(collectionID, function(collection, entry) {
+                    entries[collectionID] = entry;
+                    deferred.resolve();
+                });
+                return deferred.promise;
+            })).then( function() {
+                var discarded = collectionIDs.some( function(collectionID) {
+                    return cache[collectionID] !== entries[collectionID];
+                });
+                if ( discarded ) {
+                    // dropped from the cache while others were loading; load again
+                    return filePersistenceSubtype.batch(operations);
                 }
 
+                var applied = batch.apply(operations, {
+                    'getCollection' : function(collectionID) {
+                        return entries[collectionID].collection;
+                    },
+                    'findMatchingKeys' : indexes.findMatchingKeys,
+                    'onChange' : function(collectionID, key, record) {
+                        if ( record === undefined ) {
+                            indexes.remove(collectionID, key);
+                        } else {
+                            indexes.add(collectionID, key, record);
+                        }
+                    },
+                    'ttls' : ttls
+                });
+
+                // each collection's share of the batch, as one journal entry
+                var journaled = {};
+                applied['changes'].forEach( function(change) {
+                    var collectionID = change[1];
+                    journaled[collectionID] = journaled[collectionID] || [];
+                    journaled[collectionID].push( change[0] === 'remove' ?
+                        { 'op' : 'remove', 'keys' : [ change[2] ] } :
+                        { 'op' : 'save', 'key' : change[2], 'data' : change[3] } );
+                });
+
+                return q.all( Object.keys(journaled).map( function(collectionID) {
+                    var entry = entries[collectionID];
+                    entry.setDirty(true);
+                    entry.add(); // set as most recently used
+                    return appendToJournal(collectionID, { 'op' : 'batch', 'ops' : journaled[collectionID] });
+                })).then( function() {
+                    applied['changes'].forEach( function(change) {
+                        changeFeed.emit.apply(changeFeed, change);
+                    });
+                    return applied['results'];
+                }, function(e) {
+                    // not durable, so undone; a share journaled in another collection is dropped when that collection
+                    // is next written, unless the service stops first
+                    applied['rollback']();
+                    throw e;
+                });
             });
+        },
 
-            return deferred.promise;
+        /**
+         * Watch a named collection for inserts, updates and removes; see {@link persistenceChanges}.
+         * Changes are reported once journaled.
+         * @memberof filePersistence
+         * @param {String} collectionID
+         * @param {Object} filter Optional query the changed records must satisfy.
+         * @param {function} handler Invoked asynchronously with each change record.
+         * @returns {{close: Function}} watcher; call close() to stop watching
+         */
+        watch : function( collectionID, filter, handler ) {
+            return changeFeed.watch(collectionID, filter, handler);
+        },
+
+        /**
+         * Removes expired records. Only collections that are loaded are purged, unless one is named.
+         * Removals are reported to watchers.
+         * @memberof filePersistence
+         * @param {String} collectionID Optional; defaults to all loaded collections.
+         * @returns {Promise} promise resolving with the number of records removed
+         */
+        purgeExpired : function( collectionID ) {
+            if ( collectionID ) {
+                var deferred = q.defer();
+                getCacheEntry(collectionID, function(collection, entry) {
+                    deferred.resolve(purgeEntry(entry));
+                });
+                return deferred.promise;
+            }
+
+            return q.all( Object.keys(cache).map( function(collectionID) {
+                return purgeEntry(cache[collectionID]);
+            })).then( function(counts) {
+                return counts.reduce( function(total, count) {
+                    return total + count;
+                }, 0);
+            });
         },
 
         /**
@@ -328,17 +809,22 @@ module.exports = function(serviceConfig) {
             var deferred = q.defer();
 
             if(intervalId) {
-                clearInterval(intervalId);
+                clock.clearInterval(intervalId);
                 deferred.resolve(flushDirty());
             } else {
                 setTimeout( function() {
                     if ( intervalId ) {
-                        clearInterval(intervalId);
+                        clock.clearInterval(intervalId);
                     }
                     deferred.resolve(flushDirty());
                 }, 2000);
             }
-            return deferred.promise;
+            return deferred.promise.then( function() {
+                // wait for any journaling still in progress
+                return q.allResolved( Object.keys(ioQueues).map( function(collectionID) {
+                    return ioQueues[collectionID];
+                }));
+            });
         }
 
     };
@@ -0,0 +1,270 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+var persistenceBase = require('./persistence-base');
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Private
+
+var isIndexable = function(value) {
+    return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+};
+
+var isEmpty = function(bucket) {
+    for ( var key in bucket ) {
+        if ( bucket.hasOwnProperty(key) ) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * Bucket names carry the type, so that '6' and 6 are indexed apart, as the matcher compares strictly.
+ */
+var bucketName = function(value) {
+    return typeof value + ':' + String(value);
+};
+
+/**
+ * Returns the values a query criterion can only be satisfied by, or null if an index cannot answer it
+ * (eg. ranges, regular expressions, null).
+ */
+var lookupValues = function(queryValue) {
+    if ( isIndexable(queryValue) ) {
+        return [ queryValue ];
+    }
+
+    if ( queryValue && typeof queryValue === 'object' && !Array.isArray(queryValue) ) {
+        var keys = Object.keys(queryValue);
+        if ( keys.length === 1 && keys[0] === '$eq' && isIndexable(queryValue['$eq']) ) {
+            return [ queryValue['$eq'] ];
+        }
+        if ( keys.length === 1 && keys[0] === '$in' && Array.isArray(queryValue['$in']) &&
+            queryValue['$in'].every(isIndexable) ) {
+            return queryValue['$in'];
+        }
+    }
+
+    return null;
+};
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Public
+
+/**
+ * In-memory secondary indexes for the memory and file persistence strategies.
+ * <br><br>
+ * A field is indexed if it is marked <i>index: true</i> in the collection's schema (serviceConfig['schema']).
+ * Fields may use dot notation (eg. 'entity.resources.self.ref'); arrays along the path are indexed element by
+ * element. Only string, number and boolean values are indexed.
+ * <br><br>
+ * Queries with equality, $eq or $in criteria on indexed fields are narrowed down to the records in the matching
+ * index buckets, before being evaluated in full by the shared matcher. Other queries fall back to a scan.
+ * Records must be saved again after being modified for the indexes to reflect the change.
+ * @param {Object} schema map of collectionID to collection schema
+ * @returns {Object} indexes
+ */
+module.exports = function(schema) {
+
+    schema = schema || {};
+
+    /**
+     * collectionID -> field -> bucket name -> { key : true }
+     * @type {{}}
+     */
+    var indexes = {};
+
+    /**
+     * collectionID -> key -> array of [ field, bucket name ] the record is indexed under.
+     * @type {{}}
+     */
+    var entries = {};
+
+    var getIndexedFields = function(collectionID) {
+        var collectionSchema = schema[collectionID] || {};
+        return Object.keys(collectionSchema).filter( function(field) {
+            return collectionSchema[field] && collectionSchema[field]['index'];
+        });
+    };
+
+    var getIndex = function(collectionID) {
+        if ( !indexes[collectionID] ) {
+            indexes[collectionID] = {};
+            entries[collectionID] = {};
+            getIndexedFields(collectionID).forEach( function(field) {
+                indexes[collectionID][field] = {};
+            });
+        }
+        return indexes[collectionID];
+    };
+
+    var candidateKeys = function(collectionID, keyValues) {
+        if ( !keyValues ) {
+            return null;
+        }
+
+        var index = getIndex(collectionID);
+        var candidates = null;
+
+        Object.keys(keyValues).forEach( function(field) {
+            if ( !index[field] ) {
+                return;
+            }
+
+            var values = lookupValues(keyValues[field]);
+            if ( !values ) {
+                return;
+            }
+
+            var found = {};
+            values.forEach( function(value) {
+                var bucket = index[field][bucketName(value)];
+                for ( var key in bucket ) {
+                    if ( bucket.hasOwnProperty(key) ) {
+                        found[key] = true;
+                    }
+                }
+            });
+
+            if ( candidates ) {
+                // several indexed criteria must all be satisfied
+                for ( var key in candidates ) {
+                    if ( candidates.hasOwnProperty(key) && !found.hasOwnProperty(key) ) {
+                        delete candidates[key];
+                    }
+                }
+            } else {
+                candidates = found;
+            }
+        });
+
+        return candidates ? Object.keys(candidates) : null;
+    };
+
+    var indexesObject = {
+        /**
+         * @param {String} collectionID
+         * @returns {Array} the indexed fields of the collection
+         */
+        getIndexedFields: getIndexedFields,
+
+        /**
+         * Indexes a record, replacing whatever it was previously indexed under.
+         * @param {String} collectionID
+         * @param {String} key
+         * @param {Object} record
+         */
+        add: function(collectionID, key, record) {
+            var index = getIndex(collectionID);
+            indexesObject.remove(collectionID, key);
+
+            var indexed = [];
+            Object.keys(index).forEach( function(field) {
+                persistenceBase.resolveFieldValues(record, field).forEach( function(value) {
+                    if ( !isIndexable(value) ) {
+                        return;
+                    }
+                    var name = bucketName(value);
+                    var bucket = index[field][name] = index[field][name] || {};
+                    if ( !bucket.hasOwnProperty(key) ) {
+                        bucket[key] = true;
+                        indexed.push( [ field, name ] );
+                    }
+                });
+            });
+
+            if ( indexed.length ) {
+                entries[collectionID][key] = indexed;
+            }
+        },
+
+        /**
+         * Removes a record from the indexes.
+         * @param {String} collectionID
+         * @param {String} key
+         */
+        remove: function(collectionID, key) {
+            var index = getIndex(collectionID);
+            var indexed = entries[collectionID][key];
+            if ( !indexed ) {
+                return;
+            }
+
+            indexed.forEach( function(entry) {
+                var bucket = index[entry[0]][entry[1]];
+                delete bucket[key];
+                if ( isEmpty(bucket) ) {
+                    delete index[entry[0]][entry[1]];
+                }
+            });
+            delete entries[collectionID][key];
+        },
+
+        /**
+         * Indexes every record of a collection, discarding any previous index.
+         * @param {String} collectionID
+         * @param {Object} collection map of key to record
+         */
+        rebuild: function(collectionID, collection) {
+            indexesObject.drop(collectionID);
+            for ( var key in collection ) {
+                if ( collection.hasOwnProperty(key) ) {
+                    indexesObject.add(collectionID, key, collection[key]);
+                }
+            }
+        },
+
+        /**
+         * Discards the indexes of a collection.
+         * @param {String} collectionID
+         */
+        drop: function(collectionID) {
+            delete indexes[collectionID];
+            delete entries[collectionID];
+        },
+
+        /**
+         * Returns the keys of the records that may match the query, according to the indexes.
+         * @param {String} collectionID
+         * @param {Object} keyValues
+         * @returns {Array} candidate keys, or null if the query cannot be narrowed down by an index.
+         */
+        candidateKeys: candidateKeys,
+
+        /**
+         * Like persistenceBase.findMatchingKeys, using the indexes where possible.
+         * @param {String} collectionID
+         * @param {Object} collection map of key to record
+         * @param {Object} keyValues
+         * @returns {Array} matching keys
+         */
+        findMatchingKeys: function(collectionID, collection, keyValues) {
+            persistenceBase.validateQuery(keyValues);
+
+            var candidates = candidateKeys(collectionID, keyValues);
+            if ( !candidates ) {
+                return persistenceBase.findMatchingKeys(collection, keyValues);
+            }
+
+            return candidates.filter( function(key) {
+                return collection.hasOwnProperty(key) && persistenceBase.matches(collection[key], keyValues);
+            });
+        }
+    };
+
+    return indexesObject;
+};
@@ -17,13 +17,22 @@
 var q = require('q');
 var jive = require('../../api');
 var persistenceBase = require('./persistence-base');
+var createIndexes = require('./indexes');
+var changes = require('./changes');
+var batch = require('./batch');
+var aggregation = require('./aggregation');
 
 /**
  * An in-memory implementation of persistence.
+ * <br><br>
+ * Fields marked <i>index: true</i> in serviceConfig['schema'] are indexed, see {@link indexes}.
+ * Records expire as described in persistenceBase.applyExpiry, with collection TTLs taken from
+ * serviceConfig['persistenceTTL']; expired records are not found, and are removed by purgeExpired.
+ * Saved data is stored as a copy, and found records are copies; see persistenceBase.copyRecord.
  * @module memoryPersistence
  * @constructor
  */
-module.exports = function() {
+module.exports = function(serviceConfig) {
 
     jive.logger.warn("******************************");
     jive.logger.warn("Memory persistence is configured.");
@@ -40,6 +49,12 @@ module.exports = function() {
      */
     var db = {};
 
+    var indexes = createIndexes( serviceConfig ? serviceConfig['schema'] : null );
+
+    var changeFeed = changes.createChangeFeed();
+
+    var ttls = serviceConfig ? serviceConfig['persistenceTTL'] : null;
+
     /**
      * Fetches a named collection from the db if collection exists; otherwise lazily create the collection.
      * @param collectionID
@@ -56,6 +71,24 @@ module.exports = function() {
         }
     };
 
+    /**
+     * Returns the unexpired records of a named collection that satisfy the criteria.
+     * @param collectionID
+     * @param keyValues
+     * @return {Array}
+     */
+    var findRecords = function( collectionID, keyValues ) {
+        var collection = getCollection(collectionID);
+
+        var collectionItems = [];
+        indexes.findMatchingKeys(collectionID, collection, keyValues).forEach(function(key) {
+            if ( !persistenceBase.isExpired(collection[key]) ) {
+                collectionItems.push(collection[key]);
+            }
+        });
+        return collectionItems;
+    };
+
     /////////////////////////////////////////////////////////////////////////////////////////////////////////////////
     // Public
 
@@ -64,18 +97,38 @@ module.exports = function() {
      * @type {{save: Function, remove: Function, find: Function, findByID: Function, close: Function}}
      */
     var memoryPersistence = {
+        /**
+         * Batches are applied all-or-nothing, and saves honor expectedRevision.
+         * @memberof memoryPersistence
+         */
+        capabilities : {
+            'batch' : true,
+            'revisions' : true
+        },
+
         /**
          * Save the provided data in a named collection
          * @memberof memoryPersistence
          * @param {String} collectionID
          * @param {String} key
          * @param {Object} data
+         * @param {Object} options Optional.
+         * @param {Number} options.expectedRevision If set, the save is rejected with a conflict error (code
+         * 'ECONFLICT') unless the stored record is at this revision; see persistenceBase.checkRevision.
+         * @param {Number|Date} options.expiresAt If set, when the record expires.
+         * @param {Number} options.ttl If set, how long after now the record expires, in ms.
          * @returns {Object} promise
          */
-        save: function( collectionID, key, data) {
+        save: function( collectionID, key, data, options) {
             return q.fcall( function () {
                 var collection = getCollection(collectionID);
-                collection[key] = data;
+                var previous = collection[key];
+                persistenceBase.checkRevision(collectionID, key, previous, data, options);
+                persistenceBase.applyExpiry(collectionID, data, options, ttls);
+                var stored = persistenceBase.copyRecord(data);
+                collection[key] = stored;
+                indexes.add(collectionID, key, stored);
+                changeFeed.emit(previous ? 'update' : 'insert', collectionID, key, stored, previous);
                 return data;
             });
         },
@@ -97,16 +150,22 @@ module.exports = function() {
                 if (typeof keyValues == 'object') {
                     var removedItems = [];
 
-                    persistenceBase.findMatchingKeys(collection, keyValues).forEach(function(key) {
+                    indexes.findMatchingKeys(collectionID, collection, keyValues).forEach(function(key) {
                         var removed = collection[key];
                         removedItems.push(removed);
                         delete collection[key];
+                        indexes.remove(collectionID, key);
+                        changeFeed.emit('remove', collectionID, key, undefined, removed);
                     });
 
                     return removedItems;
                 } else {
                     var removed = collection[keyValues];
                     delete collection[keyValues];
+                    indexes.remove(collectionID, keyValues);
+                    if ( removed ) {
+                        changeFeed.emit('remove', collectionID, keyValues, undefined, removed);
+                    }
                     return removed;
                 }
             });
@@ -120,25 +179,21 @@ module.exports = function() {
          * @memberof memoryPersistence
          * @param {String} collectionID
          * @param {Object} keyValues
-         * @param {Boolean} cursor If true, returns an iterable cursor.
+         * @param {Boolean} cursor If true, returns a {@link persistenceCursor}.
          * @returns {Object} promise
          */
         find: function( collectionID, keyValues, cursor ) {
-            var p = q.defer();
-
-                var collectionItems = [];
+            return q.fcall( function () {
                 var collection = getCollection(collectionID );
 
-                persistenceBase.findMatchingKeys(collection, keyValues).forEach(function(key) {
-                    collectionItems.push(collection[key]);
-                });
-
-                if ( !cursor ) {
-                    p.resolve( collectionItems );
-                } else {
-                    p.resolve(persistenceBase.createCursor(collectionItems));
+                if ( cursor ) {
+                    // records are matched as the cursor is read
+                    return persistenceBase.createCollectionCursor(collection, keyValues,
+                        indexes.candidateKeys(collectionID, keyValues));
                 }
-            return p.promise;
+
+                return findRecords(collectionID, keyValues).map(persistenceBase.copyRecord);
+            });
         },
 
         /**
@@ -151,7 +206,117 @@ module.exports = function() {
         findByID: function( collectionID, key ) {
             return q.fcall( function() {
                 var collection = getCollection(collectionID );
-                return collection[key];
+                var data = collection[key];
+                return persistenceBase.isExpired(data) ? undefined : persistenceBase.copyRecord(data);
+            });
+        },
+
+        /**
+         * Count the records of a named collection that satisfy the criteria.
+         * @memberof memoryPersistence
+         * @param {String} collectionID
+         * @param {Object} keyValues Optional.
+         * @returns {Object} promise resolving with the number of matching records
+         */
+        count: function( collectionID, keyValues ) {
+            return q.fcall( function() {
+                return findRecords(collectionID, keyValues).length;
+            });
+        },
+
+        /**
+         * Find the distinct values of a field among the records of a named collection that satisfy the criteria;
+         * see {@link persistenceAggregation}.
+         * @memberof memoryPersistence
+         * @param {String} collectionID
+         * @param {String} field
+         * @param {Object} keyValues Optional.
+         * @returns {Object} promise resolving with an array of values
+         */
+        distinct: function( collectionID, field, keyValues ) {
+            return q.fcall( function() {
+                return aggregation.distinctValues(findRecords(collectionID, keyValues), field);
+            });
+        },
+
+        /**
+         * Group the records of a named collection that satisfy the criteria; see {@link persistenceAggregation}.
+         * @memberof memoryPersistence
+         * @param {String} collectionID
+         * @param {String|Array|function} keyField
+         * @param {function} reducer Optional; defaults to counting the records of each group.
+         * @param {Object} keyValues Optional.
+         * @returns {Object} promise resolving with an array of { key, value }
+         */
+        group: function( collectionID, keyField, reducer, keyValues ) {
+            return q.fcall( function() {
+                return aggregation.groupRecords(findRecords(collectionID, keyValues), keyField, reducer);
+            });
+        },
+
+        /**
+         * Applies a batch of saves and removes all-or-nothing; see {@link persistenceBatch}. If any operation
+         * fails, eg. on a revision conflict, none are applied.
+         * @memberof memoryPersistence
+         * @param {Array} operations
+         * @returns {Object} promise resolving with the result of each operation
+         */
+        batch: function( operations ) {
+            return q.fcall( function() {
+                var applied = batch.apply(operations, {
+                    'getCollection' : getCollection,
+                    'findMatchingKeys' : indexes.findMatchingKeys,
+                    'onChange' : function(collectionID, key, record) {
+                        if ( record === undefined ) {
+                            indexes.remove(collectionID, key);
+                        } else {
+                            indexes.add(collectionID, key, record);
+                        }
+                    },
+                    'ttls' : ttls
+                });
+
+                applied['changes'].forEach( function(change) {
+                    changeFeed.emit.apply(changeFeed, change);
+                });
+                return applied['results'];
+            });
+        },
+
+        /**
+         * Watch a named collection for inserts, updates and removes; see {@link persistenceChanges}.
+         * @memberof memoryPersistence
+         * @param {String} collectionID
+         * @param {Object} filter Optional query the changed records must satisfy.
+         * @param {function} handler Invoked asynchronously with each change record.
+         * @returns {{close: Function}} watcher; call close() to stop watching
+         */
+        watch: function( collectionID, filter, handler ) {
+            return changeFeed.watch(collectionID, filter, handler);
+        },
+
+        /**
+         * Removes expired records. Removals are reported to watchers.
+         * @memberof memoryPersistence
+         * @param {String} collectionID Optional; defaults to all collections.
+         * @returns {Object} promise resolving with the number of records removed
+         */
+        purgeExpired: function( collectionID ) {
+            return q.fcall( function() {
+                var purged = 0;
+
+                ( collectionID ? [ collectionID ] : Object.keys(db) ).forEach( function(collectionID) {
+                    var collection = getCollection(collectionID);
+                    persistenceBase.findExpiredKeys(collection).forEach( function(key) {
+                        var removed = collection[key];
+                        delete collection[key];
+                        indexes.remove(collectionID, key);
+                        changeFeed.emit('remove', collectionID, key, undefined, removed);
+                        purged++;
+                    });
+                });
+
+                return purged;
             });
         },
 
@@ -0,0 +1,403 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * API for versioned migrations of persisted collections.
+ * <br><br>
+ * Migrations are registered per collection with increasing version numbers, and are run in order by
+ * jive.service.init (before bootstrap) for every version above the one last applied to the collection. The applied
+ * version of each collection is kept in the persistenceMetadata collection.
+ * <br><br>
+ * Each migration transforms one record at a time, and must be idempotent: up(record) returns the migrated record,
+ * or undefined to leave the record as is. An optional down(record) reverses it, and is used by rollback.
+ * Example Usage:
+ * <pre>
+ *     jive.migrations.register('community', 2, {
+ *         'description' : 'Move oauth tokens into an oauth object',
+ *         'up' : function(record) {
+ *             if ( record['accessToken'] ) {
+ *                 record['oauth'] = { 'access_token' : record['accessToken'] };
+ *                 delete record['accessToken'];
+ *                 return record;
+ *             }
+ *         },
+ *         'down' : function(record) {
+ *             if ( record['oauth'] ) {
+ *                 record['accessToken'] = record['oauth']['access_token'];
+ *                 delete record['oauth'];
+ *                 return record;
+ *             }
+ *         }
+ *     });
+ * </pre>
+ * The SDK migrates the records of its own collections the same way, with migrations of its own (see
+ * {@link sdkMigrations}), which are versioned apart from those of the service, and run before them; they are
+ * available as jive.migrations.sdk, with the same functions.
+ * @module migrations
+ */
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////
+
+var q = require('q');
+var jive = require('../../api');
+
+/**
+ * Collection in which the applied migration version of each collection is recorded.
+ * @type {string}
+ */
+exports.METADATA_COLLECTION = 'persistenceMetadata';
+
+/**
+ * The field records of the SDK's collections are saved under.
+ */
+var defaultKeyFields = {
+    'tileInstance' : 'id',
+    'extstreamInstance' : 'id',
+    'tileDefinition' : 'id',
+    'extstreamsDefinition' : 'id',
+    'community' : 'jiveUrl',
+    'webhook' : 'id'
+};
+
+/**
+ * The migrations of the service, and those of the SDK: each with its registry (collectionID -> array of
+ * migrations, ordered by version), and the prefix of the keys their applied versions are kept under.
+ */
+var serviceScope = { 'registry' : {}, 'prefix' : 'migrations.' };
+var sdkScope = { 'registry' : {}, 'prefix' : 'migrations.sdk.', 'sdk' : true };
+
+var getMetadataKey = function(scope, collectionID) {
+    return scope['prefix'] + collectionID;
+};
+
+var getPersistence = function(persistence) {
+    return persistence || jive.context.persistence;
+};
+
+var getAppliedVersion = function(scope, persistence, collectionID) {
+    var key = getMetadataKey(scope, collectionID);
+    return persistence.findByID(exports.METADATA_COLLECTION, key).then( function(metadata) {
+        return metadata ? metadata['version'] || 0 : 0;
+    });
+};
+
+var recordVersion = function(scope, persistence, collectionID, migration, direction, changed) {
+    var key = getMetadataKey(scope, collectionID);
+    return persistence.findByID(exports.METADATA_COLLECTION, key).then( function(metadata) {
+        metadata = metadata || { 'collection' : collectionID, 'history' : [] };
+        if ( scope['sdk'] ) {
+            metadata['sdk'] = true;
+        }
+        metadata['version'] = direction === 'up' ? migration['version'] : previousVersion(scope, collectionID, migration);
+        metadata['history'] = ( metadata['history'] || [] ).concat( [ {
+            'version' : migration['version'],
+            'direction' : direction,
+            'description' : migration['description'],
+            'changed' : changed,
+            'timestamp' : new Date().getTime()
+        } ] );
+        return persistence.save(exports.METADATA_COLLECTION, key, metadata);
+    });
+};
+
+var previousVersion = function(scope, collectionID, migration) {
+    var migrations = scope['registry'][collectionID];
+    var index = migrations.indexOf(migration);
+    return index > 0 ? migrations[index - 1]['version'] : 0;
+};
+
+/**
+ * Applies one direction of a migration to every record in the collection.
+ * @returns {Promise} promise resolving with the number of records changed
+ */
+var applyMigration = function(persistence, collectionID, migration, direction, dryRun) {
+    var transform = migration[direction];
+    var keyField = migration['keyField'] || defaultKeyFields[collectionID] || 'id';
+
+    return persistence.find(collectionID, {}).then( function(records) {
+        var changed = 0;
+
+        var promise = q.resolve();
+        records.forEach( function(record) {
+            promise = promise.then( function() {
+                var key = record[keyField];
+                // work on a copy, so that a dry run leaves records held in memory untouched
+                var copy = JSON.parse(JSON.stringify(record));
+                return q.fcall(transform, copy, persistence).then( function(migrated) {
+                    if ( migrated === undefined || migrated === null ) {
+                        return;
+                    }
+                    if ( key === undefined || key === null ) {
+                        throw new Error('Record in ' + collectionID + ' has no ' + keyField + ' to save it under');
+                    }
+
+                    changed++;
+                    if ( !dryRun ) {
+                        return persistence.save(collectionID, key, migrated);
+                    }
+                });
+            });
+        });
+
+        return promise.then( function() {
+            return changed;
+        });
+    });
+};
+
+/**
+ * Runs the given migration steps in order, recording each as it completes.
+ */
+var runSteps = function(scope, persistence, collectionID, steps, direction, options) {
+    var dryRun = options && options['dryRun'];
+    var report = [];
+
+    var promise = q.resolve();
+    steps.forEach( function(migration) {
+        promise = promise.then( function() {
+            var step = {
+                'collection' : collectionID,
+                'version' : migration['version'],
+                'direction' : direction,
+                'description' : migration['description'],
+                'dryRun' : !!dryRun
+            };
+            if ( scope['sdk'] ) {
+                step['sdk'] = true;
+            }
+
+            if ( options && options['before'] ) {
+                options['before'](step);
+            }
+
+            return applyMigration(persistence, collectionID, migration, direction, dryRun).then( function(changed) {
+                step['changed'] = changed;
+                report.push(step);
+                jive.logger.info( ( dryRun ? '[dry run] ' : '' ) + 'Migration ' + collectionID + ' v' +
+                    migration['version'] + ' ' + direction + ' (' + ( migration['description'] || 'no description' ) +
+                    '): ' + changed + ' record(s) changed');
+
+                var recorded = dryRun ? q.resolve() :
+                    recordVersion(scope, persistence, collectionID, migration, direction, changed);
+                return recorded.then( function() {
+                    if ( options && options['after'] ) {
+                        options['after'](step);
+                    }
+                });
+            });
+        });
+    });
+
+    return promise.then( function() {
+        return report;
+    });
+};
+
+var register = function(scope, collectionID, version, migration) {
+    if ( !collectionID ) {
+        throw new Error('A migration requires a collection');
+    }
+    if ( typeof version !== 'number' || version < 1 || Math.floor(version) !== version ) {
+        throw new Error('Migration version for ' + collectionID + ' must be a positive integer');
+    }
+    if ( !migration || typeof migration['up'] !== 'function' ) {
+        throw new Error('Migration ' + collectionID + ' v' + version + ' requires an up function');
+    }
+
+    var registry = scope['registry'];
+    var migrations = registry[collectionID] = registry[collectionID] || [];
+    migrations.forEach( function(existing) {
+        if ( existing['version'] === version ) {
+            throw new Error('Migration ' + collectionID + ' v' + version + ' is already registered');
+        }
+    });
+
+    var registered = {};
+    for ( var key in migration ) {
+        if ( migration.hasOwnProperty(key) ) {
+            registered[key] = migration[key];
+        }
+    }
+    registered['version'] = version;
+
+    migrations.push(registered);
+    migrations.sort( function(a, b) {
+        return a['version'] - b['version'];
+    });
+};
+
+var getRegistered = function(scope) {
+    var registry = scope['registry'];
+    var result = {};
+    Object.keys(registry).forEach( function(collectionID) {
+        result[collectionID] = registry[collectionID].map( function(migration) {
+            return { 'version' : migration['version'], 'description' : migration['description'] };
+        });
+    });
+    return result;
+};
+
+var run = function(scope, options, persistence) {
+    persistence = getPersistence(persistence);
+    var registry = scope['registry'];
+    var report = [];
+
+    var promise = q.resolve();
+    Object.keys(registry).forEach( function(collectionID) {
+        promise = promise.then( function() {
+            return getAppliedVersion(scope, persistence, collectionID);
+        }).then( function(applied) {
+            var pending = registry[collectionID].filter( function(migration) {
+                return migration['version'] > applied;
+            });
+            return runSteps(scope, persistence, collectionID, pending, 'up', options);
+        }).then( function(steps) {
+            report = report.concat(steps);
+        });
+    });
+
+    return promise.then( function() {
+        return report;
+    });
+};
+
+var rollback = function(scope, collectionID, toVersion, options, persistence) {
+    persistence = getPersistence(persistence);
+
+    return getAppliedVersion(scope, persistence, collectionID).then( function(applied) {
+        var steps = ( scope['registry'][collectionID] || [] ).filter( function(migration) {
+            return migration['version'] > toVersion && migration['version'] <= applied;
+        }).reverse();
+
+        steps.forEach( function(migration) {
+            if ( typeof migration['down'] !== 'function' ) {
+                throw new Error('Migration ' + collectionID + ' v' + migration['version'] + ' cannot be rolled back');
+            }
+        });
+
+        return runSteps(scope, persistence, collectionID, steps, 'down', options);
+    });
+};
+
+/**
+ * Returns the key under which the migration metadata of a collection is kept in the metadata collection.
+ * @param {String} collectionID
+ * @returns {String}
+ */
+exports.getMetadataKey = function(collectionID) {
+    return getMetadataKey(serviceScope, collectionID);
+};
+
+/**
+ * Registers a migration for a collection. Versions must be positive integers, unique within the collection.
+ * @param {String} collectionID
+ * @param {Number} version
+ * @param {Object} migration
+ * @param {function} migration.up Receives a copy of a record, and the persistence being migrated; returns (or
+ * resolves with) the migrated record, or undefined if the record needs no change.
+ * @param {function} migration.down Optional. Reverses up, for rollback.
+ * @param {String} migration.description Optional.
+ * @param {String} migration.keyField Optional. The field records are saved under; defaults to 'id' ('jiveUrl' for
+ * communities).
+ */
+exports.register = function(collectionID, version, migration) {
+    register(serviceScope, collectionID, version, migration);
+};
+
+/**
+ * Returns the registered migrations, by collection.
+ * @returns {Object} map of collectionID to array of { version, description }
+ */
+exports.getRegistered = function() {
+    return getRegistered(serviceScope);
+};
+
+/**
+ * Forgets all registered migrations. Applied versions are left in persistence.
+ */
+exports.reset = function() {
+    serviceScope['registry'] = {};
+};
+
+/**
+ * Returns the version last applied to a collection, 0 if none.
+ * @param {String} collectionID
+ * @param {Object} persistence Optional, defaults to jive.context.persistence.
+ * @returns {Promise} promise
+ */
+exports.getVersion = function(collectionID, persistence) {
+    return getAppliedVersion(serviceScope, getPersistence(persistence), collectionID);
+};
+
+/**
+ * Applies, in order, every registered migration newer than the version applied to its collection.
+ * If a migration fails, the migrations before it remain applied, and the returned promise is rejected.
+ * @param {Object} options Optional.
+ * @param {Boolean} options.dryRun If true, counts the records each migration would change, without saving
+ * anything.
+ * @param {function} options.before Optional. Called with a step description before each migration.
+ * @param {function} options.after Optional. Called with a step description, including the number of changed
+ * records, after each migration.
+ * @param {Object} persistence Optional, defaults to jive.context.persistence.
+ * @returns {Promise} promise resolving with an array of the steps taken
+ */
+exports.run = function(options, persistence) {
+    return run(serviceScope, options, persistence);
+};
+
+/**
+ * Reverses the migrations of a collection, newest first, down to (and not including) the given version.
+ * Every migration to reverse must have a down function.
+ * @param {String} collectionID
+ * @param {Number} toVersion The version the collection should be left at; 0 reverses all migrations.
+ * @param {Object} options Optional; same as for run.
+ * @param {Object} persistence Optional, defaults to jive.context.persistence.
+ * @returns {Promise} promise resolving with an array of the steps taken
+ */
+exports.rollback = function(collectionID, toVersion, options, persistence) {
+    return rollback(serviceScope, collectionID, toVersion, options, persistence);
+};
+
+/**
+ * The SDK's own migrations, of the records of its collections (see {@link sdkMigrations}): the same functions,
+ * but for reset, over migrations versioned apart from those of the service. Their applied versions are kept under
+ * keys of their own, and their steps are marked sdk.
+ * @type {Object}
+ */
+exports.sdk = {
+    'getMetadataKey' : function(collectionID) {
+        return getMetadataKey(sdkScope, collectionID);
+    },
+    'register' : function(collectionID, version, migration) {
+        register(sdkScope, collectionID, version, migration);
+    },
+    'getRegistered' : function() {
+        return getRegistered(sdkScope);
+    },
+    'getVersion' : function(collectionID, persistence) {
+        return getAppliedVersion(sdkScope, getPersistence(persistence), collectionID);
+    },
+    'run' : function(options, persistence) {
+        return run(sdkScope, options, persistence);
+    },
+    'rollback' : function(collectionID, toVersion, options, persistence) {
+        return rollback(sdkScope, collectionID, toVersion, options, persistence);
+    }
+};
+
+require('./sdk-migrations').forEach( function(entry) {
+    exports.sdk.register( entry['collection'], entry['version'], entry['migration'] );
+});
@@ -1,140 +1,583 @@
-var streamify = require('stream-array');
+var Cursor = require('./cursor');
 
+/**
+ * Creates a cursor over an array of records.
+ * @param {Array} items
+ * @returns {persistenceCursor}
+ */
 exports.createCursor = function(items) {
-    var stream = streamify(items);
+    return new Cursor({
+        'keys' : Object.keys(items),
+        'fetch' : function(index) {
+            return items[index];
+        }
+    });
+};
+
+/**
+ * Creates a cursor over the records of a key to record map that satisfy a query. Records are matched as the cursor
+ * is read, rather than up front. Expired records are left out, and the others read as copies; see copyRecord.
+ * @param {Object} collection
+ * @param {Object} keyValues query
+ * @param {Array} candidateKeys Optional. Restricts matching to these keys, eg. as narrowed down by an index.
+ * @returns {persistenceCursor}
+ */
+exports.createCollectionCursor = function(collection, keyValues, candidateKeys) {
+    exports.validateQuery(keyValues);
+
+    var hasCriteria = keyValues && Object.keys(keyValues).length > 0;
+    return new Cursor({
+        'keys' : candidateKeys || Object.keys(collection),
+        'fetch' : function(key) {
+            return collection.hasOwnProperty(key) && !exports.isExpired(collection[key]) ?
+                exports.copyRecord(collection[key]) : undefined;
+        },
+        'filter' : hasCriteria ? function(item) {
+            return exports.matches(item, keyValues);
+        } : undefined
+    });
+};
 
-    var nextCtr = 0;
+///////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// query matching
 
-    stream.next = function(processorFunction) {
-        if ( !processorFunction ) {
-            return null;
+var isOperatorObject = function(value) {
+    if ( !value || typeof value !== 'object' || value instanceof RegExp || value['forEach'] ) {
+        return false;
+    }
+
+    var keys = Object.keys(value);
+    return keys.length > 0 && keys.every( function(key) {
+        return key.indexOf('$') === 0;
+    });
+};
+
+var deepEquals = function(a, b) {
+    if ( a === b ) {
+        return true;
+    }
+
+    if ( !a || !b || typeof a !== 'object' || typeof b !== 'object' ) {
+        return false;
+    }
+
+    if ( Array.isArray(a) !== Array.isArray(b) ) {
+        return false;
+    }
+
+    var aKeys = Object.keys(a);
+    var bKeys = Object.keys(b);
+    if ( aKeys.length !== bKeys.length ) {
+        return false;
+    }
+
+    for ( var i = 0; i < aKeys.length; i++ ) {
+        var key = aKeys[i];
+        if ( !b.hasOwnProperty(key) || !deepEquals(a[key], b[key]) ) {
+            return false;
         }
-        nextCtr++;
-        if ( nextCtr > items.length - 1 ) {
-            processorFunction(null, null);
-        } else {
-            processorFunction(null, items[nextCtr]);
+    }
+
+    return true;
+};
+
+/**
+ * Resolves a dot notation path against an object. Arrays found along the way are expanded, so that
+ * 'resources.ref' resolves against every element of a 'resources' array.
+ * @private
+ * @returns {Array} every value found at the end of the path; missing values are resolved as undefined.
+ */
+var resolvePath = function(obj, keyParts) {
+    if ( keyParts.length === 0 ) {
+        return [ obj ];
+    }
+
+    if ( obj === null || typeof obj !== 'object' ) {
+        return [ undefined ];
+    }
+
+    var keyPart = keyParts[0];
+    var rest = keyParts.slice(1);
+
+    if ( Array.isArray(obj) && !/^\d+$/.test(keyPart) ) {
+        var values = [];
+        obj.forEach( function(element) {
+            values = values.concat( resolvePath(element, keyParts) );
+        });
+        return values.length ? values : [ undefined ];
+    }
+
+    return resolvePath(obj[keyPart], rest);
+};
+
+/**
+ * An array field value is also considered element by element, which gives array-contains semantics.
+ * @private
+ */
+var expandArrays = function(values) {
+    var expanded = [];
+    values.forEach( function(value) {
+        expanded.push(value);
+        if ( Array.isArray(value) ) {
+            expanded = expanded.concat(value);
         }
-    };
+    });
+    return expanded;
+};
+
+/**
+ * Returns every value a query on the given dot notation field would be compared against, for a record.
+ * @param {Object} record
+ * @param {String} field eg. 'entity.resources.self.ref'
+ * @returns {Array} values
+ */
+exports.resolveFieldValues = function(record, field) {
+    return expandArrays( resolvePath(record, field.split('.')) );
+};
+
+var equalsQueryValue = function(value, queryValue) {
+    if ( queryValue instanceof RegExp ) {
+        return typeof value === 'string' && queryValue.test(value);
+    }
 
-    stream.limit = function(number, callback) {
-        items.splice((items.length - number) * -1, items.length - number);
-        if (callback) {
-            callback(null, items);
+    if ( queryValue === null ) {
+        // null matches both null and missing values
+        return value === null || value === undefined;
+    }
+
+    return deepEquals(value, queryValue);
+};
+
+var comparable = function(a, b) {
+    return a !== undefined && a !== null && b !== undefined && b !== null &&
+        ( typeof a === typeof b || ( a instanceof Date && b instanceof Date ) );
+};
+
+var compare = function(values, operand, test) {
+    return expandArrays(values).some( function(value) {
+        return comparable(value, operand) && test(value, operand);
+    });
+};
+
+var toRegExp = function(pattern, options) {
+    if ( pattern instanceof RegExp ) {
+        return options ? new RegExp(pattern.source, options) : pattern;
+    }
+    return new RegExp(pattern, options || '');
+};
+
+var fieldMatches;
+
+var operators = {
+    '$eq' : function(values, operand) {
+        return expandArrays(values).some( function(value) {
+            return equalsQueryValue(value, operand);
+        });
+    },
+
+    '$ne' : function(values, operand) {
+        return !operators['$eq'](values, operand);
+    },
+
+    '$gt' : function(values, operand) {
+        return compare(values, operand, function(a, b) { return a > b; });
+    },
+
+    '$gte' : function(values, operand) {
+        return compare(values, operand, function(a, b) { return a >= b; });
+    },
+
+    '$lt' : function(values, operand) {
+        return compare(values, operand, function(a, b) { return a < b; });
+    },
+
+    '$lte' : function(values, operand) {
+        return compare(values, operand, function(a, b) { return a <= b; });
+    },
+
+    '$in' : function(values, operand) {
+        if ( !Array.isArray(operand) ) {
+            throw new Error('$in requires an array');
         }
+        return operand.some( function(candidate) {
+            return operators['$eq'](values, candidate);
+        });
+    },
 
-        return stream;
-    };
+    '$nin' : function(values, operand) {
+        if ( !Array.isArray(operand) ) {
+            throw new Error('$nin requires an array');
+        }
+        return !operators['$in'](values, operand);
+    },
 
-    stream.sort = function(doc, callback) {
-        items.sort(function(a, b) {
-            var result = 0;
-
-            for (var key in doc) {
-                if (doc.hasOwnProperty(key)) {
-                    if (result === 0) {
-                        var first = doc[key] === - 1 ? b[key] : a[key];
-                        var second = doc[key] === - 1 ? a[key] : b[key];
-
-                        if (first === second) {
-                            result = 0;
-                        } else if (first > second) {
-                            result = 1;
-                        } else {
-                            result = -1;
-                        }
-                    } else {
-                        break;
-                    }
-                }
-            }
+    '$exists' : function(values, operand) {
+        var exists = values.some( function(value) {
+            return value !== undefined;
+        });
+        return operand ? exists : !exists;
+    },
 
-            return result;
+    '$regex' : function(values, operand, query) {
+        var regex = toRegExp(operand, query['$options']);
+        return expandArrays(values).some( function(value) {
+            return typeof value === 'string' && regex.test(value);
         });
+    },
+
+    '$options' : function() {
+        // consumed by $regex
+        return true;
+    },
 
-        if (callback) {
-            callback(null, items);
+    '$not' : function(values, operand) {
+        if ( operand instanceof RegExp ) {
+            return !operators['$regex'](values, operand, {});
+        }
+        if ( !isOperatorObject(operand) ) {
+            throw new Error('$not requires an operator expression or a regular expression');
         }
+        return !fieldMatches(values, operand);
+    },
 
-        return stream;
-    };
+    '$elemMatch' : function(values, operand) {
+        return values.some( function(value) {
+            if ( !Array.isArray(value) ) {
+                return false;
+            }
+            return value.some( function(element) {
+                if ( isOperatorObject(operand) ) {
+                    return fieldMatches([ element ], operand);
+                }
+                return element !== null && typeof element === 'object' && exports.matches(element, operand);
+            });
+        });
+    }
+};
+
+fieldMatches = function(values, queryValue) {
+    if ( !isOperatorObject(queryValue) ) {
+        return operators['$eq'](values, queryValue);
+    }
+
+    var keys = Object.keys(queryValue);
+    for ( var i = 0; i < keys.length; i++ ) {
+        var operator = operators[keys[i]];
+        if ( !operator ) {
+            throw new Error('Unsupported query operator ' + keys[i]);
+        }
+
+        if ( !operator(values, queryValue[keys[i]], queryValue) ) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+var logicalOperands = function(operator, operand) {
+    if ( !Array.isArray(operand) || operand.length < 1 ) {
+        throw new Error(operator + ' requires a non-empty array of queries');
+    }
+    return operand;
+};
+
+/**
+ * Tests a single record against a query. See {@link findMatchingKeys} for the supported query subset.
+ * @param {Object} entry The record to test.
+ * @param {Object} query
+ * @returns {Boolean} true if the record satisfies every criterion in the query.
+ */
+exports.matches = function(entry, query) {
+    if ( !query ) {
+        return true;
+    }
+
+    var keys = Object.keys(query);
+    for ( var i = 0; i < keys.length; i++ ) {
+        var key = keys[i];
+        var queryValue = query[key];
+        var match;
+
+        if ( key === '$or' ) {
+            match = logicalOperands(key, queryValue).some( function(subQuery) {
+                return exports.matches(entry, subQuery);
+            });
+        } else if ( key === '$and' ) {
+            match = logicalOperands(key, queryValue).every( function(subQuery) {
+                return exports.matches(entry, subQuery);
+            });
+        } else if ( key === '$nor' ) {
+            match = !logicalOperands(key, queryValue).some( function(subQuery) {
+                return exports.matches(entry, subQuery);
+            });
+        } else if ( key.indexOf('$') === 0 ) {
+            throw new Error('Unsupported top level query operator ' + key);
+        } else {
+            match = fieldMatches( resolvePath(entry, key.split('.')), queryValue );
+        }
+
+        if ( !match ) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+var validateFieldQuery = function(queryValue) {
+    if ( !isOperatorObject(queryValue) ) {
+        return;
+    }
+
+    Object.keys(queryValue).forEach( function(key) {
+        if ( !operators[key] ) {
+            throw new Error('Unsupported query operator ' + key);
+        }
+        if ( key === '$not' ) {
+            validateFieldQuery(queryValue[key]);
+        } else if ( key === '$elemMatch' ) {
+            if ( isOperatorObject(queryValue[key]) ) {
+                validateFieldQuery(queryValue[key]);
+            } else {
+                exports.validateQuery(queryValue[key]);
+            }
+        }
+    });
+};
+
+/**
+ * Throws if the query uses unsupported operators, without evaluating it against any record. Useful where matching
+ * is deferred, eg. by a cursor.
+ * @param {Object} query
+ */
+exports.validateQuery = function(query) {
+    if ( !query ) {
+        return;
+    }
 
-    return stream;
+    Object.keys(query).forEach( function(key) {
+        if ( key === '$or' || key === '$and' || key === '$nor' ) {
+            logicalOperands(key, query[key]).forEach( exports.validateQuery );
+        } else if ( key.indexOf('$') === 0 ) {
+            throw new Error('Unsupported top level query operator ' + key);
+        } else {
+            validateFieldQuery(query[key]);
+        }
+    });
 };
 
+/**
+ * Returns the keys of the records in the collection that satisfy the query. This is the matcher shared by the
+ * built-in persistence strategies; third party strategies should support the same subset of the MongoDB query
+ * language, which is:
+ * <ul>
+ *     <li>Field names may use dot notation to reach into nested objects, eg. 'config.number'. Arrays along
+ *     the path are traversed, so 'entity.resources.ref' looks into every element of a 'resources' array.
+ *     A numeric path part addresses an array element by position.</li>
+ *     <li>Equality: { 'name' : 'samplelist' }. Matching is strict ('6' does not match 6); objects and arrays are
+ *     compared structurally. If the field holds an array, the criterion matches when the array equals the value
+ *     or contains it. A null value matches null or missing fields. A RegExp value is treated as $regex.</li>
+ *     <li>Comparison: $eq, $ne, $gt, $gte, $lt, $lte. Ordering comparisons only match values of the same type,
+ *     and never match missing fields.</li>
+ *     <li>Sets: $in, $nin (arrays of candidate values).</li>
+ *     <li>$exists: true | false.</li>
+ *     <li>$regex: a pattern string or RegExp, with optional $options flags (eg. 'i').</li>
+ *     <li>$elemMatch: the field must be an array with at least one element satisfying the given query, which is
+ *     either a query on the element's fields, or an operator expression applied to the element itself.</li>
+ *     <li>$not: negates an operator expression or RegExp on a single field.</li>
+ *     <li>Logical: $or, $and, $nor at the top level of a query (or of an $elemMatch query), each taking an
+ *     array of queries.</li>
+ * </ul>
+ * Several criteria in the same query, or several operators on the same field, must all be satisfied.
+ * Unsupported operators cause an Error to be thrown.
+ * @param {Object} collection Map of record key to record.
+ * @param {Object} keyValues The query. If empty, every key in the collection is returned.
+ * @returns {Array} matching keys
+ */
 exports.findMatchingKeys = function (collection, keyValues) {
     var result = [];
-    var findKeys = keyValues ? Object.keys( keyValues ) : undefined;
 
     for (var colKey in collection) {
         if (collection.hasOwnProperty(colKey)) {
-
-            var entryToInspect = collection[colKey];
-            var match = true;
-            if ( findKeys ) {
-                for ( var i in findKeys ) {
-                    var findKey = findKeys[i];
-                    var keyParts = findKey.split('.');
-                    var entryObj = entryToInspect;
-                    for ( var k = 0; k < keyParts.length; k++ ) {
-                        var keyPart = keyParts[k];
-                        if ( typeof entryObj == 'object' ) {
-                            entryObj = entryObj[keyPart];
-                        }
-                    }
-
-                    var keyValue = keyValues[ findKey ];
-                    if ( typeof keyValue == 'object' ) {
-
-                        if ( keyValue['$gt'] ) {
-                            if ( entryObj <= keyValue['$gt'] ) {
-                                match = false;
-                                break;
-                            }
-                        }
-
-                        if ( keyValue['$gte'] ) {
-                            if ( entryObj < keyValue['$gte'] ) {
-                                match = false;
-                                break;
-                            }
-                        }
-
-                        if ( keyValue['$lt'] ) {
-                            if ( entryObj >= keyValue['$lt'] ) {
-                                match = false;
-                                break;
-                            }
-                        }
-
-                        if ( keyValue['$lte'] ) {
-                            if ( entryObj > keyValue['$lte'] ) {
-                                match = false;
-                                break;
-                            }
-                        }
-
-                        if ( keyValue['$in'] ) {
-                            if ( keyValue['$in'].indexOf(entryObj) < 0 ) {
-                                match = false;
-                                break;
-                            }
-                        }
-
-                    } else {
-                        if ( entryObj !== keyValue ) {
-                            match = false;
-                            break;
-                        }
-                    }
-                }
-            }
-
-            if ( match ) {
+            if ( exports.matches( collection[colKey], keyValues ) ) {
                 result.push( colKey );
             }
         }
     }
 
     return result;
-};
\ No newline at end of file
+};
+
+/**
+ * Deep copies a record, keeping dates as dates. Strategies that hold records in memory store a copy of the data
+ * saved, and hand out copies, so that a record changed by its caller is not changed in the store until saved, and
+ * the previous record of the change reported for that save is the one stored before it.
+ * @param {Object} record
+ * @returns {Object} the copy
+ */
+exports.copyRecord = function(record) {
+    if ( record === null || typeof record !== 'object' ) {
+        return record;
+    }
+    if ( record instanceof Date ) {
+        return new Date(record.getTime());
+    }
+    if ( Buffer.isBuffer(record) ) {
+        return Buffer.from(record);
+    }
+    if ( Array.isArray(record) ) {
+        return record.map(exports.copyRecord);
+    }
+
+    var copy = {};
+    for ( var key in record ) {
+        if ( record.hasOwnProperty(key) ) {
+            copy[key] = exports.copyRecord(record[key]);
+        }
+    }
+    return copy;
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// optimistic concurrency
+
+/**
+ * Field holding the revision of a record. It is only maintained on records that have been saved with an
+ * expectedRevision at least once.
+ * @type {string}
+ */
+exports.REVISION_FIELD = '_revision';
+
+/**
+ * @param {Error} e
+ * @returns {Boolean} true if the error was caused by a save with an out of date expectedRevision.
+ */
+exports.isConflict = function(e) {
+    return !!e && e['code'] === 'ECONFLICT';
+};
+
+/**
+ * Checks a save against the record currently stored, for strategies that implement optimistic concurrency.
+ * If options.expectedRevision is given, it must equal the revision of the stored record (a record without a
+ * revision, or a missing record, is at revision 0). Revisioned records get their revision incremented.
+ * @param {String} collectionID
+ * @param {String} key
+ * @param {Object} current The stored record, if any.
+ * @param {Object} data The record being saved; its revision field is updated.
+ * @param {Object} options Save options.
+ * @throws {Error} with code 'ECONFLICT' if the expected revision is out of date.
+ */
+exports.checkRevision = function(collectionID, key, current, data, options) {
+    var expectedRevision = options ? options['expectedRevision'] : undefined;
+    var currentRevision = ( current && current[exports.REVISION_FIELD] ) || 0;
+
+    if ( expectedRevision !== undefined && expectedRevision !== null && expectedRevision !== currentRevision ) {
+        var e = new Error('Conflict saving ' + key + ' in ' + collectionID + ': expected revision ' +
+            expectedRevision + ' but found ' + currentRevision);
+        e['code'] = 'ECONFLICT';
+        e['expectedRevision'] = expectedRevision;
+        e['actualRevision'] = currentRevision;
+        throw e;
+    }
+
+    var revisioned = currentRevision > 0 || ( expectedRevision !== undefined && expectedRevision !== null );
+    if ( revisioned && data && typeof data === 'object' ) {
+        data[exports.REVISION_FIELD] = currentRevision + 1;
+    }
+};
+
+/**
+ * Applies a change to the latest stored version of a record, and saves it with the revision it was read at.
+ * If the record was modified in the meantime, the change is applied again to the newer version.
+ * @param {Object} persistence
+ * @param {String} collectionID
+ * @param {String} key
+ * @param {function} modify Receives a copy of the stored record (or null if there is none) and returns the record to
+ * save, or null to leave it unchanged.
+ * @param {Number} retries Optional, defaults to 5.
+ * @returns {Promise} promise resolving with the saved record, or the stored one if unchanged
+ */
+exports.updateWithRetry = function(persistence, collectionID, key, modify, retries) {
+    retries = retries === undefined ? 5 : retries;
+
+    var attempt = function(attemptsLeft) {
+        return persistence.findByID(collectionID, key).then( function(current) {
+            var revision = ( current && current[exports.REVISION_FIELD] ) || 0;
+            var updated = modify( current ? JSON.parse(JSON.stringify(current)) : null );
+            if ( !updated ) {
+                return current;
+            }
+
+            return persistence.save(collectionID, key, updated, { 'expectedRevision' : revision }).fail( function(e) {
+                if ( exports.isConflict(e) && attemptsLeft > 0 ) {
+                    return attempt(attemptsLeft - 1);
+                }
+                throw e;
+            });
+        });
+    };
+
+    return attempt(retries);
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// expiry
+
+/**
+ * Field holding the time (in ms) after which a record is expired.
+ * @type {string}
+ */
+exports.EXPIRES_FIELD = '_expiresAt';
+
+/**
+ * Sets the expiry of a record being saved, for strategies that implement it. An expiry given in the save options
+ * wins; otherwise records of a collection with a TTL expire that long after they are saved; otherwise the record
+ * keeps whatever expiry field it carries.
+ * @param {String} collectionID
+ * @param {Object} data The record being saved; its expiry field is updated.
+ * @param {Object} options Save options.
+ * @param {Number|Date} options.expiresAt Optional. When the record expires.
+ * @param {Number} options.ttl Optional. How long after the save the record expires, in ms.
+ * @param {Object} ttls Optional. Map of collectionID to TTL in ms.
+ */
+exports.applyExpiry = function(collectionID, data, options, ttls) {
+    if ( !data || typeof data !== 'object' ) {
+        return;
+    }
+
+    var expiresAt = options ? options['expiresAt'] : undefined;
+    var ttl = options && options['ttl'] ? options['ttl'] : ( ttls ? ttls[collectionID] : undefined );
+
+    if ( expiresAt instanceof Date ) {
+        expiresAt = expiresAt.getTime();
+    }
+    if ( ( expiresAt === undefined || expiresAt === null ) && ttl ) {
+        expiresAt = new Date().getTime() + ttl;
+    }
+    if ( expiresAt !== undefined && expiresAt !== null ) {
+        data[exports.EXPIRES_FIELD] = expiresAt;
+    }
+};
+
+/**
+ * @param {Object} record
+ * @param {Number} now Optional, in ms; defaults to the current time.
+ * @returns {Boolean} true if the record has an expiry that has passed.
+ */
+exports.isExpired = function(record, now) {
+    var expiresAt = record && typeof record === 'object' ? record[exports.EXPIRES_FIELD] : undefined;
+    return typeof expiresAt === 'number' && expiresAt <= ( now || new Date().getTime() );
+};
+
+/**
+ * Returns the keys of the expired records of a key to record map.
+ * @param {Object} collection
+ * @returns {Array} keys
+ */
+exports.findExpiredKeys = function(collection) {
+    var now = new Date().getTime();
+    return Object.keys(collection).filter( function(key) {
+        return exports.isExpired(collection[key], now);
+    });
+};
@@ -0,0 +1,166 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * The SDK's own migrations, which bring records stored by earlier versions of the SDK to the shapes it now uses.
+ * They are registered with jive.migrations.sdk (see {@link migrations}), and run by jive.service.init before the
+ * migrations of the service:
+ * <ul>
+ *     <li>tileInstance and extstreamInstance v1: the guid of an instance is derived from the tenant ID of its
+ *     community and the ID of the instance in Jive (read from its push URL or scope), as registration now does.
+ *     The guid it replaces is kept in previousGuid, for rollback.</li>
+ *     <li>community v1: oauth tokens kept on the community itself (accessToken, refreshToken) are moved into its
+ *     oauth object.</li>
+ *     <li>webhook v1: the webhook as returned by Jive, once kept on the record itself, is kept in entity.</li>
+ * </ul>
+ * @module sdkMigrations
+ * @private
+ */
+
+///////////////////////////////////////////////////////////////////////////////////
+// private
+
+var q = require('q');
+
+/**
+ * The ID of a tile or external stream instance in Jive, in its push URL or scope, eg.
+ * http://community/api/jivelinks/v1/tiles/1234/data
+ */
+var REMOTE_ID = /\/api\/jivelinks\/v1\/(?:tiles|extstreams)\/([^\/]+)/;
+
+var findRemoteID = function(instance) {
+    var match = [ instance['url'], instance['scope'] ].map( function(value) {
+        return typeof value === 'string' ? value.match(REMOTE_ID) : null;
+    }).filter( function(found) {
+        return !!found;
+    })[0];
+    return match ? match[1] : null;
+};
+
+var findTenantID = function(instance, persistence) {
+    if ( instance['tenantId'] ) {
+        return q.resolve(instance['tenantId']);
+    }
+    if ( !instance['jiveCommunity'] ) {
+        return q.resolve(null);
+    }
+    return persistence.find('community', { 'jiveCommunity' : instance['jiveCommunity'] }).then( function(found) {
+        var community = ( found || [] ).filter( function(community) {
+            return !!community['tenantId'];
+        })[0];
+        return community ? community['tenantId'] : null;
+    });
+};
+
+var guidMigration = {
+    'description' : 'Derive the guid of instances from the tenant ID of their community and their ID in Jive',
+    'up' : function(instance, persistence) {
+        var remoteID = findRemoteID(instance);
+        if ( !remoteID ) {
+            return;
+        }
+        return findTenantID(instance, persistence).then( function(tenantID) {
+            var guid = tenantID ? tenantID + '_' + remoteID : null;
+            if ( !guid || instance['guid'] === guid ) {
+                return;
+            }
+            instance['previousGuid'] = instance['guid'];
+            instance['guid'] = guid;
+            return instance;
+        });
+    },
+    'down' : function(instance) {
+        if ( !instance.hasOwnProperty('previousGuid') ) {
+            return;
+        }
+        instance['guid'] = instance['previousGuid'];
+        delete instance['previousGuid'];
+        return instance;
+    }
+};
+
+var communityOAuthMigration = {
+    'description' : 'Move the oauth tokens of communities into their oauth object',
+    'up' : function(community) {
+        if ( community['oauth'] || !( community['accessToken'] || community['refreshToken'] ) ) {
+            return;
+        }
+        community['oauth'] = {
+            'access_token' : community['accessToken'],
+            'refresh_token' : community['refreshToken']
+        };
+        delete community['accessToken'];
+        delete community['refreshToken'];
+        return community;
+    },
+    'down' : function(community) {
+        if ( !community['oauth'] ) {
+            return;
+        }
+        community['accessToken'] = community['oauth']['access_token'];
+        community['refreshToken'] = community['oauth']['refresh_token'];
+        delete community['oauth'];
+        return community;
+    }
+};
+
+var webhookEntityMigration = {
+    'description' : 'Keep the webhook as returned by Jive in entity',
+    'up' : function(webhook) {
+        if ( webhook['entity'] || !( webhook['resources'] || webhook['callback'] ) ) {
+            return;
+        }
+        var entity = {};
+        Object.keys(webhook).forEach( function(field) {
+            if ( field !== 'tenantId' ) {
+                entity[field] = webhook[field];
+            }
+        });
+        var migrated = { 'id' : webhook['id'], 'entity' : entity };
+        if ( webhook.hasOwnProperty('tenantId') ) {
+            migrated['tenantId'] = webhook['tenantId'];
+        }
+        return migrated;
+    },
+    'down' : function(webhook) {
+        if ( !webhook['entity'] ) {
+            return;
+        }
+        var flattened = {};
+        Object.keys(webhook['entity']).forEach( function(field) {
+            flattened[field] = webhook['entity'][field];
+        });
+        flattened['id'] = webhook['id'];
+        if ( webhook.hasOwnProperty('tenantId') ) {
+            flattened['tenantId'] = webhook['tenantId'];
+        }
+        return flattened;
+    }
+};
+
+///////////////////////////////////////////////////////////////////////////////////
+// public
+
+/**
+ * The migrations, in the order of their versions within each collection.
+ * @type {Array} of { collection, version, migration }
+ */
+module.exports = [
+    { 'collection' : 'tileInstance', 'version' : 1, 'migration' : guidMigration },
+    { 'collection' : 'extstreamInstance', 'version' : 1, 'migration' : guidMigration },
+    { 'collection' : 'community', 'version' : 1, 'migration' : communityOAuthMigration },
+    { 'collection' : 'webhook', 'version' : 1, 'migration' : webhookEntityMigration }
+];
@@ -0,0 +1,427 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var q = require('q');
+var jive = require('../../api');
+var persistenceBase = require('./persistence-base');
+
+/**
+ * An embedded SQLite implementation of persistence. Requires the optional <b>sqlite3</b> module.
+ * <br><br>
+ * Each collection is stored in its own table. Records are kept as JSON in a <i>_data</i> column; any fields
+ * declared in the schema passed in serviceConfig['schema'] get their own column, and those marked
+ * <i>index: true</i> are indexed. Fields may be nested, eg. 'entity.resources.self.ref'; the column holds the value
+ * at that path. Lookups are narrowed down using the indexed columns where possible, and always
+ * evaluated with the same matcher used by the memory and file strategies.
+ * <br><br>
+ * Records expire as described in persistenceBase.applyExpiry, with collection TTLs taken from
+ * serviceConfig['persistenceTTL']. Expired records are not found, and are deleted by purgeExpired.
+ * <br><br>
+ * Configuration options:
+ * <ul>
+ *     <li>sqliteFile: optional path of the database file, defaults to &lt;dataDirPath&gt;/jive-sdk.sqlite.
+ *     Use ':memory:' for a transient database.</li>
+ *     <li>dataDirPath: optional, defaults to 'db'.</li>
+ * </ul>
+ * @module sqlitePersistence
+ * @constructor
+ */
+module.exports = function(serviceConfig) {
+
+    serviceConfig = serviceConfig || {};
+
+    var sqlite3;
+    try {
+        sqlite3 = require('sqlite3');
+    } catch ( e ) {
+        throw new Error("SQLite persistence requires the sqlite3 module. Please npm install sqlite3.");
+    }
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Private
+
+    var schema = serviceConfig['schema'] || {};
+    var ttls = serviceConfig['persistenceTTL'];
+    var dataDir = serviceConfig['dataDirPath'] || 'db';
+    var dbFile = serviceConfig['sqliteFile'] || path.join(dataDir, 'jive-sdk.sqlite');
+
+    if ( dbFile !== ':memory:' && !fs.existsSync(path.dirname(dbFile)) ) {
+        fs.mkdirSync(path.dirname(dbFile));
+    }
+
+    jive.logger.debug("SQLite persistence db at '" + dbFile + "'");
+
+    var db = new sqlite3.Database(dbFile);
+    // other processes sharing the file may hold its write lock for a moment
+    db.configure('busyTimeout', 5000);
+
+    /**
+     * Map of collectionID to a promise that resolves with the list of indexed column names, once its table is ready.
+     * @type {{}}
+     */
+    var tables = {};
+
+    /**
+     * Times a save is tried again when another writer saved the same record between reading and writing it.
+     * @type {number}
+     */
+    var SAVE_RETRIES = 5;
+
+    function quote(identifier) {
+        return '"' + String(identifier).replace(/"/g, '""') + '"';
+    }
+
+    function run(sql, params) {
+        var deferred = q.defer();
+        db.run(sql, params || [], function(err) {
+            if ( err ) {
+                deferred.reject(err);
+            } else {
+                deferred.resolve(this);
+            }
+        });
+        return deferred.promise;
+    }
+
+    function all(sql, params) {
+        return q.ninvoke(db, 'all', sql, params || []);
+    }
+
+    function getSchemaFields(collectionID) {
+        var collectionSchema = schema[collectionID] || {};
+        return Object.keys(collectionSchema).filter( function(field) {
+            return field !== '_key' && field !== '_data';
+        });
+    }
+
+    function getIndexedFields(collectionID) {
+        var collectionSchema = schema[collectionID] || {};
+        return getSchemaFields(collectionID).filter( function(field) {
+            return collectionSchema[field] && collectionSchema[field]['index'];
+        });
+    }
+
+    function createTable(collectionID) {
+        var table = quote(collectionID);
+        var fields = getSchemaFields(collectionID);
+        var indexed = getIndexedFields(collectionID);
+
+        return run('CREATE TABLE IF NOT EXISTS ' + table + ' ( _key TEXT PRIMARY KEY, _data TEXT )')
+            .then( function() {
+                return all('PRAGMA table_info(' + table + ')');
+            })
+            .then( function(columns) {
+                var existing = columns.map( function(column) {
+                    return column['name'];
+                });
+
+                // columns may have been added to the schema since the table was created
+                var promises = [];
+                fields.forEach( function(field) {
+                    if ( existing.indexOf(field) < 0 ) {
+                        promises.push( run('ALTER TABLE ' + table + ' ADD COLUMN ' + quote(field) + ' TEXT') );
+                    }
+                });
+                return q.all(promises);
+            })
+            .then( function() {
+                return q.all( indexed.map( function(field) {
+                    return run('CREATE INDEX IF NOT EXISTS ' + quote(collectionID + '_' + field + '_idx') +
+                        ' ON ' + table + ' (' + quote(field) + ')');
+                }));
+            })
+            .then( function() {
+                return indexed;
+            });
+    }
+
+    /**
+     * Lazily creates the table backing a named collection.
+     * @param collectionID
+     * @returns {Promise} promise resolving with the names of the indexed columns of the table
+     */
+    function getTable(collectionID) {
+        if ( !tables[collectionID] ) {
+            tables[collectionID] = createTable(collectionID);
+            tables[collectionID].fail( function() {
+                delete tables[collectionID];
+            });
+        }
+        return tables[collectionID];
+    }
+
+    /**
+     * Only single string values are written to the schema columns; anything else is left to the matcher.
+     * Fields may use dot notation.
+     */
+    function columnValue(data, field) {
+        var values = persistenceBase.resolveFieldValues(data, field);
+        return values.length === 1 && typeof values[0] === 'string' ? values[0] : null;
+    }
+
+    function selectCandidates(collectionID, keyValues) {
+        return getTable(collectionID).then( function(indexed) {
+            var where = [];
+            var params = [];
+
+            if ( keyValues ) {
+                indexed.forEach( function(field) {
+                    if ( typeof keyValues[field] === 'string' ) {
+                        // non-string values (eg. arrays which may contain the value) are not in the column
+                        where.push( '(' + quote(field) + ' = ? OR ' + quote(field) + ' IS NULL)' );
+                        params.push( keyValues[field] );
+                    }
+                });
+            }
+
+            return all('SELECT _key, _data FROM ' + quote(collectionID) +
+                ( where.length ? ' WHERE ' + where.join(' AND ') : '' ) + ' ORDER BY rowid', params );
+        }).then( function(rows) {
+            var candidates = {};
+            rows.forEach( function(row) {
+                var data = JSON.parse(row['_data']);
+                if ( !persistenceBase.isExpired(data) ) {
+                    candidates[row['_key']] = data;
+                }
+            });
+
+            var matches = persistenceBase.findMatchingKeys(candidates, keyValues);
+            return matches.map( function(key) {
+                return { 'key' : key, 'data' : candidates[key] };
+            });
+        });
+    }
+
+    function deleteByKeys(collectionID, keys) {
+        if ( keys.length < 1 ) {
+            return q.resolve();
+        }
+
+        var placeholders = keys.map( function() { return '?'; }).join(', ');
+        return run('DELETE FROM ' + quote(collectionID) + ' WHERE _key IN (' + placeholders + ')', keys);
+    }
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Public
+
+    /**
+     * @inner
+     * @type {{save: Function, remove: Function, find: Function, findByID: Function, close: Function, sync: Function}}
+     */
+    var sqlitePersistence = {
+        /**
+         * Saves honor expectedRevision.
+         * @memberof sqlitePersistence
+         */
+        capabilities : {
+            'revisions' : true
+        },
+
+        /**
+         * Save the provided data in a named collection
+         * @memberof sqlitePersistence
+         * @param {String} collectionID
+         * @param {String} key
+         * @param {Object} data
+         * @param {Object} options Optional.
+         * @param {Number} options.expectedRevision If set, the save is rejected with a conflict error (code
+         * 'ECONFLICT') unless the stored record is at this revision; see persistenceBase.checkRevision. The
+         * revision is compared in the update itself, so that this holds across processes sharing the database.
+         * @param {Number|Date} options.expiresAt If set, when the record expires.
+         * @param {Number} options.ttl If set, how long after now the record expires, in ms.
+         * @returns {Promise} promise
+         */
+        save: function( collectionID, key, data, options ) {
+            key = String(key);
+            var fields = getSchemaFields(collectionID);
+
+            var attempt = function(retries) {
+                return all('SELECT _data FROM ' + quote(collectionID) + ' WHERE _key = ?', [ key ]).then( function(rows) {
+                    var previous = rows.length ? JSON.parse(rows[0]['_data']) : undefined;
+                    var previousRevision = ( previous && previous[persistenceBase.REVISION_FIELD] ) || 0;
+
+                    persistenceBase.checkRevision(collectionID, key, previous, data, options);
+                    persistenceBase.applyExpiry(collectionID, data, options, ttls);
+
+                    var values = [ JSON.stringify(data) ].concat( fields.map( function(field) {
+                        return columnValue(data, field);
+                    }));
+
+                    if ( !previous ) {
+                        var columns = [ '_key', '_data' ].concat(fields).map(quote);
+                        var placeholders = columns.map( function() { return '?'; }).join(', ');
+                        return run('INSERT INTO ' + quote(collectionID) + ' (' + columns.join(', ') + ') VALUES (' +
+                            placeholders + ') ON CONFLICT(_key) DO NOTHING', [ key ].concat(values) );
+                    }
+
+                    // compare-and-set: only if no other writer, eg. in another process, saved it since it was read;
+                    // an update rather than a replace, so that records keep their original position
+                    var updates = [ '_data' ].concat(fields).map( function(field) {
+                        return quote(field) + ' = ?';
+                    });
+                    return run('UPDATE ' + quote(collectionID) + ' SET ' + updates.join(', ') +
+                        ' WHERE _key = ? AND COALESCE(json_extract(_data, \'$.' + persistenceBase.REVISION_FIELD +
+                        '\'), 0) = ?', values.concat( [ key, previousRevision ] ));
+                }).then( function(statement) {
+                    if ( statement['changes'] > 0 ) {
+                        return data;
+                    }
+                    if ( retries < 1 ) {
+                        var e = new Error('Conflict saving ' + key + ' in ' + collectionID + ': modified concurrently');
+                        e['code'] = 'ECONFLICT';
+                        throw e;
+                    }
+                    // read it again; with an expectedRevision, checkRevision then rejects the save
+                    return attempt(retries - 1);
+                });
+            };
+
+            return getTable(collectionID).then( function() {
+                return attempt(SAVE_RETRIES);
+            });
+        },
+
+        /**
+         * Remove a piece of data from a name collection, based to the provided key and return a promise
+         * that returns removed items when done.
+         * @memberof sqlitePersistence
+         * @param {String} collectionID
+         * @param {String} keyValues
+         * @returns {Promise} promise
+         */
+        remove: function( collectionID, keyValues ) {
+            if ( typeof keyValues == 'object' ) {
+                return selectCandidates(collectionID, keyValues).then( function(matches) {
+                    var keys = matches.map( function(match) { return match['key']; });
+                    return deleteByKeys(collectionID, keys).then( function() {
+                        return matches.map( function(match) { return match['data']; });
+                    });
+                });
+            }
+
+            return sqlitePersistence.findByID(collectionID, keyValues).then( function(removed) {
+                return deleteByKeys(collectionID, [ String(keyValues) ]).then( function() {
+                    return removed;
+                });
+            });
+        },
+
+        /**
+         * Retrieve a piece of data from a named collection, based on the criteria, and returns a promise
+         * that contains found items when done.
+         * @memberof sqlitePersistence
+         * @param {String} collectionID
+         * @param {Object} keyValues
+         * @param {Boolean} cursor If true, returns a {@link persistenceCursor}.
+         * @returns {Promise} promise
+         */
+        find: function( collectionID, keyValues, cursor ) {
+            return selectCandidates(collectionID, keyValues).then( function(matches) {
+                var collectionItems = matches.map( function(match) { return match['data']; });
+                return cursor ? persistenceBase.createCursor(collectionItems) : collectionItems;
+            });
+        },
+
+        /**
+         * Retrieve a piece of data from a named collection whose key is the one provided.
+         * @memberof sqlitePersistence
+         * @param collectionID
+         * @param key
+         * @returns {Promise} promise
+         */
+        findByID: function( collectionID, key ) {
+            return getTable(collectionID).then( function() {
+                return all('SELECT _data FROM ' + quote(collectionID) + ' WHERE _key = ?', [ String(key) ]);
+            }).then( function(rows) {
+                var data = rows.length ? JSON.parse(rows[0]['_data']) : undefined;
+                return persistenceBase.isExpired(data) ? undefined : data;
+            });
+        },
+
+        /**
+         * Deletes expired records.
+         * @memberof sqlitePersistence
+         * @param {String} collectionID Optional; defaults to the collections in the schema or used since startup.
+         * @returns {Promise} promise resolving with the number of records deleted
+         */
+        purgeExpired: function( collectionID ) {
+            var collectionIDs = collectionID ? [ collectionID ] : Object.keys(tables);
+
+            return q.all( collectionIDs.map( function(collectionID) {
+                return getTable(collectionID).then( function() {
+                    return all('SELECT _key, _data FROM ' + quote(collectionID), []);
+                }).then( function(rows) {
+                    var collection = {};
+                    rows.forEach( function(row) {
+                        collection[row['_key']] = JSON.parse(row['_data']);
+                    });
+
+                    var expiredKeys = persistenceBase.findExpiredKeys(collection);
+                    return deleteByKeys(collectionID, expiredKeys).then( function() {
+                        return expiredKeys.length;
+                    });
+                });
+            })).then( function(counts) {
+                return counts.reduce( function(total, count) {
+                    return total + count;
+                }, 0);
+            });
+        },
+
+        /**
+         * Creates the tables and indexes for the given collections. If force is true, existing tables are dropped
+         * (and their data lost) before being recreated.
+         * @memberof sqlitePersistence
+         * @param {Object} toSync Optional map of collectionID to collection schema; defaults to the configured schema.
+         * @param {Boolean} force
+         * @returns {Promise} promise
+         */
+        sync: function( toSync, force ) {
+            toSync = toSync || schema;
+
+            return q.all( Object.keys(toSync).map( function(collectionID) {
+                schema[collectionID] = toSync[collectionID];
+                delete tables[collectionID];
+
+                return ( force ? run('DROP TABLE IF EXISTS ' + quote(collectionID)) : q.resolve() ).then( function() {
+                    return getTable(collectionID);
+                });
+            }));
+        },
+
+        /**
+         * Close it down
+         * @memberof sqlitePersistence
+         * @returns {Promise} promise
+         */
+        close: function() {
+            return q.allResolved( Object.keys(tables).map( function(collectionID) {
+                return tables[collectionID];
+            })).then( function() {
+                return q.ninvoke(db, 'close');
+            });
+        }
+    };
+
+    // create the tables declared by the schema up front
+    sqlitePersistence.sync().fail( function(e) {
+        jive.logger.error("Failed to initialize SQLite persistence schema", e);
+    });
+
+    return sqlitePersistence;
+};
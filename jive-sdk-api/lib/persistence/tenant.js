@@ -0,0 +1,303 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Tenant-scoped views of a persistence strategy. Collections stay shared between tenants, and are partitioned by
+ * the tenantId field of their records: a view stamps its tenantId on every record it saves, and only finds, counts,
+ * watches and removes records carrying it. Keys are not namespaced, so they must be unique across tenants (eg. guids);
+ * a view refuses to overwrite a record of another tenant. Example Usage:
+ * <pre>
+ *     var persistence = jive.context.persistence.forTenant( community['tenantId'] );
+ *     persistence.save('activityCache', jive.util.guid(), { 'activity' : activity } );
+ *     persistence.count('activityCache');   // counts only this tenant's records
+ * </pre>
+ * @module persistenceTenant
+ */
+
+var q = require('q');
+var aggregation = require('./aggregation');
+var batch = require('./batch');
+
+/**
+ * The field identifying the tenant a record belongs to.
+ * @type {string}
+ */
+exports.TENANT_FIELD = 'tenantId';
+
+/**
+ * Restricts a query to the records of a tenant.
+ * @param {Object} keyValues Optional query.
+ * @param {String} tenantId
+ * @returns {Object} query
+ */
+exports.scopeQuery = function(keyValues, tenantId) {
+    var scope = {};
+    scope[exports.TENANT_FIELD] = tenantId;
+
+    if ( !keyValues || Object.keys(keyValues).length < 1 ) {
+        return scope;
+    }
+    if ( keyValues.hasOwnProperty(exports.TENANT_FIELD) ) {
+        return { '$and' : [ keyValues, scope ] };
+    }
+
+    // added as a plain criterion, so that an index on the field can be used
+    var scoped = {};
+    for ( var field in keyValues ) {
+        if ( keyValues.hasOwnProperty(field) ) {
+            scoped[field] = keyValues[field];
+        }
+    }
+    scoped[exports.TENANT_FIELD] = tenantId;
+    return scoped;
+};
+
+var belongsTo = function(record, tenantId) {
+    return !!record && typeof record === 'object' && record[exports.TENANT_FIELD] === tenantId;
+};
+
+var createTenantError = function(collectionID, key, tenantId) {
+    var e = new Error('Record ' + key + ' in ' + collectionID + ' does not belong to tenant ' + tenantId);
+    e['code'] = 'ETENANT';
+    return e;
+};
+
+/**
+ * Returns a view of a persistence strategy that is scoped to a tenant.
+ * @param {Object} persistence
+ * @param {String} tenantId
+ * @returns {Object} a persistence strategy
+ */
+exports.forTenant = function(persistence, tenantId) {
+    if ( !persistence ) {
+        throw new Error('A tenant-scoped persistence view requires a persistence strategy');
+    }
+    if ( tenantId === undefined || tenantId === null || tenantId === '' ) {
+        throw new Error('A tenant-scoped persistence view requires a tenantId');
+    }
+
+    /**
+     * Stamps the tenant on the record being saved, after checking that it does not take over the key of a record
+     * of another tenant.
+     */
+    var claim = function(collectionID, key, data) {
+        if ( data && typeof data === 'object' && data[exports.TENANT_FIELD] !== undefined &&
+            data[exports.TENANT_FIELD] !== tenantId ) {
+            return q.reject( createTenantError(collectionID, key, tenantId) );
+        }
+
+        return persistence.findByID(collectionID, key).then( function(existing) {
+            if ( existing && existing[exports.TENANT_FIELD] !== tenantId ) {
+                throw createTenantError(collectionID, key, tenantId);
+            }
+            if ( data && typeof data === 'object' ) {
+                data[exports.TENANT_FIELD] = tenantId;
+            }
+        });
+    };
+
+    /**
+     * @inner
+     */
+    var tenantPersistence = {
+
+        /**
+         * The tenant the view is scoped to.
+         * @memberof tenantPersistence
+         */
+        tenantId : tenantId,
+
+        /**
+         * The strategy the view is over.
+         * @memberof tenantPersistence
+         */
+        strategy : persistence,
+
+        /**
+         * The capabilities of the strategy.
+         * @memberof tenantPersistence
+         */
+        capabilities : persistence['capabilities'] || {},
+
+        /**
+         * Saves the data with the tenant's tenantId. Further arguments are passed through.
+         * @memberof tenantPersistence
+         * @param {String} collectionID
+         * @param {String} key
+         * @param {Object} data
+         * @returns {Promise} promise, rejected with code 'ETENANT' if the key is used by a record of another tenant
+         */
+        save: function( collectionID, key, data ) {
+            var args = arguments;
+            return claim(collectionID, key, data).then( function() {
+                return persistence.save.apply(persistence, args);
+            });
+        },
+
+        /**
+         * @memberof tenantPersistence
+         * @param {String} collectionID
+         * @param {Object} keyValues
+         * @param {Boolean} cursor
+         * @returns {Promise} promise resolving with the tenant's matching records
+         */
+        find: function( collectionID, keyValues, cursor ) {
+            return persistence.find(collectionID, exports.scopeQuery(keyValues, tenantId), cursor);
+        },
+
+        /**
+         * @memberof tenantPersistence
+         * @param {String} collectionID
+         * @param {String} key
+         * @returns {Promise} promise resolving with the record, or undefined if it belongs to another tenant
+         */
+        findByID: function( collectionID, key ) {
+            return persistence.findByID(collectionID, key).then( function(found) {
+                return belongsTo(found, tenantId) ? found : undefined;
+            });
+        },
+
+        /**
+         * Removes records of the tenant only.
+         * @memberof tenantPersistence
+         * @param {String} collectionID
+         * @param {Object} keyValues A key, or a query.
+         * @returns {Promise} promise
+         */
+        remove: function( collectionID, keyValues ) {
+            if ( typeof keyValues == 'object' ) {
+                return persistence.remove(collectionID, exports.scopeQuery(keyValues, tenantId));
+            }
+
+            return tenantPersistence.findByID(collectionID, keyValues).then( function(found) {
+                return found ? persistence.remove(collectionID, keyValues) : undefined;
+            });
+        },
+
+        /**
+         * @memberof tenantPersistence
+         * @param {String} collectionID
+         * @param {Object} keyValues Optional.
+         * @returns {Promise} promise resolving with the number of the tenant's matching records
+         */
+        count: function( collectionID, keyValues ) {
+            return aggregation.count(persistence, collectionID, exports.scopeQuery(keyValues, tenantId));
+        },
+
+        /**
+         * @memberof tenantPersistence
+         * @param {String} collectionID
+         * @param {String} field
+         * @param {Object} keyValues Optional.
+         * @returns {Promise} promise resolving with an array of values
+         */
+        distinct: function( collectionID, field, keyValues ) {
+            return aggregation.distinct(persistence, collectionID, field, exports.scopeQuery(keyValues, tenantId));
+        },
+
+        /**
+         * @memberof tenantPersistence
+         * @param {String} collectionID
+         * @param {String|Array|function} keyField
+         * @param {function} reducer Optional.
+         * @param {Object} keyValues Optional.
+         * @returns {Promise} promise resolving with an array of { key, value }
+         */
+        group: function( collectionID, keyField, reducer, keyValues ) {
+            return aggregation.group(persistence, collectionID, keyField, reducer,
+                exports.scopeQuery(keyValues, tenantId));
+        },
+
+        /**
+         * Applies a batch through the strategy (see {@link persistenceBatch}), with saves stamped with the tenant and
+         * removes restricted to its records. A remove by key of a record of another tenant resolves with undefined.
+         * @memberof tenantPersistence
+         * @param {Array} operations
+         * @returns {Promise} promise resolving with the result of each operation
+         */
+        batch: function( operations ) {
+            var skipped = [];
+
+            return q.fcall( function() {
+                batch.validate(operations);
+
+                return q.all( operations.map( function(operation) {
+                    var collectionID = operation['collection'];
+                    var key = operation['key'];
+
+                    if ( operation['op'] === 'save' ) {
+                        return claim(collectionID, key, operation['data']).then( function() {
+                            return operation;
+                        });
+                    }
+                    if ( typeof key == 'object' ) {
+                        var scoped = {};
+                        for ( var field in operation ) {
+                            if ( operation.hasOwnProperty(field) ) {
+                                scoped[field] = operation[field];
+                            }
+                        }
+                        scoped['key'] = exports.scopeQuery(key, tenantId);
+                        return scoped;
+                    }
+                    return tenantPersistence.findByID(collectionID, key).then( function(found) {
+                        return found ? operation : null;
+                    });
+                }));
+            }).then( function(scoped) {
+                var applied = scoped.filter( function(operation, i) {
+                    skipped[i] = !operation;
+                    return !!operation;
+                });
+                return applied.length ? batch.run(persistence, applied) : [];
+            }).then( function(results) {
+                return skipped.map( function(skip) {
+                    return skip ? undefined : results.shift();
+                });
+            });
+        },
+
+        /**
+         * Watches the changes to the tenant's records.
+         * @memberof tenantPersistence
+         * @param {String} collectionID
+         * @param {Object} filter Optional.
+         * @param {function} handler
+         * @returns {{close: Function}} watcher
+         */
+        watch: function( collectionID, filter, handler ) {
+            if ( typeof filter === 'function' ) {
+                handler = filter;
+                filter = null;
+            }
+            if ( !persistence['watch'] ) {
+                throw new Error('The persistence strategy does not support watch');
+            }
+            return persistence.watch(collectionID, exports.scopeQuery(filter, tenantId), handler);
+        },
+
+        /**
+         * The view holds no resources; the strategy is left open.
+         * @memberof tenantPersistence
+         * @returns {Promise} promise
+         */
+        close: function() {
+            return q.resolve();
+        }
+    };
+
+    return tenantPersistence;
+};
@@ -0,0 +1,318 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Cron expressions, for tasks that recur at set times rather than at a fixed interval. Expressions have the five
+ * standard fields (minute, hour, day of month, month, day of week), each a '*', a value, a range (1-5), a step
+ * (*&#47;15, 0-30/10) or a list of these. Months and days of week may be given by name (JAN, MON), day of week 7 is
+ * Sunday, and @yearly, @monthly, @weekly, @daily and @hourly are supported. As in most crons, if both day of month
+ * and day of week are restricted, a day matching either is a match.
+ * <br><br>
+ * Times are matched in the given IANA time zone (eg. 'America/Los_Angeles'), or in the server's own zone if there is
+ * none. A time skipped when clocks go forward does not match that day.
+ * Example Usage:
+ * <pre>
+ *     var interval = jive.cron.interval('0 8 * * MON-FRI', 'Europe/Paris');
+ *     jive.context.scheduler.schedule('dailyDigest', {}, interval);
+ *     jive.cron.next(interval);   // the next weekday at 8:00 Paris time, as a Date
+ * </pre>
+ * @module cron
+ */
+
+var clock = require('../util/clock');
+
+var MAX_TIMEOUT = 2147483647;
+var MINUTE = 60 * 1000;
+
+// search no further than this for a matching time, so that an expression that never matches (eg. 0 0 30 2 *)
+// cannot hang the scheduler
+var MAX_SEARCH_YEARS = 5;
+
+var MACROS = {
+    '@yearly' : '0 0 1 1 *',
+    '@annually' : '0 0 1 1 *',
+    '@monthly' : '0 0 1 * *',
+    '@weekly' : '0 0 * * 0',
+    '@daily' : '0 0 * * *',
+    '@midnight' : '0 0 * * *',
+    '@hourly' : '0 * * * *'
+};
+
+var FIELDS = [
+    { 'name' : 'minute', 'min' : 0, 'max' : 59 },
+    { 'name' : 'hour', 'min' : 0, 'max' : 23 },
+    { 'name' : 'dayOfMonth', 'min' : 1, 'max' : 31 },
+    { 'name' : 'month', 'min' : 1, 'max' : 12,
+        'names' : [ 'JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC' ] },
+    { 'name' : 'dayOfWeek', 'min' : 0, 'max' : 7,
+        'names' : [ 'SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT' ] }
+];
+
+var WEEKDAYS = { 'Sun' : 0, 'Mon' : 1, 'Tue' : 2, 'Wed' : 3, 'Thu' : 4, 'Fri' : 5, 'Sat' : 6 };
+
+var parsed = {};
+var formatters = {};
+
+var invalid = function(expression, reason) {
+    return new Error('Invalid cron expression "' + expression + '": ' + reason);
+};
+
+var parseValue = function(expression, field, value) {
+    var index = field['names'] ? field['names'].indexOf(value.toUpperCase()) : -1;
+    if ( index > -1 ) {
+        return index + field['min'];
+    }
+    if ( !/^\d+$/.test(value) ) {
+        throw invalid(expression, 'bad ' + field['name'] + ' "' + value + '"');
+    }
+    var number = parseInt(value, 10);
+    if ( number < field['min'] || number > field['max'] ) {
+        throw invalid(expression, field['name'] + ' ' + number + ' is out of range');
+    }
+    return number;
+};
+
+var parseField = function(expression, field, text) {
+    var values = {};
+
+    text.split(',').forEach( function(part) {
+        var stepped = part.split('/');
+        var range = stepped[0];
+        var step = 1;
+        var from, to;
+
+        if ( stepped.length > 2 ) {
+            throw invalid(expression, 'bad ' + field['name'] + ' "' + part + '"');
+        }
+        if ( stepped.length == 2 ) {
+            if ( !/^\d+$/.test(stepped[1]) || parseInt(stepped[1], 10) < 1 ) {
+                throw invalid(expression, 'bad step "' + stepped[1] + '"');
+            }
+            step = parseInt(stepped[1], 10);
+        }
+
+        if ( range === '*' || range === '?' ) {
+            from = field['min'];
+            to = field['max'];
+        } else if ( range.indexOf('-') > -1 ) {
+            var bounds = range.split('-');
+            if ( bounds.length != 2 ) {
+                throw invalid(expression, 'bad range "' + range + '"');
+            }
+            from = parseValue(expression, field, bounds[0]);
+            to = parseValue(expression, field, bounds[1]);
+            if ( from > to ) {
+                throw invalid(expression, 'bad range "' + range + '"');
+            }
+        } else {
+            from = parseValue(expression, field, range);
+            to = stepped.length == 2 ? field['max'] : from;
+        }
+
+        for ( var value = from; value <= to; value += step ) {
+            values[value] = true;
+        }
+    });
+
+    if ( field['name'] === 'dayOfWeek' && values[7] ) {
+        values[0] = true;
+    }
+    return values;
+};
+
+/**
+ * Parses a cron expression.
+ * @param {String} expression
+ * @returns {Object} the values matched by each field (minute, hour, dayOfMonth, month, dayOfWeek)
+ * @throws {Error} if the expression is invalid
+ */
+exports.parse = function(expression) {
+    if ( typeof expression !== 'string' ) {
+        throw invalid(expression, 'not a string');
+    }
+    if ( parsed[expression] ) {
+        return parsed[expression];
+    }
+
+    var trimmed = expression.trim();
+    var texts = ( MACROS[trimmed.toLowerCase()] || trimmed ).split(/\s+/);
+    if ( texts.length != FIELDS.length ) {
+        throw invalid(expression, 'expected ' + FIELDS.length + ' fields');
+    }
+
+    var result = { 'expression' : expression };
+    FIELDS.forEach( function(field, i) {
+        result[field['name']] = parseField(expression, field, texts[i]);
+    });
+
+    // a restricted day of month or day of week matches on its own
+    result['anyDayOfMonth'] = texts[2] === '*' || texts[2] === '?';
+    result['anyDayOfWeek'] = texts[4] === '*' || texts[4] === '?';
+
+    parsed[expression] = result;
+    return result;
+};
+
+var getFormatter = function(timeZone) {
+    if ( !formatters[timeZone] ) {
+        try {
+            formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                'timeZone' : timeZone, 'hourCycle' : 'h23', 'weekday' : 'short',
+                'year' : 'numeric', 'month' : 'numeric', 'day' : 'numeric', 'hour' : 'numeric', 'minute' : 'numeric'
+            });
+        } catch (e) {
+            throw new Error('Unknown time zone "' + timeZone + '"');
+        }
+    }
+    return formatters[timeZone];
+};
+
+/**
+ * The wall clock time of an instant, in a time zone.
+ */
+var wallClock = function(time, timeZone) {
+    var date = new Date(time);
+    if ( !timeZone ) {
+        return {
+            'month' : date.getMonth() + 1, 'dayOfMonth' : date.getDate(), 'dayOfWeek' : date.getDay(),
+            'hour' : date.getHours(), 'minute' : date.getMinutes()
+        };
+    }
+
+    var parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach( function(part) {
+        parts[part['type']] = part['value'];
+    });
+    return {
+        'month' : parseInt(parts['month'], 10), 'dayOfMonth' : parseInt(parts['day'], 10),
+        'dayOfWeek' : WEEKDAYS[parts['weekday']], 'hour' : parseInt(parts['hour'], 10) % 24,
+        'minute' : parseInt(parts['minute'], 10)
+    };
+};
+
+var matchesDay = function(cron, wall) {
+    var dayOfMonth = !!cron['dayOfMonth'][wall['dayOfMonth']];
+    var dayOfWeek = !!cron['dayOfWeek'][wall['dayOfWeek']];
+    if ( !cron['anyDayOfMonth'] && !cron['anyDayOfWeek'] ) {
+        return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+};
+
+/**
+ * Whether an interval, as passed to a scheduler, is a cron expression rather than a number of milliseconds.
+ * @param interval
+ * @returns {boolean}
+ */
+exports.isCron = function(interval) {
+    if ( typeof interval === 'string' ) {
+        return isNaN(Number(interval));
+    }
+    return !!interval && typeof interval === 'object' && typeof interval['cron'] === 'string';
+};
+
+/**
+ * Builds a cron interval, to be passed to a scheduler in place of a number of milliseconds.
+ * Intervals in milliseconds are returned as they are (numeric strings as numbers).
+ * @param {String|Object|Number} interval A cron expression, a cron interval, or a number of milliseconds.
+ * @param {String} timeZone Optional IANA time zone the expression is in; defaults to that of a given cron interval,
+ * or the server's.
+ * @returns {Object|Number} { cron, timeZone }, or the number of milliseconds
+ * @throws {Error} if the expression or time zone is invalid
+ */
+exports.interval = function(interval, timeZone) {
+    if ( !exports.isCron(interval) ) {
+        return typeof interval === 'string' ? Number(interval) : interval;
+    }
+
+    var expression = typeof interval === 'string' ? interval : interval['cron'];
+    timeZone = timeZone || ( typeof interval === 'object' ? interval['timeZone'] : undefined );
+
+    exports.parse(expression);
+    if ( timeZone ) {
+        getFormatter(timeZone);
+    }
+
+    var result = { 'cron' : expression };
+    if ( timeZone ) {
+        result['timeZone'] = timeZone;
+    }
+    return result;
+};
+
+/**
+ * The next time a cron expression matches, after a given time.
+ * @param {String|Object} interval A cron expression, or a cron interval ({ cron, timeZone }).
+ * @param {Date|Number} from Optional; defaults to now.
+ * @param {String} timeZone Optional; overrides that of the cron interval.
+ * @returns {Date} the time, or null if there is none within the next few years
+ * @throws {Error} if the expression or time zone is invalid
+ */
+exports.next = function(interval, from, timeZone) {
+    interval = exports.interval(interval, timeZone);
+    if ( typeof interval !== 'object' ) {
+        throw invalid(interval, 'not a cron expression');
+    }
+
+    var cron = exports.parse(interval['cron']);
+    timeZone = interval['timeZone'];
+
+    // start from the next whole minute
+    var time = ( from instanceof Date ? from.getTime() : ( from || clock.now() ) );
+    time = ( Math.floor(time / MINUTE) + 1 ) * MINUTE;
+
+    var until = time + MAX_SEARCH_YEARS * 366 * 24 * 60 * MINUTE;
+    while ( time < until ) {
+        var wall = wallClock(time, timeZone);
+
+        if ( !cron['month'][wall['month']] || !matchesDay(cron, wall) ) {
+            // on to the start of the next day
+            time += ( ( 24 - wall['hour'] ) * 60 - wall['minute'] ) * MINUTE;
+        } else if ( !cron['hour'][wall['hour']] ) {
+            // on to the start of the next hour
+            time += ( 60 - wall['minute'] ) * MINUTE;
+        } else if ( !cron['minute'][wall['minute']] ) {
+            time += MINUTE;
+        } else {
+            return new Date(time);
+        }
+    }
+    return null;
+};
+
+/**
+ * Calls back at the next time a cron interval matches, even if that is further off than setTimeout allows.
+ * @param {Object} interval
+ * @param {function} callback
+ * @param {function} onTimer Optional; is passed each timer set, so that it can be cleared.
+ * @returns {Date} when the callback will be called, or null if never
+ */
+exports.setTimer = function(interval, callback, onTimer) {
+    var at = exports.next(interval);
+    if ( !at ) {
+        return null;
+    }
+
+    var wait = function() {
+        var remaining = at.getTime() - clock.now();
+        var timer = remaining > MAX_TIMEOUT ? clock.setTimeout(wait, MAX_TIMEOUT) : clock.setTimeout(callback, Math.max(remaining, 1));
+        if ( onTimer ) {
+            onTimer(timer);
+        }
+    };
+    wait();
+    return at;
+};
@@ -0,0 +1,152 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * The run history of recurring tasks, kept in persistence. Each run of a task is recorded with its start, end,
+ * duration, outcome ('success' or 'failure') and, if it failed, a summary of the error. Only the latest runs of each
+ * task are kept: 20, unless set otherwise with the taskHistory service option or {@link module:taskHistory.configure}.
+ * Example Usage:
+ * <pre>
+ *     jive.taskHistory.find('samplelist.opportunities.0').then( function(runs) {
+ *         var lastRun = runs[0];
+ *         jive.logger.info('Last run', new Date(lastRun['startedAt']), lastRun['outcome'], lastRun['error']);
+ *     });
+ * </pre>
+ * @module taskHistory
+ */
+
+var q = require('q');
+var jive = require('../../api');
+var clock = require('../util/clock');
+
+/**
+ * Collection in which task runs are kept.
+ * @type {string}
+ */
+exports.COLLECTION = 'taskRun';
+
+/**
+ * Number of runs kept per task, by default.
+ * @type {number}
+ */
+exports.DEFAULT_SIZE = 20;
+
+var size = exports.DEFAULT_SIZE;
+var enabled = true;
+var excluded = {};
+
+/**
+ * @param {Object|Boolean} options false to stop recording runs; or the options.
+ * @param {Number} options.size Optional. Number of runs kept per task.
+ */
+exports.configure = function(options) {
+    enabled = options !== false;
+    size = options && options['size'] > 0 ? options['size'] : exports.DEFAULT_SIZE;
+};
+
+/**
+ * Stops recording the runs of a task, eg. an internal task of the SDK, whose runs are of no interest.
+ * @param {String} eventID
+ */
+exports.exclude = function(eventID) {
+    excluded[eventID] = true;
+};
+
+/**
+ * @returns {Boolean} whether runs are recorded
+ */
+exports.isEnabled = function() {
+    return enabled;
+};
+
+/**
+ * @param error
+ * @returns {String} a one-line summary of an error
+ */
+exports.summarize = function(error) {
+    if ( error instanceof Error ) {
+        return error.message;
+    }
+    if ( error && typeof error === 'object' ) {
+        var statusCode = error['statusCode'] || ( error['response'] ? error['response']['statusCode'] : undefined );
+        var message = error['message'] || ( error['entity'] && error['entity']['error'] );
+        if ( statusCode ) {
+            return 'HTTP ' + statusCode + ( message ? ': ' + message : '' );
+        }
+        return message ? String(message) : JSON.stringify(error);
+    }
+    return error === undefined ? 'Failed' : String(error);
+};
+
+var byNewest = function(a, b) {
+    return ( b['startedAt'] - a['startedAt'] ) || ( b['endedAt'] - a['endedAt'] );
+};
+
+/**
+ * @param {String} eventID
+ * @returns {Promise} Promise resolving with the task's recorded runs, newest first
+ */
+exports.find = function(eventID) {
+    return jive.context.persistence.find(exports.COLLECTION, { 'eventID' : eventID }).then( function(runs) {
+        return ( runs || [] ).sort(byNewest);
+    });
+};
+
+var trim = function(eventID) {
+    return exports.find(eventID).then( function(runs) {
+        return q.all( runs.slice(size).map( function(run) {
+            return jive.context.persistence.remove(exports.COLLECTION, run['id']);
+        }));
+    });
+};
+
+/**
+ * Records a run of a task that has just ended, and drops the task's oldest runs beyond those kept.
+ * @param {String} eventID
+ * @param {Number} startedAt When the run started, in ms.
+ * @param {String} outcome 'success' or 'failure'.
+ * @param error Optional; what the run failed with.
+ * @returns {Promise} Promise resolving with the run, or null if runs are not recorded; it never rejects
+ */
+exports.record = function(eventID, startedAt, outcome, error) {
+    if ( !enabled || excluded[eventID] ) {
+        return q.resolve(null);
+    }
+
+    var endedAt = clock.now();
+    var run = {
+        'id' : jive.util.guid(),
+        'eventID' : eventID,
+        'startedAt' : startedAt,
+        'endedAt' : endedAt,
+        'duration' : endedAt - startedAt,
+        'outcome' : outcome
+    };
+    if ( outcome !== 'success' ) {
+        run['error'] = exports.summarize(error);
+    }
+
+    return q.fcall( function() {
+        return jive.context.persistence.save(exports.COLLECTION, run['id'], run);
+    }).then( function() {
+        return trim(eventID);
+    }).then( function() {
+        return run;
+    }, function(e) {
+        jive.logger.warn('Failed to record the run of task ' + eventID, e);
+        return run;
+    });
+};
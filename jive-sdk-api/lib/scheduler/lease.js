@@ -0,0 +1,146 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Leases held in persistence, so that of several nodes sharing it only one does a piece of work at a time, eg. runs a
+ * recurring task. A lease is held by one node until it expires; the holder extends it by acquiring it again, and any
+ * node can take it over once it has expired.
+ * <br><br>
+ * Leases are taken with compare-and-set saves (see the expectedRevision save option), so they are exclusive only on
+ * persistence strategies that honor it; see isSupported. Example Usage:
+ * <pre>
+ *     jive.lease.acquire('nightlyReport', 60 * 1000).then( function(lease) {
+ *         if ( lease['holder'] === jive.lease.getNodeID() ) {
+ *             // this node holds the lease for the next minute
+ *         }
+ *     });
+ * </pre>
+ * @module lease
+ */
+
+var os = require('os');
+var q = require('q');
+var jive = require('../../api');
+var persistenceBase = require('../persistence/persistence-base');
+var clock = require('../util/clock');
+
+/**
+ * Collection in which leases are kept.
+ * @type {string}
+ */
+exports.COLLECTION = 'schedulerLease';
+
+var nodeID = os.hostname() + ':' + process.pid;
+
+/**
+ * @returns {String} the identity with which this node holds leases; by default, its hostname and process id
+ */
+exports.getNodeID = function() {
+    return nodeID;
+};
+
+/**
+ * @param {Object} persistence
+ * @returns {Boolean} true if leases held in the strategy are exclusive, ie. it declares capabilities.revisions
+ * (its saves honor expectedRevision).
+ */
+exports.isSupported = function(persistence) {
+    return !!( persistence && persistence['capabilities'] && persistence['capabilities']['revisions'] );
+};
+
+/**
+ * @param {String} _nodeID Identity with which this node holds leases; must differ from that of the other nodes.
+ */
+exports.setNodeID = function(_nodeID) {
+    nodeID = _nodeID;
+};
+
+/**
+ * @param {String} name
+ * @returns {Promise} Promise resolving with the lease ({ id, holder, acquiredAt, expiresAt }), or null if there is
+ * none
+ */
+exports.find = function(name) {
+    return jive.context.persistence.findByID(exports.COLLECTION, name).then( function(found) {
+        return found || null;
+    });
+};
+
+var save = function(current, lease) {
+    var revision = ( current && current[persistenceBase.REVISION_FIELD] ) || 0;
+    return jive.context.persistence.save(exports.COLLECTION, lease['id'], lease, { 'expectedRevision' : revision })
+        .then( function() {
+            return lease;
+        }, function(e) {
+            if ( persistenceBase.isConflict(e) ) {
+                // another node got there first
+                return exports.find(lease['id']);
+            }
+            throw e;
+        });
+};
+
+/**
+ * Acquires a lease, or extends it if this node already holds it. A lease held by another node is acquired only once
+ * it has expired.
+ * @param {String} name
+ * @param {Number} duration Milliseconds for which the lease is held.
+ * @param {String} holder Optional; defaults to this node's id.
+ * @returns {Promise} Promise resolving with the current lease: it is acquired if its holder is the given one
+ */
+exports.acquire = function(name, duration, holder) {
+    holder = holder || nodeID;
+
+    return exports.find(name).then( function(current) {
+        var now = clock.now();
+        if ( current && current['holder'] !== holder && current['expiresAt'] > now ) {
+            return current;
+        }
+
+        return save(current, {
+            'id' : name,
+            'holder' : holder,
+            'acquiredAt' : current && current['holder'] === holder ? current['acquiredAt'] : now,
+            'expiresAt' : now + duration
+        });
+    });
+};
+
+/**
+ * Gives up a lease, if held by the given holder, so that another node can acquire it straight away.
+ * @param {String} name
+ * @param {String} holder Optional; defaults to this node's id.
+ * @returns {Promise} Promise resolving with true if the lease was released
+ */
+exports.release = function(name, holder) {
+    holder = holder || nodeID;
+
+    return exports.find(name).then( function(current) {
+        if ( !current || current['holder'] !== holder || current['expiresAt'] <= clock.now() ) {
+            return false;
+        }
+
+        // kept, rather than removed, so that the compare-and-set still applies to the next acquisition
+        return save(current, {
+            'id' : name,
+            'holder' : holder,
+            'acquiredAt' : current['acquiredAt'],
+            'expiresAt' : 0
+        }).then( function(lease) {
+            return !!lease && lease['holder'] === holder && lease['expiresAt'] === 0;
+        });
+    });
+};
@@ -0,0 +1,346 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+var q = require('q');
+var jive = require('../../api');
+var MemoryScheduler = require('./scheduler');
+var cron = require('./cron');
+var clock = require('../util/clock');
+
+/**
+ * Collection in which scheduled events are kept.
+ * @type {string}
+ */
+var COLLECTION = 'scheduledEvent';
+
+/**
+ * A scheduler that keeps the events it is given in persistence, so that they survive a restart or crash. Events are
+ * run in process, as by {@link memoryScheduler}.
+ * <br><br>
+ * One-off events are stored until they have run (successfully, or failing their last retry); recurring events until
+ * they are unscheduled.
+ * On init, stored events are resumed: one-off events at the time they were due (or straight away, if that has
+ * passed), recurring events at their interval. Events whose handlers are not registered yet are resumed once the
+ * service is bootstrapped, and discarded with a warning if they still have none then. Since one-off events are
+ * removed only once they have run, an event interrupted by a crash is run again on restart.
+ * <br><br>
+ * Scheduling a recurring event again under the same eventID replaces it.
+ * Contexts are stored as JSON, so should not hold anything that does not survive JSON.stringify.
+ * Every node that resumes from the same persistence runs the stored one-off events, so it is meant for a single
+ * worker node; recurring events can be restricted to one node with the taskLeases option. Within a process, it is a
+ * singleton in the same way as {@link memoryScheduler}: init throws if another scheduler is running.
+ * @class persistentScheduler
+ * @param {Object} options Optional.
+ * @param {Object} options.persistence Optional persistence strategy; defaults to jive.context.persistence.
+ */
+function PersistentScheduler(options) {
+    this.options = options || {};
+    this.memory = new MemoryScheduler();
+    this.eventHandlerMap = {};
+    this.onBootstrapped = null;
+    return this;
+}
+
+module.exports = PersistentScheduler;
+
+/**
+ * The collection scheduled events are kept in.
+ * @memberof persistentScheduler
+ * @type {string}
+ */
+PersistentScheduler.COLLECTION = COLLECTION;
+
+var getPersistence = function(scheduler) {
+    var persistence = scheduler.options['persistence'];
+    return persistence && typeof persistence === 'object' ? persistence : jive.context.persistence;
+};
+
+var getRecurringKey = function(eventID) {
+    return 'recurring.' + eventID;
+};
+
+var hasHandlers = function(scheduler, record) {
+    var eventHandlerMap = scheduler.eventHandlerMap;
+    var eventListener = record['context'] ? record['context']['eventListener'] : undefined;
+    var handlers = eventListener ?
+        ( eventHandlerMap[eventListener] ? eventHandlerMap[eventListener][record['eventID']] : undefined ) :
+        eventHandlerMap[record['eventID']];
+
+    return !!handlers && ( typeof handlers === 'function' || handlers.length > 0 );
+};
+
+var removeRecord = function(scheduler, key) {
+    return getPersistence(scheduler).remove(COLLECTION, key).fail( function(e) {
+        jive.logger.error('Failed to remove scheduled event ' + key, e);
+    });
+};
+
+/**
+ * Hands an event to the in-memory scheduler. A one-off event's record is removed once it has run, or has been skipped
+ * as exclusive; if it is not run because the scheduler is draining, the record is kept, to be resumed by the next init.
+ * @param context Optional; defaults to the stored context.
+ * @returns {Object} Promise, as returned by the in-memory scheduler
+ */
+var run = function(scheduler, record, delay, context) {
+    var promise = scheduler.memory.schedule( record['eventID'], context || record['context'], record['interval'],
+        delay, record['exclusive'], record['timeout'] );
+
+    if ( !record['interval'] ) {
+        var remove = function() {
+            return removeRecord(scheduler, record['id']);
+        };
+        promise.then(remove, function(e) {
+            if ( !e || e['code'] !== 'ESHUTDOWN' ) {
+                return remove();
+            }
+        });
+    }
+    return promise;
+};
+
+var resumeRecord = function(scheduler, record) {
+    var delay = record['interval'] ? undefined : Math.max( ( record['runAt'] || 0 ) - clock.now(), 1 );
+
+    run(scheduler, record, delay).fail( function(e) {
+        jive.logger.error('Resumed event ' + record['eventID'] + ' failed', e);
+    });
+};
+
+/**
+ * Resumes the stored events.
+ * @returns {Object} Promise resolving with the number of events resumed
+ */
+var resume = function(scheduler) {
+    var persistence = getPersistence(scheduler);
+    if ( !persistence ) {
+        return q.resolve(0);
+    }
+
+    return persistence.find(COLLECTION, {}).then( function(records) {
+        var waiting = [];
+
+        ( records || [] ).forEach( function(record) {
+            if ( hasHandlers(scheduler, record) ) {
+                resumeRecord(scheduler, record);
+            } else {
+                waiting.push(record);
+            }
+        });
+
+        if ( waiting.length ) {
+            // handlers of tile and service events are registered during bootstrap
+            scheduler.onBootstrapped = function() {
+                scheduler.onBootstrapped = null;
+                waiting.forEach( function(record) {
+                    if ( hasHandlers(scheduler, record) ) {
+                        resumeRecord(scheduler, record);
+                    } else {
+                        jive.logger.warn('Discarding stored event ' + record['eventID'] + ', which has no handler');
+                        removeRecord(scheduler, record['id']);
+                    }
+                });
+            };
+            jive.events.once('serviceBootstrapped', scheduler.onBootstrapped);
+        }
+
+        var resumed = ( records || [] ).length - waiting.length;
+        if ( records && records.length ) {
+            jive.logger.info('Resumed ' + resumed + ' stored event(s); ' + waiting.length + ' waiting for bootstrap');
+        }
+        return resumed;
+    });
+};
+
+/**
+ * Sets up event listeners and retry policies, as memoryScheduler does, then resumes the stored events.
+ * @memberof persistentScheduler
+ * @param _eventHandlerMap
+ * @param options Optional service options.
+ */
+function init( _eventHandlerMap, options ) {
+    this.eventHandlerMap = _eventHandlerMap || jive.events.eventHandlerMap;
+    this.memory.init(this.eventHandlerMap, options);
+
+    resume(this).fail( function(e) {
+        jive.logger.error('Failed to resume stored events', e);
+    });
+
+    return this;
+}
+PersistentScheduler.prototype.init = init;
+
+/**
+ * Schedule a task, storing it until it has run (or, if recurring, until it is unscheduled).
+ * Parameters are as for {@link memoryScheduler}.
+ * @memberof persistentScheduler
+ * @param eventID which event to fire
+ * @param context what to pass to the event
+ * @param interval The interval to invoke the callback, in milliseconds; or a cron expression or cron interval.
+ * @param delay The number of milliseconds after which the event will be fired for the first time.
+ * @param exclusive If true, then will not execute if another event named with the same eventID is already executing.
+ * @param timeout The number of milliseconds, after which the schedule will declare the event has timed out.
+ * @returns {Object} Promise
+ */
+function schedule(eventID, context, interval, delay, exclusive, timeout) {
+    var scheduler = this;
+    eventID = eventID || jive.util.guid();
+    context = context || {};
+
+    try {
+        interval = cron.interval(interval);
+    } catch (e) {
+        return q.reject(e);
+    }
+
+    var record = {
+        'id' : interval ? getRecurringKey(eventID) : jive.util.guid(),
+        'eventID' : eventID,
+        'context' : JSON.parse(JSON.stringify(context)),
+        'interval' : interval,
+        'exclusive' : exclusive,
+        'timeout' : timeout,
+        'runAt' : clock.now() + ( delay || 0 )
+    };
+
+    if ( interval && this.memory.getTasks().indexOf(eventID) > -1 ) {
+        // replaces the recurring event
+        this.memory.unschedule(eventID);
+    }
+
+    var persistence = getPersistence(this);
+    var saved = persistence ? persistence.save(COLLECTION, record['id'], record) :
+        q.reject( new Error('persistence not defined') );
+
+    return saved.fail( function(e) {
+        // still run the event, even though it will not survive a restart
+        jive.logger.error('Failed to store scheduled event ' + eventID, e);
+    }).then( function() {
+        // the handlers are given the context as passed in
+        return run(scheduler, record, delay, context);
+    });
+}
+PersistentScheduler.prototype.schedule = schedule;
+
+/**
+ * Unschedules a recurring event, and removes it from persistence.
+ * @memberof persistentScheduler
+ * @param eventID
+ * @returns {Object} Promise
+ */
+function unschedule(eventID) {
+    this.memory.unschedule(eventID);
+    return removeRecord(this, getRecurringKey(eventID)).then( function() {
+        return q.resolve();
+    });
+}
+PersistentScheduler.prototype.unschedule = unschedule;
+
+/**
+ * @memberof persistentScheduler
+ * @param {Boolean} withNextRun Optional. If true, describes each event, as {@link memoryScheduler} does.
+ * @returns {Array} the eventIDs of the scheduled recurring events
+ */
+function getTasks(withNextRun) {
+    return this.memory.getTasks(withNextRun);
+}
+PersistentScheduler.prototype.getTasks = getTasks;
+
+/**
+ * Pauses a recurring event, as {@link memoryScheduler} does.
+ * @memberof persistentScheduler
+ * @param eventID
+ * @returns {Object} Promise
+ */
+function pause( eventID ) {
+    return this.memory.pause(eventID);
+}
+PersistentScheduler.prototype.pause = pause;
+
+/**
+ * @memberof persistentScheduler
+ * @param eventID
+ * @returns {Object} Promise
+ */
+function resume( eventID ) {
+    return this.memory.resume(eventID);
+}
+PersistentScheduler.prototype.resume = resume;
+
+/**
+ * Runs a recurring event straight away, as {@link memoryScheduler} does.
+ * @memberof persistentScheduler
+ * @param eventID
+ * @returns {Object} Promise
+ */
+function runNow( eventID ) {
+    return this.memory.runNow(eventID);
+}
+PersistentScheduler.prototype.runNow = runNow;
+
+/**
+ * @memberof persistentScheduler
+ * @param eventID
+ * @returns {Object} Promise resolving with the status of the recurring task, as for {@link memoryScheduler}
+ */
+function getTaskStatus( eventID ) {
+    return this.memory.getTaskStatus(eventID);
+}
+PersistentScheduler.prototype.getTaskStatus = getTaskStatus;
+
+/**
+ * @memberof persistentScheduler
+ * @returns {Object} the numbers of event runs waiting on the concurrency limits, and in flight
+ */
+function getQueueDepths() {
+    return this.memory.getQueueDepths();
+}
+PersistentScheduler.prototype.getQueueDepths = getQueueDepths;
+
+/**
+ * @memberof persistentScheduler
+ * @param eventID
+ * @returns {Object} Promise
+ */
+function isScheduled( eventID ) {
+    return this.memory.isScheduled(eventID);
+}
+PersistentScheduler.prototype.isScheduled = isScheduled;
+
+/**
+ * Stops scheduling runs, and waits for those in flight; see the in-memory scheduler's drain. Events scheduled
+ * meanwhile are stored, to be run after the next init.
+ * @memberof persistentScheduler
+ * @param {Number} deadline Optional. Milliseconds after which to stop waiting.
+ * @returns {Object} Promise resolving with the eventIDs of the runs still in flight
+ */
+function drain( deadline ) {
+    return this.memory.drain(deadline);
+}
+PersistentScheduler.prototype.drain = drain;
+
+/**
+ * Stops running events. Stored events are kept, to be resumed by the next init.
+ * @memberof persistentScheduler
+ * @returns {Object} Promise
+ */
+function shutdown() {
+    if ( this.onBootstrapped ) {
+        jive.events.removeListener('serviceBootstrapped', this.onBootstrapped);
+        this.onBootstrapped = null;
+    }
+    return this.memory.shutdown();
+}
+PersistentScheduler.prototype.shutdown = shutdown;
@@ -0,0 +1,257 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Retry policies for scheduled events, and the dead-letter collection of events that have exhausted them.
+ * <br><br>
+ * A one-off event whose handler rejects is run again, after an exponentially growing delay, while its policy allows
+ * it. Once its attempts are exhausted (or it fails in a way that is not retryable), it is saved in the dead-letter
+ * collection, from which it can be replayed or discarded. Recurring events are not retried; they run again at their
+ * next interval.
+ * <br><br>
+ * Policies are keyed by eventID, with a 'default' policy for the others, and are set with the retryPolicies
+ * service option or {@link module:retry.setPolicies}. Events have no policy unless one is set. Example Usage:
+ * <pre>
+ *     jive.retry.setPolicies( {
+ *         'pushDataToJive' : { 'maxAttempts' : 5, 'initialDelay' : 2000 },
+ *         'default' : { 'maxAttempts' : 3 }
+ *     });
+ *
+ *     jive.retry.findDeadLetters( { 'eventID' : 'pushDataToJive' } ).then( function(deadLetters) {
+ *         deadLetters.forEach( function(deadLetter) {
+ *             jive.retry.replayDeadLetter( deadLetter['id'] );
+ *         });
+ *     });
+ * </pre>
+ * @module retry
+ */
+
+var q = require('q');
+var jive = require('../../api');
+var clock = require('../util/clock');
+
+/**
+ * Collection in which events that have exhausted their retries are kept.
+ * @type {string}
+ */
+exports.DEAD_LETTER_COLLECTION = 'deadLetterEvent';
+
+/**
+ * The settings of a policy that are not given.
+ * @type {Object}
+ * @property {Number} maxAttempts - Number of times the event is run, including the first. Default 3.
+ * @property {Number} initialDelay - Milliseconds before the first retry. Default 1000.
+ * @property {Number} multiplier - Factor by which the delay grows with each retry. Default 2.
+ * @property {Number} maxDelay - Cap on the delay, in milliseconds. Default 60000.
+ * @property {Number} jitter - Fraction of the delay, up to which it is randomly shortened. Default 0.2.
+ * @property {Array} retryableStatusCodes - HTTP status codes, of failed responses, that are retried. Other status
+ * codes fail the event straight away. Default 408, 429, 500, 502, 503, 504.
+ * @property {Boolean} retryOnError - Whether failures without a status code (eg. network errors) are retried.
+ * Default true.
+ * @property {Boolean} deadLetter - Whether events that fail are saved in the dead-letter collection. Default true.
+ */
+exports.DEFAULT_POLICY = {
+    'maxAttempts' : 3,
+    'initialDelay' : 1000,
+    'multiplier' : 2,
+    'maxDelay' : 60 * 1000,
+    'jitter' : 0.2,
+    'retryableStatusCodes' : [ 408, 429, 500, 502, 503, 504 ],
+    'retryOnError' : true,
+    'deadLetter' : true
+};
+
+var policies = {};
+
+/**
+ * Replaces the retry policies.
+ * @param {Object} _policies Policies by eventID; 'default' applies to events without one of their own.
+ */
+exports.setPolicies = function(_policies) {
+    policies = {};
+    for ( var eventID in _policies || {} ) {
+        if ( _policies.hasOwnProperty(eventID) ) {
+            exports.setPolicy(eventID, _policies[eventID]);
+        }
+    }
+};
+
+/**
+ * Sets the retry policy of an event; a policy of null removes it.
+ * @param {String} eventID The eventID, or 'default'.
+ * @param {Object} policy See {@link module:retry.DEFAULT_POLICY} for its settings.
+ */
+exports.setPolicy = function(eventID, policy) {
+    if ( !policy ) {
+        delete policies[eventID];
+        return;
+    }
+
+    var merged = {};
+    for ( var setting in exports.DEFAULT_POLICY ) {
+        merged[setting] = policy.hasOwnProperty(setting) ? policy[setting] : exports.DEFAULT_POLICY[setting];
+    }
+    if ( typeof merged['maxAttempts'] !== 'number' || merged['maxAttempts'] < 1 ) {
+        throw new Error('Invalid retry policy for ' + eventID + ': maxAttempts must be at least 1');
+    }
+    policies[eventID] = merged;
+};
+
+/**
+ * @param {String} eventID
+ * @returns {Object} the retry policy of the event, or null if it has none
+ */
+exports.getPolicy = function(eventID) {
+    return policies[eventID] || policies['default'] || null;
+};
+
+var getStatusCode = function(error) {
+    if ( !error || typeof error !== 'object' ) {
+        return undefined;
+    }
+    return error['statusCode'] || ( error['response'] ? error['response']['statusCode'] : undefined );
+};
+
+/**
+ * Whether a failure is one the policy retries.
+ * @param error What the handler rejected with.
+ * @param {Object} policy
+ * @returns {boolean}
+ */
+exports.isRetryable = function(error, policy) {
+    var statusCode = getStatusCode(error);
+    if ( statusCode ) {
+        return policy['retryableStatusCodes'].indexOf(statusCode) > -1;
+    }
+    return !!policy['retryOnError'];
+};
+
+/**
+ * The number of milliseconds to wait before running an event again.
+ * @param {Object} policy
+ * @param {Number} attempt The number of the attempt that failed, starting at 1.
+ * @returns {Number}
+ */
+exports.getDelay = function(policy, attempt) {
+    var delay = Math.min( policy['maxDelay'], policy['initialDelay'] * Math.pow(policy['multiplier'], attempt - 1) );
+    return Math.round( delay * ( 1 - policy['jitter'] * Math.random() ) );
+};
+
+var describeError = function(error) {
+    if ( error instanceof Error ) {
+        return { 'message' : error.message };
+    }
+    if ( error && typeof error === 'object' ) {
+        var described = { 'statusCode' : getStatusCode(error) };
+        if ( error['entity'] !== undefined ) {
+            described['entity'] = error['entity'];
+        }
+        if ( error['message'] ) {
+            described['message'] = error['message'];
+        }
+        return described;
+    }
+    return { 'message' : error === undefined ? 'undefined' : String(error) };
+};
+
+/**
+ * Saves an event that has exhausted its retries in the dead-letter collection.
+ * @param {String} eventID
+ * @param {Object} context
+ * @param error What the handler last rejected with.
+ * @param {Number} attempts
+ * @returns {Promise} Promise resolving with the dead letter; it never rejects
+ */
+exports.deadLetter = function(eventID, context, error, attempts) {
+    var deadLetter = {
+        'id' : jive.util.guid(),
+        'eventID' : eventID,
+        'context' : JSON.parse(JSON.stringify(context || {})),
+        'error' : describeError(error),
+        'attempts' : attempts,
+        'failedAt' : clock.now()
+    };
+
+    jive.logger.warn('Event', eventID, 'failed after', attempts, 'attempt(s); moved to', exports.DEAD_LETTER_COLLECTION);
+
+    return q.fcall( function() {
+        return jive.context.persistence.save(exports.DEAD_LETTER_COLLECTION, deadLetter['id'], deadLetter);
+    }).then( function() {
+        return deadLetter;
+    }, function(e) {
+        jive.logger.error('Failed to save dead letter for event ' + eventID, e);
+        return deadLetter;
+    });
+};
+
+/**
+ * @param {Object} criteria Optional persistence query, eg. { 'eventID' : 'pushDataToJive' }.
+ * @returns {Promise} Promise resolving with the matching dead letters
+ */
+exports.findDeadLetters = function(criteria) {
+    return jive.context.persistence.find(exports.DEAD_LETTER_COLLECTION, criteria || {});
+};
+
+/**
+ * @param {String} id
+ * @returns {Promise} Promise resolving with the dead letter, or null if there is none
+ */
+exports.findDeadLetter = function(id) {
+    return jive.context.persistence.findByID(exports.DEAD_LETTER_COLLECTION, id).then( function(found) {
+        return found || null;
+    });
+};
+
+/**
+ * Schedules a dead-lettered event again, with its stored context, and removes it from the dead-letter collection.
+ * If it fails again, it is dead-lettered anew.
+ * @param {String} id
+ * @param {Object} scheduler Optional; defaults to jive.context.scheduler.
+ * @returns {Promise} Promise resolving with the dead letter once the event is scheduled, or null if there is none
+ */
+exports.replayDeadLetter = function(id, scheduler) {
+    scheduler = scheduler || jive.context.scheduler;
+
+    return exports.findDeadLetter(id).then( function(deadLetter) {
+        if ( !deadLetter ) {
+            return null;
+        }
+
+        return jive.context.persistence.remove(exports.DEAD_LETTER_COLLECTION, id).then( function() {
+            jive.logger.info('Replaying dead letter', id, 'of event', deadLetter['eventID']);
+            scheduler.schedule(deadLetter['eventID'], deadLetter['context']).fail( function(e) {
+                jive.logger.error('Replayed event ' + deadLetter['eventID'] + ' failed', e);
+            });
+            return deadLetter;
+        });
+    });
+};
+
+/**
+ * Removes a dead-lettered event without running it.
+ * @param {String} id
+ * @returns {Promise} Promise resolving with the dead letter, or null if there is none
+ */
+exports.discardDeadLetter = function(id) {
+    return exports.findDeadLetter(id).then( function(deadLetter) {
+        if ( !deadLetter ) {
+            return null;
+        }
+        return jive.context.persistence.remove(exports.DEAD_LETTER_COLLECTION, id).then( function() {
+            return deadLetter;
+        });
+    });
+};
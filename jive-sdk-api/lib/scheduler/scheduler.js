@@ -16,6 +16,19 @@
 
 var q = require('q');
 var jive = require('../../api');
+var cron = require('./cron');
+var retry = require('./retry');
+var lease = require('./lease');
+var throttle = require('./throttle');
+var history = require('./history');
+var cancellation = require('../util/cancellation');
+var clock = require('../util/clock');
+
+// collection in which the ids of paused tasks are kept
+var PAUSED_COLLECTION = 'pausedTask';
+
+// by default, a node keeps the lease of a recurring task for this long after the task is next due
+var DEFAULT_LEASE_GRACE_PERIOD = 30 * 1000;
 
 function Scheduler() {
     return this;
@@ -23,6 +36,10 @@ function Scheduler() {
 
 /**
  * An in-memory implementation of scheduler.
+ * <br><br>
+ * The scheduled tasks and their runs are kept per process rather than per instance, so only one scheduler (this, or
+ * a {@link persistentScheduler}, which runs its events through one) may be initialized at a time: init throws if
+ * another has been initialized, and not shut down since.
  * @class memoryScheduler
  */
 module.exports = Scheduler;
@@ -30,6 +47,25 @@ module.exports = Scheduler;
 var tasks = {};
 var running = {};
 var lastRunTs = {};
+var nextRunTs = {};
+var intervals = {};
+var retryTimers = {};
+var retryTimerCount = 0;
+var leases = {};
+var paused = {};
+var runners = {};
+var leaseAcquisitions = {};
+var leaseOptions = null;
+var inFlightRuns = {};
+var signals = {};
+var runCount = 0;
+var draining = false;
+var drained = null;
+// settles once the paused tasks have been loaded by init
+var pausedLoaded = q.resolve();
+
+// the scheduler initialized with the state above, until it is shut down
+var owner = null;
 
 var eventHandlerMap = {};
 
@@ -37,10 +73,48 @@ var eventHandlerMap = {};
 /**
  * @memberof memoryScheduler
  * @param _eventHandlerMap
+ * @param options Optional service options; retryPolicies, if given, are set as the retry policies
+ * (see {@link module:retry}). If taskLeases is set, each recurring task is run only by the node holding its lease
+ * (see {@link module:lease}); it may be an object with a gracePeriod (ms, default 30000) for which a lease outlives
+ * the task's next due time, and the nodeID to hold leases with; init throws if the persistence strategy does not
+ * declare capabilities.revisions. The concurrency option, if given, sets the limits on
+ * runs in flight (see {@link module:throttle}); taskHistory configures the run history of recurring tasks, or turns it
+ * off if false (see {@link module:taskHistory}).
  */
-function init( _eventHandlerMap ) {
+function init( _eventHandlerMap, options ) {
+    if ( owner && owner !== this ) {
+        throw new Error('Another scheduler is running in this process; shut it down before initializing one');
+    }
+    if ( options && options['taskLeases'] && !lease.isSupported(jive.context.persistence) ) {
+        // every node would think it held the leases
+        throw new Error('taskLeases requires a persistence strategy whose saves honor expectedRevision ' +
+            '(declared with capabilities.revisions)');
+    }
+    owner = this;
+
     eventHandlerMap = _eventHandlerMap || jive.events.eventHandlerMap;
 
+    if ( options && options['retryPolicies'] ) {
+        retry.setPolicies(options['retryPolicies']);
+    }
+
+    if ( options && options['concurrency'] ) {
+        throttle.configure(options['concurrency']);
+    }
+
+    if ( options && options['taskHistory'] !== undefined ) {
+        history.configure(options['taskHistory']);
+    }
+
+    loadPaused();
+
+    if ( options && options['taskLeases'] ) {
+        leaseOptions = typeof options['taskLeases'] === 'object' ? options['taskLeases'] : {};
+        if ( leaseOptions['nodeID'] ) {
+            lease.setNodeID(leaseOptions['nodeID']);
+        }
+    }
+
     // setup listeners
     jive.events.globalEvents.forEach( function(event) {
         var handlers = eventHandlerMap[event];
@@ -62,20 +136,176 @@ function init( _eventHandlerMap ) {
 }
 Scheduler.prototype.init = init;
 
+var loadPaused = function() {
+    pausedLoaded = q.fcall( function() {
+        return jive.context.persistence.find(PAUSED_COLLECTION, {});
+    }).then( function(records) {
+        ( records || [] ).forEach( function(record) {
+            paused[record['id']] = true;
+        });
+    }).fail( function(e) {
+        jive.logger.debug('Could not load paused tasks', e);
+    });
+};
+
+/**
+ * Calls run for a due recurring task, unless the task is paused; not before the paused tasks have been loaded, so that
+ * a task paused before a restart does not run while they are.
+ */
+var unlessPaused = function(eventID, run) {
+    pausedLoaded.then( function() {
+        if ( !intervals[eventID] ) {
+            // unscheduled meanwhile
+            return;
+        }
+        if ( paused[eventID] ) {
+            jive.logger.debug("Skipping", eventID, "paused.");
+            return;
+        }
+        run();
+    });
+};
+
+/**
+ * Runs a recurring task, if leases are off or this node holds (or acquires) the task's lease.
+ * @param {String} eventID
+ * @param {Number} duration Milliseconds until the task is next due.
+ * @param {function} run
+ */
+var whenLeaseHeld = function(eventID, duration, run) {
+    if ( !leaseOptions ) {
+        run();
+        return;
+    }
+
+    var gracePeriod = leaseOptions['gracePeriod'] === undefined ? DEFAULT_LEASE_GRACE_PERIOD : leaseOptions['gracePeriod'];
+    var acquisition = leaseAcquisitions[eventID] = lease.acquire(eventID, duration + gracePeriod).then( function(current) {
+        if ( !intervals[eventID] ) {
+            // unscheduled meanwhile
+            return;
+        }
+        leases[eventID] = current;
+        if ( current['holder'] !== lease.getNodeID() ) {
+            jive.logger.debug("Skipping", eventID, "leased by", current['holder']);
+        } else {
+            run();
+        }
+    }).fail( function(e) {
+        jive.logger.error('Failed to acquire the lease of ' + eventID, e);
+    }).then( function() {
+        if ( leaseAcquisitions[eventID] === acquisition ) {
+            delete leaseAcquisitions[eventID];
+        }
+    });
+};
+
+var shuttingDown = function(eventID) {
+    var e = new Error('Scheduler is shutting down; ' + eventID + ' not run');
+    e['code'] = 'ESHUTDOWN';
+    return e;
+};
+
+/**
+ * Drops the pending retries, rejecting the events waiting for them as not run.
+ */
+var dropRetries = function() {
+    var dropped = retryTimers;
+    retryTimers = {};
+    for ( var retryTimer in dropped ) {
+        clock.clearTimeout(dropped[retryTimer]['timer']);
+        dropped[retryTimer]['deferred'].reject( shuttingDown(dropped[retryTimer]['eventID']) );
+    }
+};
+
+var alreadyRunning = function(eventID) {
+    var e = new Error('Event ' + eventID + ' is already running; exclusive run skipped');
+    e['code'] = 'ERUNNING';
+    return e;
+};
+
+var timedOut = function(eventID, timeout) {
+    var e = new Error('Event ' + eventID + ' timed out after ' + timeout + ' ms');
+    e['code'] = 'ETIMEDOUT';
+    return e;
+};
+
 /**
- * Schedule a task.
+ * Settles as the handlers' promise, or, once the timeout passes, cancels the run and rejects with a timeout error.
+ */
+var withTimeout = function(promise, signal, eventID, timeout) {
+    if ( !timeout ) {
+        return promise;
+    }
+
+    var deferred = q.defer();
+    var timer = clock.setTimeout( function() {
+        var e = timedOut(eventID, timeout);
+        jive.logger.warn(e.message + '; cancelling it');
+        signal.cancel(e);
+        deferred.reject(e);
+    }, timeout);
+    promise.then( function(result) {
+        clock.clearTimeout(timer);
+        deferred.resolve(result);
+    }, function(e) {
+        clock.clearTimeout(timer);
+        deferred.reject(e);
+    });
+    return deferred.promise;
+};
+
+/**
+ * Wraps a callback that follows a run, so that it and the work it starts are not part of the run, and are not
+ * cancelled with it.
+ */
+var afterRun = function(fn) {
+    return function(value) {
+        return cancellation.run(null, function() {
+            return fn(value);
+        });
+    };
+};
+
+var finishRun = function(run) {
+    delete inFlightRuns[run];
+    delete signals[run];
+    if ( drained && !Object.keys(inFlightRuns).length ) {
+        drained.resolve();
+    }
+};
+
+/**
+ * Schedule a task. If a one-off event fails, it is retried according to its retry policy, and dead-lettered once
+ * that is exhausted (see {@link module:retry}); the returned promise is settled by the last attempt.
  * @memberof memoryScheduler
  * @param eventID which event to fire
  * @param context what to pass to the event
- * @param interval The interval to invoke the callback
- * @param delay The number of milliseconds after which the event will be fired for the first time.
+ * @param interval The interval to invoke the callback, in milliseconds; or a cron expression, or a cron interval
+ * ({ cron, timeZone }), to invoke it at the times the expression matches (see {@link module:cron}).
+ * @param delay The number of milliseconds after which the event will be fired for the first time. Not used with cron expressions.
  * @param exclusive If true, then will not execute if another event named with the same eventID is already executing.
+ * A one-off event skipped this way is rejected with code 'ERUNNING'.
  * @param timeout The number of milliseconds, after which the schedule will declare the event has timed out, and will fire the reject on any promise that was returned.
- * @returns {Object} Promise
+ * A run that times out is rejected with code 'ETIMEDOUT', and its cancellation signal is cancelled with that error. Each
+ * run's handlers are given a signal as context.cancellation (see {@link module:cancellation}), which also aborts the
+ * requests they make with jive.util.buildRequest.
+ * @returns {Object} Promise; rejected with code 'ESHUTDOWN' if the scheduler is draining (see drain)
  */
 function schedule(eventID, context, interval, delay, exclusive, timeout) {
     eventID = eventID || jive.util.guid();
 
+    if ( draining ) {
+        return q.reject( shuttingDown(eventID) );
+    }
+
+    if ( cron.isCron(interval) ) {
+        try {
+            interval = cron.interval(interval);
+        } catch (e) {
+            return q.reject(e);
+        }
+    }
+
     context = context || {};
     var deferred = q.defer();
     var handlers;
@@ -89,97 +319,369 @@ function schedule(eventID, context, interval, delay, exclusive, timeout) {
 
     handlers = handlers || [];
 
-    var next = function(timer, eventID) {
-        var promises = [];
+    var retryLater = function(e, attempt) {
+        var policy = retry.getPolicy(eventID);
+        if ( !policy ) {
+            return false;
+        }
+
+        if ( attempt < policy['maxAttempts'] && retry.isRetryable(e, policy) ) {
+            var wait = retry.getDelay(policy, attempt);
+            var retryTimer = ++retryTimerCount;
+            jive.logger.debug('Retrying', eventID, 'in', wait, 'ms; attempt', attempt + 1, 'of', policy['maxAttempts']);
+            retryTimers[retryTimer] = {
+                'timer' : clock.setTimeout( function() {
+                    delete retryTimers[retryTimer];
+                    next(undefined, eventID, attempt + 1);
+                }, wait),
+                'eventID' : eventID,
+                'deferred' : deferred
+            };
+        } else if ( policy['deadLetter'] ) {
+            q.fcall( function() {
+                return retry.deadLetter(eventID, context, e, attempt);
+            }).fail( function(deadLetterError) {
+                jive.logger.error('Could not dead-letter ' + eventID, deadLetterError);
+            }).finally( function() {
+                deferred.reject(e);
+            });
+        } else {
+            deferred.reject(e);
+        }
+        return true;
+    };
+
+    var next = function(timer, eventID, attempt, ran) {
+        var run = ++runCount;
+        var signal = signals[run] = cancellation.create();
+        inFlightRuns[run] = eventID;
         running[eventID] = true;
-        lastRunTs[eventID] = new Date().getTime();
+        lastRunTs[eventID] = clock.now();
 
-        handlers.forEach( function(handler) {
-            var p = handler(context);
-            if ( p && p['then'] ) {
-                promises.push(p);
-            }
-        });
+        // runs over the concurrency limits wait their turn
+        var startedAt;
+        throttle.run(eventID, context, function() {
+            var promises = [];
+            startedAt = clock.now();
 
-        q.all( promises).then(
+            // not enumerable, so that it is not stored with the context
+            Object.defineProperty(context, 'cancellation', { 'value' : signal, 'writable' : true, 'configurable' : true });
+            return cancellation.run(signal, function() {
+                handlers.forEach( function(handler) {
+                    var p = handler(context);
+                    if ( p && p['then'] ) {
+                        promises.push(p);
+                    }
+                });
+                return withTimeout(q.all(promises), signal, eventID, timeout);
+            });
+        }).then(
             // success
-            function(result ) {
+            afterRun( function(result ) {
                 result = result['forEach'] && result.length == 1 ? result[0] : result;
                 // nuke self, if no longer scheduled
                 if ( timer && eventID && !tasks[eventID] ) {
-                    clearInterval(timer);
+                    clock.clearInterval(timer);
                 }
                 delete running[eventID];
+                finishRun(run);
+                if ( interval ) {
+                    history.record(eventID, startedAt, 'success');
+                }
+                if ( ran ) {
+                    ran.resolve(result);
+                }
                 deferred.resolve(result);
-            },
+            }),
 
             // fail
-            function(e) {
+            afterRun( function(e) {
                 if ( timer && eventID && !tasks[eventID] ) {
-                    clearInterval(timer);
+                    clock.clearInterval(timer);
                 }
                 delete running[eventID];
-                deferred.reject(e);
-            }
+                finishRun(run);
+                if ( interval ) {
+                    jive.logger.warn('Task', eventID, 'failed:', history.summarize(e));
+                    history.record(eventID, startedAt || clock.now(), 'failure', e);
+                }
+                if ( ran ) {
+                    ran.reject(e);
+                }
+
+                // recurring events are not retried; they run again at their next interval
+                if ( interval || !retryLater(e, attempt || 1) ) {
+                    deferred.reject(e);
+                }
+            })
         );
     };
 
     if (interval) {
+        // for runNow
+        runners[eventID] = function() {
+            var ran = q.defer();
+            next(undefined, eventID, 1, ran);
+            return ran.promise;
+        };
+    }
+
+    if (interval && typeof interval === 'object') {
+        var fire = function() {
+            unlessPaused(eventID, function() {
+                var hasTimedOut = timeout ? clock.now() - (lastRunTs[eventID] || 0) > timeout : false;
+                if ( !running[eventID] || hasTimedOut ) {
+                    if (hasTimedOut ) {
+                        jive.logger.debug(eventID,'timed out!');
+                    }
+                    var nextRun = cron.next(interval);
+                    whenLeaseHeld(eventID, nextRun ? nextRun.getTime() - clock.now() : 0, function() {
+                        next(undefined, eventID);
+                    });
+                }
+            });
+            scheduleNext();
+        };
+        var scheduleNext = function() {
+            var nextRun = cron.setTimer(interval, fire, function(timer) {
+                tasks[eventID] = timer;
+            });
+            if ( nextRun ) {
+                nextRunTs[eventID] = nextRun.getTime();
+            } else {
+                jive.logger.warn('Cron expression for', eventID, 'never matches; not scheduled.');
+                delete tasks[eventID];
+                delete nextRunTs[eventID];
+            }
+        };
+        intervals[eventID] = interval;
+        scheduleNext();
+    }
+    else if (interval) {
         if ( !running[eventID] ) {
-            var d = delay || 1;
-            setTimeout( function() {
-                var timer = tasks[eventID] = setInterval(function() {
-                    var hasTimedOut = timeout ? new Date().getTime() - (lastRunTs[eventID] || 0) > timeout : false;
-                    if ( !running[eventID] || hasTimedOut ) {
-                        if (hasTimedOut ) {
-                            jive.logger.debug(eventID,'timed out!');
+            var d = delay - interval > 0 ? (delay - interval) : delay;
+            intervals[eventID] = interval;
+            nextRunTs[eventID] = clock.now() + (d || 0) + interval;
+            clock.setTimeout( function() {
+                var timer = tasks[eventID] = clock.setInterval(function() {
+                    nextRunTs[eventID] = clock.now() + interval;
+                    unlessPaused(eventID, function() {
+                        var hasTimedOut = timeout ? clock.now() - (lastRunTs[eventID] || 0) > timeout : false;
+                        if ( !running[eventID] || hasTimedOut ) {
+                            if (hasTimedOut ) {
+                                jive.logger.debug(eventID,'timed out!');
+                            }
+                            whenLeaseHeld(eventID, interval, function() {
+                                next(timer, eventID);
+                            });
                         }
-                        next(timer, eventID);
-                    }
+                    });
                 }, interval);
-            }, delay - interval > 0 ? (delay - interval) : delay );
+            }, d );
         } else {
             jive.logger.debug("Skipping", eventID, "already running.");
         }
     }
     else {
-        setTimeout( function() {
-            var hasTimedOut = timeout ? new Date().getTime() - (lastRunTs[eventID] || 0) > timeout : false;
+        clock.setTimeout( function() {
+            if ( draining ) {
+                // not yet started, so left out of the drain
+                deferred.reject( shuttingDown(eventID) );
+                return;
+            }
+            var hasTimedOut = timeout ? clock.now() - (lastRunTs[eventID] || 0) > timeout : false;
             if ( !exclusive || !running[eventID] || hasTimedOut ) {
                 if (hasTimedOut ) {
                     jive.logger.debug(eventID,'timed out!');
                 }
                 next(undefined, eventID);
+            } else {
+                jive.logger.debug("Skipping", eventID, "already running.");
+                deferred.reject( alreadyRunning(eventID) );
             }
         }, delay || 1);
     }
-    jive.logger.debug("Scheduled task: " + eventID, interval || "immediate");
+    jive.logger.debug("Scheduled task: " + eventID, ( interval && interval['cron'] ) || interval || "immediate");
 
     return deferred.promise;
 }
 Scheduler.prototype.schedule = schedule;
 
+var clearTask = function(eventID) {
+    clock.clearInterval(tasks[eventID]);
+    delete tasks[eventID];
+    delete nextRunTs[eventID];
+    delete intervals[eventID];
+    delete leases[eventID];
+    delete runners[eventID];
+};
+
 /**
+ * Unschedules a recurring task, releasing its lease if this node holds it.
  * @memberof memoryScheduler
  * @param eventID
  * @returns {Object} Promise
  */
 function unschedule(eventID){
-    clearInterval(tasks[eventID]);
-    delete tasks[eventID];
-    return q.resolve();
+    var acquired = leases[eventID] || leaseAcquisitions[eventID];
+    clearTask(eventID);
+    if ( !leaseOptions || !acquired ) {
+        return q.resolve();
+    }
+
+    // after any acquisition under way, which could otherwise renew the lease once released
+    return q(leaseAcquisitions[eventID]).then( function() {
+        return lease.release(eventID);
+    }).then( function() {
+        return undefined;
+    }, function(e) {
+        jive.logger.error('Failed to release the lease of ' + eventID, e);
+    });
 }
 Scheduler.prototype.unschedule = unschedule;
 
 /**
  * @memberof memoryScheduler
- * @returns {Object} Promise
+ * @param {Boolean} withNextRun Optional. If true, describes each task rather than just naming it.
+ * @returns {Array} the eventIDs of the scheduled recurring tasks; or, with withNextRun, objects with their eventID,
+ * interval (milliseconds, or { cron, timeZone }), nextRun (a Date) and paused, and with leases on, the leaseHolder and
+ * leaseExpiresAt (a Date) of the task's lease as last seen by this node
  */
-function getTasks(){
-    return Object.keys(tasks);
+function getTasks(withNextRun){
+    var eventIDs = Object.keys(tasks);
+    if ( !withNextRun ) {
+        return eventIDs;
+    }
+
+    return eventIDs.map( function(eventID) {
+        var task = {
+            'eventID' : eventID,
+            'interval' : intervals[eventID],
+            'nextRun' : nextRunTs[eventID] ? new Date(nextRunTs[eventID]) : null,
+            'paused' : !!paused[eventID]
+        };
+        if ( leaseOptions ) {
+            task['leaseHolder'] = leases[eventID] ? leases[eventID]['holder'] : null;
+            task['leaseExpiresAt'] = leases[eventID] ? new Date(leases[eventID]['expiresAt']) : null;
+        }
+        return task;
+    });
 }
 Scheduler.prototype.getTasks = getTasks;
 
+/**
+ * The status of a recurring task, with its run history (see {@link module:taskHistory}).
+ * @memberof memoryScheduler
+ * @param eventID
+ * @returns {Object} Promise resolving with { eventID, scheduled, paused, running, interval, nextRun, lastRun, lastSuccess,
+ * lastFailure, history }, where the runs are { startedAt, endedAt, duration, outcome, error } and history is newest
+ * first
+ */
+function getTaskStatus( eventID ) {
+    var status = {
+        'eventID' : eventID,
+        'scheduled' : !!tasks[eventID],
+        'paused' : !!paused[eventID],
+        'running' : !!running[eventID],
+        'interval' : intervals[eventID],
+        'nextRun' : nextRunTs[eventID] ? new Date(nextRunTs[eventID]) : null
+    };
+
+    return history.find(eventID).then( function(runs) {
+        var latest = function(outcome) {
+            return runs.filter( function(run) {
+                return !outcome || run['outcome'] === outcome;
+            })[0] || null;
+        };
+
+        status['lastRun'] = latest();
+        status['lastSuccess'] = latest('success');
+        status['lastFailure'] = latest('failure');
+        status['history'] = runs;
+        return status;
+    });
+}
+Scheduler.prototype.getTaskStatus = getTaskStatus;
+
+/**
+ * Pauses a recurring task: it stays scheduled, but its runs are skipped until it is resumed. The pause is kept in
+ * persistence, so that it outlasts a restart; other nodes pick it up when they next start.
+ * @memberof memoryScheduler
+ * @param eventID
+ * @returns {Object} Promise resolving with { eventID, paused }
+ */
+function pause( eventID ) {
+    paused[eventID] = true;
+    jive.logger.info('Paused task', eventID);
+
+    return q.fcall( function() {
+        return jive.context.persistence.save(PAUSED_COLLECTION, eventID, {
+            'id' : eventID, 'pausedAt' : clock.now()
+        });
+    }).fail( function(e) {
+        jive.logger.warn('Failed to store the pause of task ' + eventID + '; it will not outlast a restart', e);
+    }).then( function() {
+        return { 'eventID' : eventID, 'paused' : true };
+    });
+}
+Scheduler.prototype.pause = pause;
+
+/**
+ * Resumes a paused recurring task, from its next due run.
+ * @memberof memoryScheduler
+ * @param eventID
+ * @returns {Object} Promise resolving with { eventID, paused }
+ */
+function resume( eventID ) {
+    delete paused[eventID];
+    jive.logger.info('Resumed task', eventID);
+
+    return q.fcall( function() {
+        return jive.context.persistence.remove(PAUSED_COLLECTION, eventID);
+    }).fail( function(e) {
+        jive.logger.warn('Failed to remove the stored pause of task ' + eventID, e);
+    }).then( function() {
+        return { 'eventID' : eventID, 'paused' : false };
+    });
+}
+Scheduler.prototype.resume = resume;
+
+/**
+ * Runs a recurring task straight away, even if it is paused, or its lease is held by another node. Its schedule is
+ * unchanged.
+ * @memberof memoryScheduler
+ * @param eventID
+ * @returns {Object} Promise resolving with the result of the run; rejected with code 'ENOTFOUND' if the task is not
+ * scheduled, or 'ERUNNING' if it is already running
+ */
+function runNow( eventID ) {
+    var e;
+    if ( !runners[eventID] ) {
+        e = new Error('Task ' + eventID + ' is not scheduled');
+        e['code'] = 'ENOTFOUND';
+        return q.reject(e);
+    }
+    if ( running[eventID] ) {
+        e = new Error('Task ' + eventID + ' is already running');
+        e['code'] = 'ERUNNING';
+        return q.reject(e);
+    }
+
+    jive.logger.info('Running task', eventID, 'now');
+    return runners[eventID]();
+}
+Scheduler.prototype.runNow = runNow;
+
+/**
+ * For monitoring; see {@link module:throttle.getQueueDepths}.
+ * @memberof memoryScheduler
+ * @returns {Object} the numbers of event runs waiting on the concurrency limits, and in flight
+ */
+function getQueueDepths() {
+    return throttle.getQueueDepths();
+}
+Scheduler.prototype.getQueueDepths = getQueueDepths;
+
 /**
  * @memberof memoryScheduler
  * @param eventID
@@ -198,17 +700,77 @@ function isScheduled( eventID ) {
 Scheduler.prototype.isScheduled = isScheduled;
 
 /**
+ * Stops scheduling runs, and waits for the runs in flight (including those queued by the concurrency limits) to
+ * settle. Recurring tasks are no longer run, and events scheduled from then on, not yet started, or waiting for a
+ * retry (which is dropped) are rejected with code 'ESHUTDOWN'. Call shutdown afterwards.
+ * @memberof memoryScheduler
+ * @param {Number} deadline Optional. Milliseconds after which to stop waiting.
+ * @returns {Object} Promise resolving with the eventIDs of the runs still in flight: none, unless the deadline passed
+ */
+function drain( deadline ) {
+    draining = true;
+    dropRetries();
+    this.getTasks().forEach(function(taskKey){
+        clearTask(taskKey);
+    });
+
+    var pending = function() {
+        return Object.keys(inFlightRuns).map( function(run) {
+            return inFlightRuns[run];
+        });
+    };
+    if ( !pending().length ) {
+        return q.resolve([]);
+    }
+
+    jive.logger.info('Waiting for', pending().length, 'event run(s) in flight');
+    drained = drained || q.defer();
+    var deferred = q.defer();
+    var timer = deadline === undefined ? null : clock.setTimeout( function() {
+        deferred.resolve(pending());
+    }, deadline);
+    drained.promise.then( function() {
+        clock.clearTimeout(timer);
+        deferred.resolve([]);
+    });
+    return deferred.promise;
+}
+Scheduler.prototype.drain = drain;
+
+/**
+ * Stops running tasks, and cancels the runs still in flight. Leases held are not released, but lapse at the end of their grace period, since persistence
+ * may already be closed.
  * @memberof memoryScheduler
  * @returns {Object} Promise
  */
 function shutdown(){
-    var scheduler = this;
+    if ( owner && owner !== this ) {
+        // the state is another's
+        return q.resolve();
+    }
+    owner = null;
+
     eventHandlerMap = {};
     running = {};
     lastRunTs = {};
+    dropRetries();
+    throttle.clear();
     this.getTasks().forEach(function(taskKey){
-        scheduler.unschedule(taskKey);
+        clearTask(taskKey);
     });
+    for ( var run in signals ) {
+        // still in flight, eg. past the drain's deadline
+        var e = new Error('Scheduler shut down; run of ' + inFlightRuns[run] + ' cancelled');
+        e['code'] = 'ESHUTDOWN';
+        signals[run].cancel(e);
+    }
+    signals = {};
+    leases = {};
+    leaseOptions = null;
+    paused = {};
+    inFlightRuns = {};
+    draining = false;
+    drained = null;
 
     return q.resolve();
 }
@@ -0,0 +1,254 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Concurrency limits for the events run by the scheduler. Runs are limited by a global maximum in flight, a maximum
+ * per eventID, and a token bucket per jive community (the rate at which each community's events may start). Runs
+ * over a limit wait in a queue, in the order they were due, and start as soon as the limits allow; a run held up by
+ * one limit does not hold up runs that are within theirs.
+ * <br><br>
+ * A run's community is the jiveCommunity of its context, or of the tileInstance (or theInstance) in its context.
+ * Runs with no community are not rate limited. Nothing is limited until limits are configured, with the concurrency
+ * service option or {@link module:throttle.configure}. Example Usage:
+ * <pre>
+ *     jive.throttle.configure( {
+ *         'maxInFlight' : 50,
+ *         'perEvent' : { 'pushDataToJive' : 20, 'default' : 10 },
+ *         'perCommunity' : { 'rate' : 5, 'burst' : 10 }
+ *     });
+ *
+ *     jive.throttle.getQueueDepths();   // { 'queued' : 120, 'inFlight' : 50, ... }
+ * </pre>
+ * @module throttle
+ */
+
+var q = require('q');
+var clock = require('../util/clock');
+
+var limits = null;
+var queue = [];
+var inFlight = 0;
+var inFlightByEvent = {};
+var buckets = {};
+var drainTimer = null;
+var generation = 0;
+
+/**
+ * Sets the limits; null removes them, and starts any queued runs.
+ * @param {Object} _limits
+ * @param {Number} _limits.maxInFlight Optional. Maximum number of runs in flight.
+ * @param {Object} _limits.perEvent Optional. Maximum number of runs in flight by eventID; 'default' applies to the
+ * events not listed.
+ * @param {Object} _limits.perCommunity Optional. Token bucket of each community.
+ * @param {Number} _limits.perCommunity.rate Number of runs per second that each community's events may start.
+ * @param {Number} _limits.perCommunity.burst Optional. Number of runs that may start at once after a quiet spell;
+ * defaults to the rate.
+ */
+exports.configure = function(_limits) {
+    if ( _limits && _limits['perCommunity'] && !( _limits['perCommunity']['rate'] > 0 ) ) {
+        throw new Error('Invalid concurrency limits: perCommunity.rate must be greater than 0');
+    }
+    limits = _limits || null;
+    buckets = {};
+    drain();
+};
+
+/**
+ * @returns {Object} the limits, or null if there are none
+ */
+exports.getLimits = function() {
+    return limits;
+};
+
+var getCommunity = function(context) {
+    if ( !context ) {
+        return undefined;
+    }
+    var instance = context['tileInstance'] || context['theInstance'];
+    return context['jiveCommunity'] || ( instance ? instance['jiveCommunity'] : undefined );
+};
+
+var getEventLimit = function(eventID) {
+    var perEvent = limits['perEvent'];
+    if ( !perEvent ) {
+        return undefined;
+    }
+    return perEvent.hasOwnProperty(eventID) ? perEvent[eventID] : perEvent['default'];
+};
+
+var getBucket = function(community) {
+    var perCommunity = limits['perCommunity'];
+    var burst = perCommunity['burst'] || perCommunity['rate'];
+    var now = clock.now();
+    var bucket = buckets[community];
+
+    if ( !bucket ) {
+        bucket = buckets[community] = { 'tokens' : burst, 'refilledAt' : now };
+    } else {
+        bucket['tokens'] = Math.min( burst, bucket['tokens'] + ( now - bucket['refilledAt'] ) * perCommunity['rate'] / 1000 );
+        bucket['refilledAt'] = now;
+    }
+    return bucket;
+};
+
+/**
+ * Milliseconds until the run may start, or 0 if it may start now; -1 if it waits on a run in flight to finish.
+ */
+var getWait = function(run) {
+    if ( limits['maxInFlight'] && inFlight >= limits['maxInFlight'] ) {
+        return -1;
+    }
+
+    var eventLimit = getEventLimit(run['eventID']);
+    if ( eventLimit && ( inFlightByEvent[run['eventID']] || 0 ) >= eventLimit ) {
+        return -1;
+    }
+
+    if ( limits['perCommunity'] && run['community'] ) {
+        var bucket = getBucket(run['community']);
+        if ( bucket['tokens'] < 1 ) {
+            return Math.ceil( ( 1 - bucket['tokens'] ) * 1000 / limits['perCommunity']['rate'] );
+        }
+    }
+    return 0;
+};
+
+var start = function(run) {
+    var runGeneration = generation;
+    var eventID = run['eventID'];
+
+    inFlight++;
+    inFlightByEvent[eventID] = ( inFlightByEvent[eventID] || 0 ) + 1;
+    if ( limits && limits['perCommunity'] && run['community'] ) {
+        getBucket(run['community'])['tokens']--;
+    }
+
+    var finish = function() {
+        if ( runGeneration !== generation ) {
+            // cleared meanwhile
+            return;
+        }
+        inFlight--;
+        if ( --inFlightByEvent[eventID] < 1 ) {
+            delete inFlightByEvent[eventID];
+        }
+        drain();
+    };
+
+    var result;
+    try {
+        result = q( run['fn']() );
+    } catch (e) {
+        result = q.reject(e);
+    }
+    result.then(finish, finish);
+    run['deferred'].resolve(result);
+};
+
+var drain = function() {
+    if ( drainTimer ) {
+        clock.clearTimeout(drainTimer);
+        drainTimer = null;
+    }
+
+    var soonest;
+    queue = queue.filter( function(run) {
+        var wait = limits ? getWait(run) : 0;
+        if ( wait === 0 ) {
+            start(run);
+            return false;
+        }
+        if ( wait > 0 && ( soonest === undefined || wait < soonest ) ) {
+            soonest = wait;
+        }
+        return true;
+    });
+
+    if ( soonest !== undefined ) {
+        // a community's bucket refills
+        drainTimer = clock.setTimeout(drain, soonest);
+    }
+};
+
+/**
+ * Runs a function within the limits: straight away if they allow it, or once they do.
+ * @param {String} eventID
+ * @param {Object} context The context of the event; gives its community.
+ * @param {function} fn Runs the event; may return a promise, which the run is in flight until settled.
+ * @returns {Promise} Promise settled as fn's result
+ */
+exports.run = function(eventID, context, fn) {
+    if ( !limits ) {
+        // unlimited, so run synchronously, as without limits
+        return q( fn() );
+    }
+
+    var run = {
+        'eventID' : eventID,
+        'community' : getCommunity(context),
+        'fn' : fn,
+        'deferred' : q.defer()
+    };
+
+    if ( !queue.length && getWait(run) === 0 ) {
+        start(run);
+    } else {
+        queue.push(run);
+        drain();
+    }
+    return run['deferred'].promise;
+};
+
+/**
+ * For monitoring.
+ * @returns {Object} the number of runs queued and in flight: { queued, inFlight, queuedByEvent, inFlightByEvent,
+ * queuedByCommunity }
+ */
+exports.getQueueDepths = function() {
+    var depths = {
+        'queued' : queue.length,
+        'inFlight' : inFlight,
+        'queuedByEvent' : {},
+        'inFlightByEvent' : {},
+        'queuedByCommunity' : {}
+    };
+
+    queue.forEach( function(run) {
+        depths['queuedByEvent'][run['eventID']] = ( depths['queuedByEvent'][run['eventID']] || 0 ) + 1;
+        if ( run['community'] ) {
+            depths['queuedByCommunity'][run['community']] = ( depths['queuedByCommunity'][run['community']] || 0 ) + 1;
+        }
+    });
+    for ( var eventID in inFlightByEvent ) {
+        depths['inFlightByEvent'][eventID] = inFlightByEvent[eventID];
+    }
+    return depths;
+};
+
+/**
+ * Drops the queued runs (which are then never settled) and forgets the runs in flight. The limits are kept.
+ */
+exports.clear = function() {
+    if ( drainTimer ) {
+        clock.clearTimeout(drainTimer);
+        drainTimer = null;
+    }
+    queue = [];
+    inFlight = 0;
+    inFlightByEvent = {};
+    buckets = {};
+    generation++;
+};
@@ -14,18 +14,27 @@
  *    limitations under the License.
  */
 
+var q = require('q');
 var jive = require('../../api');
+var cron = require('../scheduler/cron');
 
-var task = function( _runnable, _interval, _id ) {
+var task = function( _runnable, _interval, _id, _timeZone ) {
     if ( !_runnable ) {
         throw 'A runnable function is required!';
     }
 
-    return {
+    // fail early on a bad cron expression or time zone
+    cron.interval(_interval, _timeZone);
+
+    var built = {
         'handler' : _runnable,
         'interval': _interval,
         'id'      : _id
     };
+    if ( _timeZone ) {
+        built['timeZone'] = _timeZone;
+    }
+    return built;
 };
 
 /**
@@ -35,20 +44,31 @@ var task = function( _runnable, _interval, _id ) {
 
 /**
  * Schedules a recurrent task.
+ * <br>
+ * Example Usage:<br>
+ * <pre>
+ *     // every weekday at 6am, New York time
+ *     var task = jive.tasks.build( sendReport, '0 6 * * MON-FRI', 'dailyReport', 'America/New_York' );
+ * </pre>
  * @param {function} handler Required. This function is invoked when the task scheduling condtions are met.
- * @param {number} interval Optional. Number of milliseconds in between recurrences of the handler being invoked.
+ * @param {number|String} interval Optional. Number of milliseconds in between recurrences of the handler being invoked;
+ * or a cron expression (see {@link module:cron}).
  * @param {String} id Optional. Unique identifier for the task.
- * @returns {Object} a task object wrapping the provided parameters (handler, interval, id).
+ * @param {String} timeZone Optional. IANA time zone of the cron expression; defaults to the server's.
+ * @returns {Object} a task object wrapping the provided parameters (handler, interval, id, timeZone).
+ * @throws {Error} if the cron expression or time zone is invalid
  */
-exports.build = function(handler, interval, id) {
-    return new task( handler, interval, id );
+exports.build = function(handler, interval, id, timeZone) {
+    return new task( handler, interval, id, timeZone );
 };
 
 /**
  * @param {Object} task Required. Wrapper object for task characteristics.
  * @param {function} task.handler Required. This function is invoked when the task scheduling conditions are met.
- * @param {number} task.interval Optional. Number of milliseconds in between recurrences of the handler being invoked.
+ * @param {number|String} task.interval Optional. Number of milliseconds in between recurrences of the handler being invoked;
+ * or a cron expression.
  * @param {String} task.id Optional. Unique identifier for the task.
+ * @param {String} task.timeZone Optional. Time zone of the cron expression.
  * @param {Object} scheduler Required. A scheduler strategy, similar to @see {@link memoryScheduler}.
  * @returns {Promise} Promise Promise .resolve and .reject handlers will be called depending on the success or failure of the handler
  * function when it is invoked.
@@ -68,9 +88,48 @@ exports.schedule = function( task, scheduler ) {
 
     var eventID = task['id'] || jive.util.guid();
     var context = { 'eventListener' : '__jive_system_tasks' };
-    var interval = task['interval'];
+    var interval = cron.interval(task['interval'], task['timeZone']);
     jive.events.registerEventListener( eventID, task['handler'], {
         'eventListener' : '__jive_system_tasks'
     });
     return scheduler.schedule(eventID, context, interval);
 };
+
+var control = function( method, id, scheduler ) {
+    scheduler = scheduler || jive.context.scheduler;
+    if ( !scheduler || typeof scheduler[method] !== 'function' ) {
+        return q.reject( new Error("Invalid scheduler - does not support " + method + ".") );
+    }
+    return scheduler[method](id);
+};
+
+/**
+ * Pauses a recurring task: its runs are skipped until it is resumed. The pause outlasts a restart.
+ * @param {String} id Required. The task's id (its eventID).
+ * @param {Object} scheduler Optional. Defaults to jive.context.scheduler.
+ * @returns {Promise} Promise resolving with { eventID, paused }
+ */
+exports.pause = function( id, scheduler ) {
+    return control( 'pause', id, scheduler );
+};
+
+/**
+ * Resumes a paused recurring task.
+ * @param {String} id Required. The task's id (its eventID).
+ * @param {Object} scheduler Optional. Defaults to jive.context.scheduler.
+ * @returns {Promise} Promise resolving with { eventID, paused }
+ */
+exports.resume = function( id, scheduler ) {
+    return control( 'resume', id, scheduler );
+};
+
+/**
+ * Runs a recurring task straight away, whether or not it is paused.
+ * @param {String} id Required. The task's id (its eventID).
+ * @param {Object} scheduler Optional. Defaults to jive.context.scheduler.
+ * @returns {Promise} Promise resolving with the result of the run; rejected with code 'ENOTFOUND' if the task is
+ * not scheduled, or 'ERUNNING' if it is already running
+ */
+exports.runNow = function( id, scheduler ) {
+    return control( 'runNow', id, scheduler );
+};
@@ -0,0 +1,282 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * A fake clock for tests, which stands still until advanced by hand. Installed in place of the system clock (see
+ * {@link module:clock}), it drives the scheduler, iterators and file persistence, so that recurring tasks and paced
+ * iteration can be tested without waiting. Example Usage:
+ * <pre>
+ *     var clock = jive.testing.clock.install();
+ *     jive.context.scheduler.schedule('refresh', {}, 60 * 1000);
+ *
+ *     clock.advance(5 * 60 * 1000).then( function() {
+ *         // 'refresh' has run 5 times
+ *         clock.uninstall();
+ *     });
+ * </pre>
+ * @module testingClock
+ */
+
+///////////////////////////////////////////////////////////////////////////////////
+// private
+
+var q = require('q');
+var clock = require('../util/clock');
+
+/**
+ * @class FakeClock
+ * @param {Number|Date} now Optional; the time to start at, defaults to the current time.
+ */
+function FakeClock(now) {
+    this.time = now instanceof Date ? now.getTime() : ( typeof now === 'number' ? now : new Date().getTime() );
+    this.timers = [];
+    this.timerCount = 0;
+    return this;
+}
+
+var addTimer = function(fakeClock, fn, ms, repeat) {
+    ms = Math.max( Number(ms) || 0, 1 );
+    var timer = {
+        'id' : ++fakeClock.timerCount,
+        'fn' : fn,
+        'at' : fakeClock.time + ms,
+        'interval' : repeat ? ms : undefined,
+        'fake' : true
+    };
+    fakeClock.timers.push(timer);
+    return timer;
+};
+
+var removeTimer = function(fakeClock, timer) {
+    if ( !timer || !timer['fake'] ) {
+        // set before the fake clock was installed
+        clock.system.clearTimeout(timer);
+        return;
+    }
+    var index = fakeClock.timers.indexOf(timer);
+    if ( index > -1 ) {
+        fakeClock.timers.splice(index, 1);
+    }
+};
+
+/**
+ * The timer due soonest, up to the given time; of those due at once, the one set first.
+ */
+var nextDue = function(fakeClock, until) {
+    var due = null;
+    fakeClock.timers.forEach( function(timer) {
+        if ( timer['at'] <= until && ( !due || timer['at'] < due['at'] ||
+            ( timer['at'] === due['at'] && timer['id'] < due['id'] ) ) ) {
+            due = timer;
+        }
+    });
+    return due;
+};
+
+var fire = function(fakeClock, timer) {
+    fakeClock.time = timer['at'];
+    if ( timer['interval'] ) {
+        timer['at'] += timer['interval'];
+    } else {
+        removeTimer(fakeClock, timer);
+    }
+    timer['fn']();
+};
+
+/**
+ * @memberof FakeClock
+ * @returns {Number} the fake time, in milliseconds since the epoch
+ */
+FakeClock.prototype.now = function() {
+    return this.time;
+};
+
+/**
+ * @memberof FakeClock
+ */
+FakeClock.prototype.setTimeout = function(fn, ms) {
+    return addTimer(this, fn, ms, false);
+};
+
+/**
+ * @memberof FakeClock
+ */
+FakeClock.prototype.clearTimeout = function(timer) {
+    removeTimer(this, timer);
+};
+
+/**
+ * @memberof FakeClock
+ */
+FakeClock.prototype.setInterval = function(fn, ms) {
+    return addTimer(this, fn, ms, true);
+};
+
+/**
+ * @memberof FakeClock
+ */
+FakeClock.prototype.clearInterval = function(timer) {
+    removeTimer(this, timer);
+};
+
+/**
+ * @memberof FakeClock
+ * @returns {Number} the number of timers set and not yet fired or cleared
+ */
+FakeClock.prototype.pending = function() {
+    return this.timers.length;
+};
+
+/**
+ * Moves the time forward, firing the timers that fall due on the way, in order, each at its own time. Promise
+ * callbacks do not run until the tick is over; use advance for timers set by them.
+ * @memberof FakeClock
+ * @param {Number} ms
+ */
+FakeClock.prototype.tick = function(ms) {
+    var until = this.time + ms;
+    var timer;
+    while ( ( timer = nextDue(this, until) ) ) {
+        fire(this, timer);
+    }
+    this.time = until;
+};
+
+/**
+ * Moves the time forward like tick, but lets pending promise callbacks run after each timer fires, so that timers
+ * set by them fire as well. Callbacks waiting on real I/O, eg. on files, or on real timers, may not have run by then.
+ * @memberof FakeClock
+ * @param {Number} ms
+ * @returns {Promise} Promise resolving once the time has moved forward
+ */
+FakeClock.prototype.advance = function(ms) {
+    var fakeClock = this;
+    var until = this.time + ms;
+
+    var step = function() {
+        return settle().then( function() {
+            var timer = nextDue(fakeClock, until);
+            if ( !timer ) {
+                fakeClock.time = until;
+                return settle();
+            }
+            fire(fakeClock, timer);
+            return step();
+        });
+    };
+    return step();
+};
+
+/**
+ * Puts this clock in place of the system clock.
+ * @memberof FakeClock
+ * @returns {FakeClock} this
+ */
+FakeClock.prototype.install = function() {
+    clock.use(this);
+    return this;
+};
+
+/**
+ * Puts the system clock back, dropping the timers still set.
+ * @memberof FakeClock
+ */
+FakeClock.prototype.uninstall = function() {
+    this.timers = [];
+    if ( clock.get() === this ) {
+        clock.use(clock.system);
+    }
+};
+
+var createHook;
+try {
+    createHook = require('async_hooks').createHook;
+} catch (e) {
+    // not available on this version of node; settle then waits for a single turn
+}
+
+/**
+ * Immediates set and not yet run while settling, but for the turns of settle itself; q runs each promise callback in
+ * an immediate of its own.
+ */
+var pending = {};
+var settling = 0;
+var ownTurn = false;
+var hook = createHook ? createHook({
+    'init' : function(asyncId, type) {
+        if ( type === 'Immediate' && !ownTurn ) {
+            pending[asyncId] = true;
+        }
+    },
+    'before' : function(asyncId) {
+        delete pending[asyncId];
+    },
+    'destroy' : function(asyncId) {
+        delete pending[asyncId];
+    }
+}) : null;
+
+/**
+ * Waits until no promise callbacks are left to run, ie. no immediates are set but the one waiting.
+ */
+var settle = function() {
+    var deferred = q.defer();
+    if ( hook && settling++ === 0 ) {
+        hook.enable();
+    }
+
+    var next = function() {
+        ownTurn = true;
+        try {
+            setImmediate(turn);
+        } finally {
+            ownTurn = false;
+        }
+    };
+    var turn = function() {
+        if ( hook && Object.keys(pending).length > 0 ) {
+            next();
+            return;
+        }
+        if ( hook && --settling === 0 ) {
+            hook.disable();
+            pending = {};
+        }
+        deferred.resolve();
+    };
+    next();
+    return deferred.promise;
+};
+
+///////////////////////////////////////////////////////////////////////////////////
+// public
+
+/**
+ * @param {Number|Date} now Optional; the time to start at, defaults to the current time.
+ * @returns {FakeClock} a fake clock, not yet installed
+ */
+exports.create = function(now) {
+    return new FakeClock(now);
+};
+
+/**
+ * Creates a fake clock, and puts it in place of the system clock until uninstalled.
+ * @param {Number|Date} now Optional; the time to start at, defaults to the current time.
+ * @returns {FakeClock} the fake clock
+ */
+exports.install = function(now) {
+    return exports.create(now).install();
+};
@@ -106,8 +106,17 @@ var accessTokenRefresher = function(operationContext, oauth) {
                                 'refreshToken' : instance['refreshToken']
                             };
 
-                            instanceLibrary.save(instance).then(function() {
+                            // only the tokens change; keep anything saved concurrently (eg. a config update)
+                            instanceLibrary.updateWithRetry(instance['id'], function(latest) {
+                                latest = latest || instance;
+                                latest['accessToken'] = instance['accessToken'];
+                                latest['expiresIn'] = instance['expiresIn'];
+                                latest['refreshToken'] = instance['refreshToken'];
+                                return latest;
+                            }).then(function() {
                                 d.resolve(updatedOAuth);
+                            }, function(e) {
+                                d.reject(e);
                             });
                         } else {
                             jive.logger.error('error refreshing access token for ', instance);
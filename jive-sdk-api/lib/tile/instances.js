@@ -26,6 +26,7 @@
 var q = require('q');
 var jive = require('../../api');
 var jiveClient = require('./../client/jive');
+var persistenceBase = require('../persistence/persistence-base');
 
 var returnOne = function(found ) {
     if ( found == null || found.length < 1 ) {
@@ -63,6 +64,19 @@ exports.save = function (instance) {
     return this.persistence().save(this.getCollection(), instance.id, instance );
 };
 
+/**
+ * Applies a change to the latest persisted version of an instance and saves it, using the persistence strategy's
+ * optimistic concurrency support (if any): if the instance is saved by someone else in the meantime, the change is
+ * applied again to the newer version.
+ * @param {String} instanceID
+ * @param {function} modify Receives a copy of the persisted instance (or null if it does not exist), and returns the
+ * instance to save, or null to leave it unchanged.
+ * @returns {Promise} Promise resolved with the saved instance
+ */
+exports.updateWithRetry = function (instanceID, modify) {
+    return persistenceBase.updateWithRetry(this.persistence(), this.getCollection(), instanceID, modify);
+};
+
 /**
  * Find instances in persistence using the provided key-value criteria map. For example:
  * <pre>
@@ -164,6 +178,44 @@ exports.findAll = function (cursor) {
     return this.find( null, false, cursor );
 };
 
+/**
+ * Counts the instances in persistence that match the provided key-value criteria map (@see {@link abstractInstances:find}).
+ * The collection that is searched is defined in subclasses of this class (@see {@link abstractInstances:getCollection}).
+ * @param {Object} keyValues Optional; if omitted, all instances are counted.
+ * @returns {Promise} Promise resolved with the number of matching instances
+ */
+exports.count = function (keyValues) {
+    return jive.persistenceAggregation.count(this.persistence(), this.getCollection(), keyValues);
+};
+
+/**
+ * Counts the instances of the given definition name (the 'name' attribute), optionally only those in a community
+ * (the 'jiveCommunity' attribute).
+ * @param {String} definitionName
+ * @param {String} communityName Optional.
+ * @returns {Promise} Promise resolved with the number of matching instances
+ */
+exports.countByDefinitionName = function (definitionName, communityName) {
+    var keyValues = { "name" : definitionName };
+    if ( communityName ) {
+        keyValues["jiveCommunity"] = communityName;
+    }
+    return this.count(keyValues);
+};
+
+/**
+ * Counts the instances per definition name and community.
+ * @returns {Promise} Promise resolved with an array of { name, jiveCommunity, count }
+ */
+exports.countByDefinitionAndCommunity = function () {
+    return jive.persistenceAggregation.group(this.persistence(), this.getCollection(), [ "name", "jiveCommunity" ])
+        .then( function( groups ) {
+            return groups.map( function( group ) {
+                return { "name" : group.key[0], "jiveCommunity" : group.key[1], "count" : group.value };
+            });
+        });
+};
+
 /**
  * Removes an instance from persistence with the specified id (attribute 'id').
  * The collection that is searched is defined in subclasses of this class (@see {@link abstractInstances:getCollection}).
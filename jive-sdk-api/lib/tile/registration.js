@@ -40,12 +40,16 @@ exports.registration = function(context) {
             // the instance exists
             // update the config only
             if (tileInstance) {
-                // update the config
-                tileInstance['config'] = config;
-
-                instanceLibrary.save(tileInstance).then(function () {
-                    jive.events.emit("updateInstance", tileInstance);
-                    deferred.resolve(tileInstance);
+                // update the config, without clobbering concurrent changes (eg. refreshed tokens)
+                instanceLibrary.updateWithRetry(tileInstance['id'], function(latest) {
+                    latest = latest || tileInstance;
+                    latest['config'] = config;
+                    return latest;
+                }).then(function (updated) {
+                    jive.events.emit("updateInstance", updated);
+                    deferred.resolve(updated);
+                }, function (e) {
+                    deferred.reject(e);
                 });
 
             } else {
@@ -58,26 +62,42 @@ exports.registration = function(context) {
                         }
 
                         jive.logger.info("registered instance", tileInstance);
-                        instanceLibrary.save(tileInstance).then(function () {
-                            jive.events.emit("newInstance", tileInstance);
-                            var jiveCommunity = tileInstance['jiveCommunity'];
+                        if (!tileInstance['id']) {
+                            tileInstance['id'] = jive.util.guid();
+                        }
+
+                        var jiveCommunity = tileInstance['jiveCommunity'];
+                        var operations = [ {
+                            'op' : 'save', 'collection' : instanceLibrary.getCollection(),
+                            'key' : tileInstance['id'], 'data' : tileInstance
+                        } ];
+
+                        var communityLookup = jiveCommunity ? jive.community.findByCommunity(jiveCommunity) : q.resolve();
+                        communityLookup.then( function( community ) {
                             if (jiveCommunity) {
-                                jive.community.findByCommunity(jiveCommunity).then( function( community ) {
-                                    if ( !jiveUrl ) {
-                                        // try to derive jiveURL from push URL
-                                        jiveUrl = pushUrl.split('/api')[0];
-                                    }
-
-                                    community = community || {};
-                                    community['jiveUrl'] = jiveUrl;
-                                    community['jiveCommunity'] = jiveCommunity;
-                                    jive.community.save(community).then(function () {
-                                        deferred.resolve(tileInstance);
-                                    });
-                                });
-                            } else {
-                                deferred.resolve();
+                                if ( !jiveUrl ) {
+                                    // try to derive jiveURL from push URL
+                                    jiveUrl = pushUrl.split('/api')[0];
+                                }
+
+                                community = community || {};
+                                community['jiveUrl'] = jiveUrl;
+                                community['jiveCommunity'] = jiveCommunity;
+                                if ( community['tenantId'] && !tileInstance['tenantId'] ) {
+                                    // so that the instance is seen through the tenant's scoped persistence
+                                    tileInstance['tenantId'] = community['tenantId'];
+                                }
+                                operations.push( { 'op' : 'save', 'collection' : 'community', 'key' : jiveUrl, 'data' : community } );
                             }
+
+                            // save the instance and its community together, so that a failure leaves neither behind
+                            return jive.persistenceBatch.run(jive.context.persistence, operations);
+                        }).then(function () {
+                            jive.events.emit("newInstance", tileInstance);
+                            deferred.resolve(jiveCommunity ? tileInstance : undefined);
+                        }, function (e) {
+                            jive.logger.error('Failed to save registered instance', e);
+                            deferred.reject({ status: 500, 'error': 'Failed to register', 'detail': e });
                         });
 
                     },
@@ -0,0 +1,152 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Cancellation signals, with which work that is no longer wanted (eg. a scheduled handler that has timed out) is
+ * told to stop. The scheduler gives each run of an event's handlers a signal, as context.cancellation; requests made
+ * with jive.util.buildRequest while the handlers run are aborted when it is cancelled. Example Usage:
+ * <pre>
+ *     jive.events.registerEventListener('syncContacts', function(context) {
+ *         var cancellation = context['cancellation'];
+ *         return fetchPage(1).then( function(page) {
+ *             cancellation.throwIfCancelled();
+ *             return savePage(page);
+ *         });
+ *     });
+ * </pre>
+ * @module cancellation
+ */
+
+///////////////////////////////////////////////////////////////////////////////////
+// private
+
+var AsyncLocalStorage;
+try {
+    AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+} catch (e) {
+    // not available on this version of node; signals must then be passed explicitly
+}
+
+var storage = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+var current;
+
+/**
+ * @class Cancellation
+ */
+function Cancellation() {
+    this.cancelled = false;
+    this.reason = undefined;
+    this.listeners = [];
+    return this;
+}
+
+/**
+ * Cancels, and calls the listeners with the reason; only the first call has any effect.
+ * @memberof Cancellation
+ * @param reason Optional; what the work is cancelled with, typically an Error.
+ */
+Cancellation.prototype.cancel = function(reason) {
+    if ( this.cancelled ) {
+        return;
+    }
+    this.cancelled = true;
+    this.reason = reason;
+
+    var listeners = this.listeners;
+    this.listeners = [];
+    listeners.forEach( function(listener) {
+        listener(reason);
+    });
+};
+
+/**
+ * @memberof Cancellation
+ * @returns {Boolean} whether it has been cancelled
+ */
+Cancellation.prototype.isCancelled = function() {
+    return this.cancelled;
+};
+
+/**
+ * @memberof Cancellation
+ * @param {function} listener Called with the reason on cancellation; straight away, if already cancelled.
+ */
+Cancellation.prototype.onCancel = function(listener) {
+    if ( this.cancelled ) {
+        listener(this.reason);
+    } else {
+        this.listeners.push(listener);
+    }
+};
+
+/**
+ * @memberof Cancellation
+ * @param {function} listener Added with onCancel.
+ */
+Cancellation.prototype.removeListener = function(listener) {
+    var index = this.listeners.indexOf(listener);
+    if ( index > -1 ) {
+        this.listeners.splice(index, 1);
+    }
+};
+
+/**
+ * Throws the reason, if cancelled.
+ * @memberof Cancellation
+ */
+Cancellation.prototype.throwIfCancelled = function() {
+    if ( this.cancelled ) {
+        throw this.reason;
+    }
+};
+
+///////////////////////////////////////////////////////////////////////////////////
+// public
+
+/**
+ * @returns {Cancellation} a new signal, not cancelled
+ */
+exports.create = function() {
+    return new Cancellation();
+};
+
+/**
+ * Calls a function, making the signal current for the work it starts, including its promise callbacks and timers.
+ * Where node does not support it, the signal is current only while the function itself runs.
+ * @param {Cancellation} cancellation Null, to start work that is not part of the work under way.
+ * @param {function} fn
+ * @returns what fn returns
+ */
+exports.run = function(cancellation, fn) {
+    if ( storage ) {
+        return storage.run(cancellation, fn);
+    }
+
+    var previous = current;
+    current = cancellation;
+    try {
+        return fn();
+    } finally {
+        current = previous;
+    }
+};
+
+/**
+ * @returns {Cancellation} the signal of the work under way, if any (see run)
+ */
+exports.current = function() {
+    return storage ? storage.getStore() : current;
+};
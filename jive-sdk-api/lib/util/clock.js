@@ -0,0 +1,108 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * The clock by which the scheduler, iterators and file persistence tell the time and set their timers. It is the
+ * system clock, unless another is put in its place, eg. the fake clock of {@link module:testingClock} in tests.
+ * A clock has now, setTimeout, clearTimeout, setInterval and clearInterval functions.
+ * @module clock
+ */
+
+///////////////////////////////////////////////////////////////////////////////////
+// private
+
+var systemClock = {
+    'now' : function() {
+        return new Date().getTime();
+    },
+    'setTimeout' : function(fn, ms) {
+        return setTimeout(fn, ms);
+    },
+    'clearTimeout' : function(timer) {
+        clearTimeout(timer);
+    },
+    'setInterval' : function(fn, ms) {
+        return setInterval(fn, ms);
+    },
+    'clearInterval' : function(timer) {
+        clearInterval(timer);
+    }
+};
+
+var current = systemClock;
+
+///////////////////////////////////////////////////////////////////////////////////
+// public
+
+/**
+ * The system clock.
+ * @type {Object}
+ */
+exports.system = systemClock;
+
+/**
+ * Puts a clock in place of the current one; timers already set keep running on the clock that set them.
+ * @param {Object} clock Optional; defaults to the system clock.
+ */
+exports.use = function(clock) {
+    current = clock || systemClock;
+};
+
+/**
+ * @returns {Object} the clock in use
+ */
+exports.get = function() {
+    return current;
+};
+
+/**
+ * @returns {Number} the time, in milliseconds since the epoch
+ */
+exports.now = function() {
+    return current.now();
+};
+
+/**
+ * @param {function} fn
+ * @param {Number} ms
+ * @returns {Object} the timer
+ */
+exports.setTimeout = function(fn, ms) {
+    return current.setTimeout(fn, ms);
+};
+
+/**
+ * @param {Object} timer Set with setTimeout.
+ */
+exports.clearTimeout = function(timer) {
+    current.clearTimeout(timer);
+};
+
+/**
+ * @param {function} fn
+ * @param {Number} ms
+ * @returns {Object} the timer
+ */
+exports.setInterval = function(fn, ms) {
+    return current.setInterval(fn, ms);
+};
+
+/**
+ * @param {Object} timer Set with setInterval.
+ */
+exports.clearInterval = function(timer) {
+    current.clearInterval(timer);
+};
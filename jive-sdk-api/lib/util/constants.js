@@ -34,6 +34,7 @@
  * @property {String} GET_EXTERNAL_PROPS Fired on request for retrieving external props on a tile or externalstream instance.
  * @property {String} SET_EXTERNAL_PROPS Fired on request for setting external props on a tile or externalstream instance.
  * @property {String} DELETE_EXTERNAL_PROPS  Fired on request for deleting external props on a tile or externalstream instance.
+ * @property {String} PURGE_EXPIRED_RECORDS Fired on request to remove expired records from persistence.
  */
 exports.tileEventNames = {
     'PUSH_DATA_TO_JIVE':'pushDataToJive',
@@ -50,7 +51,8 @@ exports.tileEventNames = {
     'GET_PAGINATED_RESULTS':'getPaginatedResults',
     'GET_EXTERNAL_PROPS':'getExternalProps',
     'SET_EXTERNAL_PROPS':'setExternalProps',
-    'DELETE_EXTERNAL_PROPS':'deleteExternalProps'
+    'DELETE_EXTERNAL_PROPS':'deleteExternalProps',
+    'PURGE_EXPIRED_RECORDS':'purgeExpiredRecords'
 };
 
 /**
@@ -78,6 +80,20 @@ exports.globalEventNames = {
     'CLIENT_APP_UNREGISTRATION_FAILED' : 'unregisterJiveInstanceFailed'
 };
 
+/**
+ * Emitted on jive.events as the service stops; see {@link module:shutdown}.
+ * @property {String} SERVICE_STOPPING Emitted when the service starts to stop; it no longer accepts HTTP requests.
+ * @property {String} SERVICE_DRAINING Emitted while waiting for the HTTP requests and scheduled events in flight.
+ * @property {String} SERVICE_DRAINED Emitted once they have settled, or the deadline has passed; passed { timedOut, requests, events }.
+ * @property {String} SERVICE_STOPPED Emitted once persistence is flushed and closed.
+ */
+exports.serviceEventNames = {
+    'SERVICE_STOPPING':'serviceStopping',
+    'SERVICE_DRAINING':'serviceDraining',
+    'SERVICE_DRAINED':'serviceDrained',
+    'SERVICE_STOPPED':'serviceStopped'
+};
+
 /**
  * @property {String} WORKER Worker nodes typically do not handle HTTP requests, and are concerned mostly with background tasks.
  * @property {String} PUSHER A subspecies of WORKER node, specializing in making HTTP requests.
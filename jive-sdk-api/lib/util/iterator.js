@@ -15,7 +15,8 @@
  */
 
 var q = require('q');
-var ArrayStream = require('stream-array');
+var persistenceBase = require('../persistence/persistence-base');
+var clock = require('./clock');
 
 exports.createForCursor = function(cursor, itemProcessor, options) {
     var p = q.defer();
@@ -35,11 +36,11 @@ exports.createForCursor = function(cursor, itemProcessor, options) {
             throw new Error("pauseMs and pauseAfterCompletedCount are required fields for wave");
         }
     }
-    var executionStartTs = new Date().getTime();
+    var executionStartTs = clock.now();
     var waveExecCount = 0;
 
     function duration(ts) {
-        return new Date().getTime()  - ts;
+        return clock.now()  - ts;
     }
 
     function calculateTimeout() {
@@ -73,7 +74,7 @@ exports.createForCursor = function(cursor, itemProcessor, options) {
 
 
         var nextTimeout = Math.max(calculateTimeout(), uniformLaunchMs || 0 );
-        setTimeout( function() {
+        clock.setTimeout( function() {
             var processorResult = itemProcessor(item);
             if ( serial && processorResult ) {
                 processorResult.then( function() {
@@ -95,21 +96,5 @@ exports.createForCursor = function(cursor, itemProcessor, options) {
 };
 
 exports.createForArray = function(array, itemProcessor, options) {
-    var stream = ArrayStream(array);
-    // graft next method
-    stream.nextCtr = 0;
-    stream.fullCollection = array;
-    stream.next = function(processorFunction) {
-        if ( !processorFunction ) {
-            throw new Error("Requires processor function");
-        }
-        this.nextCtr++;
-        if ( this.nextCtr > this.fullCollection.length - 1 ) {
-            processorFunction(null, null);
-        } else {
-            processorFunction(null, this.fullCollection[this.nextCtr]);
-        }
-    };
-
-    return exports.createForCursor( stream, itemProcessor, options);
+    return exports.createForCursor( persistenceBase.createCursor(array), itemProcessor, options);
 };
@@ -93,7 +93,8 @@ exports.guid = function (src) {
  * @param {String} method
  * @param {Object} postBody leave null unless PUT or POST
  * @param {Object} headers leave null or empty [] if no additional headers
- * @param {Object} requestOptions leave null or empty [] if no additional request optinos
+ * @param {Object} requestOptions leave null or empty [] if no additional request optinos; a cancellation signal given
+ * as requestOptions.cancellation aborts the request (see {@link module:cancellation})
  * @return {Promise} Promise
  */
 exports.buildRequest = function (url, method, postBody, headers, requestOptions) {
@@ -106,6 +107,12 @@ exports.buildRequest = function (url, method, postBody, headers, requestOptions)
  */
 exports.request = jiveRequest;
 
+/**
+ * Cancellation signals, as given to scheduled handlers
+ * @type module:cancellation
+ */
+exports.cancellation = require('./cancellation');
+
 /**
  * Gets the file size in bytes.
  * @param filename - the path to the file.
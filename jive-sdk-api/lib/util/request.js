@@ -28,6 +28,7 @@ var request = require('request');
 var q = require('q');
 var jive = require('../../api');
 var constants = require("./constants");
+var cancellation = require('./cancellation');
 var zlib = require('zlib');
 
 /**
@@ -38,7 +39,8 @@ var zlib = require('zlib');
  * @param {Object} postBody leave null unless PUT or POST
  * @param {Object} headers leave null or empty [] if no additional headers
  * @param {Object} requestOptions leave null or empty [] if no additional request optinos
- * @return {Promise} Promise
+ * @return {Promise} Promise; rejected with the reason if the request is cancelled, by the cancellation signal given
+ * as requestOptions.cancellation or else that of the scheduled handler making it (see {@link module:cancellation})
  */
 exports.buildRequest = function (url, method, postBody, headers, requestOptions) {
     var urlParts = URL.parse(url, true);
@@ -58,7 +60,13 @@ exports.buildRequest = function (url, method, postBody, headers, requestOptions)
 
     requestOptions['jar'] = false;
 
-    requestMaker(
+    var signal = requestOptions['cancellation'] || cancellation.current();
+    delete requestOptions['cancellation'];
+    if ( signal && signal.isCancelled() ) {
+        return q.reject(signal.reason);
+    }
+
+    var pending = requestMaker(
         method,
         { host: host, port: port },
         path,
@@ -78,6 +86,19 @@ exports.buildRequest = function (url, method, postBody, headers, requestOptions)
         }
     );
 
+    if ( signal ) {
+        var abort = function(reason) {
+            jive.logger.debug("Aborting request: " + url);
+            pending.abort();
+            deferred.reject(reason);
+        };
+        var release = function() {
+            signal.removeListener(abort);
+        };
+        signal.onCancel(abort);
+        deferred.promise.then(release, release);
+    }
+
     return deferred.promise;
 };
 
@@ -225,7 +246,7 @@ var requestMaker = function (method, serverInfo, path, headers, body, secure, re
 
             options['encoding'] = null;
             jive.logger.debug("Request: " + url + ", body: " + postBodyStr);
-            request(options, function (error, response, body) {
+            return request(options, function (error, response, body) {
                 if (body
                  && response
                  && response.headers
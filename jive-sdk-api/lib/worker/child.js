@@ -0,0 +1,69 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Main of the child processes of the worker pool (see {@link module:workerPool}). Runs the handlers it is sent, one
+ * at a time, and sends back their results.
+ * @private
+ */
+
+var q = require('q');
+
+var locate = function(message) {
+    var locator = message['locator'];
+    var target = require(message['module'])[locator['property']];
+    if ( target && target['forEach'] && locator['index'] !== undefined && locator['index'] !== null ) {
+        target = target[locator['index']];
+    }
+
+    var handler = typeof target === 'function' ? target : target && target['handler'];
+    if ( typeof handler !== 'function' ) {
+        throw new Error('No handler at ' + locator['property'] +
+            ( locator['index'] !== undefined && locator['index'] !== null ? '[' + locator['index'] + ']' : '' ) +
+            ' of ' + message['module']);
+    }
+    return handler;
+};
+
+var serializeError = function(e) {
+    if ( !( e instanceof Error ) ) {
+        return { 'isError' : false, 'value' : e };
+    }
+
+    var value = { 'message' : e.message, 'stack' : e.stack };
+    Object.keys(e).forEach( function(key) {
+        value[key] = e[key];
+    });
+    return { 'isError' : true, 'value' : value };
+};
+
+process.on('message', function(message) {
+    q.fcall( function() {
+        return locate(message)( JSON.parse(message['context']), message['event'] );
+    }).then( function(result) {
+        // a result that does not serialize, eg. a circular one, fails the run rather than the child process
+        return result === undefined ? undefined : JSON.stringify(result);
+    }).then( function(serialized) {
+        process.send( { 'id' : message['id'], 'result' : serialized } );
+    }, function(e) {
+        process.send( { 'id' : message['id'], 'error' : serializeError(e) } );
+    }).done();
+});
+
+// the service has gone
+process.on('disconnect', function() {
+    process.exit(0);
+});
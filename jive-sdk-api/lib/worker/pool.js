@@ -0,0 +1,321 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * A pool of child processes for event handlers and tasks that are CPU-heavy, or that should be kept apart from the
+ * service, so that they do not stall HTTP handling and the other tasks. Handlers marked isolated in the eventHandlers
+ * or task definitions of a service run in the pool:
+ * <pre>
+ *     exports.eventHandlers = [
+ *         { 'event' : 'importCsv', 'handler' : parseCsv, 'isolated' : true }
+ *     ];
+ *     exports.task = [
+ *         { 'handler' : crunchNumbers, 'interval' : 60 * 1000, 'isolated' : true }
+ *     ];
+ * </pre>
+ * A child process loads the handler's module itself, and runs one handler at a time. The context (and event) go
+ * to it, and the result or error comes back, as JSON. A child process that crashes is replaced; the run it was busy
+ * with is rejected with code 'EWORKERCRASH'. A run whose cancellation signal (see {@link module:cancellation}) is
+ * cancelled, eg. when a scheduled handler times out, is rejected with the reason, and its child process killed.
+ * <br><br>
+ * Configured with the workerPool service option, eg. { "size" : 2 }; the size defaults to one less than the number
+ * of CPUs, and at least 1.
+ * @module workerPool
+ */
+
+///////////////////////////////////////////////////////////////////////////////////
+// private
+
+var q = require('q');
+var os = require('os');
+var path = require('path');
+var childProcess = require('child_process');
+var jive = require('../../api');
+var cancellation = require('../util/cancellation');
+
+var CHILD_MAIN = path.join( __dirname, 'child.js' );
+
+var settings = {};
+var workers = [];
+var queue = [];
+var jobCount = 0;
+
+var defaultSize = function() {
+    return Math.max( os.cpus().length - 1, 1 );
+};
+
+var size = function() {
+    return settings['size'] || defaultSize();
+};
+
+var failure = function(message, code) {
+    var error = new Error(message);
+    error['code'] = code;
+    return error;
+};
+
+/**
+ * Errors come back as { message, stack, ...their own properties }, eg. code or statusCode; anything else thrown
+ * comes back as is.
+ */
+var revive = function(thrown) {
+    if ( !thrown || !thrown['isError'] ) {
+        return thrown && thrown['value'];
+    }
+    var error = new Error(thrown['value']['message']);
+    for ( var key in thrown['value'] ) {
+        if ( thrown['value'].hasOwnProperty(key) ) {
+            error[key] = thrown['value'][key];
+        }
+    }
+    return error;
+};
+
+/**
+ * Keeps the service from exiting only while the child process is busy.
+ */
+var hold = function(worker, busy) {
+    var channel = worker['process']['channel'];
+    if ( channel && typeof channel['ref'] === 'function' ) {
+        if ( busy ) {
+            channel.ref();
+        } else {
+            channel.unref();
+        }
+    }
+};
+
+var release = function(job) {
+    if ( job['signal'] ) {
+        job['signal'].removeListener(job['onCancel']);
+    }
+    return job['deferred'];
+};
+
+var spawn = function() {
+    // outside of the run that needs it, so that the events of the child process are not part of that run
+    var child = cancellation.run( null, function() {
+        return childProcess.fork( CHILD_MAIN, [], { 'env' : process.env } );
+    });
+
+    var worker = {
+        'process' : child,
+        'job' : null,
+        'retired' : false
+    };
+
+    worker['process'].on('message', function(message) {
+        var job = worker['job'];
+        if ( !job || job['id'] !== message['id'] ) {
+            return;
+        }
+        worker['job'] = null;
+        hold(worker, false);
+
+        if ( message['error'] ) {
+            release(job).reject( revive(message['error']) );
+        } else {
+            release(job).resolve( message['result'] === undefined ? undefined : JSON.parse(message['result']) );
+        }
+        dispatch();
+    });
+
+    worker['process'].on('error', function(e) {
+        jive.logger.error('Worker process', worker['process'].pid, 'failed', e);
+    });
+
+    worker['process'].on('exit', function(code, signal) {
+        var index = workers.indexOf(worker);
+        if ( index > -1 ) {
+            workers.splice(index, 1);
+        }
+
+        var job = worker['job'];
+        worker['job'] = null;
+        if ( job ) {
+            release(job).reject( job['reason'] || failure('Worker process exited with ' + ( signal || code ) + ' while running ' +
+                job['message']['module'], 'EWORKERCRASH') );
+        }
+
+        if ( !worker['retired'] ) {
+            jive.logger.warn('Worker process', worker['process'].pid, 'exited with', ( signal || code ) + '; replacing it');
+            workers.push( spawn() );
+            dispatch();
+        }
+    });
+
+    hold(worker, false);
+    return worker;
+};
+
+var dispatch = function() {
+    while ( queue.length > 0 ) {
+        var worker = workers.filter( function(worker) {
+            return !worker['job'];
+        })[0];
+
+        if ( !worker ) {
+            if ( workers.length >= size() ) {
+                return;
+            }
+            worker = spawn();
+            workers.push(worker);
+        }
+
+        var job = queue.shift();
+        worker['job'] = job;
+        job['worker'] = worker;
+        hold(worker, true);
+        worker['process'].send( job['message'] );
+    }
+};
+
+var cancel = function(job, reason) {
+    var index = queue.indexOf(job);
+    if ( index > -1 ) {
+        queue.splice(index, 1);
+        release(job).reject(reason);
+        return;
+    }
+
+    var worker = job['worker'];
+    if ( worker && worker['job'] === job ) {
+        // the child process is stuck with it; its exit rejects the run, and replaces it
+        job['reason'] = reason;
+        worker['process'].kill('SIGKILL');
+    }
+};
+
+///////////////////////////////////////////////////////////////////////////////////
+// public
+
+/**
+ * @param {Object} options Optional.
+ * @param {Number} options.size Optional. Number of child processes; defaults to one less than the number of CPUs.
+ */
+exports.configure = function(options) {
+    settings = options || {};
+};
+
+/**
+ * Runs a handler in the pool.
+ * @param {String} modulePath Required. Path of the module exporting the handler.
+ * @param {Object} locator Required. Where in the module the handler is.
+ * @param {String} locator.property Required. The module's export, eg. 'eventHandlers' or 'task'; a function, an
+ * object with a handler, or an array of them.
+ * @param {Number} locator.index Optional. Index into the export, if an array.
+ * @param {Object} context Passed to the handler; must serialize to JSON.
+ * @param {String} event Optional. Passed to the handler.
+ * @returns {Promise} Promise resolving with the handler's result, parsed from JSON; rejected if the result does not
+ * serialize
+ */
+exports.run = function( modulePath, locator, context, event ) {
+    var deferred = q.defer();
+    var serialized;
+    try {
+        serialized = JSON.stringify(context === undefined ? null : context);
+    } catch ( e ) {
+        deferred.reject(e);
+        return deferred.promise;
+    }
+
+    var job = {
+        'id' : ++jobCount,
+        'message' : {
+            'id' : jobCount,
+            'module' : path.resolve(modulePath),
+            'locator' : locator,
+            'context' : serialized,
+            'event' : event
+        },
+        'deferred' : deferred,
+        'signal' : cancellation.current()
+    };
+
+    if ( job['signal'] ) {
+        if ( job['signal'].isCancelled() ) {
+            deferred.reject( job['signal']['reason'] );
+            return deferred.promise;
+        }
+        job['onCancel'] = function(reason) {
+            cancel(job, reason);
+        };
+        job['signal'].onCancel( job['onCancel'] );
+    }
+
+    queue.push(job);
+    dispatch();
+    return deferred.promise;
+};
+
+/**
+ * @param {String} modulePath Required. Path of the module exporting the handler.
+ * @param {String} property Required. The module's export holding the handler, eg. 'eventHandlers' or 'task'.
+ * @param {Number} index Optional. Index into the export, if an array.
+ * @returns {function} a handler that runs the one in the module in the pool
+ */
+exports.handler = function( modulePath, property, index ) {
+    var locator = { 'property' : property, 'index' : index };
+    return function(context, event) {
+        return exports.run( modulePath, locator, context, event );
+    };
+};
+
+/**
+ * For monitoring.
+ * @returns {Object} { size, busy, queued }: the number of child processes, of those running a handler, and of the
+ * runs waiting for one
+ */
+exports.getStatus = function() {
+    return {
+        'size' : workers.length,
+        'busy' : workers.filter( function(worker) {
+            return !!worker['job'];
+        }).length,
+        'queued' : queue.length
+    };
+};
+
+/**
+ * Stops the child processes. Runs waiting or in flight are rejected with code 'ESHUTDOWN'. The pool starts again on
+ * the next run.
+ * @returns {Promise} Promise resolving once the child processes have exited
+ */
+exports.close = function() {
+    var reason = failure('The worker pool is closing', 'ESHUTDOWN');
+
+    queue.splice(0, queue.length).forEach( function(job) {
+        release(job).reject(reason);
+    });
+
+    var stopping = workers.splice(0, workers.length);
+    return q.all( stopping.map( function(worker) {
+        var deferred = q.defer();
+        worker['retired'] = true;
+        if ( worker['job'] ) {
+            worker['job']['reason'] = reason;
+        }
+        if ( worker['process'].exitCode !== null || worker['process'].signalCode !== null ) {
+            deferred.resolve();
+            return deferred.promise;
+        }
+        worker['process'].once('exit', function() {
+            deferred.resolve();
+        });
+        worker['process'].kill();
+        return deferred.promise;
+    }));
+};
@@ -40,6 +40,8 @@ var startServer = function () {
         var server = http.createServer(app).listen( app.get('port') || 8090, app.get('hostname') || undefined, function () {
             console.log("Express server listening on " + server.address().address +':'+server.address().port);
         });
+        // closed gracefully when the service stops, eg. on SIGTERM
+        jive.service.httpServer(server);
     }
 };
 
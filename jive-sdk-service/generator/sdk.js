@@ -26,7 +26,7 @@ var _ = require("underscore");
 
 var argv = require('optimist').argv;
 
-var validCommands = ['create','help','list', 'createExtension', 'build', 'version'];
+var validCommands = ['create','help','list', 'createExtension', 'build', 'version', 'backup', 'restore'];
 var groups = ['tiles', 'apps', 'services', 'storages', 'cartridges'];
 
 var styles = [];
@@ -56,6 +56,10 @@ function validate(options) {
         }
     }
 
+    if ( options['cmd'] === 'restore' && !options['subject'] ) {
+        err.push('You must specify the backup file to restore.');
+    }
+
     if ( options.cmd === 'list' ) {
         if( options.subject ) {
             if(groups.indexOf( options.subject ) == -1) {
@@ -427,7 +431,9 @@ function doHelp() {
     console.log('   help                  Display this help page');
     console.log('   list                  List all the existing examples for a category');
     console.log('   create                Create a jive-sdk example');
-    console.log('   build                 Build an addon package\n');
+    console.log('   build                 Build an addon package');
+    console.log('   backup                Export persisted service state to a file');
+    console.log('   restore               Import persisted service state from a backup file\n');
 
     // Display list items
     console.log('Available items for list command:');
@@ -445,12 +451,19 @@ function doHelp() {
     console.log('Available items for build command:');
     console.log('   ' + 'add-on');
 
+    console.log();
+    console.log('Items for backup and restore commands:');
+    console.log('   ' + '<file>                Backup file; backup defaults to backup-<timestamp>.json');
+
     // Display options
     console.log();
     console.log('Available options:');
     console.log('   --force=<true/false>           Whether to overwrite existing data; defaults to false');
     console.log('   --name="<string>"              Use the specified string for the new item name');
     console.log('   --apphosting="<self|jive>"     jive=apps are packaged in the add-on, self=apps are hosted externally; defaults to self');
+    console.log('   --collections="<a,b>"          Collections to back up or restore; defaults to ' + jive.persistenceBackup.getDefaultCollections());
+    console.log('   --redact=<true/false>          Whether to leave tokens and client secrets out of a backup; defaults to false');
+    console.log('   --clear=<true/false>           Whether restore removes records that are not in the backup; defaults to false');
 }
 
 function execute(options) {
@@ -512,6 +525,14 @@ function execute(options) {
     if ( cmd === 'createExtension' || cmd === 'build' ) {
         doCreateExtension( options );
     }
+
+    if ( cmd === 'backup' ) {
+        doBackup( options );
+    }
+
+    if ( cmd === 'restore' ) {
+        doRestore( options );
+    }
 }
 
 function doCreateExtension( options ) {
@@ -541,6 +562,64 @@ function doCreateExtension( options ) {
         });
 }
 
+/**
+ * Runs a job against the service's persistence, as configured by jiveclientconfiguration.json, then exits. Only the
+ * persistence is set up: migrations, the scheduler and the worker pool are left alone, so that nothing else reads or
+ * writes the store while it is exported or overwritten.
+ */
+function withPersistence( job ) {
+    jive.service.initPersistence()
+        .then(function(persistence) {
+            return q.fcall(job, persistence).finally(function() {
+                return persistence.close();
+            });
+        })
+        .then(function() {
+            process.nextTick(function() {
+                process.exit(0);
+            });
+        }, function(e) {
+            console.log('Failed:', e && e.message ? e.message : e);
+            process.exit(-1);
+        });
+}
+
+function doBackup( options ) {
+    var file = path.resolve(options.target, options['subject'] || 'backup-' + new Date().getTime() + '.json');
+
+    withPersistence( function(persistence) {
+        return jive.persistenceBackup.create({
+            'collections' : options['collections'],
+            'redact' : options['redact']
+        }, persistence).then( function(archive) {
+            return jive.util.fswrite(JSON.stringify(archive, null, 2), file).then( function() {
+                Object.keys(archive['collections']).forEach( function(collectionID) {
+                    console.log(collectionID + ': ' + archive['collections'][collectionID].length + ' record(s)');
+                });
+                console.log('Backed up to', file, archive['redacted'] ? '(redacted)' : '');
+            });
+        });
+    });
+}
+
+function doRestore( options ) {
+    var file = path.resolve(options.target, options['subject']);
+
+    withPersistence( function(persistence) {
+        return jive.util.fsreadJson(file).then( function(archive) {
+            return jive.persistenceBackup.restore(archive, {
+                'collections' : options['collections'],
+                'clear' : options['clear']
+            }, persistence);
+        }).then( function(restored) {
+            Object.keys(restored).forEach( function(collectionID) {
+                console.log(collectionID + ': ' + restored[collectionID] + ' record(s)');
+            });
+            console.log('Restored from', file);
+        });
+    });
+}
+
 function prepare() {
     var root = __dirname;
 
@@ -603,6 +682,9 @@ exports.init = function(target) {
             var name = argv['name'];
             var apphosting = argv['apphosting'];
             var force = argv['force'] || false;
+            var collections = argv['collections'];
+            var redact = argv['redact'] === true || argv['redact'] === 'true';
+            var clear = argv['clear'] === true || argv['clear'] === 'true';
 
             if (name) {
                 name = name.replace(/[^\S]+/, '');
@@ -615,6 +697,9 @@ exports.init = function(target) {
                 'cmd'       : cmd,
                 'subject'   : subject,
                 'force'     : force,
+                'collections' : collections,
+                'redact'    : redact,
+                'clear'     : clear,
                 'target'    : target
             };
 
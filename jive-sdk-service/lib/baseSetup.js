@@ -158,6 +158,25 @@ function defaultSetupEventListener(handlerInfo, definitionName) {
     }
 }
 
+/**
+ * A handler definition marked isolated gets a handler that runs its own in the worker pool (see
+ * {@link module:workerPool}), where the module at modulePath is loaded again to find it.
+ */
+function isolate(handlerInfo, modulePath, property, index) {
+    if ( !handlerInfo || !handlerInfo['isolated'] ) {
+        return handlerInfo;
+    }
+
+    var isolated = {};
+    for ( var key in handlerInfo ) {
+        if ( handlerInfo.hasOwnProperty(key) ) {
+            isolated[key] = handlerInfo[key];
+        }
+    }
+    isolated['handler'] = jive.workerPool.handler( modulePath, property, index );
+    return isolated;
+}
+
 exports.setupServices = function( app, definitionName, svcDir, setupEventListener, setupContext ) {
     /////////////////////////////////////////////////////
     // apply definition specific tasks, life cycle events, etc.
@@ -187,12 +206,13 @@ exports.setupServices = function( app, definitionName, svcDir, setupEventListene
 
             // event handlers
             target.eventHandlers = target.eventHandlers || [];
-            target.eventHandlers.forEach(function (handlerInfo) {
-                setupEventListener(handlerInfo, definitionName, setupContext);
+            target.eventHandlers.forEach(function (handlerInfo, index) {
+                setupEventListener(isolate(handlerInfo, taskPath, 'eventHandlers', index), definitionName, setupContext);
             });
 
             // recurrent tasks
-            // these are scheduled only if they haven't yet been scheduled by some other node
+            // these are scheduled on every worker and pusher node; with the taskLeases option, each runs only on the
+            // node holding its lease
             var tasks = target.task;
             if ( ( service.role.isWorker() || service.role.isPusher() ) && tasks) {
                 var tasksToAdd = [];
@@ -206,8 +226,9 @@ exports.setupServices = function( app, definitionName, svcDir, setupEventListene
                 }
 
                 var noIDCounter = {};
-                tasksToAdd.forEach(function(task) {
-                    var eventID = task['event'], handler = task['handler'],  interval = task['interval'] || 60 * 1000,
+                tasksToAdd.forEach(function(task, index) {
+                    var eventID = task['event'], handler = task['handler'],
+                        interval = jive.cron.interval( task['cron'] || task['interval'] || 60 * 1000, task['timeZone'] ),
                         context = task['context'] || {}, timeout = task['timeout'], event = task['event'];
 
                     if ( event && handler ) {
@@ -220,8 +241,8 @@ exports.setupServices = function( app, definitionName, svcDir, setupEventListene
                     }
 
                     if ( !eventID ) {
-                        // if no eventID -- then the event is <tilename>.<interval>
-                        var eventIDBase = definitionName + ( interval ? '.' + interval : '' );
+                        // if no eventID -- then the event is <tilename>.<interval or cron expression>
+                        var eventIDBase = definitionName + ( interval ? '.' + ( interval['cron'] || interval ) : '' );
                         var eventIDCount = noIDCounter[eventIDBase];
                         if ( !eventIDCount ) {
                             eventIDCount = 0;
@@ -243,7 +264,16 @@ exports.setupServices = function( app, definitionName, svcDir, setupEventListene
                             throw new Error('Task for tile definition "'
                                 + definitionName + '" must specify a function handler, or reference an event (which has a handler).');
                         }
+
+                        if ( task['isolated'] ) {
+                            jive.logger.warn('Task for', definitionName, 'is marked isolated, but references event',
+                                event + '; mark the event handler isolated instead.');
+                        }
                     } else {
+                        if ( task['isolated'] ) {
+                            handler = jive.workerPool.handler( taskPath, 'task', tasks['forEach'] ? index : undefined );
+                        }
+
                         // task did come with an inline handler;
                         // mix it into the list of target eventHandlers
                         setupEventListener( {
@@ -21,7 +21,8 @@ var express = require('express'),
     consolidate = require('consolidate'),
     q = require('q'),
     extension = require('./extension/extension'),
-    security = require("./security");
+    security = require("./security"),
+    shutdown = require('./shutdown');
 
 var alreadyBootstrapped = false;
 
@@ -80,6 +81,18 @@ var setupExpressApp = function (app, rootDir, config) {
         jive.logger.debug("/unregister");
         jive.logger.debug("/jive/oauth/register");
 
+        // task controls
+        app.post('/admin/tasks/:id/pause', service.routes.admin.pauseTask);
+        service.security().lockRoute({ 'verb' : 'post', 'path' : '/admin/tasks/:id/pause' });
+        app.post('/admin/tasks/:id/resume', service.routes.admin.resumeTask);
+        service.security().lockRoute({ 'verb' : 'post', 'path' : '/admin/tasks/:id/resume' });
+        app.post('/admin/tasks/:id/runNow', service.routes.admin.runTaskNow);
+        service.security().lockRoute({ 'verb' : 'post', 'path' : '/admin/tasks/:id/runNow' });
+
+        jive.logger.debug("/admin/tasks/:id/pause");
+        jive.logger.debug("/admin/tasks/:id/resume");
+        jive.logger.debug("/admin/tasks/:id/runNow");
+
         // wire in an sdk app with its own views
         var jiveSdkApp = express();
 
@@ -105,6 +118,18 @@ var setupExpressApp = function (app, rootDir, config) {
         app.get('/dev/tiles', service.routes.dev.tiles);
         jive.logger.debug("/dev/tiles");
 
+        app.get('/dev/tasks', service.routes.dev.tasks);
+        app.get('/dev/tasks/:id', service.routes.dev.taskStatus);
+        jive.logger.debug("/dev/tasks");
+
+        app.get('/dev/deadLetters', service.routes.dev.deadLetters);
+        app.post('/dev/deadLetters/:id/replay', service.routes.dev.replayDeadLetter);
+        app.del('/dev/deadLetters/:id', service.routes.dev.discardDeadLetter);
+        jive.logger.debug("/dev/deadLetters");
+
+        app.get('/dev/queues', service.routes.dev.queues);
+        jive.logger.debug("/dev/queues");
+
         p2.resolve();
     });
 
@@ -122,6 +147,20 @@ var setupScheduler = function() {
     });
 
     service.scheduler().init(jive.events.eventHandlerMap, service.options, jive);
+
+    // remove expired records in the background, if persistencePurgeInterval is set, or collections have TTLs
+    var purgeInterval = service.options['persistencePurgeInterval'];
+    if ( purgeInterval === undefined && service.options['persistenceTTL'] ) {
+        purgeInterval = 60 * 1000;
+    }
+    if ( purgeInterval && service.role.isWorker() ) {
+        var purge = jive.constants.tileEventNames.PURGE_EXPIRED_RECORDS;
+        jive.taskHistory.exclude(purge);
+        jive.events.addLocalEventListener( "serviceBootstrapped", function() {
+            service.scheduler().schedule(purge, {}, purgeInterval);
+        });
+    }
+
     deferred.resolve();
 
     return deferred.promise;
@@ -197,19 +236,63 @@ exports.start = function (app, options, rootDir, tilesDir, appsDir, cartridgesDi
                 jive.logger.info( "Jive SDK version " + sdkVersion );
             }
             jive.logger.info("Started service in ", service.options.role || 'self-contained', "mode");
+            var shutdownOptions = options['shutdown'] || {};
+            if ( shutdownOptions['trapSignals'] !== false ) {
+                shutdown.trapSignals( shutdownOptions['signals'], service.stop );
+            }
             jive.events.emit("serviceBootstrapped");
             return q.resolve();
         });
 };
 
-exports.teardown = function() {
-    jive.logger.info("Running teardown.");
+var getDeadline = function(options) {
+    var shutdownOptions = options && options['shutdown'];
+    if ( shutdownOptions && shutdownOptions['deadline'] !== undefined ) {
+        return shutdownOptions['deadline'];
+    }
+    return shutdown.DEFAULT_DEADLINE;
+};
+
+/**
+ * @private
+ * Stops accepting HTTP requests and scheduled events, waits for those in flight, then shuts the scheduler and the
+ * worker pool down, and flushes and closes persistence. Each phase is emitted; see {@link module:constants.serviceEventNames}.
+ * @param {Number} deadline Optional. Milliseconds to wait for the requests and events in flight; defaults to the
+ * shutdown.deadline service option, or 30 seconds.
+ */
+exports.teardown = function(deadline) {
+    var eventNames = jive.constants.serviceEventNames;
+    var scheduler = service.scheduler();
+    deadline = deadline === undefined ? getDeadline(service.options) : deadline;
 
-    return service.persistence().close().then( function() {
-        return service.scheduler().shutdown();
+    jive.logger.info("Running teardown.");
+    shutdown.stopAcceptingRequests( service.httpServer() );
+    jive.events.emit(eventNames.SERVICE_STOPPING);
+
+    jive.events.emit(eventNames.SERVICE_DRAINING, { 'deadline' : deadline });
+    return q.all( [
+        shutdown.waitForRequests(deadline),
+        typeof scheduler['drain'] === 'function' ? scheduler.drain(deadline) : q.resolve([])
+    ]).spread( function(requests, events) {
+        var drained = { 'timedOut' : requests > 0 || events.length > 0, 'requests' : requests, 'events' : events };
+        if ( drained['timedOut'] ) {
+            jive.logger.warn('Stopping with', requests, 'request(s) and', events.length, 'event run(s) still in flight',
+                'after', deadline, 'ms');
+        }
+        jive.events.emit(eventNames.SERVICE_DRAINED, drained);
+        return scheduler.shutdown();
+    }).then( function() {
+        return jive.workerPool.close();
+    }).then( function() {
+        // flushes pending writes
+        return service.persistence().close();
     }).then( function( ){
+        jive.events.emit(eventNames.SERVICE_STOPPED);
+
         // clear all events
         jive.events.reset();
+        shutdown.releaseSignals();
+        shutdown.reset();
 
         alreadyBootstrapped = false;
         jive.logger.info("Teardown complete.");
@@ -26,6 +26,38 @@ var express = require('express'),
     jive = require('../api'),
     q = require('q');
 
+/**
+ * Parses the jiveURL and tenantID out of a JiveEXTN authorization header, into req.jive.
+ * @returns {Object} req.jive
+ */
+var parseJiveEXTNHeader = function(req) {
+    var authorization = req.headers['authorization'];
+    req['jive'] = req['jive'] || {};
+
+    if ( !authorization ) {
+        return req['jive'];
+    }
+
+    // check authorization header
+    var authVars = authorization.split(' ');
+    if ( authVars[0] == 'JiveEXTN' && authVars[1] ) {
+        // try to parse out jiveURL
+        var authParams = authVars[1].split('&');
+        authParams.forEach( function(p) {
+            if (p.indexOf('jive_url') == 0 ) {
+                req['jive']['jiveURL'] = decodeURIComponent( p.split("=")[1] );
+            }
+            if (p.indexOf('tenant_id') == 0 ) {
+                req['jive']['tenantID'] = decodeURIComponent( p.split("=")[1] );
+            }
+        });
+    } else {
+        jive.logger.debug("JiveEXTN authorization header not present, could not find jiveURL that way.");
+    }
+
+    return req['jive'];
+};
+
 var findCredentials = function(req) {
     var deferred = q.defer();
     var conf = jive.service.options;
@@ -40,30 +72,10 @@ var findCredentials = function(req) {
     };
 
     var authorization = req.headers['authorization'];
-    var tenantID;
 
     if ( !jiveUrl && authorization ) {
         jive.logger.debug("Trying to parse jiveURL/tenantID from JiveEXTN authorization header...");
-
-        // check authorization header
-        var authVars = authorization.split(' ');
-        req['jive'] = {};
-        if ( authVars[0] == 'JiveEXTN') {
-            // try to parse out jiveURL
-            var authParams = authVars[1].split('&');
-            authParams.forEach( function(p) {
-                if (p.indexOf('jive_url') == 0 ) {
-                    jiveUrl = decodeURIComponent( p.split("=")[1] );
-                    req['jive']['jiveURL'] = jiveUrl;
-                }
-                if (p.indexOf('tenant_id') == 0 ) {
-                    tenantID = decodeURIComponent( p.split("=")[1] );
-                    req['jive']['tenantID'] = tenantID;
-                }
-            });
-        } else {
-            jive.logger.debug("JiveEXTN authorization header not present, could not find jiveURL that way.");
-        }
+        jiveUrl = parseJiveEXTNHeader(req)['jiveURL'];
     }
 
     if ( !jiveUrl ) {
@@ -115,14 +127,33 @@ exports.getLockedRoutes = function() {
     return JSON.parse( JSON.stringify( lockedRoutes ) );
 };
 
+var matchesPath = function( routePath, path ) {
+    var pattern = routePath.split('/').map( function(segment) {
+        return segment.charAt(0) === ':' ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+    return new RegExp('^' + pattern + '$').test(path);
+};
+
 exports.isLocked = function( req ) {
     // in development, we're not locked down
     if ( jive.service.isDevelopment() ) {
         return false;
     }
 
-    var key = req.method.toLowerCase() + '.' + req.path;
-    return lockedRoutes[key];
+    var verb = req.method.toLowerCase();
+    var key = verb + '.' + req.path;
+    if ( lockedRoutes[key] ) {
+        return lockedRoutes[key];
+    }
+
+    // routes with parameters, eg. /admin/tasks/:id/pause
+    for ( var lockedKey in lockedRoutes ) {
+        var route = lockedRoutes[lockedKey];
+        if ( route['verb'] === verb && route['path'].indexOf(':') > -1 && matchesPath(route['path'], req.path) ) {
+            return route;
+        }
+    }
+    return undefined;
 };
 
 function invalidAuthResponse(res) {
@@ -183,8 +214,45 @@ exports.checkAuthHeaders = function(req, res) {
     return deferred.promise;
 };
 
+/**
+ * Resolves the tenant of a request from its JiveEXTN authorization header. If a community is registered with the
+ * tenantID, and the header is signed with that community's client secret, sets req.jive.community, and
+ * req.jive.persistence to a view of persistence that is scoped to the tenant (see {@link persistenceTenant}); on any
+ * route, locked or not, so that a tenant_id claimed by an unsigned or forged header gets no tenant store.
+ * @param req
+ * @returns {Promise} Promise resolving with the tenant-scoped persistence, or null
+ */
+exports.resolveTenant = function(req) {
+    var tenantID = parseJiveEXTNHeader(req)['tenantID'];
+    if ( !tenantID ) {
+        return q.resolve(null);
+    }
+
+    return jive.community.findByTenantID(tenantID).then( function(community) {
+        if ( !community ) {
+            jive.logger.debug("No community is registered with tenantID " + tenantID + ", persistence is not tenant-scoped.");
+            return null;
+        }
+
+        if ( !jive.util.jiveAuthorizationHeaderValid(req.headers['authorization'], community['clientId'],
+                community['clientSecret'], true) ) {
+            jive.logger.debug("JiveEXTN header for tenantID " + tenantID + " is not signed by its community, persistence is not tenant-scoped.");
+            return null;
+        }
+
+        req['jive']['community'] = community;
+        req['jive']['persistence'] = jive.community.getTenantPersistence(community);
+        return req['jive']['persistence'];
+    }).fail( function(e) {
+        jive.logger.error("Could not resolve the tenant of the request", e);
+        return null;
+    });
+};
+
 exports.checkAuthHeadersMiddleware = function (req, res, next ) {
-    return exports.checkAuthHeaders( req, res ).finally( function() {
+    return exports.checkAuthHeaders( req, res ).then( function() {
+        return exports.resolveTenant(req);
+    }).finally( function() {
         if ( next && !res.headersSent) {
             next();
         }
@@ -42,6 +42,7 @@ var osAppsDir = rootDir + '/apps';
 var cartridgesDir = rootDir + '/cartridges';
 var storagesDir = rootDir + '/storages';
 var security = require('./security');
+var shutdown = require('./shutdown');
 var serviceState = 'stopped';
 
 var _dir = function(theDir, defaultDir ) {
@@ -69,14 +70,44 @@ exports.options = {};
  */
 exports.community = jive.community;
 
+/**
+ * Returns the encryption options for persistence, if an encryption key is configured in
+ * persistenceEncryption.key or in the jive_persistence_encryption_key environment variable.
+ */
+function getPersistenceEncryption(options) {
+    var encryption = ( options && options['persistenceEncryption'] ) || {};
+    var key = process.env['jive_persistence_encryption_key'] || encryption['key'];
+    if ( !key ) {
+        return null;
+    }
+
+    var encryptionOptions = {};
+    for ( var option in encryption ) {
+        if ( encryption.hasOwnProperty(option) ) {
+            encryptionOptions[option] = encryption[option];
+        }
+    }
+    encryptionOptions['key'] = key;
+    return encryptionOptions;
+}
+
 var persistence;
 /**
  * Retrieves or sets current persistence strategy, defaults to file.
+ * If an encryption key is configured (see persistenceEncryption in the service configuration), the strategy is
+ * wrapped so that sensitive fields are encrypted at rest; see {@link encryptedPersistence}. The strategy is given a
+ * forTenant(tenantId) method returning a tenant-scoped view of it; see {@link persistenceTenant}.
  * @param {Object} persistenceStrategy If set, the service will be configured to use the provided strategy.
  * @param {function} persistenceStrategy.find
  * @param {function} persistenceStrategy.findByID
  * @param {function} persistenceStrategy.remove
  * @param {function} persistenceStrategy.save
+ * @param {function} persistenceStrategy.watch Optional. If missing, changes made through the SDK are reported.
+ * @param {function} persistenceStrategy.batch Optional. Declared with capabilities.batch if batches are applied
+ * all-or-nothing.
+ * @param {Object} persistenceStrategy.capabilities Optional. May also declare revisions, if saves honor the
+ * expectedRevision option; required for taskLeases.
+ * @param {function} persistenceStrategy.count Optional, as are distinct and group; see {@link persistenceAggregation}.
  * @returns {Object}
  */
 exports.persistence = function(persistenceStrategy) {
@@ -86,6 +117,20 @@ exports.persistence = function(persistenceStrategy) {
         if ( !persistenceStrategy['find'] || !persistenceStrategy['findByID'] || !persistenceStrategy['remove'] || !persistenceStrategy['save'] ) {
             throw 'Unsupported persistence strategy - must implement find, findByID, remove, save methods.';
         }
+        // strategies without a change feed of their own report the changes made through the SDK
+        if ( !persistenceStrategy['encrypted'] ) {
+            persistenceStrategy = jive.persistenceChanges.observable(persistenceStrategy);
+        }
+
+        var encryption = getPersistenceEncryption(exports.options);
+        if ( encryption && !persistenceStrategy['encrypted'] ) {
+            persistenceStrategy = jive.encryptedPersistence(persistenceStrategy, encryption);
+        }
+        if ( !persistenceStrategy['forTenant'] ) {
+            persistenceStrategy['forTenant'] = function(tenantId) {
+                return jive.persistenceTenant.forTenant(persistenceStrategy, tenantId);
+            };
+        }
         persistence = persistenceStrategy;
         jive.context['persistence'] = persistence;
     }
@@ -144,12 +189,68 @@ exports.persistence = function(persistenceStrategy) {
             }
         },
 
+        batch: function(operations) {
+            if ( !persistence ) {
+                return q.reject( new Error("persistence not defined") );
+            }
+
+            // strategies that cannot apply batches all-or-nothing get their operations one at a time
+            return jive.persistenceBatch.run(persistence, operations);
+        },
+
+        count: function(collectionID, filter) {
+            if ( !persistence ) {
+                return q.reject( new Error("persistence not defined") );
+            }
+
+            // strategies without aggregation of their own are aggregated from the results of find
+            return jive.persistenceAggregation.count(persistence, collectionID, filter);
+        },
+
+        distinct: function(collectionID, field, filter) {
+            if ( !persistence ) {
+                return q.reject( new Error("persistence not defined") );
+            }
+
+            return jive.persistenceAggregation.distinct(persistence, collectionID, field, filter);
+        },
+
+        group: function(collectionID, keyField, reducer, filter) {
+            if ( !persistence ) {
+                return q.reject( new Error("persistence not defined") );
+            }
+
+            return jive.persistenceAggregation.group(persistence, collectionID, keyField, reducer, filter);
+        },
+
+        forTenant: function(tenantId) {
+            if ( !persistence ) {
+                throw new Error("persistence not defined");
+            }
+            return jive.persistenceTenant.forTenant(persistence, tenantId);
+        },
+
+        watch: function(collectionID, filter, handler) {
+            if ( !persistence ) {
+                throw new Error("persistence not defined");
+            }
+            return persistence.watch(collectionID, filter, handler);
+        },
+
         close: function() {
             return persistence ? persistence.close() :  function() {
                 return q.reject( new Error("persistence not defined") );
             }
         },
 
+        purgeExpired: function(collectionID) {
+            if ( !persistence ) {
+                return q.reject( new Error("persistence not defined") );
+            }
+
+            return persistence['purgeExpired'] ? persistence.purgeExpired(collectionID) : q.resolve(0);
+        },
+
         sync: function() {
             if ( !persistence ) {
                 return q.reject( new Error("persistence not defined") );
@@ -172,6 +273,19 @@ exports.persistence = function(persistenceStrategy) {
     }
 };
 
+var httpServer;
+/**
+ * Retrieves or sets the http server of the service, which is closed when the service stops.
+ * @param {Object} server If set, the http server listening with the service's express app.
+ * @returns {Object} the http server, if set
+ */
+exports.httpServer = function( server ) {
+    if ( server ) {
+        httpServer = server;
+    }
+    return httpServer;
+};
+
 var scheduler;
 /**
  * Retrieves or sets the scheduling strategy. Defaults to memory (single node). todo
@@ -179,6 +293,11 @@ var scheduler;
  * @param {function} schedulerStrategy.schedule
  * @param {function} schedulerStrategy.unschedule
  * @param {function} schedulerStrategy.getTasks
+ * @param {function} schedulerStrategy.pause Optional; pauses a recurring task, see {@link memoryScheduler}.
+ * @param {function} schedulerStrategy.resume Optional; resumes a paused recurring task.
+ * @param {function} schedulerStrategy.runNow Optional; runs a recurring task straight away.
+ * @param {function} schedulerStrategy.drain Optional; stops scheduling runs, and waits for those in flight, when
+ * the service stops.
  */
 exports.scheduler = function( schedulerStrategy ) {
     if ( schedulerStrategy ) {
@@ -224,6 +343,9 @@ exports.init = function(expressApp, options ) {
     rootDir =  (options && options['svcRootDir']) || rootDir || process.cwd();
     tilesDir = rootDir + '/tiles';
 
+    // turns requests away while stopping
+    app.use(shutdown.middleware);
+
     // for some reason this needs to be configured earlier than later
     app.use(express.bodyParser());
     if ( options && !options['suppressHttpLogging'] ) {
@@ -236,6 +358,39 @@ exports.init = function(expressApp, options ) {
     // attach security middleware
     app.all( '*', security.checkAuthHeadersMiddleware );
 
+    return loadOptions(options)
+            .then(initLogger)
+            .then(initPersistence)
+            .then(initEncryption)
+            .then(initMigrations)
+            .then(initScheduler)
+            .then(initWorkerPool);
+};
+
+/**
+ * Sets up the persistence strategy configured for the service, wrapped for encryption if a key is configured, and
+ * nothing else: no HTTP, migrations, scheduler or worker pool. For tools that work on the stored records, eg. backup
+ * and restore, which should close it once done.
+ * @param {Object} options Optional. Service configuration, or the path of its file; as for init.
+ * @returns {Promise} Promise resolving with the persistence strategy
+ */
+exports.initPersistence = function( options ) {
+    rootDir = (options && options['svcRootDir']) || rootDir || process.cwd();
+
+    return loadOptions(options)
+            .then(initLogger)
+            .then(initPersistence)
+            .then( function() {
+                return jive.context.persistence;
+            });
+};
+
+/**
+ * Resolves with the service configuration: the given object, or the contents of the given file (by default, the
+ * configFile command line argument, the jive_sdk_config_file environment variable, or jiveclientconfiguration.json in
+ * the root directory), with defaults and overrides from the environment applied.
+ */
+function loadOptions(options) {
     var applyDefaults = function(config) {
         if ( !config['persistence'] ) {
             config['persistence'] = 'file';
@@ -315,11 +470,8 @@ exports.init = function(expressApp, options ) {
         });
     }
 
-    return initialPromise
-            .then(initLogger)
-            .then(initPersistence)
-            .then(initScheduler);
-};
+    return initialPromise;
+}
 
 function initLogger(options) {
     var logfile = options['logFile'] || options['logfile'];
@@ -389,9 +541,9 @@ function initPersistence(options) {
             "expiresIn": { type: "text", required: false },
             "refreshToken": { type: "text", required: false },
             "scope": { type: "text", required: false },
-            "guid": { type: "text", required: false },
+            "guid": { type: "text", required: false, index: true },
             "jiveCommunity": { type: "text", required: false },
-            "id": { type: "text", required: true }
+            "id": { type: "text", required: true, index: true }
         },
         'community': {
             "id": { type: "text", required: false },
@@ -402,6 +554,10 @@ function initPersistence(options) {
             "clientSecret": { type: "text", required: false },
             "jiveCommunity": { type: "text", required: false },
             "oauth": { type: "text", required: false }
+        },
+        'webhook': {
+            "tenantId": { type: "text", required: false, index: true },
+            "entity.resources.self.ref": { type: "text", required: false, index: true }
         }
     };
 
@@ -428,9 +584,44 @@ function initPersistence(options) {
             }
         }
     }
+
     return options;
 }
 
+/**
+ * Re-encrypts the stored records if encryption is configured, and the key was rotated or encryption just enabled.
+ */
+function initEncryption(options) {
+    var encryption = getPersistenceEncryption(options);
+    if ( encryption ) {
+        // bring existing records up to date if the key was rotated, or encryption just enabled
+        var encrypted = jive.context.persistence;
+        var reencrypt = encryption['reencrypt'] || ( encryption['previousKeys'] || [] ).length;
+        return ( reencrypt ? encrypted.reencrypt() : encrypted.reencryptIfNeeded() ).then( function() {
+            return options;
+        });
+    }
+    return options;
+}
+
+/**
+ * Applies the SDK's pending migrations, then those registered through jive.migrations, unless options.migrations is
+ * false. If options.migrations.dryRun is true, the changes are only logged.
+ */
+function initMigrations(options) {
+    var migrationOptions = options['migrations'];
+    if ( migrationOptions === false ) {
+        return options;
+    }
+
+    var runOptions = typeof migrationOptions === 'object' ? migrationOptions : {};
+    return jive.migrations.sdk.run(runOptions).then( function() {
+        return jive.migrations.run(runOptions);
+    }).then( function() {
+        return options;
+    });
+}
+
 function initScheduler(options) {
     var scheduler = options['scheduler'];
     if ( typeof scheduler === 'object' ) {
@@ -457,6 +648,11 @@ function initScheduler(options) {
     return options;
 }
 
+function initWorkerPool(options) {
+    jive.workerPool.configure( options['workerPool'] );
+    return options;
+}
+
 /**
  * Autowires the entire service. Service autowiring will setup:
  * <ul>
@@ -527,11 +723,16 @@ exports.start = function() {
 };
 
 /**
- * Halt the service.
+ * Halt the service gracefully: stops accepting HTTP requests and scheduled events, waits for those in flight to
+ * settle, then flushes and closes persistence. See {@link module:shutdown}.
+ * @param {Number} deadline Optional. Milliseconds to wait for the requests and events in flight; defaults to the
+ * shutdown.deadline option, or 30 seconds.
  * @returns {Promise} promise
  */
-exports.stop = function() {
-    return bootstrap.teardown().then( function() {
+exports.stop = function(deadline) {
+    serviceState = 'stopping';
+    return bootstrap.teardown(deadline).then( function() {
+        httpServer = undefined;
         jive.logger.info("Service stopped.");
         serviceState = 'stopped';
     });
@@ -565,12 +766,14 @@ exports.serviceURL = function() {
  * @property {Object} jive
  * @property {Object} dev
  * @property {Object} oauth
+ * @property {Object} admin
  */
 exports.routes = {
     'tiles' : require('../routes/tiles'),
     'jive' : require('../routes/jive'),
     'dev' : require('../routes/dev'),
-    'oauth' : require('../routes/oauth')
+    'oauth' : require('../routes/oauth'),
+    'admin' : require('../routes/admin')
 };
 
 /**
@@ -0,0 +1,174 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Graceful shutdown of the service. When stopped, the service stops accepting HTTP requests and scheduled events,
+ * waits up to a deadline for those in flight to settle, and flushes and closes persistence. The phases are emitted on
+ * jive.events; see {@link module:constants.serviceEventNames}.
+ * <br><br>
+ * Configured with the shutdown service option, eg. { "deadline" : 30000, "signals" : [ "SIGTERM" ] }. The service is
+ * stopped on SIGTERM or SIGINT (or those listed in signals), and the process exits; a second signal exits straight
+ * away. Applications that handle signals themselves set trapSignals to false.
+ * @module shutdown
+ */
+
+///////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Private
+
+var q = require('q');
+var jive = require('../api');
+var clock = jive.clock;
+
+var accepting = true;
+var inFlight = 0;
+var settled = null;
+var trapped = {};
+
+var finished = function() {
+    inFlight--;
+    if ( inFlight < 1 && settled ) {
+        settled.resolve();
+        settled = null;
+    }
+};
+
+///////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Public
+
+/**
+ * Milliseconds to wait for the requests and events in flight, by default.
+ * @type {number}
+ */
+exports.DEFAULT_DEADLINE = 30 * 1000;
+
+/**
+ * Signals trapped, by default.
+ * @type {Array}
+ */
+exports.DEFAULT_SIGNALS = [ 'SIGTERM', 'SIGINT' ];
+
+/**
+ * Express middleware that keeps count of the requests in flight, and turns requests away with 503 once the service
+ * is stopping.
+ * @param req
+ * @param res
+ * @param next
+ */
+exports.middleware = function( req, res, next ) {
+    if ( !accepting ) {
+        res.writeHead( 503, { 'Content-Type': 'application/json', 'Connection' : 'close' } );
+        res.end( JSON.stringify( { 'error' : 'Service is shutting down' } ) );
+        return;
+    }
+
+    inFlight++;
+    var done = false;
+    var finish = function() {
+        if ( !done ) {
+            done = true;
+            finished();
+        }
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
+};
+
+/**
+ * Stops accepting HTTP requests: the server, if given, stops accepting connections, and requests on open connections
+ * are turned away.
+ * @param {Object} server Optional; the http server of the service.
+ */
+exports.stopAcceptingRequests = function( server ) {
+    accepting = false;
+    if ( server ) {
+        server.close( function() {
+            // already closed, or closed once its connections have ended
+        });
+        if ( typeof server['closeIdleConnections'] === 'function' ) {
+            server.closeIdleConnections();
+        }
+    }
+};
+
+/**
+ * @param {Number} deadline Optional. Milliseconds after which to stop waiting.
+ * @returns {Promise} Promise resolving with the number of requests still in flight: 0, unless the deadline passed
+ */
+exports.waitForRequests = function( deadline ) {
+    if ( inFlight < 1 ) {
+        return q.resolve(0);
+    }
+
+    jive.logger.info('Waiting for', inFlight, 'request(s) in flight');
+    settled = settled || q.defer();
+    var deferred = q.defer();
+    var timer = deadline === undefined ? null : clock.setTimeout( function() {
+        deferred.resolve(inFlight);
+    }, deadline);
+    settled.promise.then( function() {
+        if ( timer ) {
+            clock.clearTimeout(timer);
+        }
+        deferred.resolve(0);
+    });
+    return deferred.promise;
+};
+
+/**
+ * Accepts HTTP requests again, once the service has stopped.
+ */
+exports.reset = function() {
+    accepting = true;
+};
+
+/**
+ * Stops the service, then exits, on any of the given signals. Not called if the trapSignals shutdown option is false.
+ * @param {Array} signals Optional; defaults to SIGTERM and SIGINT.
+ * @param {function} stop Stops the service; returns a promise.
+ */
+exports.trapSignals = function( signals, stop ) {
+    exports.releaseSignals();
+
+    ( signals || exports.DEFAULT_SIGNALS ).forEach( function(signal) {
+        trapped[signal] = function() {
+            if ( !accepting ) {
+                jive.logger.warn('Received', signal, 'while stopping; exiting now');
+                process.exit(1);
+                return;
+            }
+
+            jive.logger.info('Received', signal + '; stopping the service');
+            stop().then( function() {
+                process.exit(0);
+            }, function(e) {
+                jive.logger.error('Failed to stop the service', e);
+                process.exit(1);
+            });
+        };
+        process.on(signal, trapped[signal]);
+    });
+};
+
+/**
+ * Removes the handlers added by trapSignals.
+ */
+exports.releaseSignals = function() {
+    for ( var signal in trapped ) {
+        process.removeListener(signal, trapped[signal]);
+    }
+    trapped = {};
+};
@@ -0,0 +1,101 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Controls for recurring tasks. These routes are locked: requests must carry basic authorization with the service's
+ * clientId and clientSecret, or a signed JiveEXTN authorization header.
+ * @module adminRoutes
+ */
+
+///////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+var jive = require("../api");
+
+var sendJSON = function( res, status, body ) {
+    res.writeHead( status, { 'Content-Type': 'application/json' } );
+    res.end( JSON.stringify(body, null, 4) );
+};
+
+var sendError = function( res, e ) {
+    var status = { 'ENOTFOUND' : 404, 'ERUNNING' : 409 }[ e && e['code'] ] || 500;
+    if ( status == 500 ) {
+        jive.logger.error(e);
+    }
+    sendJSON( res, status, { 'error' : jive.taskHistory.summarize(e) } );
+};
+
+var control = function( method, req, res ) {
+    var eventID = req.params['id'];
+    var scheduler = jive.service.scheduler();
+
+    if ( typeof scheduler[method] !== 'function' ) {
+        sendJSON( res, 501, { 'error' : 'The scheduler does not support ' + method } );
+        return;
+    }
+
+    scheduler.isScheduled(eventID).then( function(scheduled) {
+        if ( !scheduled ) {
+            sendJSON( res, 404, { 'error' : 'Task ' + eventID + ' is not scheduled' } );
+            return;
+        }
+
+        return scheduler[method](eventID).then( function(result) {
+            sendJSON( res, 200, method === 'runNow' ? { 'eventID' : eventID, 'outcome' : 'success' } : result );
+        });
+    }).fail( function(e) {
+        sendError( res, e );
+    });
+};
+
+/**
+ * <b>POST /admin/tasks/:id/pause</b>
+ * <br>
+ * Pauses the recurring task with the given eventID. Returns JSON { eventID, paused }, or 404 if the task is not
+ * scheduled.
+ *
+ * @param req
+ * @param res
+ */
+exports.pauseTask = function( req, res ) {
+    control( 'pause', req, res );
+};
+
+/**
+ * <b>POST /admin/tasks/:id/resume</b>
+ * <br>
+ * Resumes the paused recurring task with the given eventID. Returns JSON { eventID, paused }, or 404 if the task
+ * is not scheduled.
+ *
+ * @param req
+ * @param res
+ */
+exports.resumeTask = function( req, res ) {
+    control( 'resume', req, res );
+};
+
+/**
+ * <b>POST /admin/tasks/:id/runNow</b>
+ * <br>
+ * Runs the recurring task with the given eventID straight away, and responds once the run is over: with JSON
+ * { eventID, outcome } if it succeeded, 500 if it failed, 404 if the task is not scheduled, or 409 if it is already
+ * running.
+ *
+ * @param req
+ * @param res
+ */
+exports.runTaskNow = function( req, res ) {
+    control( 'runNow', req, res );
+};
@@ -79,3 +79,142 @@ exports.installTiles = function( req, res ) {
     req.end('Deprecated');
 };
 
+
+var sendJSON = function( res, status, body ) {
+    res.writeHead( status, { 'Content-Type': 'application/json' } );
+    res.end( JSON.stringify(body, null, 4) );
+};
+
+var sendDeadLetter = function( res, promise ) {
+    promise.then( function(deadLetter) {
+        if ( deadLetter ) {
+            sendJSON( res, 200, deadLetter );
+        } else {
+            sendJSON( res, 404, { 'error' : 'No such dead letter' } );
+        }
+    }).fail( function(e) {
+        jive.logger.error(e);
+        sendJSON( res, 500, { 'error' : e && e.message ? e.message : e } );
+    });
+};
+
+/**
+ * <b>GET /dev/deadLetters</b>
+ * <br>
+ * Endpoint for development only.
+ * Calling GET on this endpoint returns JSON listing the scheduled events that have exhausted their retries
+ * (see {@link module:retry}).
+ *
+ * Takes the following URL parameters:
+ * - eventID: optional; lists only the dead letters of this event
+ *
+ * @param req
+ * @param res
+ */
+exports.deadLetters = function( req, res ) {
+    var eventID = url.parse(req.url, true).query['eventID'];
+
+    jive.retry.findDeadLetters( eventID ? { 'eventID' : eventID } : {} ).then( function(deadLetters) {
+        sendJSON( res, 200, deadLetters || [] );
+    }).fail( function(e) {
+        jive.logger.error(e);
+        sendJSON( res, 500, { 'error' : e && e.message ? e.message : e } );
+    });
+};
+
+/**
+ * <b>POST /dev/deadLetters/:id/replay</b>
+ * <br>
+ * Endpoint for development only.
+ * Schedules the dead-lettered event again, and removes it from the dead letters. Returns JSON of the dead letter,
+ * or 404 if there is none.
+ *
+ * @param req
+ * @param res
+ */
+exports.replayDeadLetter = function( req, res ) {
+    sendDeadLetter( res, jive.retry.replayDeadLetter( req.params['id'] ) );
+};
+
+/**
+ * <b>DELETE /dev/deadLetters/:id</b>
+ * <br>
+ * Endpoint for development only.
+ * Discards the dead-lettered event without running it. Returns JSON of the dead letter, or 404 if there is none.
+ *
+ * @param req
+ * @param res
+ */
+exports.discardDeadLetter = function( req, res ) {
+    sendDeadLetter( res, jive.retry.discardDeadLetter( req.params['id'] ) );
+};
+
+/**
+ * <b>GET /dev/queues</b>
+ * <br>
+ * Endpoint for development only.
+ * Calling GET on this endpoint returns JSON of the numbers of scheduled event runs waiting on the concurrency limits,
+ * and in flight (see {@link module:throttle}).
+ *
+ * @param req
+ * @param res
+ */
+exports.queues = function( req, res ) {
+    var scheduler = jive.service.scheduler();
+    if ( typeof scheduler['getQueueDepths'] !== 'function' ) {
+        sendJSON( res, 501, { 'error' : 'The scheduler does not report queue depths' } );
+        return;
+    }
+    sendJSON( res, 200, scheduler.getQueueDepths() );
+};
+
+/**
+ * <b>GET /dev/tasks</b>
+ * <br>
+ * Endpoint for development only.
+ * Calling GET on this endpoint returns JSON of the status and run history of each scheduled recurring task.
+ *
+ * @param req
+ * @param res
+ */
+exports.tasks = function( req, res ) {
+    var scheduler = jive.service.scheduler();
+    if ( typeof scheduler['getTaskStatus'] !== 'function' ) {
+        sendJSON( res, 501, { 'error' : 'The scheduler does not report task status' } );
+        return;
+    }
+
+    q.all( scheduler.getTasks().map( function(eventID) {
+        return scheduler.getTaskStatus(eventID);
+    })).then( function(statuses) {
+        sendJSON( res, 200, statuses );
+    }).fail( function(e) {
+        jive.logger.error(e);
+        sendJSON( res, 500, { 'error' : e && e.message ? e.message : e } );
+    });
+};
+
+/**
+ * <b>GET /dev/tasks/:id</b>
+ * <br>
+ * Endpoint for development only.
+ * Calling GET on this endpoint returns JSON of the status and run history of a task, by its eventID. A task that is no
+ * longer scheduled still has its history.
+ *
+ * @param req
+ * @param res
+ */
+exports.taskStatus = function( req, res ) {
+    var scheduler = jive.service.scheduler();
+    if ( typeof scheduler['getTaskStatus'] !== 'function' ) {
+        sendJSON( res, 501, { 'error' : 'The scheduler does not report task status' } );
+        return;
+    }
+
+    scheduler.getTaskStatus( req.params['id'] ).then( function(status) {
+        sendJSON( res, 200, status );
+    }).fail( function(e) {
+        jive.logger.error(e);
+        sendJSON( res, 500, { 'error' : e && e.message ? e.message : e } );
+    });
+};
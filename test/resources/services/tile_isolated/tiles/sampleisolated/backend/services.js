@@ -0,0 +1,50 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+// loaded again by the worker pool's child processes, where jive-sdk is not mocked; so it is not required here
+
+var parseCsv = function(context) {
+    var lines = context['csv'].split('\n');
+    var columns = lines.shift().split(',');
+    return {
+        'pid' : process.pid,
+        'rows' : lines.map( function(line) {
+            var row = {};
+            line.split(',').forEach( function(value, index) {
+                row[columns[index]] = value;
+            });
+            return row;
+        })
+    };
+};
+
+exports.eventHandlers = [
+    {
+        'event' : 'parseCsv',
+        'handler' : parseCsv,
+        'isolated' : true
+    }
+];
+
+exports.task = [
+    {
+        'handler' : function(context) {
+            return { 'pid' : process.pid, 'event' : context['event'] };
+        },
+        'interval' : 100,
+        'isolated' : true
+    }
+];
@@ -17,6 +17,14 @@
 var jive = require("jive-sdk");
 var q = require('q');
 
-exports.task = new jive.tasks.build(function() {
-    jive.service.options['__testData'] = 'xyz';
-}, 10);
+exports.task = [
+    new jive.tasks.build(function() {
+        jive.service.options['__testData'] = 'xyz';
+    }, 10),
+
+    {
+        'handler' : function() {},
+        'cron' : '0 6 * * MON-FRI',
+        'timeZone' : 'America/New_York'
+    }
+];
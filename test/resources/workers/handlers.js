@@ -0,0 +1,73 @@
+/*
+ * Copyright 2013 Jive Software
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+var q = require('q');
+
+exports.eventHandlers = [
+    {
+        'event' : 'sum',
+        'handler' : function(context, event) {
+            return { 'event' : event, 'pid' : process.pid, 'sum' : context['numbers'].reduce( function(a, b) {
+                return a + b;
+            }, 0) };
+        }
+    },
+
+    {
+        'event' : 'fail',
+        'handler' : function(context) {
+            var error = new Error('Failed to ' + context['what']);
+            error['statusCode'] = 503;
+            throw error;
+        }
+    },
+
+    {
+        'event' : 'reject',
+        'handler' : function() {
+            return q.reject({ 'statusCode' : 404 });
+        }
+    },
+
+    {
+        'event' : 'crash',
+        'handler' : function() {
+            process.exit(3);
+        }
+    },
+
+    {
+        'event' : 'spin',
+        'handler' : function() {
+            while ( true ) {
+                // never returns
+            }
+        }
+    },
+
+    {
+        'event' : 'circular',
+        'handler' : function() {
+            var result = {};
+            result['self'] = result;
+            return result;
+        }
+    }
+];
+
+exports.task = function() {
+    return process.pid;
+};
@@ -150,6 +150,70 @@ describe('jive', function () {
             );
         });
 
+        it('removes only the instances of the registration', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            var development = jive.context['config']['development'];
+            jive.context['config']['development'] = true;
+
+            // two communities served from the same host
+            var communities = [
+                { 'jiveUrl' : 'http://jive.example.com/a', 'jiveCommunity' : 'jive.example.com', 'tenantId' : 'tenant-a' },
+                { 'jiveUrl' : 'http://jive.example.com/b', 'jiveCommunity' : 'jive.example.com', 'tenantId' : 'tenant-b' }
+            ];
+            var instance = function(id, tenantId, jiveUrl) {
+                var record = { 'id' : id, 'jiveCommunity' : 'jive.example.com', 'url' : jiveUrl + '/api/jivelinks/v1/tiles/1/data' };
+                if ( tenantId ) {
+                    record['tenantId'] = tenantId;
+                }
+                return record;
+            };
+
+            var destroyed = [];
+            var onDestroyed = function(instance) {
+                destroyed.push(instance['id']);
+            };
+            jive.events.addListener('destroyedInstance', onDestroyed);
+
+            var persistence = jive.context.persistence;
+            q.all( [
+                persistence.save('community', communities[0]['jiveUrl'], communities[0]),
+                persistence.save('community', communities[1]['jiveUrl'], communities[1]),
+                persistence.save('tileInstance', 'a1', instance('a1', 'tenant-a', 'http://jive.example.com/a')),
+                persistence.save('tileInstance', 'a2', instance('a2', null, 'http://jive.example.com/a')),
+                persistence.save('tileInstance', 'b1', instance('b1', 'tenant-b', 'http://jive.example.com/b')),
+                persistence.save('tileInstance', 'b2', instance('b2', null, 'http://jive.example.com/b')),
+                persistence.save('extstreamInstance', 'a3', instance('a3', 'tenant-a', 'http://jive.example.com/a')),
+                persistence.save('webhook', 'wa', { 'id' : 'wa', 'tenantId' : 'tenant-a' }),
+                persistence.save('webhook', 'wb', { 'id' : 'wb', 'tenantId' : 'tenant-b' })
+            ]).then( function() {
+                return jive.community.unregister( { 'jiveUrl' : 'http://jive.example.com/a', 'tenantId' : 'tenant-a' } );
+            }).then( function() {
+                return q.all( [
+                    persistence.find('community', {}),
+                    persistence.find('tileInstance', {}),
+                    persistence.find('extstreamInstance', {}),
+                    persistence.find('webhook', {})
+                ]);
+            }).then( function(found) {
+                var ids = function(records, field) {
+                    return records.map( function(record) { return record[field || 'id']; }).sort();
+                };
+                assert.deepEqual(ids(found[0], 'jiveUrl'), [ 'http://jive.example.com/b' ]);
+                assert.deepEqual(ids(found[1]), [ 'b1', 'b2' ]);
+                assert.deepEqual(ids(found[2]), []);
+                assert.deepEqual(ids(found[3]), [ 'wb' ]);
+                assert.deepEqual(destroyed.sort(), [ 'a1', 'a2', 'a3' ]);
+            }).finally( function() {
+                jive.events.removeListener('destroyedInstance', onDestroyed);
+                jive.context['config']['development'] = development;
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
     });
 
 });
\ No newline at end of file
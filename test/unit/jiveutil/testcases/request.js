@@ -77,5 +77,43 @@ describe('jive', function () {
 
         });
 
+        it('test request aborted on cancellation', function(done) {
+            var jive = this['jive'];
+            var aborted = false;
+
+            app.get('/slow', function(req, res) {
+                req.on('close', function() {
+                    aborted = true;
+                });
+            });
+
+            var cancellation = jive.util.cancellation.create();
+            var reason = new Error('cancelled');
+            setTimeout( function() {
+                cancellation.cancel(reason);
+            }, 50);
+
+            jive.util.buildRequest( 'http://localhost:'+server.address().port+'/slow', 'GET', null, null,
+                { 'cancellation' : cancellation } ).then(function() {
+                done(new Error('expected the request to be aborted'));
+            }, function(err) {
+                assert.equal(err, reason);
+                return jive.util.buildRequest( 'http://localhost:'+server.address().port+'/slow', 'GET', null, null,
+                    { 'cancellation' : cancellation } ).then( function() {
+                    throw new Error('expected a cancelled signal to fail the request');
+                }, function(err) {
+                    assert.equal(err, reason);
+                });
+            }).then( function() {
+                setTimeout( function() {
+                    assert.ok(aborted, 'server saw the request aborted');
+                    done();
+                }, 50);
+            }).fail(function(err) {
+                done(err);
+            });
+
+        });
+
     });
 });
@@ -386,4 +386,582 @@ exports.testRemoveObject = function(testUtils, persistence ) {
     }
 
     return deferred.promise;
-};
\ No newline at end of file
+};
+exports.testFindQueryOperators = function(testUtils, persistence ) {
+    var collection = testUtils.guid();
+
+    var find = function(query, expectedKeys, message) {
+        return persistence.find(collection, query).then( function(found) {
+            var keys = found.map( function(item) { return item['key']; }).sort();
+            assert.deepEqual(keys, expectedKeys.sort(), message + ': found ' + JSON.stringify(keys));
+        });
+    };
+
+    return persistence.save(collection, 'a', { 'key': 'a', 'count': 0, 'name': 'Alpha', 'tags': [ 'red', 'blue' ],
+            'scores': [ { 'by': 'x', 'value': 5 }, { 'by': 'y', 'value': 9 } ], 'owner': null })
+        .then( function() {
+            return persistence.save(collection, 'b', { 'key': 'b', 'count': 1, 'name': 'beta', 'tags': [ 'green' ],
+                'scores': [ { 'by': 'x', 'value': 2 } ], 'owner': { 'name': 'bob' } });
+        })
+        .then( function() {
+            return persistence.save(collection, 'c', { 'key': 'c', 'count': 2, 'name': 'Gamma', 'tags': [],
+                'owner': { 'name': 'carol' } });
+        })
+        .then( function() { return find( { 'count' : 0 }, ['a'], 'equality on 0'); })
+        .then( function() { return find( { 'count' : { '$gt' : 0 } }, ['b', 'c'], '$gt 0'); })
+        .then( function() { return find( { 'count' : { '$gte' : 0 } }, ['a', 'b', 'c'], '$gte 0'); })
+        .then( function() { return find( { 'count' : { '$lt' : 1 } }, ['a'], '$lt'); })
+        .then( function() { return find( { 'count' : { '$in' : [ 0, 2 ] } }, ['a', 'c'], '$in with 0'); })
+        .then( function() { return find( { 'count' : { '$ne' : 1 } }, ['a', 'c'], '$ne'); })
+        .then( function() { return find( { 'count' : { '$nin' : [ 0, 1 ] } }, ['c'], '$nin'); })
+        .then( function() { return find( { 'missing' : { '$gt' : 0 } }, [], '$gt on missing field'); })
+        .then( function() { return find( { 'owner' : { '$exists' : true } }, ['a', 'b', 'c'], '$exists true'); })
+        .then( function() { return find( { 'owner.name' : { '$exists' : false } }, ['a'], '$exists false'); })
+        .then( function() { return find( { 'owner' : null }, ['a'], 'null equality'); })
+        .then( function() { return find( { 'owner.name' : 'bob' }, ['b'], 'nested equality'); })
+        .then( function() { return find( { 'name' : { '$regex' : '^a' } }, [], '$regex case sensitive'); })
+        .then( function() { return find( { 'name' : { '$regex' : '^a', '$options' : 'i' } }, ['a'], '$regex with options'); })
+        .then( function() { return find( { 'name' : /ta$/ }, ['b'], 'RegExp value'); })
+        .then( function() { return find( { 'name' : { '$not' : /^G/ } }, ['a', 'b'], '$not regex'); })
+        .then( function() { return find( { 'count' : { '$not' : { '$gt' : 0 } } }, ['a'], '$not expression'); })
+        .then( function() { return find( { 'tags' : 'blue' }, ['a'], 'array contains'); })
+        .then( function() { return find( { 'tags' : [ 'green' ] }, ['b'], 'array equality'); })
+        .then( function() { return find( { 'tags' : { '$in' : [ 'green', 'red' ] } }, ['a', 'b'], 'array $in'); })
+        .then( function() { return find( { 'scores.by' : 'y' }, ['a'], 'path through array'); })
+        .then( function() { return find( { 'scores' : { '$elemMatch' : { 'by' : 'x', 'value' : { '$gt' : 3 } } } }, ['a'], '$elemMatch'); })
+        .then( function() { return find( { 'scores.value' : { '$elemMatch' : { '$gt' : 3 } } }, [], '$elemMatch on non-array'); })
+        .then( function() { return find( { '$or' : [ { 'count' : 0 }, { 'name' : 'Gamma' } ] }, ['a', 'c'], '$or'); })
+        .then( function() { return find( { '$and' : [ { 'count' : { '$gt' : 0 } }, { 'count' : { '$lt' : 2 } } ] }, ['b'], '$and'); })
+        .then( function() { return find( { '$nor' : [ { 'count' : 0 }, { 'count' : 1 } ] }, ['c'], '$nor'); })
+        .then( function() {
+            return persistence.find(collection, { 'count' : { '$bogus' : 1 } }).then( function() {
+                throw new Error('Expected unsupported operator to be rejected');
+            }, function(e) {
+                assert.ok(e);
+            });
+        });
+};
+
+exports.testCursor = function(testUtils, persistence ) {
+    var collection = testUtils.guid();
+
+    var records = [
+        { 'key': 'a', 'group': 2, 'rank': 1, 'secret': 'sa', 'nested': { 'title': 'A' } },
+        { 'key': 'b', 'group': 1, 'rank': 2, 'secret': 'sb', 'nested': { 'title': 'B' } },
+        { 'key': 'c', 'group': 2, 'rank': 3, 'secret': 'sc', 'nested': { 'title': 'C' } },
+        { 'key': 'd', 'group': 1, 'rank': 4, 'secret': 'sd', 'nested': { 'title': 'D' } },
+        { 'key': 'e', 'rank': 5, 'secret': 'se', 'nested': { 'title': 'E' } }
+    ];
+
+    var keysOf = function(items) {
+        return items.map( function(item) { return item['key']; });
+    };
+
+    var cursorFor = function(query) {
+        return persistence.find(collection, query || {}, true);
+    };
+
+    var promise = q.resolve();
+    records.forEach( function(record) {
+        promise = promise.then( function() {
+            return persistence.save(collection, record['key'], record);
+        });
+    });
+
+    return promise
+        // next starts at the first record, and yields null when exhausted
+        .then( function() {
+            return cursorFor().then( function(cursor) {
+                var seen = [];
+                var read = function() {
+                    return cursor.next().then( function(item) {
+                        if ( item === null ) {
+                            return seen;
+                        }
+                        seen.push(item['key']);
+                        return read();
+                    });
+                };
+                return read();
+            }).then( function(seen) {
+                assert.deepEqual(seen.sort(), [ 'a', 'b', 'c', 'd', 'e' ], 'next');
+            });
+        })
+
+        // multi-key sort, missing values first when ascending
+        .then( function() {
+            return cursorFor().then( function(cursor) {
+                return cursor.sort( { 'group' : 1, 'rank' : -1 } ).toArray();
+            }).then( function(items) {
+                assert.deepEqual(keysOf(items), [ 'e', 'd', 'b', 'c', 'a' ], 'multi-key sort');
+            });
+        })
+
+        // skip and limit
+        .then( function() {
+            return cursorFor().then( function(cursor) {
+                return cursor.sort( { 'rank' : 1 } ).skip(1).limit(2).toArray();
+            }).then( function(items) {
+                assert.deepEqual(keysOf(items), [ 'b', 'c' ], 'skip and limit');
+            });
+        })
+
+        // inclusive projection, with dot notation
+        .then( function() {
+            return cursorFor( { 'key' : 'a' } ).then( function(cursor) {
+                return cursor.project( { 'key' : 1, 'nested.title' : 1 } ).toArray();
+            }).then( function(items) {
+                assert.deepEqual(items, [ { 'key': 'a', 'nested': { 'title': 'A' } } ], 'inclusive projection');
+            });
+        })
+
+        // exclusive projection returns copies
+        .then( function() {
+            return cursorFor( { 'key' : 'b' } ).then( function(cursor) {
+                return cursor.project( { 'secret' : 0 } ).toArray();
+            }).then( function(items) {
+                assert.equal(items.length, 1);
+                assert.ok(!items[0].hasOwnProperty('secret'), 'exclusive projection');
+                return persistence.findByID(collection, 'b');
+            }).then( function(stored) {
+                assert.equal(stored['secret'], 'sb', 'projection modified stored record');
+            });
+        })
+
+        // count ignores skip and limit unless asked to apply them
+        .then( function() {
+            return cursorFor( { 'group' : { '$exists' : true } } ).then( function(cursor) {
+                cursor.skip(1).limit(2);
+                return cursor.count().then( function(count) {
+                    assert.equal(count, 4, 'count');
+                    return cursor.count(true);
+                }).then( function(count) {
+                    assert.equal(count, 2, 'count with skip and limit');
+                });
+            });
+        })
+
+        // options cannot change once reading has started
+        .then( function() {
+            return cursorFor().then( function(cursor) {
+                return cursor.next().then( function() {
+                    assert.throws( function() {
+                        cursor.limit(1);
+                    });
+                });
+            });
+        })
+
+        // callbacks
+        .then( function() {
+            return cursorFor( { 'group' : 1 } ).then( function(cursor) {
+                var deferred = q.defer();
+                cursor.sort( { 'rank' : 1 } ).toArray( function(err, items) {
+                    if ( err ) {
+                        deferred.reject(err);
+                        return;
+                    }
+                    assert.deepEqual(keysOf(items), [ 'b', 'd' ], 'toArray callback');
+                    deferred.resolve();
+                });
+                return deferred.promise;
+            });
+        });
+};
+
+exports.indexedSchema = {
+    'indexed' : {
+        'name' : { type: "text", required: false, index: true },
+        'entity.resources.self.ref' : { type: "text", required: false, index: true },
+        'description' : { type: "text", required: false }
+    }
+};
+
+/**
+ * Expects the persistence to have been created with exports.indexedSchema.
+ */
+exports.testIndexedFind = function(testUtils, persistence ) {
+    var collection = 'indexed';
+
+    var find = function(query, expectedKeys, message) {
+        return persistence.find(collection, query).then( function(found) {
+            var keys = found.map( function(item) { return item['key']; }).sort();
+            assert.deepEqual(keys, expectedKeys.sort(), message + ': found ' + JSON.stringify(keys));
+        });
+    };
+
+    var webhook = function(ref) {
+        return { 'resources' : { 'self' : { 'ref' : ref } } };
+    };
+
+    return persistence.save(collection, 'a', { 'key': 'a', 'name': 'samplelist', 'description': 'x',
+            'entity': webhook('http://jive/hooks/1') })
+        .then( function() {
+            return persistence.save(collection, 'b', { 'key': 'b', 'name': 'samplelist', 'description': 'y',
+                'entity': [ webhook('http://jive/hooks/2'), webhook('http://jive/hooks/3') ] });
+        })
+        .then( function() {
+            return persistence.save(collection, 'c', { 'key': 'c', 'name': 6 });
+        })
+        .then( function() { return find( { 'name' : 'samplelist' }, ['a', 'b'], 'equality'); })
+        .then( function() { return find( { 'name' : '6' }, [], 'strict equality'); })
+        .then( function() { return find( { 'name' : { '$in' : [ 6, 'nothing' ] } }, ['c'], '$in'); })
+        .then( function() { return find( { 'name' : 'samplelist', 'description' : 'y' }, ['b'], 'indexed and unindexed'); })
+        .then( function() { return find( { 'entity.resources.self.ref' : 'http://jive/hooks/1' }, ['a'], 'nested path'); })
+        .then( function() { return find( { 'entity.resources.self.ref' : 'http://jive/hooks/3' }, ['b'], 'nested path through array'); })
+        .then( function() { return find( { 'name' : { '$gt' : 5 } }, ['c'], 'unindexable criterion'); })
+
+        // changes are reflected in the index
+        .then( function() {
+            return persistence.save(collection, 'a', { 'key': 'a', 'name': 'samplegauge' });
+        })
+        .then( function() { return find( { 'name' : 'samplelist' }, ['b'], 'after update, old value'); })
+        .then( function() { return find( { 'name' : 'samplegauge' }, ['a'], 'after update, new value'); })
+        .then( function() { return find( { 'entity.resources.self.ref' : 'http://jive/hooks/1' }, [], 'after update, nested'); })
+        .then( function() {
+            return persistence.remove(collection, 'b');
+        })
+        .then( function() { return find( { 'name' : 'samplelist' }, [], 'after remove'); })
+        .then( function() {
+            return persistence.remove(collection, { 'name' : 'samplegauge' });
+        })
+        .then( function() { return find( {}, ['c'], 'after remove by query'); })
+
+        // cursors use the index too
+        .then( function() {
+            return persistence.find(collection, { 'name' : 6 }, true).then( function(cursor) {
+                return cursor.toArray();
+            }).then( function(items) {
+                assert.equal(items.length, 1);
+                assert.equal(items[0]['key'], 'c');
+            });
+        });
+};
+
+exports.testRevisions = function(testUtils, persistence ) {
+    var persistenceBase = require('../../../jive-sdk-api/lib/persistence/persistence-base');
+    var collection = testUtils.guid();
+
+    var expectConflict = function(promise) {
+        return promise.then( function() {
+            throw new Error('Expected a conflict');
+        }, function(e) {
+            assert.ok(persistenceBase.isConflict(e), 'expected a conflict, got ' + e);
+        });
+    };
+
+    // records are unrevisioned until saved with an expected revision
+    return persistence.save(collection, 'a', { 'value' : 1 })
+        .then( function(saved) {
+            assert.equal(saved['_revision'], undefined);
+            return expectConflict( persistence.save(collection, 'a', { 'value' : 2 }, { 'expectedRevision' : 1 }) );
+        })
+        .then( function() {
+            return persistence.save(collection, 'a', { 'value' : 2 }, { 'expectedRevision' : 0 });
+        })
+        .then( function(saved) {
+            assert.equal(saved['_revision'], 1);
+
+            // a stale writer is rejected, and the record left as is
+            return expectConflict( persistence.save(collection, 'a', { 'value' : 3 }, { 'expectedRevision' : 0 }) );
+        })
+        .then( function() {
+            return persistence.findByID(collection, 'a');
+        })
+        .then( function(found) {
+            assert.equal(found['value'], 2);
+
+            // plain saves keep revisioned records revisioned
+            return persistence.save(collection, 'a', { 'value' : 4 });
+        })
+        .then( function(saved) {
+            assert.equal(saved['_revision'], 2);
+            return expectConflict( persistence.save(collection, 'new', { 'value' : 1 }, { 'expectedRevision' : 1 }) );
+        })
+
+        // concurrent updates each apply their change to the latest version
+        .then( function() {
+            var increment = function() {
+                return persistenceBase.updateWithRetry(persistence, collection, 'counter', function(latest) {
+                    latest = latest || { 'count' : 0 };
+                    latest['count']++;
+                    return latest;
+                });
+            };
+            return q.all( [ increment(), increment(), increment() ] );
+        })
+        .then( function() {
+            return persistence.findByID(collection, 'counter');
+        })
+        .then( function(found) {
+            assert.equal(found['count'], 3);
+        });
+};
+
+exports.testWatch = function(testUtils, persistence ) {
+    var collection = testUtils.guid();
+    var all = [];
+    var filtered = [];
+
+    var describe = function(change) {
+        return [ change['type'], change['key'], change['record'] ? change['record']['name'] : undefined,
+            change['previous'] ? change['previous']['name'] : undefined ];
+    };
+
+    var watcher = persistence.watch(collection, function(change) {
+        assert.equal(change['collection'], collection);
+        all.push(describe(change));
+    });
+    persistence.watch(collection, { 'name' : 'samplelist' }, function(change) {
+        filtered.push(describe(change));
+    });
+
+    var later = function() {
+        var deferred = q.defer();
+        setTimeout( deferred.resolve, 10 );
+        return deferred.promise;
+    };
+
+    return persistence.save(collection, 'a', { 'name' : 'samplelist' })
+        .then( function() {
+            return persistence.save(collection, 'b', { 'name' : 'samplegauge' });
+        })
+        .then( function() {
+            return persistence.save(collection, 'a', { 'name' : 'samplegauge' });
+        })
+        .then( function() {
+            return persistence.remove(collection, 'b');
+        })
+        .then( function() {
+            return persistence.remove(collection, { 'name' : 'samplegauge' });
+        })
+        .then( later )
+        .then( function() {
+            assert.deepEqual(all, [
+                [ 'insert', 'a', 'samplelist', undefined ],
+                [ 'insert', 'b', 'samplegauge', undefined ],
+                [ 'update', 'a', 'samplegauge', 'samplelist' ],
+                [ 'remove', 'b', undefined, 'samplegauge' ],
+                [ 'remove', 'a', undefined, 'samplegauge' ]
+            ]);
+
+            // updates are reported when the record matched before or after
+            assert.deepEqual(filtered, [
+                [ 'insert', 'a', 'samplelist', undefined ],
+                [ 'update', 'a', 'samplegauge', 'samplelist' ]
+            ]);
+
+            watcher.close();
+            return persistence.save(collection, 'c', { 'name' : 'samplelist' });
+        })
+        .then( later )
+        .then( function() {
+            assert.equal(all.length, 5, 'closed watcher was notified');
+            assert.equal(filtered.length, 3);
+        });
+};
+
+/**
+ * Records that are changed after being saved or found, then saved again, are reported with what was stored before.
+ */
+exports.testWatchResave = function(testUtils, persistence ) {
+    var collection = testUtils.guid();
+    var changes = [];
+
+    persistence.watch(collection, function(change) {
+        changes.push( [ change['type'], change['record']['count'], change['previous'] && change['previous']['count'] ] );
+    });
+
+    var data = { 'name' : 'samplelist', 'count' : 1 };
+
+    return persistence.save(collection, 'a', data)
+        .then( function() {
+            data['count'] = 2;
+            return persistence.findByID(collection, 'a');
+        })
+        .then( function(found) {
+            assert.equal(found['count'], 1, 'changing saved data changed the stored record');
+            return persistence.save(collection, 'a', data);
+        })
+        .then( function() {
+            return persistence.find(collection, { 'name' : 'samplelist' });
+        })
+        .then( function(found) {
+            found[0]['count'] = 3;
+            return persistence.save(collection, 'a', found[0]);
+        })
+        .delay(10)
+        .then( function() {
+            assert.deepEqual(changes, [
+                [ 'insert', 1, undefined ],
+                [ 'update', 2, 1 ],
+                [ 'update', 3, 2 ]
+            ]);
+        });
+};
+
+exports.expiringTTLs = {
+    'shortLived' : 1
+};
+
+/**
+ * Expects the persistence to have been created with exports.expiringTTLs as its persistenceTTL.
+ */
+exports.testExpiry = function(testUtils, persistence ) {
+    var collection = testUtils.guid();
+    var now = new Date().getTime();
+
+    return q.all( [
+        persistence.save(collection, 'past', { 'name' : 'samplelist' }, { 'expiresAt' : new Date(now - 1000) }),
+        persistence.save(collection, 'ttl', { 'name' : 'samplelist' }, { 'ttl' : 1 }),
+        persistence.save(collection, 'field', { 'name' : 'samplelist', '_expiresAt' : now - 1000 }),
+        persistence.save(collection, 'future', { 'name' : 'samplelist' }, { 'ttl' : 60 * 60 * 1000 }),
+        persistence.save(collection, 'forever', { 'name' : 'samplelist' }),
+        persistence.save('shortLived', 'collectionTTL', { 'name' : 'samplelist' }),
+        persistence.save('shortLived', 'overridden', { 'name' : 'samplelist' }, { 'ttl' : 60 * 60 * 1000 })
+    ]).delay(20).then( function() {
+        return persistence.find(collection, { 'name' : 'samplelist' });
+    }).then( function(found) {
+        assert.equal(found.length, 2);
+        assert.ok(found[0]['_expiresAt'] > now || found[1]['_expiresAt'] > now);
+        return persistence.find(collection, {}, true);
+    }).then( function(cursor) {
+        return cursor.toArray();
+    }).then( function(found) {
+        assert.equal(found.length, 2);
+        return q.all( [ persistence.findByID(collection, 'ttl'), persistence.findByID(collection, 'forever'),
+            persistence.findByID('shortLived', 'collectionTTL'), persistence.findByID('shortLived', 'overridden') ] );
+    }).then( function(found) {
+        assert.ok(!found[0], 'expired record was found');
+        assert.ok(found[1]);
+        assert.ok(!found[2], 'record outlived its collection TTL');
+        assert.ok(found[3]);
+        return persistence.purgeExpired();
+    }).then( function(purged) {
+        assert.equal(purged, 4);
+        return persistence.purgeExpired(collection);
+    }).then( function(purged) {
+        assert.equal(purged, 0);
+        return persistence.find(collection, {});
+    }).then( function(found) {
+        assert.equal(found.length, 2);
+    });
+};
+
+exports.testBatch = function(testUtils, persistence ) {
+    var instances = testUtils.guid();
+    var communities = testUtils.guid();
+    var changes = [];
+
+    persistence.watch(instances, function(change) {
+        changes.push(change['type'] + ' ' + change['key']);
+    });
+
+    return persistence.save(instances, 'old', { 'id' : 'old', 'jiveCommunity' : 'a' }).then( function() {
+        assert.ok(persistence['capabilities']['batch']);
+        return persistence.batch( [
+            { 'op' : 'save', 'collection' : instances, 'key' : '1', 'data' : { 'id' : '1', 'jiveCommunity' : 'b' } },
+            { 'op' : 'save', 'collection' : communities, 'key' : 'b', 'data' : { 'jiveUrl' : 'b' } },
+            { 'op' : 'remove', 'collection' : instances, 'key' : { 'jiveCommunity' : 'a' } },
+            { 'op' : 'remove', 'collection' : communities, 'key' : 'missing' }
+        ]);
+    }).then( function(results) {
+        assert.deepEqual(results, [
+            { 'id' : '1', 'jiveCommunity' : 'b' },
+            { 'jiveUrl' : 'b' },
+            [ { 'id' : 'old', 'jiveCommunity' : 'a' } ],
+            undefined
+        ]);
+
+        // the last operation conflicts, so none are applied
+        return persistence.batch( [
+            { 'op' : 'save', 'collection' : instances, 'key' : '2', 'data' : { 'id' : '2', 'jiveCommunity' : 'b' } },
+            { 'op' : 'remove', 'collection' : instances, 'key' : '1' },
+            { 'op' : 'save', 'collection' : communities, 'key' : 'b', 'data' : { 'jiveUrl' : 'b' },
+                'options' : { 'expectedRevision' : 3 } }
+        ]).then( function() {
+            throw new Error('Expected a conflicting batch to be rejected');
+        }, function(e) {
+            assert.equal(e['code'], 'ECONFLICT');
+        });
+    }).then( function() {
+        return persistence.batch( [ { 'op' : 'update', 'collection' : instances, 'key' : '1' } ] ).then( function() {
+            throw new Error('Expected an unsupported operation to be rejected');
+        }, function(e) {
+            assert.ok(e.message.indexOf('Unsupported batch operation') > -1);
+        });
+    }).then( function() {
+        return q.all( [
+            persistence.find(instances, { 'jiveCommunity' : 'b' }),
+            persistence.find(communities, {})
+        ]);
+    }).then( function(found) {
+        assert.deepEqual(found[0], [ { 'id' : '1', 'jiveCommunity' : 'b' } ]);
+        assert.deepEqual(found[1], [ { 'jiveUrl' : 'b' } ]);
+    }).delay(10).then( function() {
+        assert.deepEqual(changes, [ 'insert old', 'insert 1', 'remove old' ]);
+    });
+};
+
+exports.testAggregation = function(testUtils, persistence ) {
+    var collectionID = testUtils.guid();
+
+    return q.all( [
+        persistence.save(collectionID, '1', { 'id' : '1', 'name' : 'list', 'jiveCommunity' : 'a', 'tags' : [ 'x', 'y' ] }),
+        persistence.save(collectionID, '2', { 'id' : '2', 'name' : 'list', 'jiveCommunity' : 'b', 'tags' : [ 'y' ] }),
+        persistence.save(collectionID, '3', { 'id' : '3', 'name' : 'list', 'jiveCommunity' : 'a' }),
+        persistence.save(collectionID, '4', { 'id' : '4', 'name' : 'gauge', 'jiveCommunity' : 'a', 'config' : { 'size' : 2 } })
+    ]).then( function() {
+        return q.all( [
+            persistence.count(collectionID),
+            persistence.count(collectionID, { 'name' : 'list' }),
+            persistence.count(collectionID, { 'name' : 'missing' }),
+            persistence.count(testUtils.guid(), {})
+        ]);
+    }).then( function(counts) {
+        assert.deepEqual(counts, [ 4, 3, 0, 0 ]);
+
+        return q.all( [
+            persistence.distinct(collectionID, 'jiveCommunity'),
+            persistence.distinct(collectionID, 'tags', { 'jiveCommunity' : 'a' }),
+            persistence.distinct(collectionID, 'config.size')
+        ]);
+    }).then( function(distinct) {
+        assert.deepEqual(distinct[0].sort(), [ 'a', 'b' ]);
+        assert.deepEqual(distinct[1].sort(), [ 'x', 'y' ]);
+        assert.deepEqual(distinct[2], [ 2 ]);
+
+        return q.all( [
+            persistence.group(collectionID, [ 'name', 'jiveCommunity' ]),
+            persistence.group(collectionID, 'config.size'),
+            persistence.group(collectionID, 'jiveCommunity', function(records) {
+                return records.map( function(record) {
+                    return record['id'];
+                }).sort();
+            }, { 'name' : 'list' })
+        ]);
+    }).then( function(groups) {
+        var byKey = function(a, b) {
+            return JSON.stringify(a['key']) < JSON.stringify(b['key']) ? -1 : 1;
+        };
+        assert.deepEqual(groups[0].sort(byKey), [
+            { 'key' : [ 'gauge', 'a' ], 'value' : 1 },
+            { 'key' : [ 'list', 'a' ], 'value' : 2 },
+            { 'key' : [ 'list', 'b' ], 'value' : 1 }
+        ]);
+        assert.deepEqual(groups[1].sort(byKey), [
+            { 'key' : 2, 'value' : 1 },
+            { 'key' : null, 'value' : 3 }
+        ]);
+        assert.deepEqual(groups[2].sort(byKey), [
+            { 'key' : 'a', 'value' : [ '1', '3' ] },
+            { 'key' : 'b', 'value' : [ '2' ] }
+        ]);
+
+        return persistence.count(collectionID, { 'name' : { '$unsupported' : 1 } }).then( function() {
+            throw new Error('Expected an unsupported query to be rejected');
+        }, function(e) {
+            assert.ok(e.message.indexOf('$unsupported') > -1);
+        });
+    });
+};
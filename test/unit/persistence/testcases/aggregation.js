@@ -0,0 +1,67 @@
+var assert = require('assert');
+var test = require('../basePersistenceTest');
+
+describe('jive', function () {
+
+    describe ('#persistenceAggregation', function () {
+
+        it('computed from find', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            var memory = new jive.persistence.memory();
+
+            // a strategy without aggregation of its own
+            var strategy = {
+                'save' : memory.save,
+                'find' : memory.find,
+                'findByID' : memory.findByID,
+                'remove' : memory.remove
+            };
+
+            var persistence = {
+                'save' : strategy.save,
+                'count' : function(collectionID, filter) {
+                    return jive.persistenceAggregation.count(strategy, collectionID, filter);
+                },
+                'distinct' : function(collectionID, field, filter) {
+                    return jive.persistenceAggregation.distinct(strategy, collectionID, field, filter);
+                },
+                'group' : function(collectionID, keyField, reducer, filter) {
+                    return jive.persistenceAggregation.group(strategy, collectionID, keyField, reducer, filter);
+                }
+            };
+
+            test.testAggregation(testUtils, persistence).then(function() {
+                done();
+            }).fail(function(e) {
+                done(e);
+            });
+        });
+
+        it('encrypted', function (done) {
+            var jive = this['jive'];
+            var memory = new jive.persistence.memory();
+            var persistence = jive.encryptedPersistence(memory, { 'key' : 'secret' });
+
+            persistence.save('community', 'http://a', { 'jiveUrl' : 'http://a', 'clientSecret' : 's' }).then( function() {
+                return persistence.save('community', 'http://b', { 'jiveUrl' : 'http://b', 'clientSecret' : 's' });
+            }).then( function() {
+                return persistence.count('community');
+            }).then( function(count) {
+                assert.equal(count, 2);
+                return persistence.distinct('community', 'clientSecret');
+            }).then( function(secrets) {
+                assert.deepEqual(secrets, [ 's' ]);
+                return persistence.group('community', 'clientSecret');
+            }).then( function(groups) {
+                assert.deepEqual(groups, [ { 'key' : 's', 'value' : 2 } ]);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,123 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+
+    describe ('#persistenceBackup', function () {
+
+        var seed = function(persistence) {
+            return q.all( [
+                persistence.save('community', 'http://a', { 'jiveUrl' : 'http://a', 'clientSecret' : 'cs-a',
+                    'oauth' : { 'access_token' : 'at-a' } }),
+                persistence.save('tileInstance', '1', { 'id' : '1', 'name' : 'samplelist', 'accessToken' : 'at-1',
+                    'refreshToken' : 'rt-1' }),
+                persistence.save('webhook', 'w1', { 'id' : 'w1', 'events' : 'document' }),
+                persistence.save('persistenceMetadata', 'migrations.community', { 'collection' : 'community', 'version' : 2 })
+            ]);
+        };
+
+        it('backup and restore', function (done) {
+            var jive = this['jive'];
+            var source = new jive.persistence.memory();
+            var target = new jive.persistence.memory();
+
+            seed(source).then( function() {
+                return jive.persistenceBackup.create({}, source);
+            }).then( function(archive) {
+                assert.equal(archive['format'], 'jive-sdk-backup');
+                assert.equal(archive['redacted'], false);
+                assert.deepEqual(archive['collections']['community'][0]['key'], 'http://a');
+                assert.equal(archive['collections']['extstreamInstance'].length, 0);
+
+                // archives are plain JSON
+                return jive.persistenceBackup.restore(JSON.parse(JSON.stringify(archive)), {}, target);
+            }).then( function(restored) {
+                assert.equal(restored['community'], 1);
+                assert.equal(restored['tileInstance'], 1);
+                return q.all( [
+                    target.findByID('community', 'http://a'),
+                    target.findByID('tileInstance', '1'),
+                    target.findByID('webhook', 'w1'),
+                    jive.migrations.getVersion('community', target)
+                ]);
+            }).then( function(found) {
+                assert.equal(found[0]['clientSecret'], 'cs-a');
+                assert.equal(found[1]['refreshToken'], 'rt-1');
+                assert.equal(found[2]['events'], 'document');
+                assert.equal(found[3], 2);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('redact', function (done) {
+            var jive = this['jive'];
+            var source = new jive.persistence.memory();
+            var target = new jive.persistence.memory();
+
+            seed(source).then( function() {
+                return jive.persistenceBackup.create({ 'collections' : 'community,tileInstance', 'redact' : true }, source);
+            }).then( function(archive) {
+                assert.deepEqual(Object.keys(archive['collections']).sort(), [ 'community', 'tileInstance' ]);
+                assert.equal(JSON.stringify(archive).indexOf('at-'), -1);
+                assert.equal(JSON.stringify(archive).indexOf('cs-a'), -1);
+                assert.equal(archive['collections']['tileInstance'][0]['record']['name'], 'samplelist');
+
+                return target.save('tileInstance', '1', { 'id' : '1', 'name' : 'old', 'accessToken' : 'at-kept' })
+                    .then( function() {
+                        return jive.persistenceBackup.restore(archive, {}, target);
+                    });
+            }).then( function() {
+                return q.all( [ target.findByID('tileInstance', '1'), target.findByID('community', 'http://a') ] );
+            }).then( function(found) {
+                // secrets of records already present are kept
+                assert.equal(found[0]['name'], 'samplelist');
+                assert.equal(found[0]['accessToken'], 'at-kept');
+                assert.ok(!found[0]['refreshToken']);
+                assert.ok(!found[1]['clientSecret']);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('restore options', function (done) {
+            var jive = this['jive'];
+            var source = new jive.persistence.memory();
+            var target = new jive.persistence.memory();
+
+            seed(source).then( function() {
+                return jive.persistenceBackup.create({}, source);
+            }).then( function(archive) {
+                return q.all( [
+                    target.save('tileInstance', '2', { 'id' : '2' }),
+                    target.save('webhook', 'w2', { 'id' : 'w2' })
+                ]).then( function() {
+                    return jive.persistenceBackup.restore(archive, { 'collections' : [ 'tileInstance' ], 'clear' : true },
+                        target);
+                });
+            }).then( function(restored) {
+                assert.deepEqual(restored, { 'tileInstance' : 1 });
+                return q.all( [ target.find('tileInstance', {}), target.find('webhook', {}) ] );
+            }).then( function(found) {
+                assert.deepEqual(found[0].map( function(r) { return r['id']; }), [ '1' ]);
+                assert.deepEqual(found[1].map( function(r) { return r['id']; }), [ 'w2' ]);
+
+                return jive.persistenceBackup.restore({ 'collections' : {} }, {}, target).then( function() {
+                    throw new Error('Expected an invalid archive to be rejected');
+                }, function(e) {
+                    assert.ok(e.message.indexOf('Not a jive-sdk backup') > -1);
+                });
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,74 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+
+    describe ('#persistenceBatch', function () {
+
+        var operations = [
+            { 'op' : 'save', 'collection' : 'tileInstance', 'key' : '1', 'data' : { 'id' : '1', 'accessToken' : 'at-1' } },
+            { 'op' : 'save', 'collection' : 'community', 'key' : 'http://a', 'data' : { 'jiveUrl' : 'http://a' } },
+            { 'op' : 'remove', 'collection' : 'webhook', 'key' : { 'tenantId' : 't' } }
+        ];
+
+        it('falls back to one operation at a time', function (done) {
+            var jive = this['jive'];
+            var memory = new jive.persistence.memory();
+            var saved = [];
+
+            // a strategy that cannot apply batches
+            var strategy = {
+                'save' : function(collectionID, key) {
+                    saved.push(collectionID + ' ' + key);
+                    return memory.save.apply(memory, arguments);
+                },
+                'find' : memory.find,
+                'findByID' : memory.findByID,
+                'remove' : memory.remove
+            };
+
+            assert.ok(jive.persistenceBatch.isSupported(memory));
+            assert.ok(!jive.persistenceBatch.isSupported(strategy));
+
+            memory.save('webhook', 'w', { 'id' : 'w', 'tenantId' : 't' }).then( function() {
+                return jive.persistenceBatch.run(strategy, operations);
+            }).then( function(results) {
+                assert.deepEqual(saved, [ 'tileInstance 1', 'community http://a' ]);
+                assert.equal(results.length, 3);
+                assert.deepEqual(results[2], [ { 'id' : 'w', 'tenantId' : 't' } ]);
+
+                return jive.persistenceBatch.run(strategy, [ { 'op' : 'save', 'collection' : 'community' } ]).then( function() {
+                    throw new Error('Expected an operation without a key to be rejected');
+                }, function(e) {
+                    assert.ok(e.message.indexOf('has no key') > -1);
+                });
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('encrypted', function (done) {
+            var jive = this['jive'];
+            var memory = new jive.persistence.memory();
+            var persistence = jive.encryptedPersistence(memory, { 'key' : 'secret' });
+
+            assert.ok(jive.persistenceBatch.isSupported(persistence));
+
+            jive.persistenceBatch.run(persistence, operations).then( function(results) {
+                assert.equal(results[0]['accessToken'], 'at-1');
+                return memory.findByID('tileInstance', '1');
+            }).then( function(stored) {
+                assert.equal(stored['accessToken'].indexOf('jive-sdk-enc:1:'), 0);
+                assert.equal(operations[0]['data']['accessToken'], 'at-1', 'batch was modified');
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,89 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+
+    describe ('#persistenceChanges', function () {
+
+        var createStrategy = function(jive) {
+            // a strategy without watch of its own
+            var memory = new jive.persistence.memory();
+            return {
+                'save' : memory.save,
+                'find' : memory.find,
+                'findByID' : memory.findByID,
+                'remove' : memory.remove,
+                'close' : memory.close
+            };
+        };
+
+        it('observable', function (done) {
+            var jive = this['jive'];
+            var strategy = createStrategy(jive);
+            var persistence = jive.persistenceChanges.observable(strategy);
+            var changes = [];
+
+            assert.ok(!strategy['watch']);
+            assert.strictEqual(jive.persistenceChanges.observable(persistence), persistence);
+
+            // not watched yet
+            persistence.save('tileInstance', '1', { 'id' : '1', 'name' : 'samplelist' }).then( function() {
+                persistence.watch('tileInstance', { 'name' : 'samplelist' }, function(change) {
+                    changes.push(change);
+                });
+                return persistence.save('tileInstance', '1', { 'id' : '1', 'name' : 'samplelist', 'config' : {} });
+            }).then( function() {
+                return persistence.save('tileInstance', '2', { 'id' : '2', 'name' : 'samplegauge' });
+            }).then( function() {
+                return persistence.remove('tileInstance', '1');
+            }).delay(10).then( function() {
+                assert.deepEqual( changes.map( function(change) { return [ change['type'], change['key'] ]; }),
+                    [ [ 'update', '1' ], [ 'remove', '1' ] ] );
+                assert.deepEqual(changes[0]['previous'], { 'id' : '1', 'name' : 'samplelist' });
+                assert.equal(changes[1]['collection'], 'tileInstance');
+                return persistence.findByID('tileInstance', '2');
+            }).then( function(found) {
+                assert.equal(found['name'], 'samplegauge');
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('handler errors are contained', function (done) {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+            var delivered = 0;
+
+            persistence.watch('tileInstance', function() {
+                throw new Error('broken handler');
+            });
+            persistence.watch('tileInstance', function() {
+                delivered++;
+            });
+
+            persistence.save('tileInstance', '1', { 'id' : '1' }).delay(10).then( function() {
+                assert.equal(delivered, 1);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('validates the filter', function () {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+
+            assert.throws( function() {
+                persistence.watch('tileInstance', { 'name' : { '$bogus' : 1 } }, function() {});
+            });
+            assert.throws( function() {
+                persistence.watch('tileInstance', {});
+            });
+        });
+
+    });
+
+});
@@ -91,6 +91,300 @@ describe('jive', function () {
             });
         });
 
+        it('find - query operators', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.file({ 'dataDirPath': dir });
+
+                test.testFindQueryOperators(testUtils, persistence).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('find - cursor', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.file({ 'dataDirPath': dir });
+
+                test.testCursor(testUtils, persistence).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('watch', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.file({ 'dataDirPath': dir });
+
+                test.testWatch(testUtils, persistence).then(function() {
+                    return test.testWatchResave(testUtils, persistence);
+                }).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('batch', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.file({ 'dataDirPath': dir });
+
+                test.testBatch(testUtils, persistence).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('aggregation', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.file({ 'dataDirPath': dir });
+
+                test.testAggregation(testUtils, persistence).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('save - expected revision', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.file({ 'dataDirPath': dir });
+
+                test.testRevisions(testUtils, persistence).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('find - indexed', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.file({ 'dataDirPath': dir, 'schema': test.indexedSchema });
+
+                test.testIndexedFind(testUtils, persistence).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('expiry', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.file({ 'dataDirPath': dir, 'persistenceTTL': test.expiringTTLs });
+
+                test.testExpiry(testUtils, persistence).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('journal - replayed after crash', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            var fs = require('fs');
+
+            testUtils.createTempDir().then( function(dir) {
+                // never flushed, as if the process died before the collection was written
+                var crashed = new jive.persistence.file({ 'fileFlushInterval' : 60000, 'dataDirPath': dir });
+                var restarted;
+
+                crashed.save('journaled', 'a', { 'key' : 'a', 'value' : 1 }).then( function() {
+                    return crashed.save('journaled', 'b', { 'key' : 'b', 'value' : 2 });
+                }).then( function() {
+                    return crashed.save('journaled', 'a', { 'key' : 'a', 'value' : 3 });
+                }).then( function() {
+                    return crashed.remove('journaled', 'b');
+                }).then( function() {
+                    return crashed.batch( [
+                        { 'op' : 'save', 'collection' : 'journaled', 'key' : 'c', 'data' : { 'key' : 'c', 'value' : 4 } },
+                        { 'op' : 'remove', 'collection' : 'journaled', 'key' : { 'value' : 4 } }
+                    ]);
+                }).then( function() {
+                    assert.ok(!fs.existsSync(dir + '/journaled.json'), 'collection should not have been written yet');
+
+                    restarted = new jive.persistence.file({ 'dataDirPath': dir });
+                    return restarted.find('journaled', {});
+                }).then( function(found) {
+                    assert.deepEqual(found, [ { 'key' : 'a', 'value' : 3 } ]);
+                    return restarted.close();
+                }).then( function() {
+                    // the replayed journal is folded into the collection file
+                    assert.ok(!fs.existsSync(dir + '/journaled.journal'), 'journal should be removed once written');
+                    assert.ok(!fs.existsSync(dir + '/journaled.json.tmp'), 'temporary file should be renamed');
+                    var written = JSON.parse(fs.readFileSync(dir + '/journaled.json', 'UTF-8'));
+                    assert.deepEqual(written, { 'a' : { 'key' : 'a', 'value' : 3 } });
+                }).then( function() {
+                    done();
+                }).fail( function(e) {
+                    done(e);
+                }).finally( function() {
+                    return crashed.close();
+                });
+            });
+        });
+
+        it('journal - save and remove undone if not journaled', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            var fs = require('fs');
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.file({ 'fileFlushInterval' : 60000, 'dataDirPath': dir });
+                var journal = dir + '/unjournaled.journal';
+                var expectRejection = function(promise) {
+                    return promise.then( function() {
+                        throw new Error('Expected the change to be rejected');
+                    }, function(e) {
+                        assert.equal(e.code, 'EISDIR');
+                    });
+                };
+
+                persistence.save('unjournaled', 'a', { 'key' : 'a', 'value' : 1 }).then( function() {
+                    // appending to the journal fails from now on
+                    fs.unlinkSync(journal);
+                    fs.mkdirSync(journal);
+
+                    return expectRejection( persistence.save('unjournaled', 'a', { 'key' : 'a', 'value' : 2 }) );
+                }).then( function() {
+                    return expectRejection( persistence.save('unjournaled', 'b', { 'key' : 'b', 'value' : 3 }) );
+                }).then( function() {
+                    return expectRejection( persistence.remove('unjournaled', 'a') );
+                }).then( function() {
+                    return expectRejection( persistence.remove('unjournaled', { 'value' : 1 }) );
+                }).then( function() {
+                    return persistence.find('unjournaled', { 'value' : 1 });
+                }).then( function(found) {
+                    assert.deepEqual(found, [ { 'key' : 'a', 'value' : 1 } ]);
+                    return persistence.find('unjournaled', {});
+                }).then( function(found) {
+                    assert.deepEqual(found, [ { 'key' : 'a', 'value' : 1 } ]);
+                }).finally( function() {
+                    fs.rmdirSync(journal);
+                    return persistence.close();
+                }).then( function() {
+                    done();
+                }).fail( function(e) {
+                    done(e);
+                });
+            });
+        });
+
+        it('journal - batch undone if not journaled', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            var fs = require('fs');
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.file({ 'fileFlushInterval' : 60000, 'dataDirPath': dir });
+                var journal = dir + '/unjournaled.journal';
+
+                persistence.save('unjournaled', 'a', { 'key' : 'a', 'value' : 1 }).then( function() {
+                    // appending to the journal fails from now on
+                    fs.unlinkSync(journal);
+                    fs.mkdirSync(journal);
+
+                    return persistence.batch( [
+                        { 'op' : 'save', 'collection' : 'unjournaled', 'key' : 'a', 'data' : { 'key' : 'a', 'value' : 2 } },
+                        { 'op' : 'save', 'collection' : 'unjournaled', 'key' : 'b', 'data' : { 'key' : 'b', 'value' : 3 } },
+                        { 'op' : 'remove', 'collection' : 'unjournaled', 'key' : 'a' }
+                    ]).then( function() {
+                        throw new Error('Expected the batch to be rejected');
+                    }, function(e) {
+                        assert.equal(e.code, 'EISDIR');
+                    });
+                }).then( function() {
+                    return persistence.find('unjournaled', {});
+                }).then( function(found) {
+                    assert.deepEqual(found, [ { 'key' : 'a', 'value' : 1 } ]);
+                }).finally( function() {
+                    fs.rmdirSync(journal);
+                    return persistence.close();
+                }).then( function() {
+                    done();
+                }).fail( function(e) {
+                    done(e);
+                });
+            });
+        });
+
+        it('corrupt file - quarantined', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            var fs = require('fs');
+
+            testUtils.createTempDir().then( function(dir) {
+                fs.writeFileSync(dir + '/damaged.json', '{ "a" : { "key" : "a" ', 'UTF-8');
+                var persistence = new jive.persistence.file({ 'dataDirPath': dir });
+
+                persistence.find('damaged', {}).then( function(found) {
+                    assert.equal(found.length, 0);
+
+                    var quarantined = fs.readdirSync(dir).filter( function(file) {
+                        return file.indexOf('damaged.json.corrupt-') === 0;
+                    });
+                    assert.equal(quarantined.length, 1, 'corrupt file should be moved aside');
+                    assert.equal(fs.readFileSync(dir + '/' + quarantined[0], 'UTF-8'), '{ "a" : { "key" : "a" ');
+                }).then( function() {
+                    done();
+                }).fail( function(e) {
+                    done(e);
+                }).finally( function() {
+                    return persistence.close();
+                });
+            });
+        });
+
         // xxx todo
     });
 
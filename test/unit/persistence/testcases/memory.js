@@ -81,6 +81,163 @@ describe('jive', function () {
             });
         });
 
+        it('find - query operators', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var persistence = new jive.persistence.memory();
+
+            test.testFindQueryOperators(testUtils, persistence).then(function() {
+                done();
+            }).fail(function(e) {
+                done(e);
+            }).finally(function() {
+                return persistence.close();
+            });
+        });
+
+        it('find - cursor', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var persistence = new jive.persistence.memory();
+
+            test.testCursor(testUtils, persistence).then(function() {
+                done();
+            }).fail(function(e) {
+                done(e);
+            }).finally(function() {
+                return persistence.close();
+            });
+        });
+
+        it('find - cursor callback throws', function (done) {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+
+            // what an item processor throws is an uncaught exception, not an unhandled rejection
+            var listeners = process.listeners('uncaughtException');
+            process.removeAllListeners('uncaughtException');
+            var restore = function() {
+                process.removeAllListeners('uncaughtException');
+                listeners.forEach( function(listener) {
+                    process.on('uncaughtException', listener);
+                });
+            };
+            process.once('uncaughtException', function(e) {
+                restore();
+                persistence.close();
+                if ( e && e.message === 'thrown by the item processor' ) {
+                    done();
+                } else {
+                    done(e);
+                }
+            });
+
+            persistence.save('items', 'a', { 'name' : 'a' }).then( function() {
+                return persistence.find('items', {}, true);
+            }).then( function(cursor) {
+                cursor.next( function() {
+                    throw new Error('thrown by the item processor');
+                });
+            }).fail( function(e) {
+                restore();
+                done(e);
+            });
+        });
+
+        it('watch', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var persistence = new jive.persistence.memory();
+
+            test.testWatch(testUtils, persistence).then(function() {
+                return test.testWatchResave(testUtils, persistence);
+            }).then(function() {
+                done();
+            }).fail(function(e) {
+                done(e);
+            }).finally(function() {
+                return persistence.close();
+            });
+        });
+
+        it('batch', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var persistence = new jive.persistence.memory();
+
+            test.testBatch(testUtils, persistence).then(function() {
+                done();
+            }).fail(function(e) {
+                done(e);
+            }).finally(function() {
+                return persistence.close();
+            });
+        });
+
+        it('aggregation', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var persistence = new jive.persistence.memory();
+
+            test.testAggregation(testUtils, persistence).then(function() {
+                done();
+            }).fail(function(e) {
+                done(e);
+            }).finally(function() {
+                return persistence.close();
+            });
+        });
+
+        it('save - expected revision', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var persistence = new jive.persistence.memory();
+
+            test.testRevisions(testUtils, persistence).then(function() {
+                done();
+            }).fail(function(e) {
+                done(e);
+            }).finally(function() {
+                return persistence.close();
+            });
+        });
+
+        it('find - indexed', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var persistence = new jive.persistence.memory({ 'schema': test.indexedSchema });
+
+            test.testIndexedFind(testUtils, persistence).then(function() {
+                done();
+            }).fail(function(e) {
+                done(e);
+            }).finally(function() {
+                return persistence.close();
+            });
+        });
+
+        it('expiry', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var persistence = new jive.persistence.memory({ 'persistenceTTL': test.expiringTTLs });
+
+            test.testExpiry(testUtils, persistence).then(function() {
+                done();
+            }).fail(function(e) {
+                done(e);
+            }).finally(function() {
+                return persistence.close();
+            });
+        });
+
         // xxx todo
 
     });
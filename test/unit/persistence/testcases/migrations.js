@@ -0,0 +1,267 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+
+    describe ('#migrations', function () {
+
+        var seed = function(persistence) {
+            return q.all( [
+                persistence.save('community', 'http://a', { 'jiveUrl' : 'http://a', 'accessToken' : 'at-a' }),
+                persistence.save('community', 'http://b', { 'jiveUrl' : 'http://b', 'oauth' : { 'access_token' : 'at-b' } })
+            ]);
+        };
+
+        var toOAuth = {
+            'description' : 'Move accessToken into oauth',
+            'up' : function(record) {
+                if ( record['accessToken'] ) {
+                    record['oauth'] = { 'access_token' : record['accessToken'] };
+                    delete record['accessToken'];
+                    return record;
+                }
+            },
+            'down' : function(record) {
+                if ( record['oauth'] ) {
+                    record['accessToken'] = record['oauth']['access_token'];
+                    delete record['oauth'];
+                    return record;
+                }
+            }
+        };
+
+        var addVersion = {
+            'description' : 'Add version',
+            'up' : function(record) {
+                if ( !record['version'] ) {
+                    record['version'] = '1';
+                    return record;
+                }
+            }
+        };
+
+        afterEach( function() {
+            this['jive'].migrations.reset();
+        });
+
+        it('run in order, once', function (done) {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+
+            // registered out of order
+            jive.migrations.register('community', 2, addVersion);
+            jive.migrations.register('community', 1, toOAuth);
+
+            seed(persistence).then( function() {
+                return jive.migrations.run({}, persistence);
+            }).then( function(steps) {
+                assert.deepEqual( steps.map( function(step) { return [ step['version'], step['changed'] ]; }),
+                    [ [ 1, 1 ], [ 2, 2 ] ] );
+                return persistence.findByID('community', 'http://a');
+            }).then( function(community) {
+                assert.deepEqual(community, { 'jiveUrl' : 'http://a', 'oauth' : { 'access_token' : 'at-a' }, 'version' : '1' });
+                return jive.migrations.getVersion('community', persistence);
+            }).then( function(version) {
+                assert.equal(version, 2);
+                return jive.migrations.run({}, persistence);
+            }).then( function(steps) {
+                assert.equal(steps.length, 0, 'applied migrations should not run again');
+                return persistence.findByID(jive.migrations.METADATA_COLLECTION, 'migrations.community');
+            }).then( function(metadata) {
+                assert.equal(metadata['history'].length, 2);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('dry run', function (done) {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+            var before = [];
+
+            jive.migrations.register('community', 1, toOAuth);
+
+            seed(persistence).then( function() {
+                return jive.migrations.run({ 'dryRun' : true, 'before' : function(step) {
+                    before.push(step);
+                } }, persistence);
+            }).then( function(steps) {
+                assert.equal(before.length, 1);
+                assert.equal(steps[0]['changed'], 1);
+                assert.ok(steps[0]['dryRun']);
+                return persistence.findByID('community', 'http://a');
+            }).then( function(community) {
+                assert.equal(community['accessToken'], 'at-a');
+                return jive.migrations.getVersion('community', persistence);
+            }).then( function(version) {
+                assert.equal(version, 0);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('rollback', function (done) {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+
+            jive.migrations.register('community', 1, toOAuth);
+            jive.migrations.register('community', 2, addVersion);
+
+            seed(persistence).then( function() {
+                return jive.migrations.run({}, persistence);
+            }).then( function() {
+                // v2 has no down function
+                return jive.migrations.rollback('community', 0, {}, persistence).then( function() {
+                    throw new Error('Expected rollback past a migration without down to be rejected');
+                }, function(e) {
+                    assert.ok(e.message.indexOf('cannot be rolled back') > -1);
+                });
+            }).then( function() {
+                jive.migrations.reset();
+                jive.migrations.register('community', 1, toOAuth);
+                return persistence.save(jive.migrations.METADATA_COLLECTION, 'migrations.community',
+                    { 'collection' : 'community', 'version' : 1 });
+            }).then( function() {
+                return jive.migrations.rollback('community', 0, {}, persistence);
+            }).then( function(steps) {
+                assert.equal(steps.length, 1);
+                assert.equal(steps[0]['direction'], 'down');
+                return persistence.find('community', { 'accessToken' : { '$exists' : true } });
+            }).then( function(found) {
+                assert.equal(found.length, 2);
+                return jive.migrations.getVersion('community', persistence);
+            }).then( function(version) {
+                assert.equal(version, 0);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('failure stops later migrations', function (done) {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+
+            jive.migrations.register('community', 1, toOAuth);
+            jive.migrations.register('community', 2, { 'up' : function() {
+                throw new Error('broken');
+            }});
+            jive.migrations.register('community', 3, addVersion);
+
+            seed(persistence).then( function() {
+                return jive.migrations.run({}, persistence);
+            }).then( function() {
+                throw new Error('Expected failing migration to reject');
+            }, function(e) {
+                assert.equal(e.message, 'broken');
+                return jive.migrations.getVersion('community', persistence);
+            }).then( function(version) {
+                assert.equal(version, 1);
+                return persistence.findByID('community', 'http://a');
+            }).then( function(community) {
+                assert.ok(!community['version']);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('validates registration', function () {
+            var jive = this['jive'];
+
+            assert.throws( function() { jive.migrations.register('community', 0, toOAuth); });
+            assert.throws( function() { jive.migrations.register('community', 1, {}); });
+            jive.migrations.register('community', 1, toOAuth);
+            assert.throws( function() { jive.migrations.register('community', 1, addVersion); });
+        });
+
+        it('sdk - upgrades records of earlier versions', function (done) {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+
+            q.all( [
+                persistence.save('community', 'http://x.com', { 'jiveUrl' : 'http://x.com', 'jiveCommunity' : 'x.com',
+                    'tenantId' : 't1', 'accessToken' : 'at', 'refreshToken' : 'rt' }),
+                persistence.save('tileInstance', '1', { 'id' : '1', 'guid' : 'x.com:3895', 'jiveCommunity' : 'x.com',
+                    'url' : 'http://x.com/api/jivelinks/v1/tiles/3895/data' }),
+                persistence.save('extstreamInstance', '2', { 'id' : '2', 'guid' : 't1_77', 'tenantId' : 't1',
+                    'url' : 'http://x.com/api/jivelinks/v1/extstreams/77/activities' }),
+                persistence.save('webhook', 'w1', { 'id' : 'w1', 'tenantId' : 't1', 'events' : 'document',
+                    'callback' : 'http://svc/webhooks', 'resources' : { 'self' : { 'ref' : 'http://x.com/api/core/v3/webhooks/9' } } })
+            ]).then( function() {
+                // the service's own migrations may use the same versions
+                jive.migrations.register('community', 1, addVersion);
+                return jive.migrations.sdk.run({}, persistence);
+            }).then( function(steps) {
+                assert.deepEqual( steps.map( function(step) {
+                    return [ step['collection'], step['version'], step['changed'], step['sdk'] ];
+                }), [
+                    [ 'tileInstance', 1, 1, true ], [ 'extstreamInstance', 1, 0, true ],
+                    [ 'community', 1, 1, true ], [ 'webhook', 1, 1, true ]
+                ]);
+                return q.all( [
+                    persistence.findByID('tileInstance', '1'),
+                    persistence.findByID('extstreamInstance', '2'),
+                    persistence.findByID('community', 'http://x.com'),
+                    persistence.findByID('webhook', 'w1'),
+                    jive.migrations.getVersion('community', persistence),
+                    jive.migrations.sdk.getVersion('community', persistence)
+                ]);
+            }).then( function(found) {
+                assert.equal(found[0]['guid'], 't1_3895');
+                assert.equal(found[0]['previousGuid'], 'x.com:3895');
+                assert.equal(found[1]['guid'], 't1_77');
+                assert.deepEqual(found[2]['oauth'], { 'access_token' : 'at', 'refresh_token' : 'rt' });
+                assert.ok(!found[2].hasOwnProperty('accessToken'));
+                assert.equal(found[3]['tenantId'], 't1');
+                assert.equal(found[3]['entity']['events'], 'document');
+                assert.equal(found[3]['entity']['resources']['self']['ref'], 'http://x.com/api/core/v3/webhooks/9');
+                assert.ok(!found[3].hasOwnProperty('events'));
+                assert.equal(found[4], 0, 'versioned apart from the service');
+                assert.equal(found[5], 1);
+
+                return jive.migrations.sdk.run({}, persistence);
+            }).then( function(steps) {
+                assert.equal(steps.length, 0, 'applied migrations should not run again');
+                return jive.migrations.sdk.rollback('tileInstance', 0, {}, persistence);
+            }).then( function() {
+                return persistence.findByID('tileInstance', '1');
+            }).then( function(instance) {
+                assert.equal(instance['guid'], 'x.com:3895');
+                assert.ok(!instance.hasOwnProperty('previousGuid'));
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('sdk - migrations are idempotent', function () {
+            var jive = this['jive'];
+            var migrations = require(process.cwd() + '/jive-sdk-api/lib/persistence/sdk-migrations');
+            var migration = function(collectionID) {
+                return migrations.filter( function(entry) {
+                    return entry['collection'] === collectionID;
+                })[0]['migration'];
+            };
+
+            var community = migration('community')['up']( { 'jiveUrl' : 'http://x.com', 'accessToken' : 'at' } );
+            assert.equal( migration('community')['up'](community), undefined );
+
+            var webhook = migration('webhook')['up']( { 'id' : 'w1', 'callback' : 'http://svc/webhooks' } );
+            assert.equal(webhook['entity']['callback'], 'http://svc/webhooks');
+            assert.equal( migration('webhook')['up'](webhook), undefined );
+            assert.deepEqual( jive.migrations.sdk.getRegistered()['webhook'].map( function(registered) {
+                return registered['version'];
+            }), [ 1 ]);
+        });
+
+    });
+
+});
@@ -0,0 +1,321 @@
+var assert = require('assert');
+var q = require('q');
+var test = require('../basePersistenceTest');
+
+describe('jive', function () {
+
+    describe('#persistence.sqlite', function () {
+
+        it('save', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.sqlite({ 'dataDirPath': dir });
+
+                test.testSave(testUtils, persistence).then(
+                    function() {
+                        done();
+                    },
+
+                    function(e) {
+                        assert.fail(e);
+                    }
+                ).finally( function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('remove', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.sqlite({ 'dataDirPath': dir });
+
+                test.testRemove(testUtils, persistence).then(
+                    function() {
+                        done();
+                    },
+
+                    function(e) {
+                        assert.fail(e);
+                    }
+                ).finally( function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('remove - object', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.sqlite({ 'dataDirPath': dir });
+
+                test.testRemoveObject(testUtils, persistence).then(
+                    function() {
+                        done();
+                    },
+
+                    function(e) {
+                        assert.fail(e);
+                    }
+                ).finally( function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('find', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.sqlite({ 'dataDirPath': dir });
+
+                test.testFind(testUtils, persistence).then(
+                    function() {
+                        done();
+                    },
+
+                    function(e) {
+                        assert.fail(e);
+                    }
+                ).finally( function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('find - query operators', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.sqlite({ 'dataDirPath': dir });
+
+                test.testFindQueryOperators(testUtils, persistence).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('find - cursor', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.sqlite({ 'dataDirPath': dir });
+
+                test.testCursor(testUtils, persistence).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('find - indexed', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.sqlite({ 'dataDirPath': dir, 'schema': test.indexedSchema });
+
+                test.testIndexedFind(testUtils, persistence).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('expiry', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.sqlite({ 'dataDirPath': dir, 'persistenceTTL': test.expiringTTLs });
+
+                test.testExpiry(testUtils, persistence).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('find - schema indexed, nested field', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            var sqlite3 = require('sqlite3');
+
+            testUtils.createTempDir().then( function(dir) {
+                // as in the service's webhook schema
+                var persistence = new jive.persistence.sqlite({
+                    'dataDirPath': dir,
+                    'schema' : {
+                        'webhook' : {
+                            'entity.resources.self.ref' : { type: "text", required: false, index: true }
+                        }
+                    }
+                });
+
+                var webhook = function(ref) {
+                    return { 'entity' : { 'resources' : { 'self' : { 'ref' : ref } } } };
+                };
+
+                persistence.save('webhook', '1', webhook('http://jive/hooks/1'))
+                    .then( function() {
+                        return persistence.save('webhook', '2', webhook('http://jive/hooks/2'));
+                    })
+                    .then( function() {
+                        return persistence.find('webhook', { 'entity.resources.self.ref' : 'http://jive/hooks/2' });
+                    })
+                    .then( function(found) {
+                        assert.equal(found.length, 1);
+                        assert.equal(found[0]['entity']['resources']['self']['ref'], 'http://jive/hooks/2');
+                        return persistence.close();
+                    })
+                    .then( function() {
+                        // the nested value is in the indexed column, not just in the JSON
+                        var db = new sqlite3.Database(dir + '/jive-sdk.sqlite');
+                        return q.ninvoke(db, 'all', 'SELECT _key, "entity.resources.self.ref" AS ref FROM webhook ORDER BY _key', [])
+                            .finally( function() {
+                                return q.ninvoke(db, 'close');
+                            });
+                    })
+                    .then( function(rows) {
+                        assert.deepEqual(rows, [
+                            { '_key' : '1', 'ref' : 'http://jive/hooks/1' },
+                            { '_key' : '2', 'ref' : 'http://jive/hooks/2' }
+                        ]);
+                    })
+                    .then( function() {
+                        done();
+                    }, function(e) {
+                        persistence.close().finally( function() {
+                            done(e);
+                        });
+                    });
+            });
+        });
+
+        it('save - expected revision', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.sqlite({ 'dataDirPath': dir });
+
+                test.testRevisions(testUtils, persistence).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return persistence.close();
+                });
+            });
+        });
+
+        it('save - expected revision, shared database', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            var persistenceBase = require('../../../../jive-sdk-api/lib/persistence/persistence-base');
+
+            testUtils.createTempDir().then( function(dir) {
+                // two connections to the same file, as two processes would have
+                var first = new jive.persistence.sqlite({ 'dataDirPath': dir });
+                var second = new jive.persistence.sqlite({ 'dataDirPath': dir });
+
+                var increment = function(persistence) {
+                    return persistenceBase.updateWithRetry(persistence, 'counters', 'counter', function(latest) {
+                        latest = latest || { 'count' : 0 };
+                        latest['count']++;
+                        return latest;
+                    }, 20);
+                };
+
+                first.save('counters', 'counter', { 'count' : 0 }, { 'expectedRevision' : 0 }).then( function() {
+                    return q.all( [ increment(first), increment(second), increment(first), increment(second) ] );
+                }).then( function() {
+                    return second.findByID('counters', 'counter');
+                }).then( function(found) {
+                    assert.equal(found['count'], 4);
+                    assert.equal(found['_revision'], 5);
+
+                    // a save read before the other connection's is rejected
+                    return first.save('counters', 'counter', { 'count' : 0 }, { 'expectedRevision' : 4 }).then( function() {
+                        throw new Error('Expected a conflict');
+                    }, function(e) {
+                        assert.ok(persistenceBase.isConflict(e));
+                    });
+                }).then(function() {
+                    done();
+                }).fail(function(e) {
+                    done(e);
+                }).finally(function() {
+                    return q.all( [ first.close(), second.close() ] );
+                });
+            });
+        });
+
+        it('find - schema indexed', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            testUtils.createTempDir().then( function(dir) {
+                var persistence = new jive.persistence.sqlite({
+                    'dataDirPath': dir,
+                    'schema' : {
+                        'tileInstance' : {
+                            'name' : { type: "text", required: false, index: true },
+                            'guid' : { type: "text", required: false }
+                        }
+                    }
+                });
+
+                persistence.save('tileInstance', '1', { 'id' : '1', 'name' : 'samplelist', 'guid' : 'a' })
+                    .then( function() {
+                        return persistence.save('tileInstance', '2', { 'id' : '2', 'name' : 'samplelist', 'guid' : 'b' });
+                    })
+                    .then( function() {
+                        return persistence.save('tileInstance', '3', { 'id' : '3', 'name' : 'samplegauge', 'guid' : 'c' });
+                    })
+                    .then( function() {
+                        return persistence.find('tileInstance', { 'name' : 'samplelist', 'guid' : 'b' });
+                    })
+                    .then( function(found) {
+                        assert.equal(found.length, 1);
+                        assert.equal(found[0]['id'], '2');
+                        return persistence.find('tileInstance', { 'name' : 'samplelist' });
+                    })
+                    .then( function(found) {
+                        assert.equal(found.length, 2);
+                    })
+                    .then( function() {
+                        done();
+                    }, function(e) {
+                        done(e);
+                    }).finally( function() {
+                        return persistence.close();
+                    });
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,146 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+
+    describe ('#persistenceTenant', function () {
+
+        it('scopes records to a tenant', function (done) {
+            var jive = this['jive'];
+            var memory = new jive.persistence.memory();
+            var a = jive.persistenceTenant.forTenant(memory, 'a');
+            var b = jive.persistenceTenant.forTenant(memory, 'b');
+            var changes = [];
+
+            a.watch('appData', function(change) {
+                changes.push(change['type'] + ' ' + change['key']);
+            });
+
+            q.all( [
+                a.save('appData', '1', { 'id' : '1', 'kind' : 'x' }),
+                a.save('appData', '2', { 'id' : '2', 'kind' : 'y' }),
+                b.save('appData', '3', { 'id' : '3', 'kind' : 'x' })
+            ]).then( function() {
+                return memory.findByID('appData', '1');
+            }).then( function(stored) {
+                assert.equal(stored['tenantId'], 'a');
+                return q.all( [
+                    a.find('appData', { 'kind' : 'x' }),
+                    a.findByID('appData', '3'),
+                    a.count('appData'),
+                    b.distinct('appData', 'kind'),
+                    a.group('appData', 'kind')
+                ]);
+            }).then( function(found) {
+                assert.deepEqual(found[0], [ { 'id' : '1', 'kind' : 'x', 'tenantId' : 'a' } ]);
+                assert.equal(found[1], undefined);
+                assert.equal(found[2], 2);
+                assert.deepEqual(found[3], [ 'x' ]);
+                assert.equal(found[4].length, 2);
+
+                return b.save('appData', '1', { 'id' : '1' }).then( function() {
+                    throw new Error('Expected overwriting a record of another tenant to be rejected');
+                }, function(e) {
+                    assert.equal(e['code'], 'ETENANT');
+                });
+            }).then( function() {
+                return q.all( [
+                    b.remove('appData', '1'),
+                    b.remove('appData', {})
+                ]);
+            }).then( function(removed) {
+                assert.equal(removed[0], undefined);
+                assert.deepEqual(removed[1], [ { 'id' : '3', 'kind' : 'x', 'tenantId' : 'b' } ]);
+
+                return b.batch( [
+                    { 'op' : 'save', 'collection' : 'appData', 'key' : '4', 'data' : { 'id' : '4' } },
+                    { 'op' : 'remove', 'collection' : 'appData', 'key' : '2' },
+                    { 'op' : 'remove', 'collection' : 'appData', 'key' : { 'kind' : 'x' } }
+                ]);
+            }).then( function(results) {
+                assert.deepEqual(results, [ { 'id' : '4', 'tenantId' : 'b' }, undefined, [] ]);
+                return memory.count('appData');
+            }).then( function(count) {
+                assert.equal(count, 3);
+            }).delay(10).then( function() {
+                assert.deepEqual(changes, [ 'insert 1', 'insert 2' ]);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('resolved from requests', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            var community = testUtils.createExampleCommunity();
+
+            jive.context['persistence'] = new jive.persistence.memory();
+
+            var req = {
+                'headers' : { 'authorization' : testUtils.createAuthorizationHeader(community) },
+                'body' : {}
+            };
+
+            jive.community.save(community).then( function() {
+                return jive.service.security().resolveTenant(req);
+            }).then( function(persistence) {
+                assert.ok(persistence);
+                assert.equal(req['jive']['tenantID'], community['tenantId']);
+                assert.equal(req['jive']['community']['jiveUrl'], community['jiveUrl']);
+                assert.equal(req['jive']['persistence']['tenantId'], community['tenantId']);
+
+                return jive.service.security().resolveTenant( {
+                    'headers' : { 'authorization' : 'JiveEXTN jive_url=x&tenant_id=unknown' }, 'body' : {}
+                });
+            }).then( function(persistence) {
+                assert.equal(persistence, null);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('not resolved from forged requests', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            var community = testUtils.createExampleCommunity();
+            var forger = testUtils.createExampleCommunity(community['jiveUrl']);
+            forger['tenantId'] = community['tenantId'];
+
+            jive.context['persistence'] = new jive.persistence.memory();
+
+            var req = {
+                'method' : 'POST',
+                'path' : '/unlocked/' + testUtils.guid(),
+                'headers' : { 'authorization' : testUtils.createAuthorizationHeader(forger) },
+                'body' : {}
+            };
+            var res = {
+                'headersSent' : false,
+                'writeHead' : function() { this['headersSent'] = true; },
+                'end' : function() {}
+            };
+
+            jive.community.save(community).then( function() {
+                var deferred = q.defer();
+                jive.service.security().checkAuthHeadersMiddleware(req, res, function() {
+                    deferred.resolve();
+                });
+                return deferred.promise;
+            }).then( function() {
+                assert.ok(!res['headersSent']);
+                assert.equal(req['jive']['persistence'], undefined);
+                assert.equal(req['jive']['community'], undefined);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+    });
+
+});
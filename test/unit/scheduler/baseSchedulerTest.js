@@ -442,3 +442,43 @@ exports.testFailedEvent = function( jive, testUtils, scheduler ) {
     return deferred.promise;
 };
 
+
+exports.testCronEventNextRun = function( jive, testUtils, scheduler ) {
+    var deferred = q.defer();
+
+    var cronEvent = jive.util.guid();
+    var intervalEvent = jive.util.guid();
+    [ cronEvent, intervalEvent ].forEach( function(event) {
+        jive.events.registerEventListener( event,
+            function() {
+                return q.resolve();
+            },
+            { 'eventListener' : 'event1Listener'}
+        );
+    });
+
+    scheduler.init();
+    scheduler.schedule( cronEvent, { eventListener: 'event1Listener' }, { 'cron' : '* * * * *', 'timeZone' : 'UTC' } );
+    scheduler.schedule( intervalEvent, { eventListener: 'event1Listener' }, 500 );
+
+    setTimeout( function() {
+        var now = new Date().getTime();
+        var found = {};
+        scheduler.getTasks(true).forEach( function(task) {
+            found[task['eventID']] = task;
+        });
+
+        var cronTask = found[cronEvent], intervalTask = found[intervalEvent];
+        if ( cronTask && cronTask['interval']['cron'] == '* * * * *' &&
+            cronTask['nextRun'].getTime() > now && cronTask['nextRun'].getTime() <= now + 60 * 1000 &&
+            cronTask['nextRun'].getUTCSeconds() == 0 &&
+            intervalTask && intervalTask['interval'] == 500 &&
+            intervalTask['nextRun'].getTime() > now && intervalTask['nextRun'].getTime() <= now + 500 ) {
+            deferred.resolve();
+        } else {
+            deferred.reject(new Error('Unexpected tasks ' + JSON.stringify(found)));
+        }
+    }, 100);
+
+    return deferred.promise;
+};
@@ -0,0 +1,161 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+
+    describe('testing clock', function () {
+
+        it('fires timers in order as it is ticked', function () {
+            var jive = this['jive'];
+            var clock = jive.testing.clock.create(1000);
+
+            var fired = [];
+            clock.setTimeout( function() { fired.push('b@' + clock.now()); }, 200 );
+            clock.setTimeout( function() { fired.push('a@' + clock.now()); }, 100 );
+            var interval = clock.setInterval( function() {
+                fired.push('i@' + clock.now());
+                if ( clock.now() >= 1450 ) {
+                    clock.clearInterval(interval);
+                }
+            }, 150 );
+            var cleared = clock.setTimeout( function() { fired.push('never'); }, 50 );
+            clock.clearTimeout(cleared);
+
+            clock.tick(99);
+            assert.deepEqual(fired, []);
+            clock.tick(1000);
+            assert.deepEqual(fired, [ 'a@1100', 'i@1150', 'b@1200', 'i@1300', 'i@1450' ]);
+            assert.equal(clock.now(), 2099);
+            assert.equal(clock.pending(), 0);
+        });
+
+        it('runs recurring tasks without waiting', function (done) {
+            var jive = this['jive'];
+            var clock = jive.testing.clock.install(Date.UTC(2024, 0, 1, 0, 30));
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+            jive.context['scheduler'] = scheduler;
+
+            var intervalEvent = jive.util.guid();
+            var cronEvent = jive.util.guid();
+            var runs = {};
+            [ intervalEvent, cronEvent ].forEach( function(event) {
+                runs[event] = [];
+                jive.events.registerEventListener( event, function() {
+                    runs[event].push( new Date(clock.now()).toISOString() );
+                    return q.resolve();
+                });
+            });
+
+            scheduler.init();
+            scheduler.schedule(intervalEvent, {}, 60 * 60 * 1000);
+            scheduler.schedule(cronEvent, {}, { 'cron' : '0 * * * *', 'timeZone' : 'UTC' });
+
+            clock.advance(3 * 60 * 60 * 1000 + 1).then( function() {
+                assert.equal(runs[intervalEvent].length, 3);
+                assert.deepEqual(runs[cronEvent], [
+                    '2024-01-01T01:00:00.000Z', '2024-01-01T02:00:00.000Z', '2024-01-01T03:00:00.000Z'
+                ]);
+                return scheduler.getTaskStatus(cronEvent);
+            }).then( function(status) {
+                assert.equal(status['lastRun']['startedAt'], Date.UTC(2024, 0, 1, 3));
+                assert.equal(status['nextRun'].getTime(), Date.UTC(2024, 0, 1, 4));
+            }).finally( function() {
+                scheduler.shutdown();
+                clock.uninstall();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('waits out retry backoff without waiting', function (done) {
+            var jive = this['jive'];
+            var clock = jive.testing.clock.install();
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+            jive.context['scheduler'] = scheduler;
+
+            var event = jive.util.guid();
+            var attempts = [];
+            jive.events.registerEventListener( event, function() {
+                attempts.push(clock.now());
+                return attempts.length < 3 ? q.reject({ 'statusCode' : 503 }) : q.resolve('done');
+            });
+
+            jive.retry.setPolicy(event, { 'initialDelay' : 10 * 1000, 'jitter' : 0 });
+            scheduler.init();
+            var result = scheduler.schedule(event, {});
+
+            clock.advance(30 * 1000 + 1).then( function() {
+                return result;
+            }).then( function(value) {
+                assert.equal(value, 'done');
+                assert.deepEqual( [ attempts[1] - attempts[0], attempts[2] - attempts[1] ], [ 10 * 1000, 20 * 1000 ] );
+            }).finally( function() {
+                jive.retry.setPolicy(event, null);
+                scheduler.shutdown();
+                clock.uninstall();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('paces iteration without waiting', function (done) {
+            var jive = this['jive'];
+            var clock = jive.testing.clock.install();
+
+            var processed = [];
+            var iteration = jive.util.iterator.createForArray( [ 1, 2, 3, 4, 5, 6 ], function(item) {
+                processed.push(item);
+            }, { 'uniformLaunchMs' : 1000 } );
+
+            clock.advance(2500).then( function() {
+                assert.deepEqual(processed, [ 1, 2 ]);
+                return clock.advance(10 * 1000);
+            }).then( function() {
+                return iteration;
+            }).then( function(results) {
+                assert.equal(results['completed'], 6);
+                assert.equal(results['executionTimeMs'], 6000);
+            }).finally( function() {
+                clock.uninstall();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('waits for long promise chains before firing timers', function (done) {
+            var jive = this['jive'];
+            var clock = jive.testing.clock.install(0);
+
+            var fired = false;
+            var chain = q();
+            for ( var i = 0; i < 1000; i++ ) {
+                chain = chain.then( function() {} );
+            }
+            chain.then( function() {
+                clock.setTimeout( function() {
+                    fired = true;
+                }, 1000 );
+            });
+
+            clock.advance(1000).then( function() {
+                assert.ok(fired);
+            }).finally( function() {
+                clock.uninstall();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+    });
+
+});
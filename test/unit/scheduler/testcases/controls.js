@@ -0,0 +1,112 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+
+    describe('task controls', function () {
+
+        it('pause, resume and run now', function (done) {
+            var jive = this['jive'];
+            var persistence = jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+            jive.context['scheduler'] = scheduler;
+
+            var event = jive.util.guid();
+            var count = 0;
+            jive.events.registerEventListener( event, function() {
+                count++;
+                return q.resolve(count);
+            });
+
+            scheduler.init();
+            scheduler.schedule(event, {}, 40);
+
+            var pausedCount;
+            q.delay(100).then( function() {
+                assert.ok(count > 0);
+                return jive.tasks.pause(event);
+            }).then( function(result) {
+                assert.deepEqual(result, { 'eventID' : event, 'paused' : true });
+                assert.equal(scheduler.getTasks(true)[0]['paused'], true);
+                pausedCount = count;
+                return q.delay(120);
+            }).then( function() {
+                assert.equal(count, pausedCount);
+                return persistence.findByID('pausedTask', event);
+            }).then( function(stored) {
+                assert.ok(stored);
+
+                // runs even though paused
+                return jive.tasks.runNow(event);
+            }).then( function(result) {
+                assert.equal(result, pausedCount + 1);
+                return jive.tasks.runNow('notScheduled').then( function() {
+                    throw new Error('Expected running an unknown task to fail');
+                }, function(e) {
+                    assert.equal(e['code'], 'ENOTFOUND');
+                });
+            }).then( function() {
+                // the pause outlasts a restart
+                return scheduler.shutdown().then( function() {
+                    scheduler.init();
+                    scheduler.schedule(event, {}, 40);
+                    return q.delay(120);
+                });
+            }).then( function() {
+                assert.equal(count, pausedCount + 1);
+                return jive.tasks.resume(event);
+            }).then( function(result) {
+                assert.deepEqual(result, { 'eventID' : event, 'paused' : false });
+                return q.delay(100);
+            }).then( function() {
+                assert.ok(count > pausedCount + 1);
+                return persistence.findByID('pausedTask', event);
+            }).then( function(stored) {
+                assert.ok(!stored);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('tasks paused before a restart do not run while the pauses load', function (done) {
+            var jive = this['jive'];
+            var persistence = jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+            jive.context['scheduler'] = scheduler;
+
+            var event = jive.util.guid();
+            var count = 0;
+            jive.events.registerEventListener( event, function() {
+                count++;
+            });
+
+            // slower to load than the task is to come due
+            var find = persistence.find;
+            persistence.find = function(collectionID) {
+                var found = find.apply(persistence, arguments);
+                return collectionID === 'pausedTask' ? q.delay(found, 150) : found;
+            };
+
+            persistence.save('pausedTask', event, { 'id' : event }).then( function() {
+                scheduler.init();
+                scheduler.schedule(event, {}, 20);
+                return q.delay(250);
+            }).then( function() {
+                assert.equal(count, 0);
+                assert.equal(scheduler.getTasks(true)[0]['paused'], true);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+    });
+
+});
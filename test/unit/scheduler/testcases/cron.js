@@ -0,0 +1,67 @@
+var assert = require('assert');
+
+describe('jive', function () {
+
+    describe('cron', function () {
+
+        it('parses expressions', function () {
+            var jive = this['jive'];
+
+            var parsed = jive.cron.parse('*/15 9-17 1,15 JAN-MAR mon-fri');
+            assert.deepEqual(Object.keys(parsed['minute']), [ '0', '15', '30', '45' ]);
+            assert.equal(Object.keys(parsed['hour']).length, 9);
+            assert.deepEqual(Object.keys(parsed['dayOfMonth']), [ '1', '15' ]);
+            assert.deepEqual(Object.keys(parsed['month']), [ '1', '2', '3' ]);
+            assert.deepEqual(Object.keys(parsed['dayOfWeek']), [ '1', '2', '3', '4', '5' ]);
+
+            assert.ok(jive.cron.parse('0 0 * * 7')['dayOfWeek'][0]);
+            assert.deepEqual(Object.keys(jive.cron.parse('@hourly')['minute']), [ '0' ]);
+
+            [ '* * * *', '60 * * * *', '* * * * FOO', '5-1 * * * *', '*/0 * * * *', 42 ].forEach( function(expression) {
+                assert.throws( function() {
+                    jive.cron.parse(expression);
+                }, /Invalid cron expression/ );
+            });
+        });
+
+        it('builds intervals', function () {
+            var jive = this['jive'];
+
+            assert.equal(jive.cron.interval(1000), 1000);
+            assert.equal(jive.cron.interval('1000'), 1000);
+            assert.equal(jive.cron.interval(undefined), undefined);
+            assert.deepEqual(jive.cron.interval('0 8 * * *'), { 'cron' : '0 8 * * *' });
+            assert.deepEqual(jive.cron.interval('0 8 * * *', 'Asia/Tokyo'),
+                { 'cron' : '0 8 * * *', 'timeZone' : 'Asia/Tokyo' });
+            assert.deepEqual(jive.cron.interval({ 'cron' : '0 8 * * *', 'timeZone' : 'UTC' }),
+                { 'cron' : '0 8 * * *', 'timeZone' : 'UTC' });
+
+            assert.throws( function() {
+                jive.cron.interval('0 8 * * *', 'Nowhere/Special');
+            }, /Unknown time zone/ );
+        });
+
+        it('finds the next run time', function () {
+            var jive = this['jive'];
+            var from = Date.UTC(2014, 0, 31, 10, 30, 20);   // a Friday
+
+            assert.equal(jive.cron.next('* * * * *', from, 'UTC').getTime(), Date.UTC(2014, 0, 31, 10, 31));
+            assert.equal(jive.cron.next('30 10 * * *', from, 'UTC').getTime(), Date.UTC(2014, 1, 1, 10, 30));
+            assert.equal(jive.cron.next('0 9 * * MON', from, 'UTC').getTime(), Date.UTC(2014, 1, 3, 9, 0));
+            assert.equal(jive.cron.next('0 0 29 2 *', from, 'UTC').getTime(), Date.UTC(2016, 1, 29, 0, 0));
+
+            // day of month or day of week
+            assert.equal(jive.cron.next('0 0 15 * SAT', from, 'UTC').getTime(), Date.UTC(2014, 1, 1, 0, 0));
+
+            // matched in the time zone: 8:00 in Los Angeles is 16:00 UTC in winter, and 15:00 UTC in summer
+            assert.equal(jive.cron.next({ 'cron' : '0 8 * * *', 'timeZone' : 'America/Los_Angeles' }, from).getTime(),
+                Date.UTC(2014, 0, 31, 16, 0));
+            assert.equal(jive.cron.next('0 8 * * *', Date.UTC(2014, 6, 1), 'America/Los_Angeles').getTime(),
+                Date.UTC(2014, 6, 1, 15, 0));
+
+            assert.equal(jive.cron.next('0 0 30 2 *', from, 'UTC'), null);
+        });
+
+    });
+
+});
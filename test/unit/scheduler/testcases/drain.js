@@ -0,0 +1,158 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+
+    describe('scheduler drain', function () {
+
+        it('waits for runs in flight, and turns new events away', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+            jive.context['scheduler'] = scheduler;
+
+            var event = jive.util.guid();
+            var finished = false;
+            jive.events.registerEventListener( event, function() {
+                return q.delay(150).then( function() {
+                    finished = true;
+                });
+            });
+
+            scheduler.init();
+            scheduler.schedule(event, {});
+            scheduler.schedule(jive.util.guid(), {}, 60 * 1000);
+            var scheduled = scheduler.schedule(event, {}, undefined, 500);
+
+            q.delay(50).then( function() {
+                return scheduler.drain(1000);
+            }).then( function(pending) {
+                assert.deepEqual(pending, []);
+                assert.ok(finished);
+                assert.deepEqual(scheduler.getTasks(), []);
+                return scheduler.schedule(event, {}).then( function() {
+                    throw new Error('Expected scheduling while draining to fail');
+                }, function(e) {
+                    assert.equal(e['code'], 'ESHUTDOWN');
+                });
+            }).then( function() {
+                // not yet started when the drain began
+                return scheduled.then( function() {
+                    throw new Error('Expected the delayed event not to run');
+                }, function(e) {
+                    assert.equal(e['code'], 'ESHUTDOWN');
+                });
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('rejects events waiting for a retry', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+            jive.context['scheduler'] = scheduler;
+
+            var event = jive.util.guid();
+            var attempts = 0;
+            jive.events.registerEventListener( event, function() {
+                attempts++;
+                return q.reject({ 'statusCode' : 503 });
+            });
+
+            scheduler.init(undefined, { 'retryPolicies' : {
+                'default' : { 'maxAttempts' : 3, 'initialDelay' : 60 * 1000 }
+            }});
+            var scheduled = scheduler.schedule(event, {});
+
+            q.delay(50).then( function() {
+                assert.equal(attempts, 1);
+                return scheduler.drain(1000);
+            }).then( function(pending) {
+                assert.deepEqual(pending, []);
+                return scheduled.timeout(1000).then( function() {
+                    throw new Error('Expected the event waiting for a retry to be rejected');
+                }, function(e) {
+                    assert.equal(e['code'], 'ESHUTDOWN');
+                    assert.equal(attempts, 1);
+                });
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                jive.retry.setPolicies({});
+                scheduler.shutdown();
+            });
+        });
+
+        it('stops waiting at the deadline', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+            jive.context['scheduler'] = scheduler;
+
+            var event = jive.util.guid();
+            jive.events.registerEventListener( event, function() {
+                return q.delay(500);
+            });
+
+            scheduler.init();
+            scheduler.schedule(event, {});
+
+            q.delay(50).then( function() {
+                return scheduler.drain(50);
+            }).then( function(pending) {
+                assert.deepEqual(pending, [ event ]);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('keeps stored events not yet run', function (done) {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+            jive.context['persistence'] = persistence;
+            var scheduler = new jive.scheduler.persistent();
+            jive.context['scheduler'] = scheduler;
+
+            var event = jive.util.guid();
+            var count = 0;
+            jive.events.registerEventListener( event, function() {
+                count++;
+            });
+
+            scheduler.init();
+            scheduler.schedule(event, {}, undefined, 300).fail( function() {
+                // turned away by the drain
+            });
+
+            q.delay(50).then( function() {
+                return scheduler.drain(1000);
+            }).then( function() {
+                return q.delay(50);
+            }).then( function() {
+                return persistence.find(jive.scheduler.persistent.COLLECTION, { 'eventID' : event });
+            }).then( function(stored) {
+                assert.equal(count, 0);
+                assert.equal(stored.length, 1);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,116 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+
+    describe('taskHistory', function () {
+
+        afterEach( function() {
+            this['jive'].taskHistory.configure({});
+        });
+
+        it('keeps the latest runs', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            jive.taskHistory.configure( { 'size' : 3 } );
+
+            var now = new Date().getTime();
+            var recorded = q.resolve();
+            [ 5, 4, 3, 2, 1 ].forEach( function(ago) {
+                recorded = recorded.then( function() {
+                    return jive.taskHistory.record('report', now - ago * 1000, ago % 2 ? 'success' : 'failure',
+                        { 'statusCode' : 503 });
+                });
+            });
+
+            recorded.then( function() {
+                return jive.taskHistory.find('report');
+            }).then( function(runs) {
+                assert.equal(runs.length, 3);
+                assert.equal(runs[0]['startedAt'], now - 1000);
+                assert.equal(runs[0]['outcome'], 'success');
+                assert.equal(runs[0]['error'], undefined);
+                assert.equal(runs[1]['outcome'], 'failure');
+                assert.equal(runs[1]['error'], 'HTTP 503');
+                assert.ok(runs[2]['duration'] >= 3000);
+
+                assert.equal(jive.taskHistory.summarize(new Error('boom')), 'boom');
+                assert.equal(jive.taskHistory.summarize({ 'statusCode' : 400, 'entity' : { 'error' : 'bad' } }),
+                    'HTTP 400: bad');
+                assert.equal(jive.taskHistory.summarize('nope'), 'nope');
+
+                jive.taskHistory.configure(false);
+                return jive.taskHistory.record('report', now, 'success');
+            }).then( function(run) {
+                assert.equal(run, null);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('leaves out excluded tasks', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+
+            var internal = jive.util.guid();
+            jive.taskHistory.exclude(internal);
+
+            jive.taskHistory.record(internal, new Date().getTime(), 'success').then( function(run) {
+                assert.equal(run, null);
+                return jive.taskHistory.find(internal);
+            }).then( function(runs) {
+                assert.deepEqual(runs, []);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('records the runs of recurring tasks', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+
+            var event = jive.util.guid();
+            var count = 0;
+            jive.events.registerEventListener( event, function() {
+                count++;
+                return count % 2 ? q.resolve() : q.reject({ 'statusCode' : 503 });
+            });
+
+            scheduler.init();
+            scheduler.schedule(event, {}, 50);
+
+            q.delay(180).then( function() {
+                return scheduler.getTaskStatus(event);
+            }).then( function(status) {
+                assert.equal(status['eventID'], event);
+                assert.ok(status['scheduled']);
+                assert.equal(status['interval'], 50);
+                assert.ok(status['history'].length >= 2);
+                assert.equal(status['lastRun'], status['history'][0]);
+                assert.equal(status['lastSuccess']['outcome'], 'success');
+                assert.equal(status['lastFailure']['error'], 'HTTP 503');
+                assert.ok(status['lastFailure']['endedAt'] >= status['lastFailure']['startedAt']);
+
+                return scheduler.unschedule(event);
+            }).then( function() {
+                return scheduler.getTaskStatus(event);
+            }).then( function(status) {
+                assert.ok(!status['scheduled']);
+                assert.ok(status['history'].length >= 2);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,132 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+
+    describe('lease', function () {
+
+        it('acquire, extend, expire and release', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+
+            var acquiredAt;
+            jive.lease.acquire('report', 100, 'a').then( function(lease) {
+                assert.equal(lease['holder'], 'a');
+                acquiredAt = lease['acquiredAt'];
+                return jive.lease.acquire('report', 100, 'b');
+            }).then( function(lease) {
+                assert.equal(lease['holder'], 'a');
+                return q.delay(20).then( function() {
+                    return jive.lease.acquire('report', 100, 'a');
+                });
+            }).then( function(lease) {
+                // extended
+                assert.equal(lease['holder'], 'a');
+                assert.equal(lease['acquiredAt'], acquiredAt);
+                return q.all( [ jive.lease.release('report', 'b'), q.delay(150) ] );
+            }).then( function(released) {
+                assert.equal(released[0], false);
+                return jive.lease.acquire('report', 100, 'b');
+            }).then( function(lease) {
+                // taken over on expiry
+                assert.equal(lease['holder'], 'b');
+                return jive.lease.release('report', 'b');
+            }).then( function(released) {
+                assert.equal(released, true);
+                return jive.lease.acquire('report', 100, 'a');
+            }).then( function(lease) {
+                assert.equal(lease['holder'], 'a');
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('only one holder on concurrent acquisition', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+
+            q.all( [ 'a', 'b', 'c' ].map( function(holder) {
+                return jive.lease.acquire('report', 1000, holder);
+            })).then( function(leases) {
+                var holders = leases.map( function(lease) {
+                    return lease['holder'];
+                });
+                assert.equal(holders[0], holders[1]);
+                assert.equal(holders[1], holders[2]);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('requires a strategy that honors expected revisions', function () {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+            assert.ok(jive.lease.isSupported(persistence));
+
+            persistence['capabilities'] = { 'batch' : true };
+            jive.context['persistence'] = persistence;
+            assert.ok(!jive.lease.isSupported(persistence));
+
+            var scheduler = new jive.scheduler.memory();
+            assert.throws( function() {
+                scheduler.init(undefined, { 'taskLeases' : true });
+            }, /capabilities.revisions/);
+
+            // without leases, it does not matter
+            scheduler.init(undefined, {});
+            scheduler.shutdown();
+        });
+
+        it('runs recurring tasks on the lease holder only', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+
+            var event = jive.util.guid();
+            var count = 0;
+            jive.events.registerEventListener( event, function() {
+                count++;
+                return q.resolve();
+            });
+
+            var nodeID = jive.lease.getNodeID();
+            scheduler.init(undefined, { 'taskLeases' : { 'gracePeriod' : 100, 'nodeID' : 'thisNode' } });
+
+            // another node holds the lease for now
+            jive.lease.acquire(event, 200, 'otherNode').then( function() {
+                scheduler.schedule(event, {}, 50);
+                return q.delay(150);
+            }).then( function() {
+                assert.equal(count, 0);
+                var task = scheduler.getTasks(true)[0];
+                assert.equal(task['leaseHolder'], 'otherNode');
+                return q.delay(200);
+            }).then( function() {
+                // taken over once the other node's lease expired
+                assert.ok(count > 0);
+                var task = scheduler.getTasks(true)[0];
+                assert.equal(task['leaseHolder'], 'thisNode');
+                assert.ok(task['leaseExpiresAt'].getTime() > new Date().getTime());
+                return scheduler.unschedule(event);
+            }).then( function() {
+                return jive.lease.find(event);
+            }).then( function(lease) {
+                assert.equal(lease['holder'], 'thisNode');
+                assert.equal(lease['expiresAt'], 0);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+                jive.lease.setNodeID(nodeID);
+            });
+        });
+
+    });
+
+});
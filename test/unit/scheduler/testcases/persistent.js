@@ -0,0 +1,410 @@
+var assert = require('assert');
+var q = require('q');
+var tests = require('../baseSchedulerTest');
+
+describe('jive', function () {
+
+    describe('scheduler.persistent', function () {
+
+        var createScheduler = function(jive) {
+            return new jive.scheduler.persistent({ 'persistence' : new jive.persistence.memory() });
+        };
+
+        it('testSimpleSingleEvent', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testSimpleSingleEvent(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testSimpleSingleEventGlobalFireUntargeted', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testSimpleSingleEventGlobalFireUntargeted(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testSimpleSingleEventGlobalFireTargeted', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testSimpleSingleEventGlobalFireTargeted(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testSimpleSingleEventMixedFireUntargeted', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testSimpleSingleEventMixedFireUntargeted(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testSimpleSingleEventMixedFireTargeted', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testSimpleSingleEventMixedFireTargeted(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testSimpleIntervalEvent', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testSimpleIntervalEvent(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testSingleEventWithDelay', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testSingleEventWithDelay(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testIntervalEventWithDelay', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testIntervalEventWithDelay(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testSingleEventTimeout', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testSingleEventTimeout(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testIntervalEventTimeout', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testIntervalEventTimeout(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testOverlappingIntervalEvents', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testOverlappingIntervalEvents(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testOverlappingSingleNonExclusiveEvent', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testOverlappingSingleNonExclusiveEvent(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testOverlappingSingleExclusiveEvent', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testOverlappingSingleExclusiveEvent(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testConcurrentIntervalEvents', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testConcurrentIntervalEvents(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testCronEventNextRun', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testCronEventNextRun(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('testFailedEvent', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(createScheduler(jive));
+            tests.testFailedEvent(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function() {
+                assert.fail()
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+
+        it('resumes stored events on init', function (done) {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+            var Scheduler = jive.scheduler.persistent;
+
+            var oneOff = jive.util.guid();
+            var recurring = jive.util.guid();
+            var contexts = [];
+            var recurringCount = 0;
+
+            jive.events.registerEventListener( oneOff, function(context) {
+                contexts.push(context);
+            }, { 'eventListener' : 'event1Listener'} );
+            jive.events.registerEventListener( recurring, function() {
+                recurringCount++;
+            }, { 'eventListener' : 'event1Listener'} );
+
+            // stored by a scheduler that did not get to run them
+            q.all( [
+                persistence.save(Scheduler.COLLECTION, 'a', {
+                    'id' : 'a', 'eventID' : oneOff, 'context' : { 'eventListener' : 'event1Listener', 'n' : 1 },
+                    'runAt' : new Date().getTime() - 1000
+                }),
+                persistence.save(Scheduler.COLLECTION, 'recurring.' + recurring, {
+                    'id' : 'recurring.' + recurring, 'eventID' : recurring,
+                    'context' : { 'eventListener' : 'event1Listener' }, 'interval' : 200
+                })
+            ]).then( function() {
+                var scheduler = jive.service.scheduler(new Scheduler({ 'persistence' : persistence }));
+                scheduler.init();
+
+                return q.delay(500).then( function() {
+                    assert.deepEqual(contexts, [ { 'eventListener' : 'event1Listener', 'n' : 1 } ]);
+                    assert.ok(recurringCount > 0);
+                    assert.deepEqual(scheduler.getTasks(), [ recurring ]);
+                    return persistence.find(Scheduler.COLLECTION, {});
+                }).then( function(stored) {
+                    assert.deepEqual(stored.map( function(record) { return record['id']; }), [ 'recurring.' + recurring ]);
+                    return scheduler.unschedule(recurring);
+                }).then( function() {
+                    return persistence.count(Scheduler.COLLECTION);
+                }).then( function(count) {
+                    assert.equal(count, 0);
+                }).finally( function() {
+                    return scheduler.shutdown();
+                });
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('keeps pending events across shutdown', function (done) {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+            var Scheduler = jive.scheduler.persistent;
+            var event = jive.util.guid();
+            var count = 0;
+
+            jive.events.registerEventListener( event, function() {
+                count++;
+            }, { 'eventListener' : 'event1Listener'} );
+
+            var scheduler = new Scheduler({ 'persistence' : persistence });
+            scheduler.init();
+            scheduler.schedule( event, { eventListener: 'event1Listener' }, undefined, 5000 );
+
+            q.delay(50).then( function() {
+                return scheduler.shutdown();
+            }).then( function() {
+                return persistence.find(Scheduler.COLLECTION, {});
+            }).then( function(stored) {
+                assert.equal(stored.length, 1);
+                assert.equal(stored[0]['eventID'], event);
+                assert.equal(count, 0);
+
+                // due now
+                stored[0]['runAt'] = new Date().getTime();
+                return persistence.save(Scheduler.COLLECTION, stored[0]['id'], stored[0]);
+            }).then( function() {
+                scheduler = new Scheduler({ 'persistence' : persistence });
+                scheduler.init();
+                return q.delay(250);
+            }).then( function() {
+                assert.equal(count, 1);
+                return persistence.count(Scheduler.COLLECTION);
+            }).then( function(count) {
+                assert.equal(count, 0);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                return scheduler.shutdown();
+            });
+        });
+
+        it('removes skipped exclusive events', function (done) {
+            var jive = this['jive'];
+            var persistence = new jive.persistence.memory();
+            var Scheduler = jive.scheduler.persistent;
+            var event = jive.util.guid();
+            var count = 0;
+
+            jive.events.registerEventListener( event, function() {
+                count++;
+                return q.delay(200);
+            }, { 'eventListener' : 'event1Listener'} );
+
+            var scheduler = jive.service.scheduler(new Scheduler({ 'persistence' : persistence }));
+            scheduler.init();
+            var first = scheduler.schedule( event, { eventListener: 'event1Listener' }, undefined, undefined, true );
+            var second = scheduler.schedule( event, { eventListener: 'event1Listener' }, undefined, undefined, true );
+
+            second.timeout(1000).then( function() {
+                throw new Error('Expected the overlapping exclusive event to be skipped');
+            }, function(e) {
+                assert.equal(e['code'], 'ERUNNING');
+                return first;
+            }).then( function() {
+                return q.delay(50);
+            }).then( function() {
+                assert.equal(count, 1);
+                return persistence.count(Scheduler.COLLECTION);
+            }).then( function(count) {
+                assert.equal(count, 0);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                return scheduler.shutdown();
+            });
+        });
+
+        it('one scheduler per process', function (done) {
+            var jive = this['jive'];
+
+            var first = createScheduler(jive).init();
+            var second = createScheduler(jive);
+
+            assert.throws( function() {
+                second.init();
+            }, /Another scheduler is running/);
+            assert.throws( function() {
+                new jive.scheduler.memory().init();
+            }, /Another scheduler is running/);
+
+            // leaves the running scheduler be
+            first.schedule('oneSchedulerPerProcess', {}, 60 * 1000);
+            q.delay(20).then( function() {
+                return second.shutdown();
+            }).then( function() {
+                assert.deepEqual(first.getTasks(), [ 'oneSchedulerPerProcess' ]);
+                return first.shutdown();
+            }).then( function() {
+                second.init();
+            }).finally( function() {
+                return second.shutdown().then( function() {
+                    return first.shutdown();
+                });
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+    });
+
+});
+
@@ -0,0 +1,167 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+
+    describe('retry', function () {
+
+        afterEach( function() {
+            this['jive'].retry.setPolicies({});
+        });
+
+        it('policies', function () {
+            var jive = this['jive'];
+
+            jive.retry.setPolicies( {
+                'pushDataToJive' : { 'maxAttempts' : 5, 'initialDelay' : 100, 'jitter' : 0 },
+                'default' : { 'retryOnError' : false }
+            });
+
+            var policy = jive.retry.getPolicy('pushDataToJive');
+            assert.equal(policy['maxAttempts'], 5);
+            assert.equal(policy['multiplier'], 2);
+            assert.equal(jive.retry.getDelay(policy, 1), 100);
+            assert.equal(jive.retry.getDelay(policy, 3), 400);
+            assert.equal(jive.retry.getDelay(policy, 20), 60 * 1000);
+
+            assert.ok(jive.retry.isRetryable({ 'statusCode' : 503 }, policy));
+            assert.ok(!jive.retry.isRetryable({ 'statusCode' : 400 }, policy));
+            assert.ok(jive.retry.isRetryable(new Error('ECONNRESET'), policy));
+            assert.ok(!jive.retry.isRetryable(new Error('ECONNRESET'), jive.retry.getPolicy('other')));
+
+            var jittered = jive.retry.getDelay( jive.retry.getPolicy('other'), 1 );
+            assert.ok(jittered > 800 && jittered <= 1000);
+
+            assert.throws( function() {
+                jive.retry.setPolicy('x', { 'maxAttempts' : 0 });
+            });
+
+            jive.retry.setPolicies({});
+            assert.equal(jive.retry.getPolicy('pushDataToJive'), null);
+        });
+
+        it('retries failed events', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+
+            var event = jive.util.guid();
+            var attempts = 0;
+            jive.events.registerEventListener( event, function() {
+                attempts++;
+                return attempts < 3 ? q.reject({ 'statusCode' : 503 }) : q.resolve('pushed');
+            });
+
+            scheduler.init(undefined, { 'retryPolicies' : {
+                'default' : { 'maxAttempts' : 3, 'initialDelay' : 10 }
+            }});
+
+            scheduler.schedule(event).then( function(result) {
+                assert.equal(result, 'pushed');
+                assert.equal(attempts, 3);
+                return jive.retry.findDeadLetters();
+            }).then( function(deadLetters) {
+                assert.equal(deadLetters.length, 0);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('rejects events that cannot be dead-lettered', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+
+            var event = jive.util.guid();
+            jive.events.registerEventListener( event, function() {
+                return q.reject({ 'statusCode' : 400 });
+            });
+
+            jive.retry.setPolicy('default', { 'maxAttempts' : 1 });
+            scheduler.init();
+
+            // a context that does not serialize cannot be kept
+            var context = {};
+            context['self'] = context;
+
+            scheduler.schedule(event, context).timeout(1000).then( function() {
+                throw new Error('Expected the event to fail');
+            }, function(e) {
+                assert.equal(e['statusCode'], 400);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+        it('dead-letters events that exhaust their retries', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+            jive.context['scheduler'] = scheduler;
+
+            var event = jive.util.guid();
+            var contexts = [];
+            jive.events.registerEventListener( event, function(context) {
+                contexts.push(context);
+                return contexts.length < 3 ? q.reject({ 'statusCode' : 400, 'entity' : { 'error' : 'bad' } }) :
+                    q.resolve();
+            }, { 'eventListener' : 'retryListener' });
+
+            jive.retry.setPolicy('default', { 'maxAttempts' : 3, 'initialDelay' : 10 });
+            scheduler.init();
+
+            var deadLetter;
+            scheduler.schedule(event, { 'eventListener' : 'retryListener', 'data' : 1 }).then( function() {
+                throw new Error('Expected the event to fail');
+            }, function(e) {
+                // not retried: 400 is not a retryable status code
+                assert.equal(e['statusCode'], 400);
+                assert.equal(contexts.length, 1);
+                return jive.retry.findDeadLetters( { 'eventID' : event } );
+            }).then( function(deadLetters) {
+                assert.equal(deadLetters.length, 1);
+                deadLetter = deadLetters[0];
+                assert.equal(deadLetter['attempts'], 1);
+                assert.equal(deadLetter['context']['data'], 1);
+                assert.deepEqual(deadLetter['error'], { 'statusCode' : 400, 'entity' : { 'error' : 'bad' } });
+
+                return jive.retry.replayDeadLetter(deadLetter['id']);
+            }).then( function(replayed) {
+                assert.equal(replayed['id'], deadLetter['id']);
+                return q.delay(50);
+            }).then( function() {
+                // failed again, so dead-lettered anew
+                assert.equal(contexts.length, 2);
+                assert.equal(contexts[1]['data'], 1);
+                return jive.retry.findDeadLetters( { 'eventID' : event } );
+            }).then( function(deadLetters) {
+                assert.equal(deadLetters.length, 1);
+                assert.notEqual(deadLetters[0]['id'], deadLetter['id']);
+                return jive.retry.discardDeadLetter(deadLetters[0]['id']);
+            }).then( function(discarded) {
+                assert.ok(discarded);
+                return q.all( [ jive.retry.findDeadLetters(), jive.retry.discardDeadLetter('missing') ] );
+            }).then( function(found) {
+                assert.equal(found[0].length, 0);
+                assert.equal(found[1], null);
+                assert.equal(contexts.length, 2);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+    });
+
+});
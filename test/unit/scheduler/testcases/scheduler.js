@@ -202,6 +202,20 @@ describe('jive', function () {
             });
         });
 
+        it('testCronEventNextRun', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var scheduler = jive.service.scheduler(new jive.scheduler.memory());
+            tests.testCronEventNextRun(jive, testUtils, scheduler).then( function() {
+                done();
+            }, function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
         it('testFailedEvent', function (done) {
             var jive = this['jive'];
             var testUtils = this['testUtils'];
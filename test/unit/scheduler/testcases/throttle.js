@@ -0,0 +1,112 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+
+    describe('throttle', function () {
+
+        afterEach( function() {
+            var jive = this['jive'];
+            jive.throttle.configure(null);
+            jive.throttle.clear();
+        });
+
+        var track = function(started, ms) {
+            return function() {
+                started.push(new Date().getTime());
+                return q.delay(ms);
+            };
+        };
+
+        it('limits runs in flight', function (done) {
+            var jive = this['jive'];
+            jive.throttle.configure( { 'maxInFlight' : 3, 'perEvent' : { 'a' : 1 } } );
+
+            var started = { 'a' : [], 'b' : [] };
+            var runs = [];
+            for ( var i = 0; i < 3; i++ ) {
+                runs.push( jive.throttle.run('a', {}, track(started['a'], 30)) );
+                runs.push( jive.throttle.run('b', {}, track(started['b'], 30)) );
+            }
+
+            var depths = jive.throttle.getQueueDepths();
+            assert.equal(depths['inFlight'], 3);
+            assert.deepEqual(depths['inFlightByEvent'], { 'a' : 1, 'b' : 2 });
+            assert.equal(depths['queued'], 3);
+            assert.deepEqual(depths['queuedByEvent'], { 'a' : 2, 'b' : 1 });
+
+            q.all(runs).then( function() {
+                assert.equal(started['a'].length, 3);
+                assert.equal(started['b'].length, 3);
+                // one at a time
+                assert.ok(started['a'][2] - started['a'][0] >= 55);
+                assert.equal(jive.throttle.getQueueDepths()['inFlight'], 0);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('rate limits communities', function (done) {
+            var jive = this['jive'];
+            jive.throttle.configure( { 'perCommunity' : { 'rate' : 20, 'burst' : 2 } } );
+
+            var began = new Date().getTime();
+            var started = { 'c1' : [], 'c2' : [] };
+            var runs = [];
+            for ( var i = 0; i < 4; i++ ) {
+                runs.push( jive.throttle.run('pushDataToJive', { 'tileInstance' : { 'jiveCommunity' : 'c1' } },
+                    track(started['c1'], 0)) );
+            }
+            runs.push( jive.throttle.run('pushDataToJive', { 'jiveCommunity' : 'c2' }, track(started['c2'], 0)) );
+
+            assert.deepEqual(jive.throttle.getQueueDepths()['queuedByCommunity'], { 'c1' : 2 });
+            assert.equal(started['c1'].length, 2);
+            assert.equal(started['c2'].length, 1);
+
+            q.all(runs).then( function() {
+                // a token every 50ms, after the burst
+                assert.equal(started['c1'].length, 4);
+                assert.ok(started['c1'][3] - began >= 90);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('queues scheduled events', function (done) {
+            var jive = this['jive'];
+            var scheduler = new jive.scheduler.memory();
+
+            var event = jive.util.guid();
+            var running = 0, maxRunning = 0;
+            jive.events.registerEventListener( event, function() {
+                running++;
+                maxRunning = Math.max(running, maxRunning);
+                return q.delay(20).then( function() {
+                    running--;
+                });
+            });
+
+            scheduler.init(undefined, { 'concurrency' : { 'perEvent' : { 'default' : 2 } } });
+
+            var runs = [ scheduler.schedule(event), scheduler.schedule(event), scheduler.schedule(event) ];
+            q.delay(10).then( function() {
+                assert.equal(scheduler.getQueueDepths()['queuedByEvent'][event], 1);
+                return q.all(runs);
+            }).then( function() {
+                assert.equal(maxRunning, 2);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            }).finally( function() {
+                scheduler.shutdown();
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,129 @@
+var assert = require('assert');
+var q = require('q');
+var http = require('http');
+
+describe('jive', function () {
+
+    describe('scheduler timeouts', function () {
+
+        it('rejects and cancels a run that times out', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+            jive.context['scheduler'] = scheduler;
+
+            var event = jive.util.guid();
+            var signal;
+            jive.events.registerEventListener( event, function(context) {
+                signal = context['cancellation'];
+                // never settles
+                return q.defer().promise;
+            });
+
+            scheduler.init();
+            var context = { 'key' : 'value' };
+            scheduler.schedule(event, context, undefined, undefined, false, 100).then( function() {
+                throw new Error('Expected the run to time out');
+            }, function(e) {
+                assert.equal(e['code'], 'ETIMEDOUT');
+                assert.ok(signal.isCancelled());
+                assert.equal(signal.reason, e);
+                assert.deepEqual(JSON.parse(JSON.stringify(context)), { 'key' : 'value' });
+                // what follows the run is not part of it, and not cancelled with it
+                assert.ok(!jive.util.cancellation.current());
+            }).finally( function() {
+                scheduler.shutdown();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('aborts the requests of a run that times out', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+            jive.context['scheduler'] = scheduler;
+
+            var aborted = false;
+            var server = http.createServer( function(req) {
+                req.on('close', function() {
+                    aborted = true;
+                });
+            }).listen(0);
+
+            var event = jive.util.guid();
+            var requested;
+            jive.events.registerEventListener( event, function() {
+                // made from a promise callback, without passing the signal
+                return q.delay(10).then( function() {
+                    requested = jive.util.buildRequest('http://localhost:' + server.address().port + '/slow', 'GET');
+                    return requested;
+                });
+            });
+
+            scheduler.init();
+            scheduler.schedule(event, {}, undefined, undefined, false, 100).then( function() {
+                throw new Error('Expected the run to time out');
+            }, function(e) {
+                assert.equal(e['code'], 'ETIMEDOUT');
+                return requested.then( function() {
+                    throw new Error('Expected the request to be aborted');
+                }, function(requestError) {
+                    assert.equal(requestError, e);
+                });
+            }).then( function() {
+                return q.delay(50);
+            }).then( function() {
+                assert.ok(aborted);
+            }).finally( function() {
+                server.close();
+                scheduler.shutdown();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('does not pile up runs of a hung recurring task', function (done) {
+            var jive = this['jive'];
+            jive.context['persistence'] = new jive.persistence.memory();
+            var scheduler = new jive.scheduler.memory();
+            jive.context['scheduler'] = scheduler;
+
+            var event = jive.util.guid();
+            var runs = 0;
+            var active = 0;
+            var maxActive = 0;
+            jive.events.registerEventListener( event, function(context) {
+                runs++;
+                active++;
+                maxActive = Math.max(maxActive, active);
+                context['cancellation'].onCancel( function() {
+                    active--;
+                });
+                return q.defer().promise;
+            });
+
+            scheduler.init();
+            scheduler.schedule(event, {}, 30, undefined, false, 80).fail( function() {
+                // each run times out
+            });
+
+            q.delay(400).then( function() {
+                assert.ok(runs > 1);
+                assert.equal(maxActive, 1);
+            }).finally( function() {
+                scheduler.shutdown();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+    });
+
+});
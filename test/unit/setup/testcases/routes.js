@@ -63,6 +63,250 @@ describe('jive', function () {
             })
         });
 
+        it('dead letter routes', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var options = testUtils.createBaseServiceOptions('/services/tile_routes');
+            delete options['role'];
+            options['port'] = 5555; options['logLevel'] = 'FATAL'; options['clientUrl'] = 'http://localhost:5555';
+            testUtils.setupService(jive, options).then( function(service) {
+                var deadLetterID;
+                jive.retry.deadLetter('deadLetterRouteEvent', { 'data' : 1 }, { 'statusCode' : 400 }, 3).then( function() {
+                    return jive.util.buildRequest('http://localhost:5555/dev/deadLetters?eventID=deadLetterRouteEvent');
+                }).then( function(r) {
+                    assert.equal( r['entity'].length, 1 );
+                    assert.equal( r['entity'][0]['attempts'], 3 );
+                    deadLetterID = r['entity'][0]['id'];
+                    return jive.util.buildRequest('http://localhost:5555/dev/deadLetters/' + deadLetterID, 'DELETE');
+                }).then( function(r) {
+                    assert.equal( r['entity']['id'], deadLetterID );
+                    return jive.util.buildRequest('http://localhost:5555/dev/deadLetters/' + deadLetterID + '/replay',
+                        'POST', {});
+                }).then( function(r) {
+                    assert.fail(r, 'expected error');
+                }, function(e) {
+                    assert.equal( e['statusCode'], 404 );
+                    return jive.util.buildRequest('http://localhost:5555/dev/deadLetters');
+                }).then( function(r) {
+                    assert.equal( r['entity'].length, 0 );
+                }).then( function() {
+                    return service.stop();
+                }).then( function() {
+                    done();
+                }).fail( function(e) {
+                    service.stop().then( function() {
+                        done(e);
+                    });
+                });
+            })
+        });
+
+        it('queue depth route', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var options = testUtils.createBaseServiceOptions('/services/tile_routes');
+            delete options['role'];
+            options['port'] = 5555; options['logLevel'] = 'FATAL'; options['clientUrl'] = 'http://localhost:5555';
+            testUtils.setupService(jive, options).then( function(service) {
+                jive.util.buildRequest('http://localhost:5555/dev/queues').then( function(r) {
+                    assert.equal( r['entity']['queued'], 0 );
+                    assert.equal( r['entity']['inFlight'], 0 );
+                }).then( function() {
+                    return service.stop();
+                }).then( function() {
+                    done();
+                }).fail( function(e) {
+                    service.stop().then( function() {
+                        done(e);
+                    });
+                });
+            })
+        });
+
+        it('task status routes', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var options = testUtils.createBaseServiceOptions('/services/tile_routes');
+            delete options['role'];
+            options['port'] = 5555; options['logLevel'] = 'FATAL'; options['clientUrl'] = 'http://localhost:5555';
+            options['persistencePurgeInterval'] = 60 * 1000;
+            testUtils.setupService(jive, options).then( function(service) {
+                var purge = jive.constants.tileEventNames.PURGE_EXPIRED_RECORDS;
+                jive.util.buildRequest('http://localhost:5555/dev/tasks').then( function(r) {
+                    assert.ok( r['entity'].filter( function(status) {
+                        return status['eventID'] == purge;
+                    }).length == 1 );
+                    return jive.util.buildRequest('http://localhost:5555/dev/tasks/' + purge);
+                }).then( function(r) {
+                    assert.equal( r['entity']['eventID'], purge );
+                    assert.equal( r['entity']['scheduled'], true );
+                    assert.deepEqual( r['entity']['history'], [] );
+                }).then( function() {
+                    return service.stop();
+                }).then( function() {
+                    done();
+                }).fail( function(e) {
+                    service.stop().then( function() {
+                        done(e);
+                    });
+                });
+            })
+        });
+
+        it('task control routes', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var options = testUtils.createBaseServiceOptions('/services/tile_routes');
+            delete options['role'];
+            options['port'] = 5555; options['logLevel'] = 'FATAL'; options['clientUrl'] = 'http://localhost:5555';
+            options['clientId'] = 'adminClient'; options['clientSecret'] = 'adminSecret';
+            testUtils.setupService(jive, options).then( function(service) {
+                var event = jive.util.guid();
+                var count = 0;
+                jive.events.registerEventListener( event, function() {
+                    count++;
+                });
+                jive.context.scheduler.schedule(event, {}, 60 * 1000);
+
+                var url = 'http://localhost:5555/admin/tasks/' + event;
+                var auth = { 'Authorization' : 'Basic ' + new Buffer('adminClient:adminSecret').toString('base64') };
+                q.delay(10).then( function() {
+                    return jive.util.buildRequest(url + '/pause', 'POST', {});
+                }).then( function(r) {
+                    assert.fail(r, 'expected error');
+                }, function(e) {
+                    assert.equal( e['statusCode'], 403 );
+                    return jive.util.buildRequest(url + '/pause', 'POST', {}, auth);
+                }).then( function(r) {
+                    assert.deepEqual( r['entity'], { 'eventID' : event, 'paused' : true } );
+                    return jive.util.buildRequest(url + '/runNow', 'POST', {}, auth);
+                }).then( function(r) {
+                    assert.equal( r['entity']['outcome'], 'success' );
+                    assert.equal( count, 1 );
+                    return jive.util.buildRequest(url + '/resume', 'POST', {}, auth);
+                }).then( function(r) {
+                    assert.deepEqual( r['entity'], { 'eventID' : event, 'paused' : false } );
+                    return jive.util.buildRequest('http://localhost:5555/admin/tasks/unknown/runNow', 'POST', {}, auth);
+                }).then( function(r) {
+                    assert.fail(r, 'expected error');
+                }, function(e) {
+                    assert.equal( e['statusCode'], 404 );
+                }).then( function() {
+                    return service.stop();
+                }).then( function() {
+                    done();
+                }).fail( function(e) {
+                    service.stop().then( function() {
+                        done(e);
+                    });
+                });
+            })
+        });
+
+        it('graceful shutdown', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var options = testUtils.createBaseServiceOptions('/services/tile_routes');
+            delete options['role'];
+            options['port'] = 5555; options['logLevel'] = 'FATAL'; options['clientUrl'] = 'http://localhost:5555';
+            options['clientId'] = 'adminClient'; options['clientSecret'] = 'adminSecret';
+            options['shutdown'] = { 'deadline' : 2000 };
+            var trapped = process.listeners('SIGTERM').length;
+            testUtils.setupService(jive, options).then( function(service) {
+                assert.equal( process.listeners('SIGTERM').length, trapped + 1, 'signals are trapped unless trapSignals is false' );
+                var eventNames = jive.constants.serviceEventNames;
+                var phases = [];
+                var drained;
+                Object.keys(eventNames).forEach( function(name) {
+                    jive.events.on(eventNames[name], function(detail) {
+                        phases.push(eventNames[name]);
+                        if ( eventNames[name] === eventNames.SERVICE_DRAINED ) {
+                            drained = detail;
+                        }
+                    });
+                });
+
+                var event = jive.util.guid();
+                var finished = false;
+                jive.events.registerEventListener( event, function() {
+                    return q.delay(300).then( function() {
+                        finished = true;
+                    });
+                });
+                jive.context.scheduler.schedule(event, {}, 60 * 1000);
+
+                var url = 'http://localhost:5555/admin/tasks/' + event;
+                var auth = { 'Authorization' : 'Basic ' + new Buffer('adminClient:adminSecret').toString('base64') };
+                var inFlight = q.delay(10).then( function() {
+                    return jive.util.buildRequest(url + '/runNow', 'POST', {}, auth);
+                });
+
+                var stopped;
+                q.delay(100).then( function() {
+                    stopped = service.stop();
+                    return jive.util.buildRequest(url + '/runNow', 'POST', {}, auth).then( function(r) {
+                        assert.fail(r, 'expected the request to be turned away');
+                    }, function() {
+                        // refused, or 503
+                    });
+                }).then( function() {
+                    return inFlight;
+                }).then( function(r) {
+                    assert.equal( r['entity']['outcome'], 'success' );
+                    return stopped;
+                }).then( function() {
+                    assert.ok(finished);
+                    assert.deepEqual( phases, [
+                        eventNames.SERVICE_STOPPING, eventNames.SERVICE_DRAINING,
+                        eventNames.SERVICE_DRAINED, eventNames.SERVICE_STOPPED
+                    ]);
+                    assert.deepEqual( drained, { 'timedOut' : false, 'requests' : 0, 'events' : [] } );
+                    assert.equal( jive.service.serviceStatus(), 'stopped' );
+                    assert.equal( process.listeners('SIGTERM').length, trapped, 'signals are released once stopped' );
+                }).then( function() {
+                    done();
+                }).fail( function(e) {
+                    q(stopped || service.stop()).finally( function() {
+                        done(e);
+                    });
+                });
+            })
+        });
+
+        it('graceful shutdown - deadline by the service clock', function (done) {
+            var jive = this['jive'];
+            var shutdown = require(process.cwd() + '/jive-sdk-service/lib/shutdown');
+            var events = require('events');
+
+            var clock = jive.testing.clock.install(0);
+            var res = new events.EventEmitter();
+            shutdown.middleware( {}, res, function() {} );
+
+            var timedOut = false;
+            var waiting = shutdown.waitForRequests(1000).then( function(requests) {
+                timedOut = true;
+                assert.equal( requests, 1 );
+            });
+
+            clock.advance(999).then( function() {
+                assert.ok( !timedOut );
+                return clock.advance(1);
+            }).then( function() {
+                assert.ok( timedOut );
+                return waiting;
+            }).finally( function() {
+                res.emit('finish');
+                clock.uninstall();
+            }).then( function() {
+                done();
+            }).fail(done);
+        });
+
     });
 
 });
@@ -139,6 +139,69 @@ describe('jive', function () {
             );
         });
 
+        it('encryption enabled - stored secrets encrypted', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var memory = new jive.persistence.memory();
+            var options = testUtils.createBaseServiceOptions('/services/samplesvc');
+            options['persistence'] = memory;
+            options['persistenceEncryption'] = { 'key' : testUtils.guid() };
+
+            // saved before encryption was enabled
+            memory.save('community', 'http://plain', { 'jiveUrl' : 'http://plain', 'clientSecret' : 'secret' }).then( function() {
+                return testUtils.setupService(jive, options);
+            }).then( function() {
+                return memory.findByID('community', 'http://plain');
+            }).then( function(stored) {
+                assert.equal(stored['clientSecret'].indexOf('jive-sdk-enc:1:'), 0);
+                return jive.community.findByJiveURL('http://plain');
+            }).then( function(community) {
+                assert.equal(community['clientSecret'], 'secret');
+            }).finally( function() {
+                return jive.service.stop();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('persistence only', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            var memory = new jive.persistence.memory();
+            var options = testUtils.createBaseServiceOptions('/services/samplesvc');
+            options['persistence'] = memory;
+
+            var migrated = false;
+            jive.migrations.register('tileInstance', 1, { 'up' : function() {
+                migrated = true;
+            }});
+
+            memory.save('tileInstance', '1', { 'id' : '1' }).then( function() {
+                return jive.service.initPersistence(options);
+            }).then( function(persistence) {
+                assert.equal(persistence, jive.context.persistence);
+                assert.ok(!migrated, 'migrations should be left alone');
+                return q.all( [
+                    persistence.findByID('tileInstance', '1'),
+                    jive.migrations.sdk.getVersion('community', memory)
+                ]);
+            }).then( function(found) {
+                assert.equal(found[0]['id'], '1');
+                assert.equal(found[1], 0);
+            }).finally( function() {
+                jive.migrations.reset();
+                return memory.close();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
         it('bad persistence', function (done) {
             var jive = this['jive'];
             var testUtils = this['testUtils'];
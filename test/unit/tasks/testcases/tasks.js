@@ -26,6 +26,22 @@ describe('jive', function () {
             done();
         });
 
+        it('build - cron', function () {
+            var jive = this['jive'];
+            var handler = function() {};
+
+            var task = jive.tasks.build(handler, '0 6 * * MON-FRI', 'dailyReport', 'America/New_York');
+            assert.equal( task['interval'], '0 6 * * MON-FRI' );
+            assert.equal( task['timeZone'], 'America/New_York' );
+
+            assert.throws( function() {
+                jive.tasks.build(handler, '0 6 * *');
+            }, /Invalid cron expression/ );
+            assert.throws( function() {
+                jive.tasks.build(handler, '0 6 * * *', 'dailyReport', 'Nowhere/Special');
+            }, /Unknown time zone/ );
+        });
+
         it('build - failed, no handler', function (done) {
             var jive = this['jive'];
             var testUtils = this['testUtils'];
@@ -73,6 +89,14 @@ describe('jive', function () {
                 ).then( function() {
                     return testUtils.waitSec(0.3);
                 }).then( function() {
+                    var cronTask = jive.context.scheduler.getTasks(true).filter( function(task) {
+                        return task['eventID'] == 'samplelist.0 6 * * MON-FRI.0';
+                    })[0];
+                    assert.ok(cronTask);
+                    assert.equal(cronTask['interval']['timeZone'], 'America/New_York');
+                    assert.equal(cronTask['nextRun'].getTime(),
+                        jive.cron.next(cronTask['interval']).getTime());
+
                     return jive.service.options['__testData'] ? q.resolve() : q.reject();
                 }).then(
                 function() {
@@ -0,0 +1,184 @@
+var assert = require('assert');
+var q = require('q');
+
+describe('jive', function () {
+    describe('worker pool', function () {
+
+        var handlers = function(testUtils) {
+            return testUtils.getResourceFilePath('/workers/handlers.js');
+        };
+
+        var expectRejection = function(promise, check) {
+            return promise.then( function() {
+                throw new Error('Expected a rejection');
+            }, check);
+        };
+
+        it('runs handlers in child processes', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            jive.workerPool.configure({ 'size' : 2 });
+
+            var sum = jive.workerPool.handler( handlers(testUtils), 'eventHandlers', 0 );
+            q.all( [
+                sum( { 'numbers' : [ 1, 2, 3 ] }, 'sum' ),
+                sum( { 'numbers' : [ 4, 5 ] }, 'sum' ),
+                jive.workerPool.run( handlers(testUtils), { 'property' : 'task' }, null )
+            ]).spread( function(first, second, pid) {
+                assert.equal(first['sum'], 6);
+                assert.equal(first['event'], 'sum');
+                assert.equal(second['sum'], 9);
+                assert.notEqual(first['pid'], process.pid);
+                assert.notEqual(first['pid'], second['pid']);
+                assert.notEqual(pid, process.pid);
+                assert.equal(jive.workerPool.getStatus()['size'], 2);
+            }).finally( function() {
+                return jive.workerPool.close();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('passes back errors', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            jive.workerPool.configure({ 'size' : 1 });
+
+            expectRejection( jive.workerPool.run( handlers(testUtils), { 'property' : 'eventHandlers', 'index' : 1 },
+                { 'what' : 'parse' } ), function(e) {
+                assert.ok(e instanceof Error);
+                assert.equal(e.message, 'Failed to parse');
+                assert.equal(e['statusCode'], 503);
+            }).then( function() {
+                return expectRejection( jive.workerPool.run( handlers(testUtils),
+                    { 'property' : 'eventHandlers', 'index' : 2 }, {} ), function(e) {
+                    assert.deepEqual(e, { 'statusCode' : 404 });
+                });
+            }).then( function() {
+                return expectRejection( jive.workerPool.run( handlers(testUtils),
+                    { 'property' : 'eventHandlers', 'index' : 9 }, {} ), function(e) {
+                    assert.ok( e.message.indexOf('No handler at eventHandlers[9]') === 0 );
+                });
+            }).then( function() {
+                var circular = {};
+                circular['self'] = circular;
+                return expectRejection( jive.workerPool.run( handlers(testUtils),
+                    { 'property' : 'eventHandlers', 'index' : 0 }, circular ), function(e) {
+                    assert.ok(e instanceof TypeError);
+                });
+            }).then( function() {
+                return expectRejection( jive.workerPool.run( handlers(testUtils),
+                    { 'property' : 'eventHandlers', 'index' : 5 }, {} ), function(e) {
+                    assert.notEqual(e['code'], 'EWORKERCRASH');
+                    assert.ok( e.message.indexOf('circular') > -1 );
+                });
+            }).finally( function() {
+                return jive.workerPool.close();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('replaces crashed child processes', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            jive.workerPool.configure({ 'size' : 1 });
+
+            var crashed;
+            expectRejection( jive.workerPool.run( handlers(testUtils), { 'property' : 'eventHandlers', 'index' : 3 }, {} ),
+                function(e) {
+                    crashed = e;
+                    assert.equal(e['code'], 'EWORKERCRASH');
+                }
+            ).then( function() {
+                return jive.workerPool.run( handlers(testUtils), { 'property' : 'eventHandlers', 'index' : 0 },
+                    { 'numbers' : [ 1 ] } );
+            }).then( function(result) {
+                assert.ok(crashed);
+                assert.equal(result['sum'], 1);
+                assert.equal(jive.workerPool.getStatus()['size'], 1);
+            }).finally( function() {
+                return jive.workerPool.close();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('kills cancelled runs', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            jive.workerPool.configure({ 'size' : 1 });
+
+            var signal = jive.util.cancellation.create();
+            var spinning = jive.util.cancellation.run( signal, function() {
+                return jive.workerPool.run( handlers(testUtils), { 'property' : 'eventHandlers', 'index' : 4 }, {} );
+            });
+            var queued = jive.util.cancellation.run( signal, function() {
+                return jive.workerPool.run( handlers(testUtils), { 'property' : 'eventHandlers', 'index' : 0 },
+                    { 'numbers' : [ 1 ] } );
+            });
+
+            var reason = new Error('timed out');
+            setTimeout( function() {
+                signal.cancel(reason);
+            }, 200);
+
+            q.all( [
+                expectRejection( spinning, function(e) {
+                    assert.equal(e, reason);
+                }),
+                expectRejection( queued, function(e) {
+                    assert.equal(e, reason);
+                })
+            ]).then( function() {
+                return jive.workerPool.run( handlers(testUtils), { 'property' : 'eventHandlers', 'index' : 0 },
+                    { 'numbers' : [ 2 ] } );
+            }).then( function(result) {
+                assert.equal(result['sum'], 2);
+            }).finally( function() {
+                return jive.workerPool.close();
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
+        it('service with isolated handlers', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+            var csv = 'name,count\napples,3\npears,4';
+
+            testUtils.setupService(jive,
+                testUtils.createBaseServiceOptions('/services/tile_isolated')
+            ).then( function() {
+                return jive.context.scheduler.schedule('parseCsv', { 'eventListener' : 'sampleisolated', 'csv' : csv });
+            }).then( function(parsed) {
+                assert.deepEqual(parsed['rows'], [ { 'name' : 'apples', 'count' : '3' }, { 'name' : 'pears', 'count' : '4' } ]);
+                assert.notEqual(parsed['pid'], process.pid);
+                return testUtils.waitSec(0.5);
+            }).then( function() {
+                return jive.context.scheduler.getTaskStatus('sampleisolated.100.0');
+            }).then( function(status) {
+                assert.equal(status['lastRun']['outcome'], 'success');
+            }).then( function() {
+                return jive.service.stop();
+            }).then( function() {
+                assert.equal(jive.workerPool.getStatus()['size'], 0);
+                done();
+            }).fail( function(e) {
+                jive.service.stop().finally( function() {
+                    done(e);
+                });
+            });
+        });
+
+    });
+
+});
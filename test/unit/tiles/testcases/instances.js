@@ -188,6 +188,43 @@ describe('jive', function () {
             });
         });
 
+        it('count by definition name', function (done) {
+            var jive = this['jive'];
+            var testUtils = this['testUtils'];
+
+            // setup memory persistence
+            jive.context['persistence'] = new jive.persistence.memory();
+
+            var name = testUtils.guid();
+            testUtils.persistExampleInstances(jive, 2, 'a.jiveon.com', name).then( function() {
+                return testUtils.persistExampleInstances(jive, 1, 'b.jiveon.com', name);
+            }).then( function() {
+                return testUtils.persistExampleInstances(jive, 1, 'a.jiveon.com');
+            }).then( function() {
+                return jive.tiles.countByDefinitionName(name);
+            }).then( function(count) {
+                assert.equal(count, 3);
+                return jive.tiles.countByDefinitionName(name, 'b.jiveon.com');
+            }).then( function(count) {
+                assert.equal(count, 1);
+                return jive.tiles.countByDefinitionAndCommunity();
+            }).then( function(counts) {
+                assert.equal(counts.length, 3);
+                assert.deepEqual(counts.filter( function(count) {
+                    return count['name'] === name;
+                }).sort( function(a, b) {
+                    return a['jiveCommunity'] < b['jiveCommunity'] ? -1 : 1;
+                }), [
+                    { 'name' : name, 'jiveCommunity' : 'a.jiveon.com', 'count' : 2 },
+                    { 'name' : name, 'jiveCommunity' : 'b.jiveon.com', 'count' : 1 }
+                ]);
+            }).then( function() {
+                done();
+            }).fail( function(e) {
+                done(e);
+            });
+        });
+
         it('find by scope', function (done) {
             var jive = this['jive'];
 
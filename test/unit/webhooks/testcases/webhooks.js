@@ -200,7 +200,9 @@ describe('jive', function () {
                         'access_token': '__authorization_header__'
                     };
 
-                    jive.webhooks.save( webhook ).then( function() {
+                    jive.community.save( community ).then( function() {
+                        return jive.webhooks.save( webhook );
+                    }).then( function() {
                         jive.webhooks.unregister(webhook).then(
                             function(r) {
                                 p.resolve(r);
@@ -200,6 +200,7 @@ sdkUtils.setupService = function(jive, config) {
         var deferred = q.defer();
         if ( startHttp ) {
             var server = require('http').createServer(app);
+            jive.service.httpServer(server);
             server.listen(config.port, function () {
                 deferred.resolve(server);
             } );
@@ -211,9 +212,7 @@ sdkUtils.setupService = function(jive, config) {
     }).then( function(server) {
         p.resolve({
             'stop' : function() {
-                if ( server ) {
-                    server.close();
-                }
+                // also closes the server
                 return jive.service.stop();
             }
         });